@@ -0,0 +1,892 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import express from 'express';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { db } from './db.js';
+import { recordAudit } from './audit.js';
+import { issueCertificate, resolveSigningIssuer, storeCertificate } from './certificates.js';
+import { generateCrl } from './crl.js';
+import { certificateIssuer, issuerExists } from './issuers.js';
+import { describeKey, parseKeySpec } from './keys.js';
+import { derToPem, InputError, parseCsr } from './openssl.js';
+import { findViolations } from './policies.js';
+import { ProfileError } from './profiles.js';
+
+// Externally reachable URL of this server; derived from the request when unset
+const publicBaseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+const ACME_CERT_DAYS = Number(process.env.ACME_CERT_DAYS) || 90;
+// Profile ACME certificates are issued with; it must not require approval
+const ACME_PROFILE = process.env.ACME_PROFILE || 'server_tls';
+const ACME_HTTP_PORT = Number(process.env.ACME_HTTP_PORT) || 80;
+// Lab mode: accept every challenge without contacting the client
+const ACME_SKIP_VALIDATION = process.env.ACME_SKIP_VALIDATION === 'true';
+
+// Clients connecting from these networks skip challenge validation
+const trustedNetworks = new net.BlockList();
+(process.env.ACME_TRUSTED_NETWORKS || '').split(',').map((s) => s.trim()).filter(Boolean).forEach((cidr) => {
+  const [address, prefix] = cidr.split('/');
+  const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  trustedNetworks.addSubnet(address, Number(prefix ?? (type === 'ipv6' ? 128 : 32)), type);
+});
+
+// http-01 never fetches from these: loopback, link-local and unspecified
+const blockedTargets = new net.BlockList();
+blockedTargets.addSubnet('127.0.0.0', 8, 'ipv4');
+blockedTargets.addSubnet('169.254.0.0', 16, 'ipv4');
+blockedTargets.addAddress('0.0.0.0', 'ipv4');
+blockedTargets.addAddress('::1', 'ipv6');
+blockedTargets.addSubnet('fe80::', 10, 'ipv6');
+blockedTargets.addAddress('::', 'ipv6');
+// Private networks too, unless the CA is meant to validate hosts on them
+if (process.env.ACME_ALLOW_PRIVATE_TARGETS !== 'true') {
+  blockedTargets.addSubnet('10.0.0.0', 8, 'ipv4');
+  blockedTargets.addSubnet('172.16.0.0', 12, 'ipv4');
+  blockedTargets.addSubnet('192.168.0.0', 16, 'ipv4');
+  blockedTargets.addSubnet('fc00::', 7, 'ipv6');
+}
+
+// Redirects followed while validating http-01, and where they may lead (RFC 8555 section 8.3)
+const MAX_REDIRECTS = 10;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const REDIRECT_PORTS = ['', '80', '443'];
+// A key authorization is short; anything much longer is not one
+const MAX_HTTP01_BODY = 8 * 1024;
+
+const dnsResolver = new dns.promises.Resolver({ timeout: 5000, tries: 2 });
+if (process.env.ACME_DNS_RESOLVER) {
+  dnsResolver.setServers(process.env.ACME_DNS_RESOLVER.split(',').map((s) => s.trim()));
+}
+
+const ORDER_LIFETIME_MS = 7 * 24 * 60 * 60 * 1000;
+const NONCE_LIFETIME_MS = 60 * 60 * 1000;
+
+// RFC 5280 CRLReason codes as sent in revokeCert requests
+const REASON_CODES = [
+  'unspecified',
+  'keyCompromise',
+  'cACompromise',
+  'affiliationChanged',
+  'superseded',
+  'cessationOfOperation',
+  'certificateHold',
+];
+
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      return err ? reject(err) : resolve(this);
+    });
+  });
+}
+
+export class AcmeError extends Error {
+  constructor(status, type, detail) {
+    super(detail);
+    this.status = status;
+    this.type = type;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Nonces and URLs
+
+const nonces = new Map();
+
+export function newNonce() {
+  const now = Date.now();
+  for (const [nonce, expires] of nonces) {
+    if (expires < now) nonces.delete(nonce);
+  }
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  nonces.set(nonce, now + NONCE_LIFETIME_MS);
+  return nonce;
+}
+
+function consumeNonce(nonce) {
+  const expires = nonces.get(nonce);
+  nonces.delete(nonce);
+  return expires !== undefined && expires >= Date.now();
+}
+
+function baseUrl(req) {
+  return publicBaseUrl || `${req.protocol}://${req.get('host')}`;
+}
+
+function acmeUrl(req, suffix) {
+  return `${baseUrl(req)}/acme/${suffix}`;
+}
+
+function sendProblem(req, res, e) {
+  const status = e instanceof AcmeError ? e.status : 500;
+  const type = e instanceof AcmeError ? e.type : 'serverInternal';
+  if (!(e instanceof AcmeError)) {
+    // eslint-disable-next-line no-console
+    console.error('ACME error:', e.message);
+  }
+  res.setHeader('Replay-Nonce', newNonce());
+  res.setHeader('Link', `<${acmeUrl(req, 'directory')}>;rel="index"`);
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(status).type('application/problem+json');
+  return res.send(JSON.stringify({ type: `urn:ietf:params:acme:error:${type}`, detail: e.message, status }));
+}
+
+function sendResource(req, res, status, body, location) {
+  res.setHeader('Replay-Nonce', newNonce());
+  res.setHeader('Link', `<${acmeUrl(req, 'directory')}>;rel="index"`);
+  res.setHeader('Cache-Control', 'no-store');
+  if (location) {
+    res.setHeader('Location', location);
+  }
+  return res.status(status).json(body);
+}
+
+// ---------------------------------------------------------------------------
+// JWS verification (RFC 8555 section 6.2)
+
+// RFC 7638 JWK thumbprint over the required members in lexicographic order
+export function jwkThumbprint(jwk) {
+  const members = {
+    RSA: ['e', 'kty', 'n'],
+    EC: ['crv', 'kty', 'x', 'y'],
+    OKP: ['crv', 'kty', 'x'],
+  }[jwk.kty];
+  if (!members) {
+    throw new AcmeError(400, 'badPublicKey', `Unsupported key type ${jwk.kty}`);
+  }
+  const canonical = `{${members.map((m) => `"${m}":${JSON.stringify(jwk[m])}`).join(',')}}`;
+  return crypto.createHash('sha256').update(canonical).digest('base64url');
+}
+
+function verifySignature(alg, jwk, signingInput, signature) {
+  let key;
+  try {
+    key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  } catch (e) {
+    throw new AcmeError(400, 'badPublicKey', `Invalid JWK: ${e.message}`);
+  }
+
+  const data = Buffer.from(signingInput);
+  switch (alg) {
+    case 'RS256':
+      return crypto.verify('sha256', data, key, signature);
+    case 'ES256':
+      return crypto.verify('sha256', data, { key, dsaEncoding: 'ieee-p1363' }, signature);
+    case 'ES384':
+      return crypto.verify('sha384', data, { key, dsaEncoding: 'ieee-p1363' }, signature);
+    case 'ES512':
+      return crypto.verify('sha512', data, { key, dsaEncoding: 'ieee-p1363' }, signature);
+    case 'EdDSA':
+      return crypto.verify(null, data, key, signature);
+    default:
+      throw new AcmeError(400, 'badSignatureAlgorithm', `Unsupported algorithm ${alg}`);
+  }
+}
+
+// Verify the flattened JWS in req.body and resolve the signer. `useJwk` marks
+// the requests (newAccount) that carry a public key instead of an account URL.
+export async function verifyJws(req, { useJwk = false } = {}) {
+  const { protected: protectedB64, payload: payloadB64, signature: signatureB64 } = req.body || {};
+  if (typeof protectedB64 !== 'string' || typeof payloadB64 !== 'string' || typeof signatureB64 !== 'string') {
+    throw new AcmeError(400, 'malformed', 'Request body must be a flattened JWS');
+  }
+
+  let header;
+  try {
+    header = JSON.parse(Buffer.from(protectedB64, 'base64url').toString('utf8'));
+  } catch {
+    throw new AcmeError(400, 'malformed', 'Invalid protected header');
+  }
+
+  if (!consumeNonce(header.nonce)) {
+    throw new AcmeError(400, 'badNonce', 'Invalid or expired nonce');
+  }
+  if (header.url !== `${baseUrl(req)}${req.originalUrl}`) {
+    throw new AcmeError(401, 'unauthorized', 'JWS url does not match the request URL');
+  }
+
+  let jwk;
+  let account = null;
+  if (useJwk) {
+    if (!header.jwk || header.kid) {
+      throw new AcmeError(400, 'malformed', 'This request must be signed with a jwk');
+    }
+    jwk = header.jwk;
+  } else {
+    const prefix = acmeUrl(req, 'account/');
+    if (!header.kid || header.jwk || !header.kid.startsWith(prefix)) {
+      throw new AcmeError(400, 'malformed', 'This request must be signed with a kid');
+    }
+    account = await dbGet('SELECT * FROM acme_accounts WHERE id = ?', [header.kid.slice(prefix.length)]);
+    if (!account) {
+      throw new AcmeError(400, 'accountDoesNotExist', 'Account not found');
+    }
+    if (account.status !== 'valid') {
+      throw new AcmeError(401, 'unauthorized', `Account is ${account.status}`);
+    }
+    jwk = JSON.parse(account.jwk);
+  }
+
+  const signature = Buffer.from(signatureB64, 'base64url');
+  if (!verifySignature(header.alg, jwk, `${protectedB64}.${payloadB64}`, signature)) {
+    throw new AcmeError(400, 'malformed', 'JWS signature is invalid');
+  }
+
+  let payload = null;
+  if (payloadB64 !== '') {
+    try {
+      payload = JSON.parse(Buffer.from(payloadB64, 'base64url').toString('utf8'));
+    } catch {
+      throw new AcmeError(400, 'malformed', 'Invalid JWS payload');
+    }
+  }
+
+  return { payload, jwk, account, thumbprint: jwkThumbprint(jwk) };
+}
+
+// ---------------------------------------------------------------------------
+// Resource rendering
+
+function renderAccount(req, account) {
+  return {
+    status: account.status,
+    contact: JSON.parse(account.contact || '[]'),
+    termsOfServiceAgreed: true,
+    orders: acmeUrl(req, `account/${account.id}/orders`),
+  };
+}
+
+async function renderOrder(req, order) {
+  const authzs = await dbAll('SELECT id FROM acme_authorizations WHERE order_id = ? ORDER BY id', [order.id]);
+  const body = {
+    status: order.status,
+    expires: order.expires,
+    identifiers: JSON.parse(order.identifiers),
+    authorizations: authzs.map((a) => acmeUrl(req, `authz/${a.id}`)),
+    finalize: acmeUrl(req, `order/${order.id}/finalize`),
+  };
+  if (order.certificate_id) {
+    body.certificate = acmeUrl(req, `cert/${order.certificate_id}`);
+  }
+  if (order.error) {
+    body.error = JSON.parse(order.error);
+  }
+  return body;
+}
+
+function renderChallenge(req, challenge) {
+  const body = {
+    type: challenge.type,
+    url: acmeUrl(req, `chall/${challenge.id}`),
+    token: challenge.token,
+    status: challenge.status,
+  };
+  if (challenge.validated) {
+    body.validated = challenge.validated;
+  }
+  if (challenge.error) {
+    body.error = JSON.parse(challenge.error);
+  }
+  return body;
+}
+
+async function renderAuthorization(req, authz) {
+  const challenges = await dbAll('SELECT * FROM acme_challenges WHERE authorization_id = ? ORDER BY id', [authz.id]);
+  const body = {
+    status: authz.status,
+    expires: authz.expires,
+    identifier: { type: authz.identifier_type, value: authz.identifier_value },
+    challenges: challenges.map((c) => renderChallenge(req, c)),
+  };
+  if (authz.wildcard) {
+    body.wildcard = true;
+  }
+  return body;
+}
+
+// Load an order/authorization/challenge and make sure the account owns it
+async function loadOwned(kind, id, account) {
+  const queries = {
+    order: 'SELECT * FROM acme_orders WHERE id = ? AND account_id = ?',
+    authz: `SELECT a.* FROM acme_authorizations a JOIN acme_orders o ON o.id = a.order_id
+            WHERE a.id = ? AND o.account_id = ?`,
+    chall: `SELECT c.*, a.identifier_type, a.identifier_value, a.order_id FROM acme_challenges c
+            JOIN acme_authorizations a ON a.id = c.authorization_id
+            JOIN acme_orders o ON o.id = a.order_id
+            WHERE c.id = ? AND o.account_id = ?`,
+  };
+  const row = await dbGet(queries[kind], [id, account.id]);
+  if (!row) {
+    throw new AcmeError(404, 'malformed', `${kind} not found`);
+  }
+  return row;
+}
+
+// ---------------------------------------------------------------------------
+// Identifiers and challenge validation
+
+const DNS_NAME = /^(\*\.)?([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)*[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i;
+
+function normalizeIdentifier(identifier) {
+  if (!identifier || typeof identifier.value !== 'string') {
+    throw new AcmeError(400, 'malformed', 'Invalid identifier');
+  }
+  if (identifier.type === 'dns') {
+    const value = identifier.value.toLowerCase().replace(/\.$/, '');
+    if (!DNS_NAME.test(value)) {
+      throw new AcmeError(400, 'rejectedIdentifier', `Invalid DNS name ${identifier.value}`);
+    }
+    return { type: 'dns', value };
+  }
+  if (identifier.type === 'ip') {
+    if (!net.isIP(identifier.value)) {
+      throw new AcmeError(400, 'rejectedIdentifier', `Invalid IP address ${identifier.value}`);
+    }
+    return { type: 'ip', value: identifier.value };
+  }
+  throw new AcmeError(400, 'unsupportedIdentifier', `Unsupported identifier type ${identifier.type}`);
+}
+
+function isTrustedClient(ip) {
+  if (!ip) return false;
+  const address = ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+  return trustedNetworks.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function isBlockedTarget(address) {
+  const plain = address.startsWith('::ffff:') ? address.slice(7) : address;
+  return blockedTargets.check(plain, net.isIPv6(plain) ? 'ipv6' : 'ipv4');
+}
+
+// The address to fetch from: the host itself, or the first address it
+// resolves to. Refused when any of them is blocked.
+async function checkHttpTarget(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [{ address: host, family: net.isIP(host) }];
+  } else {
+    try {
+      addresses = await dns.promises.lookup(host, { all: true });
+    } catch (e) {
+      throw new AcmeError(400, 'dns', `Looking up ${host}: ${e.code || e.message}`);
+    }
+  }
+  if (addresses.some((a) => isBlockedTarget(a.address))) {
+    throw new AcmeError(403, 'unauthorized', `Refusing to fetch ${url}: ${host} is a loopback, link-local or private address`);
+  }
+  return addresses[0];
+}
+
+// GET a URL from the address checked above, so the host cannot resolve to
+// another one in between. Certificates of https redirects are not verified:
+// the key authorization is the proof, as with other ACME servers.
+function fetchPinned(url, target) {
+  return new Promise((resolve, reject) => {
+    const lookup = (hostname, options, callback) => (options && options.all
+      ? callback(null, [target])
+      : callback(null, target.address, target.family));
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, { lookup, timeout: 10000, rejectUnauthorized: false }, (res) => {
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_HTTP01_BODY) {
+          reject(new Error('Response is too large'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => resolve({ status: res.statusCode, location: res.headers.location, body: Buffer.concat(chunks).toString() }));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => {
+      reject(new Error('Timed out'));
+      req.destroy();
+    });
+    req.on('error', reject);
+  });
+}
+
+// Fetch the key authorization, following redirects by hand so each hop can be
+// checked: only http and https on ports 80 and 443, never to a blocked host
+async function validateHttp01(challenge, keyAuthorization) {
+  const host = net.isIPv6(challenge.identifier_value) ? `[${challenge.identifier_value}]` : challenge.identifier_value;
+  const port = ACME_HTTP_PORT === 80 ? '' : `:${ACME_HTTP_PORT}`;
+  let url = new URL(`http://${host}${port}/.well-known/acme-challenge/${challenge.token}`);
+
+  let response;
+  for (let redirects = 0; ; redirects++) {
+    const target = await checkHttpTarget(url);
+    try {
+      response = await fetchPinned(url, target);
+    } catch (e) {
+      throw new AcmeError(400, 'connection', `Fetching ${url}: ${e.message}`);
+    }
+    if (!REDIRECT_STATUSES.includes(response.status)) break;
+
+    const { location } = response;
+    if (!location) {
+      throw new AcmeError(403, 'unauthorized', `Fetching ${url}: HTTP ${response.status} without a Location`);
+    }
+    if (redirects === MAX_REDIRECTS) {
+      throw new AcmeError(403, 'unauthorized', `Fetching ${url}: more than ${MAX_REDIRECTS} redirects`);
+    }
+    let next;
+    try {
+      next = new URL(location, url);
+    } catch {
+      throw new AcmeError(403, 'unauthorized', `Fetching ${url}: invalid redirect to ${location}`);
+    }
+    if (!['http:', 'https:'].includes(next.protocol) || !REDIRECT_PORTS.includes(next.port)) {
+      throw new AcmeError(403, 'unauthorized', `Fetching ${url}: redirect to ${next} is not allowed, only http and https on ports 80 and 443`);
+    }
+    url = next;
+  }
+
+  if (response.status < 200 || response.status > 299) {
+    throw new AcmeError(403, 'unauthorized', `Fetching ${url}: HTTP ${response.status}`);
+  }
+  if (response.body.trim() !== keyAuthorization) {
+    throw new AcmeError(403, 'incorrectResponse', `Key authorization mismatch at ${url}`);
+  }
+}
+
+async function validateDns01(challenge, keyAuthorization) {
+  const name = `_acme-challenge.${challenge.identifier_value}`;
+  const expected = crypto.createHash('sha256').update(keyAuthorization).digest('base64url');
+
+  let records;
+  try {
+    records = await dnsResolver.resolveTxt(name);
+  } catch (e) {
+    throw new AcmeError(400, 'dns', `Looking up TXT ${name}: ${e.code || e.message}`);
+  }
+  if (!records.some((chunks) => chunks.join('') === expected)) {
+    throw new AcmeError(403, 'incorrectResponse', `No matching TXT record at ${name}`);
+  }
+}
+
+// Move the order forward once all of its authorizations are settled
+async function updateOrderStatus(orderId) {
+  const authzs = await dbAll('SELECT status FROM acme_authorizations WHERE order_id = ?', [orderId]);
+  if (authzs.some((a) => a.status === 'invalid')) {
+    await dbRun("UPDATE acme_orders SET status = 'invalid' WHERE id = ? AND status = 'pending'", [orderId]);
+  } else if (authzs.every((a) => a.status === 'valid')) {
+    await dbRun("UPDATE acme_orders SET status = 'ready' WHERE id = ? AND status = 'pending'", [orderId]);
+  }
+}
+
+async function runValidation(challenge, keyAuthorization, skip) {
+  try {
+    if (!skip) {
+      if (challenge.type === 'http-01') {
+        await validateHttp01(challenge, keyAuthorization);
+      } else {
+        await validateDns01(challenge, keyAuthorization);
+      }
+    }
+    await dbRun("UPDATE acme_challenges SET status = 'valid', validated = ? WHERE id = ?", [new Date().toISOString(), challenge.id]);
+    await dbRun("UPDATE acme_authorizations SET status = 'valid' WHERE id = ?", [challenge.authorization_id]);
+  } catch (e) {
+    const error = {
+      type: `urn:ietf:params:acme:error:${e instanceof AcmeError ? e.type : 'serverInternal'}`,
+      detail: e.message,
+    };
+    await dbRun("UPDATE acme_challenges SET status = 'invalid', error = ? WHERE id = ?", [JSON.stringify(error), challenge.id]);
+    await dbRun("UPDATE acme_authorizations SET status = 'invalid' WHERE id = ?", [challenge.authorization_id]);
+  }
+  await updateOrderStatus(challenge.order_id);
+}
+
+// ---------------------------------------------------------------------------
+// Finalization
+
+// Verify the CSR self-signature and key, and return the names it requests
+async function readCsrNames(csrPem) {
+  let request;
+  try {
+    request = await parseCsr(csrPem);
+  } catch (e) {
+    throw new AcmeError(400, 'badCSR', e.message);
+  }
+
+  const { keyType, keySize } = describeKey(request.publicKey);
+  const keySpec = parseKeySpec(keyType, keySize);
+  if (keySpec.error) {
+    throw new AcmeError(400, 'badCSR', `CSR key is not allowed: ${keySpec.error}`);
+  }
+
+  const names = [];
+  const cn = request.attributes.CN;
+  if (cn) {
+    names.push({ type: net.isIP(cn) ? 'ip' : 'dns', value: cn.toLowerCase() });
+  }
+  request.san.split(',').filter(Boolean).forEach((entry) => {
+    if (entry.startsWith('DNS:')) {
+      names.push({ type: 'dns', value: entry.slice(4).toLowerCase() });
+    } else if (entry.startsWith('IP:')) {
+      names.push({ type: 'ip', value: entry.slice(3) });
+    } else {
+      throw new AcmeError(400, 'badCSR', `Unsupported subjectAltName ${entry}`);
+    }
+  });
+  return names;
+}
+
+function sameIdentifiers(a, b) {
+  const key = (i) => `${i.type}:${net.isIPv6(i.value) ? i.value.toLowerCase() : i.value}`;
+  const left = new Set(a.map(key));
+  const right = new Set(b.map(key));
+  return left.size === right.size && [...left].every((k) => right.has(k));
+}
+
+async function finalizeOrder(order, csrDer, sourceIp) {
+  const identifiers = JSON.parse(order.identifiers);
+  const csrPem = derToPem(csrDer, 'CERTIFICATE REQUEST');
+  const names = await readCsrNames(csrPem);
+
+  if (!sameIdentifiers(names, identifiers)) {
+    throw new AcmeError(400, 'badCSR', 'CSR names do not match the order identifiers');
+  }
+
+  const issuer = await resolveSigningIssuer(undefined);
+  if (!issuer || !issuerExists(issuer)) {
+    throw new AcmeError(500, 'serverInternal', 'CA is not initialized');
+  }
+
+  // Validated names only count until their authorization expires
+  const authzs = await dbAll('SELECT identifier_value, expires FROM acme_authorizations WHERE order_id = ?', [order.id]);
+  const expired = authzs.filter((a) => new Date(a.expires) < new Date());
+  if (expired.length > 0) {
+    const detail = `Authorization for ${expired.map((a) => a.identifier_value).join(', ')} has expired`;
+    const error = { type: 'urn:ietf:params:acme:error:unauthorized', detail };
+    await dbRun("UPDATE acme_orders SET status = 'invalid', error = ? WHERE id = ? AND status = 'ready'", [JSON.stringify(error), order.id]);
+    throw new AcmeError(403, 'unauthorized', detail);
+  }
+
+  // Claim the order so concurrent finalize requests cannot issue it twice
+  const claimed = await dbRun("UPDATE acme_orders SET status = 'processing' WHERE id = ? AND status = 'ready'", [order.id]);
+  if (claimed.changes !== 1) {
+    throw new AcmeError(403, 'orderNotReady', 'Order is already being finalized');
+  }
+  try {
+    const san = identifiers.map((i) => `${i.type === 'ip' ? 'IP' : 'DNS'}:${i.value}`).join(',');
+    const { certPem, chainPem, certInfo } = await issueCertificate({
+      csrPem,
+      preset: ACME_PROFILE,
+      san,
+      days: ACME_CERT_DAYS,
+      issuer,
+    });
+
+    const certificateId = await storeCertificate({
+      ...certInfo,
+      cert_pem: certPem,
+      chain_pem: chainPem,
+      source: 'acme',
+      issuer_ca_id: issuer.id,
+    });
+
+    await dbRun("UPDATE acme_orders SET status = 'valid', certificate_id = ? WHERE id = ?", [certificateId, order.id]);
+    recordAudit({
+      actor: { username: `acme:account/${order.account_id}` },
+      action: 'certificate.sign',
+      targetType: 'certificate',
+      targetId: certificateId,
+      sourceIp,
+      details: { source: 'acme', order_id: order.id, serial_number: certInfo.serial_number, san },
+    });
+  } catch (e) {
+    // A CSR the ACME profile refuses is the client's problem
+    const rejected = e instanceof ProfileError || e instanceof InputError;
+    const error = { type: `urn:ietf:params:acme:error:${rejected ? 'badCSR' : 'serverInternal'}`, detail: `Issuance failed: ${e.message}` };
+    await dbRun("UPDATE acme_orders SET status = 'invalid', error = ? WHERE id = ?", [JSON.stringify(error), order.id]);
+    recordAudit({
+      actor: { username: `acme:account/${order.account_id}` },
+      action: 'certificate.sign',
+      targetType: 'acme_order',
+      targetId: order.id,
+      sourceIp,
+      outcome: 'failure',
+      details: { source: 'acme', error: e.message },
+    });
+    throw rejected ? new AcmeError(400, 'badCSR', e.message) : e;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Routes
+
+// Wrap an async ACME handler so thrown errors become problem documents
+function handler(fn) {
+  return (req, res) => fn(req, res).catch((e) => sendProblem(req, res, e));
+}
+
+export function registerAcmeRoutes(app) {
+  const jose = express.json({ type: 'application/jose+json', limit: '1mb' });
+
+  app.get('/acme/directory', (req, res) => {
+    res.json({
+      newNonce: acmeUrl(req, 'new-nonce'),
+      newAccount: acmeUrl(req, 'new-account'),
+      newOrder: acmeUrl(req, 'new-order'),
+      revokeCert: acmeUrl(req, 'revoke-cert'),
+      meta: {
+        website: baseUrl(req),
+        externalAccountRequired: false,
+      },
+    });
+  });
+
+  app.head('/acme/new-nonce', (req, res) => {
+    res.setHeader('Replay-Nonce', newNonce());
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).end();
+  });
+
+  app.get('/acme/new-nonce', (req, res) => {
+    res.setHeader('Replay-Nonce', newNonce());
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(204).end();
+  });
+
+  app.post('/acme/new-account', jose, handler(async (req, res) => {
+    const { payload, jwk, thumbprint } = await verifyJws(req, { useJwk: true });
+    const existing = await dbGet('SELECT * FROM acme_accounts WHERE thumbprint = ?', [thumbprint]);
+
+    if (existing) {
+      return sendResource(req, res, 200, renderAccount(req, existing), acmeUrl(req, `account/${existing.id}`));
+    }
+    if (payload && payload.onlyReturnExisting) {
+      throw new AcmeError(400, 'accountDoesNotExist', 'No account exists for this key');
+    }
+
+    const contact = Array.isArray(payload && payload.contact) ? payload.contact : [];
+    const result = await dbRun(
+      "INSERT INTO acme_accounts (thumbprint, jwk, contact, status) VALUES (?, ?, ?, 'valid')",
+      [thumbprint, JSON.stringify(jwk), JSON.stringify(contact)],
+    );
+    const account = await dbGet('SELECT * FROM acme_accounts WHERE id = ?', [result.lastID]);
+    return sendResource(req, res, 201, renderAccount(req, account), acmeUrl(req, `account/${account.id}`));
+  }));
+
+  // Account lookup (POST-as-GET), contact update or deactivation
+  app.post('/acme/account/:id', jose, handler(async (req, res) => {
+    const { payload, account } = await verifyJws(req);
+    if (String(account.id) !== req.params.id) {
+      throw new AcmeError(401, 'unauthorized', 'Account URL does not match the signing key');
+    }
+
+    if (payload && Array.isArray(payload.contact)) {
+      await dbRun('UPDATE acme_accounts SET contact = ? WHERE id = ?', [JSON.stringify(payload.contact), account.id]);
+    }
+    if (payload && payload.status === 'deactivated') {
+      await dbRun("UPDATE acme_accounts SET status = 'deactivated' WHERE id = ?", [account.id]);
+    }
+
+    const updated = await dbGet('SELECT * FROM acme_accounts WHERE id = ?', [account.id]);
+    return sendResource(req, res, 200, renderAccount(req, updated));
+  }));
+
+  app.post('/acme/account/:id/orders', jose, handler(async (req, res) => {
+    const { account } = await verifyJws(req);
+    if (String(account.id) !== req.params.id) {
+      throw new AcmeError(401, 'unauthorized', 'Account URL does not match the signing key');
+    }
+    const orders = await dbAll('SELECT id FROM acme_orders WHERE account_id = ? ORDER BY id', [account.id]);
+    return sendResource(req, res, 200, { orders: orders.map((o) => acmeUrl(req, `order/${o.id}`)) });
+  }));
+
+  app.post('/acme/new-order', jose, handler(async (req, res) => {
+    const { payload, account } = await verifyJws(req);
+    if (!payload || !Array.isArray(payload.identifiers) || payload.identifiers.length === 0) {
+      throw new AcmeError(400, 'malformed', 'An order needs at least one identifier');
+    }
+
+    const identifiers = payload.identifiers.map(normalizeIdentifier);
+    // Names the issuance policies refuse are rejected before any challenge
+    const violations = await findViolations({
+      san: identifiers.map((i) => `${i.type === 'ip' ? 'IP' : 'DNS'}:${i.value}`).join(','),
+      issuer: await resolveSigningIssuer(undefined),
+    });
+    if (violations.length > 0) {
+      throw new AcmeError(400, 'rejectedIdentifier', violations.join('; '));
+    }
+    const expires = new Date(Date.now() + ORDER_LIFETIME_MS).toISOString();
+
+    const orderResult = await dbRun(
+      "INSERT INTO acme_orders (account_id, status, identifiers, expires) VALUES (?, 'pending', ?, ?)",
+      [account.id, JSON.stringify(identifiers), expires],
+    );
+    const orderId = orderResult.lastID;
+
+    for (const identifier of identifiers) {
+      const wildcard = identifier.value.startsWith('*.');
+      const value = wildcard ? identifier.value.slice(2) : identifier.value;
+      const authzResult = await dbRun(
+        "INSERT INTO acme_authorizations (order_id, identifier_type, identifier_value, wildcard, status, expires) VALUES (?, ?, ?, ?, 'pending', ?)",
+        [orderId, identifier.type, value, wildcard ? 1 : 0, expires],
+      );
+
+      // Wildcards can only be proven through DNS, IP addresses only through HTTP
+      const types = wildcard ? ['dns-01'] : identifier.type === 'ip' ? ['http-01'] : ['http-01', 'dns-01'];
+      for (const type of types) {
+        await dbRun(
+          "INSERT INTO acme_challenges (authorization_id, type, token, status) VALUES (?, ?, ?, 'pending')",
+          [authzResult.lastID, type, crypto.randomBytes(32).toString('base64url')],
+        );
+      }
+    }
+
+    const order = await dbGet('SELECT * FROM acme_orders WHERE id = ?', [orderId]);
+    return sendResource(req, res, 201, await renderOrder(req, order), acmeUrl(req, `order/${orderId}`));
+  }));
+
+  app.post('/acme/order/:id', jose, handler(async (req, res) => {
+    const { account } = await verifyJws(req);
+    const order = await loadOwned('order', req.params.id, account);
+    return sendResource(req, res, 200, await renderOrder(req, order));
+  }));
+
+  app.post('/acme/authz/:id', jose, handler(async (req, res) => {
+    const { payload, account } = await verifyJws(req);
+    const authz = await loadOwned('authz', req.params.id, account);
+
+    if (payload && payload.status === 'deactivated') {
+      await dbRun("UPDATE acme_authorizations SET status = 'deactivated' WHERE id = ?", [authz.id]);
+      authz.status = 'deactivated';
+    }
+    return sendResource(req, res, 200, await renderAuthorization(req, authz));
+  }));
+
+  // POST-as-GET returns the challenge; a JSON object payload asks us to validate it
+  app.post('/acme/chall/:id', jose, handler(async (req, res) => {
+    const { payload, account, thumbprint } = await verifyJws(req);
+    const challenge = await loadOwned('chall', req.params.id, account);
+
+    if (payload && challenge.status === 'pending') {
+      const order = await dbGet('SELECT expires FROM acme_orders WHERE id = ?', [challenge.order_id]);
+      if (new Date(order.expires) < new Date()) {
+        throw new AcmeError(403, 'malformed', 'Order has expired');
+      }
+
+      await dbRun("UPDATE acme_challenges SET status = 'processing' WHERE id = ?", [challenge.id]);
+      challenge.status = 'processing';
+
+      const keyAuthorization = `${challenge.token}.${thumbprint}`;
+      const skip = ACME_SKIP_VALIDATION || isTrustedClient(req.ip);
+      runValidation(challenge, keyAuthorization, skip).catch((e) => {
+        // eslint-disable-next-line no-console
+        console.error('ACME validation error:', e.message);
+      });
+    }
+
+    res.setHeader('Link', `<${acmeUrl(req, `authz/${challenge.authorization_id}`)}>;rel="up"`);
+    return sendResource(req, res, 200, renderChallenge(req, challenge));
+  }));
+
+  app.post('/acme/order/:id/finalize', jose, handler(async (req, res) => {
+    const { payload, account } = await verifyJws(req);
+    const order = await loadOwned('order', req.params.id, account);
+
+    if (order.status !== 'ready') {
+      throw new AcmeError(403, 'orderNotReady', `Order is ${order.status}, not ready`);
+    }
+    if (!payload || typeof payload.csr !== 'string') {
+      throw new AcmeError(400, 'malformed', 'Finalize payload must contain a csr');
+    }
+
+    await finalizeOrder(order, Buffer.from(payload.csr, 'base64url'), req.ip);
+
+    const updated = await dbGet('SELECT * FROM acme_orders WHERE id = ?', [order.id]);
+    return sendResource(req, res, 200, await renderOrder(req, updated), acmeUrl(req, `order/${order.id}`));
+  }));
+
+  // Certificate download: leaf followed by the issuer chain
+  app.post('/acme/cert/:id', jose, handler(async (req, res) => {
+    const { account } = await verifyJws(req);
+    const cert = await dbGet(
+      `SELECT c.cert_pem, c.chain_pem FROM certificates c JOIN acme_orders o ON o.certificate_id = c.id
+       WHERE c.id = ? AND o.account_id = ?`,
+      [req.params.id, account.id],
+    );
+    if (!cert) {
+      throw new AcmeError(404, 'malformed', 'Certificate not found');
+    }
+
+    res.setHeader('Replay-Nonce', newNonce());
+    res.setHeader('Link', `<${acmeUrl(req, 'directory')}>;rel="index"`);
+    res.setHeader('Content-Type', 'application/pem-certificate-chain');
+    return res.send(`${cert.cert_pem.trim()}\n${(cert.chain_pem || '').trim()}\n`);
+  }));
+
+  // Revocation by the account that ordered the certificate
+  app.post('/acme/revoke-cert', jose, handler(async (req, res) => {
+    const { payload, account } = await verifyJws(req);
+    if (!payload || typeof payload.certificate !== 'string') {
+      throw new AcmeError(400, 'malformed', 'Revocation payload must contain a certificate');
+    }
+
+    const reasonCode = payload.reason === undefined ? 0 : payload.reason;
+    if (!REASON_CODES[reasonCode]) {
+      throw new AcmeError(400, 'badRevocationReason', `Unsupported revocation reason ${payload.reason}`);
+    }
+
+    let serial;
+    try {
+      serial = new crypto.X509Certificate(Buffer.from(payload.certificate, 'base64url')).serialNumber.toUpperCase().replace(/^0+/, '');
+    } catch {
+      throw new AcmeError(400, 'malformed', 'Invalid certificate');
+    }
+
+    // Compare without leading zeros: OpenSSL and Node pad serials differently
+    const owned = await dbAll(
+      `SELECT c.id, c.serial_number, c.revoked_at, c.issuer_ca_id, c.ca_generation FROM certificates c
+       JOIN acme_orders o ON o.certificate_id = c.id WHERE o.account_id = ?`,
+      [account.id],
+    );
+    const cert = owned.find((c) => c.serial_number.replace(/^0+/, '') === serial);
+    if (!cert) {
+      throw new AcmeError(403, 'unauthorized', 'Certificate was not issued to this account');
+    }
+    if (cert.revoked_at) {
+      throw new AcmeError(400, 'alreadyRevoked', 'Certificate has already been revoked');
+    }
+
+    await dbRun(
+      "UPDATE certificates SET revoked_at = datetime('now'), revocation_reason = ? WHERE id = ?",
+      [REASON_CODES[reasonCode], cert.id],
+    );
+    recordAudit({
+      actor: { username: `acme:account/${account.id}` },
+      action: 'certificate.revoke',
+      targetType: 'certificate',
+      targetId: cert.id,
+      sourceIp: req.ip,
+      details: { source: 'acme', reason: REASON_CODES[reasonCode] },
+    });
+    generateCrl(await certificateIssuer(cert)).catch((e) => {
+      // eslint-disable-next-line no-console
+      console.error('Failed to publish CRL after ACME revocation:', e.message);
+    });
+
+    return sendResource(req, res, 200, {});
+  }));
+}
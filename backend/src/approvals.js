@@ -0,0 +1,260 @@
+import { auditAction } from './audit.js';
+import { canAccessOwned, requireRole } from './auth.js';
+import { db } from './db.js';
+import { getProfile } from './profiles.js';
+
+// CSR approval workflow: a CSR is submitted, approved once as many distinct
+// approvers as its profile asks for have agreed (or right away when the
+// profile needs none), possibly rejected, and issued when signed. Approvals,
+// rejections and comments are kept in csr_reviews.
+const MAX_COMMENT_LENGTH = 2000;
+
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      return err ? reject(err) : resolve(this);
+    });
+  });
+}
+
+// Status of a new CSR of the profile
+export function initialStatus(profile) {
+  return profile.approvals_required === 0 ? 'approved' : 'submitted';
+}
+
+// Record a review entry; the sign route adds 'issue'
+export function addReview(csrId, userId, action, comment = null) {
+  return dbRun('INSERT INTO csr_reviews (csr_id, user_id, action, comment, created_at) VALUES (?, ?, ?, ?, ?)', [
+    csrId,
+    userId,
+    action,
+    comment,
+    new Date().toISOString(),
+  ]);
+}
+
+// Move a CSR from one status to another, resolving to false when it was no
+// longer in `from` (someone else got there first)
+export async function transitionCsr(csrId, from, to) {
+  const result = await dbRun("UPDATE csr_requests SET status = ?, updated_at = datetime('now') WHERE id = ? AND status = ?", [to, csrId, from]);
+  return result.changes === 1;
+}
+
+// Why a CSR cannot be signed yet, or null when it can
+export function signingBlocker(csr) {
+  if (csr.status === 'issued') return 'CSR has already been signed';
+  if (csr.status === 'issuing') return 'CSR is being signed';
+  if (csr.status === 'rejected') return 'CSR has been rejected';
+  if (csr.status !== 'approved') return 'CSR is awaiting approval';
+  return null;
+}
+
+// Mark an approved CSR as being signed, so concurrent requests cannot sign
+// it twice; resolves to why it cannot be signed, or null once claimed
+export async function claimForSigning(csrId) {
+  if (await transitionCsr(csrId, 'approved', 'issuing')) return null;
+  const current = await dbGet('SELECT status FROM csr_requests WHERE id = ?', [csrId]);
+  return current ? signingBlocker(current) : 'CSR not found';
+}
+
+async function selfApprovalAllowed() {
+  const row = await dbGet('SELECT allow_self_approval FROM ca_settings WHERE id = 1');
+  return !!(row && row.allow_self_approval);
+}
+
+function commentText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+// The distinct users who approved each CSR, keyed by CSR id
+async function approversOf(csrIds) {
+  if (csrIds.length === 0) return new Map();
+  const rows = await dbAll(
+    `SELECT DISTINCT csr_id, user_id FROM csr_reviews WHERE action = 'approve' AND csr_id IN (${csrIds.map(() => '?').join(', ')})`,
+    csrIds
+  );
+  const approvers = new Map(csrIds.map((id) => [id, []]));
+  rows.forEach((row) => approvers.get(row.csr_id).push(row.user_id));
+  return approvers;
+}
+
+export function registerApprovalRoutes(app, authMiddleware) {
+  const canApprove = requireRole('admin', 'operator');
+  const canComment = requireRole('admin', 'operator', 'requester');
+
+  // Open CSRs, oldest first, with what an approver needs to decide: SANs,
+  // validity, approvals so far and whether the caller may approve
+  app.get('/api/approvals', authMiddleware, requireRole('admin', 'operator', 'auditor'), async (req, res) => {
+    try {
+      const rows = await dbAll(
+        `SELECT c.id, c.preset, c.common_name, c.organization, c.organizational_unit, c.country, c.state, c.locality, c.email, c.san,
+                c.key_type, c.key_size, c.key_pem IS NOT NULL AS has_key, c.status, c.requested_by, u.username AS requested_by_username,
+                c.requested_days, c.created_at, p.label AS profile_label, p.approvals_required, p.default_validity_days, p.max_validity_days
+         FROM csr_requests c
+         LEFT JOIN users u ON u.id = c.requested_by
+         LEFT JOIN certificate_profiles p ON p.name = c.preset
+         WHERE c.status IN ('submitted', 'approved')
+         ORDER BY c.created_at, c.id`
+      );
+      const approvers = await approversOf(rows.map((row) => row.id));
+      const selfApproval = await selfApprovalAllowed();
+      const queue = rows.map((row) => {
+        const approvedBy = approvers.get(row.id);
+        return {
+          ...row,
+          approvals: approvedBy.length,
+          approved_by_me: approvedBy.includes(req.user.id),
+          can_approve: ['admin', 'operator'].includes(req.user.role) && row.status === 'submitted' && !approvedBy.includes(req.user.id)
+            && (selfApproval || row.requested_by !== req.user.id),
+        };
+      });
+      return res.json({ queue, policy: { allow_self_approval: selfApproval } });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to fetch approval queue', details: e.message });
+    }
+  });
+
+  // Approvals, rejections, comments and issuance of one CSR, oldest first
+  app.get('/api/csr/:id/reviews', authMiddleware, async (req, res) => {
+    try {
+      const csr = await dbGet('SELECT id, requested_by FROM csr_requests WHERE id = ?', [req.params.id]);
+      if (!csr || !canAccessOwned(req.user, csr)) {
+        return res.status(404).json({ error: 'CSR not found' });
+      }
+      const reviews = await dbAll(
+        `SELECT r.id, r.action, r.comment, r.user_id, u.username, r.created_at
+         FROM csr_reviews r LEFT JOIN users u ON u.id = r.user_id
+         WHERE r.csr_id = ? ORDER BY r.created_at, r.id`,
+        [csr.id]
+      );
+      return res.json({ reviews });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to fetch CSR reviews', details: e.message });
+    }
+  });
+
+  // One approval per approver; the CSR is approved once the profile's quorum is met
+  app.post('/api/csr/:id/approve', authMiddleware, auditAction('csr.approve', 'csr', (req, body) => ({
+    status: body.status,
+    approvals: body.approvals,
+  })), canApprove, async (req, res) => {
+    const comment = commentText((req.body || {}).comment);
+    if (comment.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ error: `Comment must be at most ${MAX_COMMENT_LENGTH} characters` });
+    }
+
+    try {
+      const csr = await dbGet('SELECT * FROM csr_requests WHERE id = ?', [req.params.id]);
+      if (!csr) {
+        return res.status(404).json({ error: 'CSR not found' });
+      }
+      if (csr.status !== 'submitted') {
+        return res.status(409).json({ error: `CSR is ${csr.status}, not awaiting approval` });
+      }
+      if (csr.requested_by === req.user.id && !(await selfApprovalAllowed())) {
+        return res.status(403).json({ error: 'You cannot approve your own CSR' });
+      }
+      const approvedBy = (await approversOf([csr.id])).get(csr.id);
+      if (approvedBy.includes(req.user.id)) {
+        return res.status(409).json({ error: 'You have already approved this CSR' });
+      }
+
+      await addReview(csr.id, req.user.id, 'approve', comment || null);
+      const profile = await getProfile(csr.preset);
+      const required = profile ? profile.approvals_required : 1;
+      // Counted after recording, so concurrent approvals cannot both fall short
+      const approvals = (await approversOf([csr.id])).get(csr.id).length;
+      let status = csr.status;
+      if (approvals >= required) {
+        const result = await dbRun(
+          "UPDATE csr_requests SET status = 'approved', updated_at = datetime('now') WHERE id = ? AND status = 'submitted'",
+          [csr.id]
+        );
+        status = result.changes === 1 ? 'approved' : (await dbGet('SELECT status FROM csr_requests WHERE id = ?', [csr.id])).status;
+      }
+      return res.json({ ok: true, id: csr.id, status, approvals, approvals_required: required });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to approve CSR', details: e.message });
+    }
+  });
+
+  // A rejection is final and needs a reason the requester can read
+  app.post('/api/csr/:id/reject', authMiddleware, auditAction('csr.reject', 'csr', (req) => ({
+    comment: commentText((req.body || {}).comment),
+  })), canApprove, async (req, res) => {
+    const comment = commentText((req.body || {}).comment);
+    if (!comment || comment.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ error: `A reason of 1-${MAX_COMMENT_LENGTH} characters is required` });
+    }
+
+    try {
+      const result = await dbRun(
+        "UPDATE csr_requests SET status = 'rejected', updated_at = datetime('now') WHERE id = ? AND status IN ('submitted', 'approved')",
+        [req.params.id]
+      );
+      if (result.changes === 0) {
+        const csr = await dbGet('SELECT status FROM csr_requests WHERE id = ?', [req.params.id]);
+        if (!csr) {
+          return res.status(404).json({ error: 'CSR not found' });
+        }
+        return res.status(409).json({ error: `CSR is ${csr.status} and can no longer be rejected` });
+      }
+      await addReview(Number(req.params.id), req.user.id, 'reject', comment);
+      return res.json({ ok: true, id: Number(req.params.id), status: 'rejected' });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to reject CSR', details: e.message });
+    }
+  });
+
+  // Requesters comment on their own CSRs, approvers on any
+  app.post('/api/csr/:id/comments', authMiddleware, auditAction('csr.comment', 'csr'), canComment, async (req, res) => {
+    const comment = commentText((req.body || {}).comment);
+    if (!comment || comment.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ error: `Comment must be 1-${MAX_COMMENT_LENGTH} characters` });
+    }
+
+    try {
+      const csr = await dbGet('SELECT id, requested_by FROM csr_requests WHERE id = ?', [req.params.id]);
+      if (!csr || !canAccessOwned(req.user, csr)) {
+        return res.status(404).json({ error: 'CSR not found' });
+      }
+      const result = await addReview(csr.id, req.user.id, 'comment', comment);
+      return res.json({ ok: true, id: result.lastID });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to add comment', details: e.message });
+    }
+  });
+
+  // Whether requesters may approve their own CSRs (off by default)
+  app.put('/api/approvals/policy', authMiddleware, auditAction('csr.approval.policy', 'ca', (req) => ({
+    allow_self_approval: req.body.allow_self_approval,
+  })), requireRole('admin'), async (req, res) => {
+    const { allow_self_approval } = req.body || {};
+    if (typeof allow_self_approval !== 'boolean') {
+      return res.status(400).json({ error: 'allow_self_approval must be true or false' });
+    }
+
+    try {
+      await dbRun(
+        `INSERT INTO ca_settings (id, allow_self_approval, updated_at) VALUES (1, ?, datetime('now'))
+         ON CONFLICT(id) DO UPDATE SET allow_self_approval = excluded.allow_self_approval, updated_at = excluded.updated_at`,
+        [allow_self_approval ? 1 : 0]
+      );
+      return res.json({ ok: true, allow_self_approval });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to save approval policy', details: e.message });
+    }
+  });
+}
@@ -0,0 +1,128 @@
+// Minimal DER writer and BER reader for the structures OpenSSL's command
+// line cannot produce or take apart: Java trust stores and enrollment
+// protocol messages
+
+function derLength(length) {
+  if (length < 0x80) return Buffer.from([length]);
+  const bytes = [];
+  for (let n = length; n > 0; n = Math.floor(n / 256)) bytes.unshift(n % 256);
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+export function der(tag, ...contents) {
+  const body = Buffer.concat(contents);
+  return Buffer.concat([Buffer.from([tag]), derLength(body.length), body]);
+}
+
+export const sequence = (...contents) => der(0x30, ...contents);
+export const set = (...contents) => der(0x31, ...contents);
+export const explicit = (...contents) => der(0xa0, ...contents);
+export const octetString = (bytes) => der(0x04, bytes);
+export const nullValue = () => Buffer.from([0x05, 0x00]);
+
+export function integer(value) {
+  const bytes = [];
+  for (let n = value; n > 0 || bytes.length === 0; n = Math.floor(n / 256)) bytes.unshift(n % 256);
+  if (bytes[0] & 0x80) bytes.unshift(0);
+  return der(0x02, Buffer.from(bytes));
+}
+
+export function oid(dotted) {
+  const [first, second, ...rest] = dotted.split('.').map(Number);
+  const bytes = [40 * first + second];
+  for (const arc of rest) {
+    const chunk = [arc % 128];
+    for (let n = Math.floor(arc / 128); n > 0; n = Math.floor(n / 128)) chunk.unshift(0x80 | n % 128);
+    bytes.push(...chunk);
+  }
+  return der(0x06, Buffer.from(bytes));
+}
+
+export const printableString = (text) => der(0x13, Buffer.from(text, 'latin1'));
+
+// UTCTime, for dates before 2050
+export function utcTime(date) {
+  return der(0x17, Buffer.from(`${date.toISOString().slice(2, 19).replace(/[-T:]/g, '')}Z`, 'latin1'));
+}
+
+export function bmpString(text) {
+  return Buffer.from(text, 'utf16le').swap16();
+}
+
+// Parse the BER element at `offset` into { tag, constructed, start,
+// contentStart, contentEnd, end, children }. Indefinite lengths, as some
+// enrollment clients send, are accepted. Throws on truncated input.
+export function parseBer(buffer, offset = 0) {
+  const fail = () => {
+    throw new Error('Malformed ASN.1 data');
+  };
+  if (offset + 2 > buffer.length) fail();
+  const tag = buffer[offset];
+  if ((tag & 0x1f) === 0x1f) fail();
+  const constructed = (tag & 0x20) !== 0;
+
+  let position = offset + 1;
+  const first = buffer[position++];
+  let length = null;
+  if (first & 0x80) {
+    const count = first & 0x7f;
+    if (count > 4 || position + count > buffer.length) fail();
+    if (count > 0) {
+      length = 0;
+      for (let i = 0; i < count; i++) length = length * 256 + buffer[position++];
+    } else if (!constructed) {
+      fail();
+    }
+  } else {
+    length = first;
+  }
+
+  const node = { buffer, tag, constructed, start: offset, contentStart: position, contentEnd: null, end: null, children: null };
+  if (length !== null) {
+    node.contentEnd = position + length;
+    node.end = node.contentEnd;
+    if (node.end > buffer.length) fail();
+  }
+  if (constructed) {
+    node.children = [];
+    while (length === null ? !(buffer[position] === 0 && buffer[position + 1] === 0) : position < node.contentEnd) {
+      if (position >= buffer.length) fail();
+      const child = parseBer(buffer, position);
+      node.children.push(child);
+      position = child.end;
+    }
+    if (length === null) {
+      node.contentEnd = position;
+      node.end = position + 2;
+    }
+  }
+  return node;
+}
+
+// The whole element as it was encoded
+export function elementBytes(node) {
+  return node.buffer.subarray(node.start, node.end);
+}
+
+// Contents of a primitive element; constructed strings are joined
+export function contentBytes(node) {
+  if (node.constructed) {
+    return Buffer.concat(node.children.map(contentBytes));
+  }
+  return node.buffer.subarray(node.contentStart, node.contentEnd);
+}
+
+export function readOid(node) {
+  const bytes = contentBytes(node);
+  const arcs = [];
+  let value = 0;
+  for (const byte of bytes) {
+    value = value * 128 + (byte & 0x7f);
+    if (!(byte & 0x80)) {
+      arcs.push(value);
+      value = 0;
+    }
+  }
+  const first = Math.min(Math.floor(arcs[0] / 40), 2);
+  return [first, arcs[0] - 40 * first, ...arcs.slice(1)].join('.');
+}
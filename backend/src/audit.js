@@ -0,0 +1,269 @@
+import crypto from 'crypto';
+import { db } from './db.js';
+import { requireRole } from './auth.js';
+
+// Every entry stores the hash of the previous one; editing or deleting a row
+// breaks the chain from that point on
+const GENESIS_HASH = '0'.repeat(64);
+
+const EXPORT_COLUMNS = [
+  'id',
+  'created_at',
+  'username',
+  'user_id',
+  'action',
+  'target_type',
+  'target_id',
+  'source_ip',
+  'outcome',
+  'details',
+  'prev_hash',
+  'hash',
+];
+
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      return err ? reject(err) : resolve(this);
+    });
+  });
+}
+
+function entryHash(prevHash, entry) {
+  const payload = JSON.stringify([
+    entry.created_at,
+    entry.user_id,
+    entry.username,
+    entry.action,
+    entry.target_type,
+    entry.target_id,
+    entry.source_ip,
+    entry.outcome,
+    entry.details,
+  ]);
+  return crypto.createHash('sha256').update(`${prevHash}\n${payload}`).digest('hex');
+}
+
+// Appends are serialized so each entry links to the one written before it
+let appendQueue = Promise.resolve();
+
+// Record an audit entry. `actor` is req.user or { username } for unauthenticated actors.
+export function recordAudit({ actor, action, targetType = null, targetId = null, sourceIp = null, outcome = 'success', details = null }) {
+  // Requests made with an API token name the token
+  const tokenDetails = actor && actor.token ? { ...details, api_token: actor.token } : details;
+  const entry = {
+    created_at: new Date().toISOString(),
+    user_id: actor && actor.id ? actor.id : null,
+    username: (actor && actor.username) || null,
+    action,
+    target_type: targetType,
+    target_id: targetId === null || targetId === undefined ? null : String(targetId),
+    source_ip: sourceIp,
+    outcome,
+    details: tokenDetails ? JSON.stringify(tokenDetails) : null,
+  };
+
+  const append = appendQueue.then(async () => {
+    const last = await dbGet('SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1');
+    const prevHash = last ? last.hash : GENESIS_HASH;
+    const hash = entryHash(prevHash, entry);
+    await dbRun(
+      `INSERT INTO audit_log (created_at, user_id, username, action, target_type, target_id, source_ip, outcome, details, prev_hash, hash)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        entry.created_at,
+        entry.user_id,
+        entry.username,
+        entry.action,
+        entry.target_type,
+        entry.target_id,
+        entry.source_ip,
+        entry.outcome,
+        entry.details,
+        prevHash,
+        hash,
+      ]
+    );
+  });
+  appendQueue = append.catch((e) => {
+    // eslint-disable-next-line no-console
+    console.error('Failed to write audit entry:', e.message);
+  });
+  return appendQueue;
+}
+
+function outcomeFor(status) {
+  if (status === 401 || status === 403) return 'denied';
+  return status < 400 ? 'success' : 'failure';
+}
+
+// Route middleware: records the action once the response is sent. Place it
+// before requireRole so refused attempts are logged too. `describe(req, body)`
+// may return extra details for the entry.
+export function auditAction(action, targetType = null, describe = null) {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.locals.auditBody = body;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      const body = res.locals.auditBody || {};
+      const outcome = outcomeFor(res.statusCode);
+      const details = { ...(describe ? describe(req, body) : {}) };
+      if (outcome !== 'success' && body.error) {
+        details.error = body.error;
+      }
+
+      recordAudit({
+        actor: req.user || { username: req.body && req.body.username },
+        action,
+        targetType,
+        targetId: req.params.id || req.params.csrId || body.id || null,
+        sourceIp: req.ip,
+        outcome,
+        details: Object.keys(details).length > 0 ? details : null,
+      });
+    });
+
+    return next();
+  };
+}
+
+// Walk the whole chain and report the first entry that does not match
+export async function verifyAuditChain() {
+  const rows = await dbAll('SELECT * FROM audit_log ORDER BY id ASC');
+  let prevHash = GENESIS_HASH;
+  for (const row of rows) {
+    if (row.prev_hash !== prevHash) {
+      return { valid: false, entries: rows.length, broken_at: row.id, reason: 'Previous hash does not match; an entry was removed or altered' };
+    }
+    if (entryHash(prevHash, row) !== row.hash) {
+      return { valid: false, entries: rows.length, broken_at: row.id, reason: 'Entry contents do not match its hash' };
+    }
+    prevHash = row.hash;
+  }
+  return { valid: true, entries: rows.length, broken_at: null, head: prevHash };
+}
+
+function buildAuditQuery(query) {
+  const where = [];
+  const params = [];
+  if (query.username) {
+    where.push('username = ?');
+    params.push(query.username);
+  }
+  if (query.action) {
+    // "certificate" matches certificate.sign, certificate.revoke, ...
+    where.push('(action = ? OR action LIKE ?)');
+    params.push(query.action, `${query.action}.%`);
+  }
+  if (query.target_type) {
+    where.push('target_type = ?');
+    params.push(query.target_type);
+  }
+  if (query.target_id) {
+    where.push('target_id = ?');
+    params.push(String(query.target_id));
+  }
+  if (query.outcome) {
+    where.push('outcome = ?');
+    params.push(query.outcome);
+  }
+  if (query.from) {
+    where.push('created_at >= ?');
+    params.push(new Date(query.from).toISOString());
+  }
+  if (query.to) {
+    where.push('created_at <= ?');
+    params.push(new Date(query.to).toISOString());
+  }
+  return { where: where.length > 0 ? `WHERE ${where.join(' AND ')}` : '', params };
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function registerAuditRoutes(app, authMiddleware) {
+  const canReadAudit = requireRole('admin', 'auditor');
+
+  // Query the audit log: ?username=&action=&target_type=&target_id=&outcome=&from=&to=&limit=&offset=
+  app.get('/api/audit', authMiddleware, canReadAudit, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    let filter;
+    try {
+      filter = buildAuditQuery(req.query);
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid filter', details: e.message });
+    }
+
+    try {
+      const { total } = await dbGet(`SELECT COUNT(*) AS total FROM audit_log ${filter.where}`, filter.params);
+      const entries = await dbAll(
+        `SELECT * FROM audit_log ${filter.where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...filter.params, limit, offset]
+      );
+      return res.json({
+        total,
+        entries: entries.map((e) => ({ ...e, details: e.details ? JSON.parse(e.details) : null })),
+      });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to query audit log', details: e.message });
+    }
+  });
+
+  app.get('/api/audit/verify', authMiddleware, canReadAudit, async (req, res) => {
+    try {
+      return res.json(await verifyAuditChain());
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to verify audit log', details: e.message });
+    }
+  });
+
+  // Export with the same filters, oldest first, so the chain can be re-verified offline
+  app.get('/api/audit/export', authMiddleware, canReadAudit, async (req, res) => {
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+
+    let filter;
+    try {
+      filter = buildAuditQuery(req.query);
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid filter', details: e.message });
+    }
+
+    try {
+      const entries = await dbAll(`SELECT * FROM audit_log ${filter.where} ORDER BY id ASC`, filter.params);
+      const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+      if (format === 'csv') {
+        const lines = [EXPORT_COLUMNS.join(',')];
+        entries.forEach((e) => lines.push(EXPORT_COLUMNS.map((c) => csvField(e[c])).join(',')));
+        res.setHeader('Content-Type', 'text/csv');
+        return res.send(`${lines.join('\r\n')}\r\n`);
+      }
+      res.setHeader('Content-Type', 'application/json');
+      return res.send(JSON.stringify(entries, null, 2));
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to export audit log', details: e.message });
+    }
+  });
+}
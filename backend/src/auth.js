@@ -1,11 +1,37 @@
 import bcrypt from 'bcrypt';
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import { auditAction, recordAudit } from './audit.js';
 import { db, initDb } from './db.js';
+import { PASSWORD_RULES, validatePassword } from './passwords.js';
+import { createSession, endSession, endUserSessions, findSession, SESSION_HOURS, touchSession } from './sessions.js';
+import { authenticateApiToken, hasScope, isApiToken, tokenScopeFor } from './tokens.js';
+import { checkSecondFactor, twoFactorRequired } from './twofactor.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-me';
 const ADMIN_USERNAME = 'ca_admin';
 const ADMIN_PASSWORD = process.env.CA_ADMIN_PASSWORD;
 
+// Login challenges for the second factor are signed with their own key so
+// they can never pass as a session token
+const CHALLENGE_SECRET = `${JWT_SECRET}:2fa`;
+const MAX_CHALLENGE_FAILURES = 5;
+const challengeFailures = new Map();
+
+// Failed sign-ins per username and per client address within the lockout
+// window; reaching the limit locks that username or address for the window
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const LOGIN_LOCKOUT_MS = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const loginFailures = new Map();
+
+// What a user who must enroll in 2FA can still reach
+const ENROLLMENT_PATHS = ['/api/auth/me', '/api/auth/2fa', '/api/auth/2fa/setup', '/api/auth/2fa/enable'];
+
+// admin: CA setup and users; operator: signing and revocation;
+// requester: own CSRs and certificates; auditor: read-only
+export const ROLES = ['admin', 'operator', 'requester', 'auditor'];
+
 if (!ADMIN_PASSWORD) {
   // eslint-disable-next-line no-console
   console.warn('CA_ADMIN_PASSWORD is not set. Set it in docker-compose or environment before running in production.');
@@ -31,7 +57,7 @@ export function seedAdminUser() {
 
     try {
       const hash = await bcrypt.hash(ADMIN_PASSWORD, 10);
-      db.run('INSERT INTO users (username, password_hash) VALUES (?, ?)', [ADMIN_USERNAME, hash], (insertErr) => {
+      db.run('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)', [ADMIN_USERNAME, hash, 'admin'], (insertErr) => {
         if (insertErr) {
           // eslint-disable-next-line no-console
           console.error('Error creating admin user:', insertErr);
@@ -48,10 +74,212 @@ export function seedAdminUser() {
 }
 
 export function createToken(payload) {
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: '8h' });
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: `${SESSION_HOURS}h` });
+}
+
+// Milliseconds until `key` may try again, 0 when it is not locked
+function lockoutRemaining(key) {
+  const entry = loginFailures.get(key);
+  return entry && entry.lockedUntil > Date.now() ? entry.lockedUntil - Date.now() : 0;
+}
+
+function recordLoginFailure(key, limit) {
+  const now = Date.now();
+  const entry = loginFailures.get(key) || { failures: [], lockedUntil: 0 };
+  entry.failures = entry.failures.filter((t) => t > now - LOGIN_LOCKOUT_MS);
+  entry.failures.push(now);
+  if (entry.failures.length >= limit) {
+    entry.lockedUntil = now + LOGIN_LOCKOUT_MS;
+    entry.failures = [];
+  }
+  loginFailures.set(key, entry);
+}
+
+const userKey = (username) => `user:${String(username).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+function loginFailed(req, username) {
+  recordLoginFailure(userKey(username), LOGIN_MAX_FAILURES);
+  recordLoginFailure(ipKey(req.ip), LOGIN_IP_MAX_FAILURES);
+}
+
+function throttleRemaining(req, username) {
+  return Math.max(lockoutRemaining(userKey(username)), lockoutRemaining(ipKey(req.ip)));
+}
+
+function throttledMessage(remaining) {
+  const minutes = Math.ceil(remaining / 60000);
+  return `Too many failed sign-in attempts; try again in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// Refuses the attempt while the username or the client address is locked out
+function loginThrottled(req, res, username) {
+  const remaining = throttleRemaining(req, username);
+  if (!remaining) return false;
+  res
+    .status(429)
+    .set('Retry-After', String(Math.ceil(remaining / 1000)))
+    .json({ error: throttledMessage(remaining) });
+  return true;
+}
+
+// For the user list: when a username's lockout ends, null when not locked
+export function loginLockedUntil(username) {
+  const remaining = lockoutRemaining(userKey(username));
+  return remaining ? new Date(Date.now() + remaining).toISOString() : null;
+}
+
+export function clearLoginFailures(username) {
+  loginFailures.delete(userKey(username));
+}
+
+// For the user list: client addresses locked out now, and until when
+export function lockedAddresses() {
+  const locked = [];
+  loginFailures.forEach((entry, key) => {
+    if (key.startsWith('ip:') && entry.lockedUntil > Date.now()) {
+      locked.push({ address: key.slice(3), locked_until: new Date(entry.lockedUntil).toISOString() });
+    }
+  });
+  return locked;
+}
+
+// Lift one client address lockout; false when the address was not locked
+export function clearAddressLockout(address) {
+  const locked = lockoutRemaining(ipKey(address)) > 0;
+  loginFailures.delete(ipKey(address));
+  return locked;
+}
+
+// Forget failures and lockouts that have run out
+setInterval(() => {
+  const cutoff = Date.now() - LOGIN_LOCKOUT_MS;
+  loginFailures.forEach((entry, key) => {
+    if (entry.lockedUntil < Date.now() && entry.failures.every((t) => t < cutoff)) {
+      loginFailures.delete(key);
+    }
+  });
+}, LOGIN_LOCKOUT_MS).unref();
+
+// Users in roles that require 2FA but have not set it up can only enroll.
+// Single sign-on accounts are left to the identity provider's MFA.
+async function enforceTwoFactor(req, res, next) {
+  let required;
+  try {
+    required = !req.user.two_factor && !req.user.sso && (await twoFactorRequired(req.user.role));
+  } catch (e) {
+    return res.status(500).json({ error: 'Internal error' });
+  }
+  if (!required) {
+    return next();
+  }
+  req.user.two_factor_setup_required = true;
+  if (!req.apiToken && ENROLLMENT_PATHS.includes(req.path)) {
+    return next();
+  }
+  return res.status(403).json({
+    error: 'Your role requires two-factor authentication; set it up in the console first',
+    two_factor_setup_required: true,
+  });
+}
+
+// API tokens: "Authorization: Bearer rca_...", limited to the token's scopes
+async function apiTokenAuth(req, res, next, secret) {
+  let result;
+  try {
+    result = await authenticateApiToken(secret, req.ip);
+  } catch (e) {
+    return res.status(500).json({ error: 'Internal error' });
+  }
+  if (result.error) {
+    return res.status(401).json({ error: result.error });
+  }
+
+  req.user = { ...result.user, token: result.token.name };
+  req.apiToken = result.token;
+
+  return enforceTwoFactor(req, res, () => apiTokenScope(req, res, next));
+}
+
+// HTTP basic credentials of enrollment clients (EST): the account password,
+// or one of the account's API tokens in its place. Basic auth has no second
+// factor, so accounts with two-factor authentication and single sign-on
+// accounts must use a token. Wrong passwords count towards the sign-in
+// lockout. Returns { user, token } or { status, error, retryAfter }.
+export async function authenticateBasic(req) {
+  const basic = /^Basic\s+(\S+)$/i.exec(req.headers.authorization || '');
+  const decoded = basic ? Buffer.from(basic[1], 'base64').toString('utf8') : '';
+  const separator = decoded.indexOf(':');
+  if (separator < 1) {
+    return { status: 401, error: 'Basic authentication required' };
+  }
+  const username = decoded.slice(0, separator);
+  const password = decoded.slice(separator + 1);
+
+  if (isApiToken(password)) {
+    const result = await authenticateApiToken(password, req.ip);
+    if (result.error) {
+      return { status: 401, error: result.error };
+    }
+    if (result.user.username !== username) {
+      return { status: 401, error: 'Invalid credentials' };
+    }
+    if (!result.user.two_factor && !result.user.sso && (await twoFactorRequired(result.user.role))) {
+      return { status: 403, error: 'Your role requires two-factor authentication; set it up in the console first' };
+    }
+    return { user: { ...result.user, token: result.token.name }, token: result.token };
+  }
+
+  const remaining = throttleRemaining(req, username);
+  if (remaining) {
+    return { status: 429, error: throttledMessage(remaining), retryAfter: Math.ceil(remaining / 1000) };
+  }
+  const row = await new Promise((resolve, reject) => {
+    db.get('SELECT id, username, password_hash, role, disabled, totp_enabled, auth_source FROM users WHERE username = ?', [username], (err, r) =>
+      err ? reject(err) : resolve(r)
+    );
+  });
+  // Single sign-on accounts can only use API tokens; like the console login,
+  // a password for one fails the same way as for an unknown user
+  if (!row || row.auth_source === 'oidc' || !(await bcrypt.compare(password, row.password_hash))) {
+    loginFailed(req, username);
+    return { status: 401, error: 'Invalid credentials' };
+  }
+  if (row.disabled) {
+    return { status: 403, error: 'Account is disabled' };
+  }
+  if (row.totp_enabled || (await twoFactorRequired(row.role))) {
+    return { status: 403, error: 'Accounts with two-factor authentication must use an API token as the password' };
+  }
+  clearLoginFailures(row.username);
+  return { user: { id: row.id, username: row.username, role: row.role }, token: null };
+}
+
+// Refuse requests outside the token's scopes
+function apiTokenScope(req, res, next) {
+  const scope = tokenScopeFor(req.method, req.path);
+  if (!scope || !hasScope(req.apiToken.scopes, scope)) {
+    const error = scope ? `API token lacks the ${scope} scope` : 'API tokens cannot be used for this operation; sign in to the console';
+    recordAudit({
+      actor: req.user,
+      action: 'token.use',
+      targetType: 'api_token',
+      targetId: req.apiToken.id,
+      sourceIp: req.ip,
+      outcome: 'denied',
+      details: { method: req.method, path: req.path, error },
+    });
+    return res.status(403).json({ error });
+  }
+  return next();
 }
 
 export function authMiddleware(req, res, next) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (bearer) {
+    return apiTokenAuth(req, res, next, bearer[1]);
+  }
+
   const token = req.cookies && req.cookies.token;
 
   if (!token) {
@@ -60,60 +288,243 @@ export function authMiddleware(req, res, next) {
     return res.status(401).json({ error: 'Unauthorized - no token' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    return next();
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (e) {
     // eslint-disable-next-line no-console
     console.log('[Auth] Token verification failed:', e.message);
     return res.status(401).json({ error: 'Invalid token', details: e.message });
   }
+
+  // Look the session and account up on every request so sign-outs, role
+  // changes and disabling take effect immediately
+  findSession(decoded.sid).then(
+    (row) => {
+      if (!row) {
+        return res.status(401).json({ error: 'Session has ended; sign in again' });
+      }
+      if (row.disabled) {
+        return res.status(401).json({ error: 'Account is disabled or no longer exists' });
+      }
+      touchSession(row, req);
+      req.sessionId = row.session_id;
+      req.user = { id: row.id, username: row.username, role: row.role, two_factor: !!row.totp_enabled, sso: row.auth_source === 'oidc' };
+      return enforceTwoFactor(req, res, next);
+    },
+    () => res.status(500).json({ error: 'Internal error' })
+  );
+}
+
+// Use after authMiddleware: allow only the listed roles
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: `Forbidden - requires role ${roles.join(' or ')}` });
+    }
+    return next();
+  };
+}
+
+// Requesters only see CSRs and certificates they requested
+export function canAccessOwned(user, row) {
+  return user.role !== 'requester' || row.requested_by === user.id;
+}
+
+// Start a server-side session for an authenticated account and set its cookie
+export async function openSession(req, res, row) {
+  clearLoginFailures(row.username);
+  const sid = await createSession(row.id, req);
+  const token = createToken({ id: row.id, username: row.username, sid });
+  // Identifies the account in the audit entry
+  req.user = { id: row.id, username: row.username, role: row.role };
+
+  // Only set secure cookie if actually behind HTTPS (check X-Forwarded-Proto or explicit env)
+  const isHttps = req.headers['x-forwarded-proto'] === 'https' || process.env.FORCE_SECURE_COOKIES === 'true';
+
+  res.cookie('token', token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: isHttps,
+    maxAge: SESSION_HOURS * 60 * 60 * 1000,
+  });
+}
+
+async function startSession(req, res, row) {
+  await openSession(req, res, row);
+  return res.json({ ok: true, username: row.username, role: row.role });
 }
 
 export function registerAuthRoutes(app) {
-  app.post('/api/auth/login', (req, res) => {
+  // Step one: username and password. Accounts with 2FA get a short-lived
+  // challenge instead of a session, to be completed at /api/auth/login/2fa.
+  app.post('/api/auth/login', auditAction('auth.login', null, (req, body) => (body.two_factor_required ? { second_factor: 'pending' } : {})), (req, res) => {
     const { username, password } = req.body;
 
     if (!username || !password) {
       return res.status(400).json({ error: 'Username and password are required' });
     }
+    if (loginThrottled(req, res, username)) {
+      return undefined;
+    }
 
-    db.get('SELECT id, username, password_hash FROM users WHERE username = ?', [username], async (err, row) => {
+    db.get('SELECT id, username, password_hash, role, disabled, totp_enabled, auth_source FROM users WHERE username = ?', [username], async (err, row) => {
       if (err) {
         return res.status(500).json({ error: 'Internal error' });
       }
 
-      if (!row) {
+      // Single sign-on accounts have no password here; they fail like an
+      // unknown user so the answer does not reveal which accounts exist
+      if (!row || row.auth_source === 'oidc') {
+        loginFailed(req, username);
         return res.status(401).json({ error: 'Invalid credentials' });
       }
 
       const match = await bcrypt.compare(password, row.password_hash);
       if (!match) {
+        loginFailed(req, username);
         return res.status(401).json({ error: 'Invalid credentials' });
       }
 
-      const token = createToken({ id: row.id, username: row.username });
+      if (row.disabled) {
+        return res.status(403).json({ error: 'Account is disabled' });
+      }
+
+      if (row.totp_enabled) {
+        req.user = { id: row.id, username: row.username, role: row.role };
+        const challenge = jwt.sign({ id: row.id, jti: crypto.randomUUID() }, CHALLENGE_SECRET, { expiresIn: '5m' });
+        return res.json({ ok: false, two_factor_required: true, challenge });
+      }
+
+      try {
+        return await startSession(req, res, row);
+      } catch (e) {
+        return res.status(500).json({ error: 'Failed to start session', details: e.message });
+      }
+    });
+  });
+
+  // Step two: { challenge, code } or { challenge, recovery_code }
+  app.post('/api/auth/login/2fa', auditAction('auth.login.2fa'), async (req, res) => {
+    const { challenge, code, recovery_code } = req.body || {};
 
-      // Only set secure cookie if actually behind HTTPS (check X-Forwarded-Proto or explicit env)
-      const isHttps = req.headers['x-forwarded-proto'] === 'https' || process.env.FORCE_SECURE_COOKIES === 'true';
+    let decoded;
+    try {
+      decoded = jwt.verify(challenge || '', CHALLENGE_SECRET);
+    } catch (e) {
+      return res.status(401).json({ error: 'Sign-in expired; enter your password again' });
+    }
+    if ((challengeFailures.get(decoded.jti) || 0) >= MAX_CHALLENGE_FAILURES) {
+      return res.status(401).json({ error: 'This sign-in can no longer be completed; enter your password again' });
+    }
+
+    db.get('SELECT id, username, role, disabled FROM users WHERE id = ?', [decoded.id], async (err, row) => {
+      if (err) {
+        return res.status(500).json({ error: 'Internal error' });
+      }
+      if (!row || row.disabled) {
+        return res.status(403).json({ error: 'Account is disabled' });
+      }
+      req.user = { id: row.id, username: row.username, role: row.role };
+      if (loginThrottled(req, res, row.username)) {
+        return undefined;
+      }
+
+      let error;
+      try {
+        error = await checkSecondFactor(row.id, { code, recovery_code });
+      } catch (e) {
+        return res.status(500).json({ error: 'Internal error' });
+      }
+      if (error) {
+        loginFailed(req, row.username);
+        challengeFailures.set(decoded.jti, (challengeFailures.get(decoded.jti) || 0) + 1);
+        // Challenges live five minutes, so expired entries can go
+        setTimeout(() => challengeFailures.delete(decoded.jti), 5 * 60 * 1000).unref();
+        return res.status(401).json({ error });
+      }
 
-      res
-        .cookie('token', token, {
-          httpOnly: true,
-          sameSite: 'lax',
-          secure: isHttps,
-          maxAge: 8 * 60 * 60 * 1000,
-        })
-        .json({ ok: true, username: row.username });
+      // Single use: a challenge that succeeded cannot start a second session
+      challengeFailures.set(decoded.jti, MAX_CHALLENGE_FAILURES);
+      setTimeout(() => challengeFailures.delete(decoded.jti), 5 * 60 * 1000).unref();
+      try {
+        return await startSession(req, res, row);
+      } catch (e) {
+        return res.status(500).json({ error: 'Failed to start session', details: e.message });
+      }
     });
   });
 
-  app.post('/api/auth/logout', (req, res) => {
+  // Ends the server-side session too, so a copied cookie stops working
+  app.post('/api/auth/logout', auditAction('auth.logout'), async (req, res) => {
+    const token = req.cookies && req.cookies.token;
+    try {
+      const decoded = token ? jwt.verify(token, JWT_SECRET) : null;
+      if (decoded && decoded.sid) {
+        req.user = { id: decoded.id, username: decoded.username };
+        await endSession(decoded.sid);
+      }
+    } catch (e) {
+      // An invalid or expired cookie has no session left to end
+    }
     res.clearCookie('token').json({ ok: true });
   });
 
+  // Change your own password: { current_password, new_password }. Other
+  // sessions of the account are signed out.
+  app.post('/api/auth/password', authMiddleware, auditAction('auth.password.change', 'user', (req, body) => ({ sessions_ended: body.sessions_ended })), async (req, res) => {
+    const { current_password, new_password } = req.body || {};
+    if (req.apiToken) {
+      return res.status(403).json({ error: 'Passwords cannot be changed with an API token' });
+    }
+    if (req.user.sso) {
+      return res.status(400).json({ error: 'Single sign-on accounts have no password here; change it at your identity provider' });
+    }
+    if (loginThrottled(req, res, req.user.username)) {
+      return undefined;
+    }
+
+    db.get('SELECT password_hash FROM users WHERE id = ?', [req.user.id], async (err, row) => {
+      if (err || !row) {
+        return res.status(500).json({ error: 'Internal error' });
+      }
+      try {
+        if (!current_password || !(await bcrypt.compare(current_password, row.password_hash))) {
+          loginFailed(req, req.user.username);
+          return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+        const passwordError = validatePassword(new_password, req.user.username);
+        if (passwordError) {
+          return res.status(400).json({ error: passwordError, rules: PASSWORD_RULES });
+        }
+        if (await bcrypt.compare(new_password, row.password_hash)) {
+          return res.status(400).json({ error: 'The new password must differ from the current one' });
+        }
+
+        const hash = await bcrypt.hash(new_password, 10);
+        db.run('UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [hash, req.user.id], async (updateErr) => {
+          if (updateErr) {
+            return res.status(500).json({ error: 'DB error', details: updateErr.message });
+          }
+          const ended = await endUserSessions(req.user.id, req.sessionId).catch(() => 0);
+          return res.json({ ok: true, sessions_ended: ended });
+        });
+      } catch (e) {
+        return res.status(500).json({ error: 'Failed to change password', details: e.message });
+      }
+    });
+  });
+
   app.get('/api/auth/me', authMiddleware, (req, res) => {
-    res.json({ user: { id: req.user.id, username: req.user.username } });
+    res.json({
+      user: {
+        id: req.user.id,
+        username: req.user.username,
+        role: req.user.role,
+        two_factor: !!req.user.two_factor,
+        two_factor_setup_required: !!req.user.two_factor_setup_required,
+        sso: !!req.user.sso,
+      },
+    });
   });
 }
@@ -1,13 +1,24 @@
-import { exec } from 'child_process';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
+import { auditAction } from './audit.js';
+import { requireRole } from './auth.js';
 import { db } from './db.js';
+import { generateCrl } from './crl.js';
+import { createRootCertificate, recordGeneration, writeCaKey } from './generations.js';
+import { getIssuer, intermediateIssuer, intermediatesDir, rootIssuer } from './issuers.js';
+import { parseKeySpec } from './keys.js';
+import { createCsr, InputError, parseCertificate, signCsr, validateSubject } from './openssl.js';
+import { getPolicy, nameConstraintsExtension } from './policies.js';
 
 const storageDir = process.env.STORAGE_DIR || '/data';
 const caDir = path.join(storageDir, 'ca');
 const caKeyPath = path.join(caDir, 'ca.key.pem');
 const caCertPath = path.join(caDir, 'ca.cert.pem');
 
+// Externally reachable URL of this server, embedded in intermediate CA certificates
+const publicBaseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
 function ensureCaDir() {
   if (!fs.existsSync(storageDir)) {
     fs.mkdirSync(storageDir, { recursive: true });
@@ -17,18 +28,25 @@ function ensureCaDir() {
   }
 }
 
-function runOpenSSL(cmd) {
-  return new Promise((resolve, reject) => {
-    exec(cmd, { shell: '/bin/sh' }, (error, stdout, stderr) => {
-      if (error) {
-        // eslint-disable-next-line no-console
-        console.error('OpenSSL error:', stderr || error.message);
-        reject(new Error(stderr || error.message));
-      } else {
-        resolve(stdout);
-      }
-    });
-  });
+// Extensions of an intermediate CA, with the name constraints of its
+// issuance policy when it has one
+function intermediateExtensions(pathLen, nameConstraints = null) {
+  const lines = [
+    `basicConstraints = critical,CA:TRUE,pathlen:${pathLen}`,
+    'keyUsage = critical,digitalSignature,keyCertSign,cRLSign',
+    'subjectKeyIdentifier = hash',
+    'authorityKeyIdentifier = keyid:always,issuer',
+  ];
+
+  if (publicBaseUrl) {
+    lines.push(`crlDistributionPoints = URI:${publicBaseUrl}/crl/${rootIssuer.crlName}.crl`);
+    lines.push(`authorityInfoAccess = OCSP;URI:${publicBaseUrl}/ocsp`);
+  }
+  if (nameConstraints) {
+    lines.push(nameConstraints);
+  }
+
+  return lines;
 }
 
 export function registerCaRoutes(app, authMiddleware) {
@@ -50,12 +68,14 @@ export function registerCaRoutes(app, authMiddleware) {
           key_type: settings.key_type || 'RSA',
           key_size: settings.key_size || 2048,
           initialized: exists && settings.initialized === 1,
+          ca_generation: rootIssuer.generation,
+          default_issuer_id: settings.default_issuer_id || null,
         },
       });
     });
   });
 
-  app.post('/api/ca/settings', authMiddleware, (req, res) => {
+  app.post('/api/ca/settings', authMiddleware, auditAction('ca.settings.update', 'ca'), requireRole('admin'), (req, res) => {
     const {
       common_name,
       organization,
@@ -64,9 +84,20 @@ export function registerCaRoutes(app, authMiddleware) {
       state,
       locality,
       key_type = 'RSA',
-      key_size = 2048,
+      key_size,
     } = req.body || {};
 
+    const keySpec = parseKeySpec(key_type, key_size);
+    if (keySpec.error) {
+      return res.status(400).json({ error: keySpec.error });
+    }
+    let subject;
+    try {
+      subject = validateSubject({ common_name, organization, organizational_unit, country, state, locality });
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
     db.run(
       `INSERT INTO ca_settings (id, common_name, organization, organizational_unit, country, state, locality, key_type, key_size, initialized, updated_at)
        VALUES (1, ?, ?, ?, ?, ?, ?, ?, ?, 0, datetime('now'))
@@ -81,14 +112,14 @@ export function registerCaRoutes(app, authMiddleware) {
          key_size=excluded.key_size,
          updated_at=datetime('now')`,
       [
-        common_name || '',
-        organization || '',
-        organizational_unit || '',
-        country || '',
-        state || '',
-        locality || '',
-        key_type || 'RSA',
-        Number(key_size) || 2048,
+        subject.common_name || '',
+        subject.organization || '',
+        subject.organizational_unit || '',
+        subject.country || '',
+        subject.state || '',
+        subject.locality || '',
+        keySpec.keyType,
+        keySpec.keySize,
       ],
       (err) => {
         if (err) {
@@ -99,7 +130,12 @@ export function registerCaRoutes(app, authMiddleware) {
     );
   });
 
-  app.post('/api/ca/init', authMiddleware, (req, res) => {
+  // Create the first root CA. Replacing an existing one goes through
+  // POST /api/ca/rollover so the certificates it issued stay verifiable.
+  app.post('/api/ca/init', authMiddleware, auditAction('ca.init', 'ca', (req, body) => ({ generation: body.generation })), requireRole('admin'), (req, res) => {
+    if (fs.existsSync(caKeyPath) || fs.existsSync(caCertPath)) {
+      return res.status(409).json({ error: 'The CA is already initialized. Roll over to a new CA key instead of re-initializing.' });
+    }
     ensureCaDir();
 
     db.get('SELECT * FROM ca_settings WHERE id = 1', async (err, settings) => {
@@ -110,31 +146,245 @@ export function registerCaRoutes(app, authMiddleware) {
         return res.status(400).json({ error: 'CA settings must be saved with at least a Common Name before initialization' });
       }
 
-      const keySize = settings.key_size || 2048;
-
-      const subjectParts = [];
-      if (settings.country) subjectParts.push(`/C=${settings.country}`);
-      if (settings.state) subjectParts.push(`/ST=${settings.state}`);
-      if (settings.locality) subjectParts.push(`/L=${settings.locality}`);
-      if (settings.organization) subjectParts.push(`/O=${settings.organization}`);
-      if (settings.organizational_unit) subjectParts.push(`/OU=${settings.organizational_unit}`);
-      subjectParts.push(`/CN=${settings.common_name}`);
-      const subject = subjectParts.join('');
+      const keySpec = parseKeySpec(settings.key_type, settings.key_size);
+      if (keySpec.error) {
+        return res.status(400).json({ error: keySpec.error });
+      }
 
       try {
-        await runOpenSSL(`openssl genrsa -out ${caKeyPath} ${keySize}`);
-
-        const days = 3650;
-        await runOpenSSL(
-          `openssl req -x509 -new -nodes -key ${caKeyPath} -sha256 -days ${days} -out ${caCertPath} -subj "${subject}"`,
-        );
+        // The CA key is only ever written encrypted with the CA key passphrase
+        await writeCaKey(keySpec, caKeyPath);
+        let certPem;
+        try {
+          certPem = await createRootCertificate(caKeyPath, settings);
+        } catch (e) {
+          fs.rmSync(caKeyPath, { force: true });
+          throw e;
+        }
+        fs.writeFileSync(caCertPath, certPem);
 
         db.run('UPDATE ca_settings SET initialized = 1, updated_at = datetime(\'now\') WHERE id = 1');
+        const generation = await recordGeneration({ certPem, keySpec });
+
+        // Publish an initial (empty) CRL signed by the new CA key
+        await generateCrl(rootIssuer);
 
-        return res.json({ ok: true, key_path: caKeyPath, cert_path: caCertPath });
+        return res.json({ ok: true, key_path: caKeyPath, cert_path: caCertPath, generation });
       } catch (e) {
+        if (e instanceof InputError) {
+          return res.status(400).json({ error: e.message });
+        }
         return res.status(500).json({ error: 'Failed to initialize CA', details: e.message });
       }
     });
   });
+
+  // List intermediate CAs signed by the root
+  app.get('/api/ca/intermediates', authMiddleware, (req, res) => {
+    db.all(
+      `SELECT i.id, i.common_name, i.subject, i.serial_number, i.not_before, i.not_after, i.path_len, i.key_type, i.key_size, i.policy_id,
+              p.name AS policy_name, i.ca_generation, i.created_at
+       FROM ca_intermediates i LEFT JOIN issuance_policies p ON p.id = i.policy_id ORDER BY i.created_at DESC`,
+      (err, rows) => {
+        if (err) {
+          return res.status(500).json({ error: 'Failed to fetch intermediate CAs' });
+        }
+        return res.json({ intermediates: rows || [] });
+      },
+    );
+  });
+
+  // Create an intermediate CA: new key, certificate signed by the root
+  app.post('/api/ca/intermediates', authMiddleware, auditAction('ca.intermediate.create', 'intermediate', (req) => ({ common_name: req.body.common_name, policy_id: req.body.policy_id })), requireRole('admin'), (req, res) => {
+    const {
+      common_name,
+      organization,
+      organizational_unit,
+      country,
+      state,
+      locality,
+      path_len = 0,
+      days = 1825,
+      key_type,
+      key_size,
+      policy_id,
+    } = req.body || {};
+
+    if (!common_name) {
+      return res.status(400).json({ error: 'Common Name is required' });
+    }
+    const pathLen = Number(path_len);
+    if (!Number.isInteger(pathLen) || pathLen < 0 || pathLen > 5) {
+      return res.status(400).json({ error: 'Path length must be an integer between 0 and 5' });
+    }
+    const validityDays = Number(days);
+    if (!Number.isInteger(validityDays) || validityDays < 1) {
+      return res.status(400).json({ error: 'Validity must be a positive number of days' });
+    }
+    if (!fs.existsSync(caKeyPath) || !fs.existsSync(caCertPath)) {
+      return res.status(400).json({ error: 'CA is not initialized. Please initialize the CA first.' });
+    }
+
+    // An intermediate must not outlive the root that vouches for it
+    const rootNotAfter = new Date(new crypto.X509Certificate(fs.readFileSync(caCertPath)).validTo);
+    if (Date.now() + validityDays * 24 * 60 * 60 * 1000 > rootNotAfter.getTime()) {
+      return res.status(400).json({ error: `Validity exceeds the root CA, which expires ${rootNotAfter.toISOString()}` });
+    }
+
+    db.get('SELECT * FROM ca_settings WHERE id = 1', async (err, settings) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to load CA settings' });
+      }
+
+      // Without an explicit key type the intermediate gets the same kind of key as the root
+      const keySpec = key_type
+        ? parseKeySpec(key_type, key_size)
+        : parseKeySpec(settings && settings.key_type, settings && settings.key_size);
+      if (keySpec.error) {
+        return res.status(400).json({ error: keySpec.error });
+      }
+      let subject;
+      try {
+        subject = validateSubject({
+          common_name,
+          organization: organization ?? (settings && settings.organization),
+          organizational_unit,
+          country: country ?? (settings && settings.country),
+          state: state ?? (settings && settings.state),
+          locality: locality ?? (settings && settings.locality),
+        });
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+      if (!subject.common_name) {
+        return res.status(400).json({ error: 'Common Name is required' });
+      }
+
+      // Optionally constrain the names the intermediate may certify
+      let policy = null;
+      let nameConstraints = null;
+      if (policy_id !== undefined && policy_id !== null && policy_id !== '') {
+        try {
+          policy = await getPolicy(policy_id);
+        } catch (e) {
+          return res.status(500).json({ error: 'Failed to load issuance policy', details: e.message });
+        }
+        if (!policy) {
+          return res.status(400).json({ error: 'Issuance policy not found' });
+        }
+        nameConstraints = nameConstraintsExtension(policy);
+        if (!nameConstraints) {
+          return res.status(400).json({ error: `Policy ${policy.name} has no DNS, IP or email rules to encode as name constraints` });
+        }
+      }
+
+      if (!fs.existsSync(intermediatesDir)) {
+        fs.mkdirSync(intermediatesDir, { recursive: true });
+      }
+      const workDir = fs.mkdtempSync(path.join(intermediatesDir, 'new-'));
+      const keyPath = path.join(workDir, 'key.pem');
+      const certPath = path.join(workDir, 'cert.pem');
+      const serialNumber = crypto.randomBytes(16).toString('hex').toUpperCase();
+
+      try {
+        const key = await writeCaKey(keySpec, keyPath);
+        const csrPem = await createCsr({ key, subject });
+        const certPem = await signCsr({
+          csrPem,
+          issuer: rootIssuer,
+          serialNumber,
+          days: validityDays,
+          extensions: intermediateExtensions(pathLen, nameConstraints),
+        });
+        fs.writeFileSync(certPath, certPem);
+
+        const { subject: subjectDn, serial_number, not_before, not_after } = parseCertificate(certPem);
+        const info = { subject: subjectDn, serial_number, not_before, not_after };
+
+        db.run(
+          `INSERT INTO ca_intermediates (common_name, subject, serial_number, not_before, not_after, path_len, key_type, key_size, cert_pem, policy_id, ca_generation)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [common_name, info.subject, info.serial_number, info.not_before, info.not_after, pathLen, keySpec.keyType, keySpec.keySize, certPem, policy ? policy.id : null, rootIssuer.generation],
+          async function (insertErr) {
+            if (insertErr) {
+              fs.rmSync(workDir, { recursive: true, force: true });
+              return res.status(500).json({ error: 'Failed to save intermediate CA', details: insertErr.message });
+            }
+
+            const issuer = intermediateIssuer({ id: this.lastID, common_name, policy_id: policy ? policy.id : null, ca_generation: rootIssuer.generation });
+            fs.renameSync(keyPath, issuer.keyPath);
+            fs.renameSync(certPath, issuer.certPath);
+            fs.rmSync(workDir, { recursive: true, force: true });
+
+            try {
+              await generateCrl(issuer);
+            } catch (e) {
+              // eslint-disable-next-line no-console
+              console.error('Failed to publish intermediate CRL:', e.message);
+            }
+
+            return res.json({
+              ok: true,
+              intermediate: {
+                id: this.lastID,
+                common_name,
+                ...info,
+                path_len: pathLen,
+                key_type: keySpec.keyType,
+                key_size: keySpec.keySize,
+                policy_id: policy ? policy.id : null,
+                policy_name: policy ? policy.name : null,
+                ca_generation: rootIssuer.generation,
+              },
+            });
+          },
+        );
+      } catch (e) {
+        fs.rmSync(workDir, { recursive: true, force: true });
+        return res.status(500).json({ error: 'Failed to create intermediate CA', details: e.message });
+      }
+    });
+  });
+
+  // Download an intermediate CA certificate (public, like /api/ca/cert)
+  app.get('/api/ca/intermediates/:id/cert', (req, res) => {
+    const { id } = req.params;
+    db.get('SELECT common_name, cert_pem FROM ca_intermediates WHERE id = ?', [id], (err, row) => {
+      if (err || !row) {
+        return res.status(404).json({ error: 'Intermediate CA not found' });
+      }
+      const filename = `${row.common_name.replace(/[^a-zA-Z0-9.-]/g, '_')}.ca.cert.pem`;
+      res.setHeader('Content-Type', 'application/x-pem-file');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(row.cert_pem);
+    });
+  });
+
+  // Choose which CA signs CSRs when a request does not name an issuer
+  app.post('/api/ca/default-issuer', authMiddleware, auditAction('ca.default_issuer.set', 'ca', (req) => ({ issuer_id: req.body.issuer_id })), requireRole('admin'), async (req, res) => {
+    const { issuer_id = null } = req.body || {};
+
+    try {
+      const issuer = await getIssuer(issuer_id);
+      if (!issuer) {
+        return res.status(404).json({ error: 'Intermediate CA not found' });
+      }
+
+      db.run(
+        "UPDATE ca_settings SET default_issuer_id = ?, updated_at = datetime('now') WHERE id = 1",
+        [issuer.id],
+        function (err) {
+          if (err) {
+            return res.status(500).json({ error: 'Failed to save default issuer' });
+          }
+          if (this.changes === 0) {
+            return res.status(400).json({ error: 'CA settings must be saved first' });
+          }
+          return res.json({ ok: true, default_issuer_id: issuer.id });
+        },
+      );
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to load issuer', details: e.message });
+    }
+  });
 }
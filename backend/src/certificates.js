@@ -1,143 +1,177 @@
-import { exec } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import crypto from 'crypto';
+import { addReview, claimForSigning, signingBlocker, transitionCsr } from './approvals.js';
+import { auditAction } from './audit.js';
+import { canAccessOwned, requireRole } from './auth.js';
 import { db } from './db.js';
+import { generateCrl, REVOCATION_REASONS } from './crl.js';
+import { certificateIssuer, getIssuer, issuerChainPem, issuerExists, rootIssuer } from './issuers.js';
+import { describeKey, parseKeySpec, privateKeyPem, traditionalKeyPem } from './keys.js';
+import { decryptPrivateKey, encryptPrivateKey } from './keystore.js';
+import { buildPkcs12, buildPkcs7, InputError, inspectCertificate, parseCertificate, parseCsr, pemToDer, sanExtension, signCsr } from './openssl.js';
+import { checkIssuancePolicy } from './policies.js';
+import { checkRequest, profileExtensions, ProfileError, requireProfile, sansFor, subjectFields, validityFor } from './profiles.js';
+import { tokenAllowsProfile } from './tokens.js';
+import { buildJksTruststore, buildPkcs12Truststore } from './truststores.js';
 
 const storageDir = process.env.STORAGE_DIR || '/data';
 const caDir = path.join(storageDir, 'ca');
-const certsDir = path.join(storageDir, 'certs');
 const caKeyPath = path.join(caDir, 'ca.key.pem');
 const caCertPath = path.join(caDir, 'ca.cert.pem');
 
-function ensureCertsDir() {
-  if (!fs.existsSync(certsDir)) {
-    fs.mkdirSync(certsDir, { recursive: true });
+// Externally reachable URL of this server, embedded in issued certificates
+const publicBaseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+function generateSerialNumber() {
+  return crypto.randomBytes(16).toString('hex').toUpperCase();
+}
+
+const PKCS12_ENCRYPTIONS = ['modern', 'legacy'];
+const MAX_ALIAS_LENGTH = 64;
+
+function exportFilename(commonName, suffix) {
+  return `${commonName.replace(/[^a-zA-Z0-9.-]/g, '_')}${suffix}`;
+}
+
+// Extensions of an issued certificate: the profile's, key identifiers, CRL
+// and OCSP locations, and the validated SANs
+function signingExtensions(profile, san, issuer, keyType) {
+  const lines = [...profileExtensions(profile, keyType), 'subjectKeyIdentifier = hash', 'authorityKeyIdentifier = keyid,issuer'];
+
+  if (publicBaseUrl) {
+    lines.push(`crlDistributionPoints = URI:${publicBaseUrl}/crl/${issuer.crlName}.crl`);
+    lines.push(`authorityInfoAccess = OCSP;URI:${publicBaseUrl}/ocsp`);
   }
+
+  const sanLine = sanExtension(san);
+  if (sanLine) {
+    lines.push(sanLine);
+  }
+  return lines;
 }
 
-function runOpenSSL(cmd) {
+// The CA named in the request, else the configured default issuer, else the root
+export function resolveSigningIssuer(issuerId) {
+  if (issuerId !== undefined) {
+    return getIssuer(issuerId);
+  }
   return new Promise((resolve, reject) => {
-    exec(cmd, { shell: '/bin/sh' }, (error, stdout, stderr) => {
-      if (error) {
-        console.error('OpenSSL error:', stderr || error.message);
-        reject(new Error(stderr || error.message));
-      } else {
-        resolve(stdout);
-      }
+    db.get('SELECT default_issuer_id FROM ca_settings WHERE id = 1', (err, row) => {
+      if (err) return reject(err);
+      return resolve(getIssuer(row ? row.default_issuer_id : null));
     });
   });
 }
 
-function generateSerialNumber() {
-  return crypto.randomBytes(16).toString('hex').toUpperCase();
+// Sign a CSR PEM with the given issuer using the extensions of the profile
+// named by `preset`. The profile's key types, subject rules and maximum
+// validity and the issuance policies of `requestedBy` and the issuer are
+// enforced (ProfileError, PolicyError); `days` defaults to the profile's.
+// Profiles that require approval only sign for callers that checked it
+// (`approved`). Shared by the console signing route, renewal and the
+// enrollment protocols.
+export async function issueCertificate({ csrPem, preset, san, days, issuer, requestedBy = null, approved = false }) {
+  const profile = await requireProfile(preset);
+  if (profile.approvals_required > 0 && !approved) {
+    throw new ProfileError(`Profile ${profile.label} requires approval; submit a CSR in the console instead`);
+  }
+  const validity = validityFor(profile, days);
+
+  // Only sign key types and sizes we would generate ourselves
+  const request = await parseCsr(csrPem);
+  const { keyType, keySize } = describeKey(request.publicKey);
+  const keySpec = parseKeySpec(keyType, keySize);
+  if (keySpec.error) {
+    throw new InputError(`CSR key is not allowed: ${keySpec.error}`);
+  }
+
+  const fields = subjectFields(request.subject);
+  checkRequest(profile, { keyType, fields });
+  const sans = sansFor(profile, san, fields.common_name);
+  await checkIssuancePolicy({ san: sans, fields, requestedBy, issuer });
+
+  // Sign the CSR with the digest matching the issuer key
+  const certPem = await signCsr({
+    csrPem,
+    issuer,
+    serialNumber: generateSerialNumber(),
+    days: validity,
+    extensions: signingExtensions(profile, sans, issuer, keyType),
+  });
+
+  // The chain up to the root
+  const chainPem = issuerChainPem(issuer);
+  const certInfo = { ...parseCertificate(certPem), profile: profile.name };
+
+  return { certPem, chainPem, certInfo };
 }
 
-// Parse certificate details using OpenSSL
-async function parseCertificate(certPem) {
-  const tmpPath = path.join(storageDir, `tmp_${Date.now()}.pem`);
-  fs.writeFileSync(tmpPath, certPem);
-
-  try {
-    const subject = await runOpenSSL(`openssl x509 -in "${tmpPath}" -noout -subject -nameopt RFC2253`);
-    const issuer = await runOpenSSL(`openssl x509 -in "${tmpPath}" -noout -issuer -nameopt RFC2253`);
-    const serial = await runOpenSSL(`openssl x509 -in "${tmpPath}" -noout -serial`);
-    const dates = await runOpenSSL(`openssl x509 -in "${tmpPath}" -noout -dates`);
-
-    // Parse dates
-    const notBeforeMatch = dates.match(/notBefore=(.+)/);
-    const notAfterMatch = dates.match(/notAfter=(.+)/);
-
-    // Extract CN from subject
-    const cnMatch = subject.match(/CN=([^,]+)/);
-    const commonName = cnMatch ? cnMatch[1] : 'Unknown';
-
-    fs.unlinkSync(tmpPath);
-
-    return {
-      common_name: commonName,
-      subject: subject.replace('subject=', '').trim(),
-      issuer: issuer.replace('issuer=', '').trim(),
-      serial_number: serial.replace('serial=', '').trim(),
-      not_before: notBeforeMatch ? notBeforeMatch[1].trim() : null,
-      not_after: notAfterMatch ? notAfterMatch[1].trim() : null,
-    };
-  } catch (e) {
-    if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath);
-    throw e;
+// Thrown by storeCertificate when the certificate being renewed already got a
+// successor, e.g. from a concurrent renewal
+export class AlreadyRenewedError extends Error {
+  constructor() {
+    super('Certificate has already been renewed');
+    this.status = 409;
   }
 }
 
-// Preset configurations for signing
-const PRESETS = {
-  server_tls: {
-    keyUsage: 'critical,digitalSignature,keyEncipherment',
-    extKeyUsage: 'serverAuth',
-    basicConstraints: 'critical,CA:FALSE',
-  },
-  client_tls: {
-    keyUsage: 'critical,digitalSignature',
-    extKeyUsage: 'clientAuth',
-    basicConstraints: 'critical,CA:FALSE',
-  },
-  code_signing: {
-    keyUsage: 'critical,digitalSignature',
-    extKeyUsage: 'codeSigning',
-    basicConstraints: 'critical,CA:FALSE',
-  },
-};
-
-function buildExtConfig(preset, san) {
-  const presetConfig = PRESETS[preset] || PRESETS.server_tls;
-  let config = `basicConstraints = ${presetConfig.basicConstraints}
-keyUsage = ${presetConfig.keyUsage}
-extendedKeyUsage = ${presetConfig.extKeyUsage}
-subjectKeyIdentifier = hash
-authorityKeyIdentifier = keyid,issuer
-`;
-
-  if (san && san.trim()) {
-    const sanEntries = san.split(',').map((s) => s.trim()).filter(Boolean);
-    if (sanEntries.length > 0) {
-      const sanParts = [];
-      for (let entry of sanEntries) {
-        const lowerEntry = entry.toLowerCase();
-        
-        // Handle explicit prefixes - pass through as-is
-        if (lowerEntry.startsWith('dns:')) {
-          sanParts.push(`DNS:${entry.substring(4).trim()}`);
-        } else if (lowerEntry.startsWith('ip:')) {
-          sanParts.push(`IP:${entry.substring(3).trim()}`);
-        } else if (lowerEntry.startsWith('email:')) {
-          sanParts.push(`email:${entry.substring(6).trim()}`);
-        }
-        // Auto-detect type if no prefix
-        else if (/^\d{1,3}(\.\d{1,3}){3}$/.test(entry)) {
-          // IPv4 address
-          sanParts.push(`IP:${entry}`);
-        } else if (/^[0-9a-fA-F:]+$/.test(entry) && entry.includes(':')) {
-          // IPv6 address
-          sanParts.push(`IP:${entry}`);
-        } else if (entry.includes('@')) {
-          sanParts.push(`email:${entry}`);
-        } else {
-          // Default to DNS
-          sanParts.push(`DNS:${entry}`);
+// Insert an issued certificate row, resolving to its id. The row records the
+// root generation it chains to: the current one, or the intermediate's.
+export function storeCertificate(cert) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO certificates (csr_id, common_name, serial_number, issuer, subject, not_before, not_after, cert_pem, key_pem, chain_pem, source, issuer_ca_id, requested_by, renewed_from, profile, ca_generation)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE((SELECT ca_generation FROM ca_intermediates WHERE id = ?), ?))`,
+      [
+        cert.csr_id || null,
+        cert.common_name,
+        cert.serial_number,
+        cert.issuer,
+        cert.subject,
+        cert.not_before,
+        cert.not_after,
+        cert.cert_pem,
+        encryptPrivateKey(cert.key_pem) || null,
+        cert.chain_pem || null,
+        cert.source,
+        cert.issuer_ca_id,
+        cert.requested_by || null,
+        cert.renewed_from || null,
+        cert.profile || null,
+        cert.issuer_ca_id,
+        rootIssuer.generation,
+      ],
+      function (err) {
+        if (err && err.code === 'SQLITE_CONSTRAINT' && err.message.includes('renewed_from')) {
+          return reject(new AlreadyRenewedError());
         }
+        if (err) return reject(err);
+        return resolve(this.lastID);
       }
-      config += `subjectAltName = ${sanParts.join(',')}\n`;
-    }
-  }
-
-  return config;
+    );
+  });
 }
 
 export function registerCertRoutes(app, authMiddleware) {
-  // List all certificates
+  // Signing, importing, revoking and deleting are operator tasks
+  const canOperate = requireRole('admin', 'operator');
+  // Private keys are never handed to auditors
+  const canHoldKeys = requireRole('admin', 'operator', 'requester');
+
+  // List all certificates (requesters only see their own)
   app.get('/api/certificates', authMiddleware, (req, res) => {
+    const own = req.user.role === 'requester';
     db.all(
-      `SELECT id, csr_id, common_name, serial_number, issuer, subject, not_before, not_after, source, created_at
-       FROM certificates ORDER BY created_at DESC`,
+      `SELECT c.id, c.csr_id, c.common_name, c.serial_number, c.issuer, c.subject, c.not_before, c.not_after, c.source, c.issuer_ca_id, c.ca_generation,
+              c.key_pem IS NOT NULL AS has_key, c.revoked_at, c.revocation_reason, c.requested_by, u.username AS requested_by_username, c.renewed_from, c.created_at,
+              (SELECT MIN(n.threshold_days) FROM expiry_notifications n WHERE n.certificate_id = c.id AND n.status = 'sent') AS alerted_threshold,
+              (SELECT MAX(n.updated_at) FROM expiry_notifications n WHERE n.certificate_id = c.id AND n.status = 'sent') AS alerted_at,
+              (SELECT COUNT(*) FROM expiry_notifications n WHERE n.certificate_id = c.id AND n.status = 'failed') AS alert_failures
+       FROM certificates c LEFT JOIN users u ON u.id = c.requested_by
+       ${own ? 'WHERE c.requested_by = ?' : ''}
+       ORDER BY c.created_at DESC`,
+      own ? [req.user.id] : [],
       (err, rows) => {
         if (err) {
           return res.status(500).json({ error: 'Failed to fetch certificates' });
@@ -151,14 +185,14 @@ export function registerCertRoutes(app, authMiddleware) {
   app.get('/api/certificates/:id', authMiddleware, (req, res) => {
     const { id } = req.params;
     db.get(
-      `SELECT id, csr_id, common_name, serial_number, issuer, subject, not_before, not_after, cert_pem, source, created_at
+      `SELECT id, csr_id, common_name, serial_number, issuer, subject, not_before, not_after, cert_pem, source, issuer_ca_id, ca_generation, revoked_at, revocation_reason, requested_by, renewed_from, created_at
        FROM certificates WHERE id = ?`,
       [id],
       (err, row) => {
         if (err) {
           return res.status(500).json({ error: 'Failed to fetch certificate' });
         }
-        if (!row) {
+        if (!row || !canAccessOwned(req.user, row)) {
           return res.status(404).json({ error: 'Certificate not found' });
         }
         return res.json({ certificate: row });
@@ -166,8 +200,23 @@ export function registerCertRoutes(app, authMiddleware) {
     );
   });
 
+  // Decoded extensions, key and fingerprints of a certificate, imported ones included
+  app.get('/api/certificates/:id/details', authMiddleware, (req, res) => {
+    const { id } = req.params;
+    db.get('SELECT cert_pem, requested_by FROM certificates WHERE id = ?', [id], async (err, row) => {
+      if (err || !row || !canAccessOwned(req.user, row)) {
+        return res.status(404).json({ error: 'Certificate not found' });
+      }
+      try {
+        return res.json({ details: await inspectCertificate(row.cert_pem) });
+      } catch (e) {
+        return res.status(500).json({ error: 'Failed to decode certificate', details: e.message });
+      }
+    });
+  });
+
   // Import an existing certificate
-  app.post('/api/certificates/import', authMiddleware, async (req, res) => {
+  app.post('/api/certificates/import', authMiddleware, auditAction('certificate.import', 'certificate', (req, body) => ({ common_name: body.certificate && body.certificate.common_name })), canOperate, async (req, res) => {
     const { cert_pem, key_pem, chain_pem } = req.body || {};
 
     if (!cert_pem) {
@@ -175,11 +224,11 @@ export function registerCertRoutes(app, authMiddleware) {
     }
 
     try {
-      const certInfo = await parseCertificate(cert_pem);
+      const certInfo = parseCertificate(cert_pem);
 
       db.run(
-        `INSERT INTO certificates (common_name, serial_number, issuer, subject, not_before, not_after, cert_pem, key_pem, chain_pem, source)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'imported')`,
+        `INSERT INTO certificates (common_name, serial_number, issuer, subject, not_before, not_after, cert_pem, key_pem, chain_pem, source, requested_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'imported', ?)`,
         [
           certInfo.common_name,
           certInfo.serial_number,
@@ -188,8 +237,9 @@ export function registerCertRoutes(app, authMiddleware) {
           certInfo.not_before,
           certInfo.not_after,
           cert_pem,
-          key_pem || null,
+          encryptPrivateKey(key_pem) || null,
           chain_pem || null,
+          req.user.id,
         ],
         function (err) {
           if (err) {
@@ -212,9 +262,14 @@ export function registerCertRoutes(app, authMiddleware) {
   });
 
   // Sign a CSR with the CA
-  app.post('/api/certificates/sign/:csrId', authMiddleware, async (req, res) => {
+  app.post('/api/certificates/sign/:csrId', authMiddleware, auditAction('certificate.sign', 'csr', (req, body) => ({
+    certificate_id: body.id,
+    serial_number: body.certificate && body.certificate.serial_number,
+    issuer_id: req.body.issuer_id,
+    days: req.body.days,
+  })), canOperate, async (req, res) => {
     const { csrId } = req.params;
-    const { days = 365 } = req.body || {};
+    const { days, issuer_id } = req.body || {};
 
     // Check if CA is initialized
     if (!fs.existsSync(caKeyPath) || !fs.existsSync(caCertPath)) {
@@ -229,88 +284,78 @@ export function registerCertRoutes(app, authMiddleware) {
       if (!csr) {
         return res.status(404).json({ error: 'CSR not found' });
       }
-      if (csr.status === 'signed') {
-        return res.status(400).json({ error: 'CSR has already been signed' });
+      const blocker = signingBlocker(csr);
+      if (blocker) {
+        return res.status(409).json({ error: blocker });
+      }
+      if (!tokenAllowsProfile(req, csr.preset)) {
+        return res.status(403).json({ error: `This API token cannot sign with the ${csr.preset} profile` });
       }
 
-      ensureCertsDir();
-
-      const timestamp = Date.now();
-      const serialNumber = generateSerialNumber();
-      const csrPath = path.join(certsDir, `${timestamp}.csr.pem`);
-      const certPath = path.join(certsDir, `${timestamp}.cert.pem`);
-      const extPath = path.join(certsDir, `${timestamp}.ext`);
-
+      let issuer;
       try {
-        // Write CSR to temp file
-        fs.writeFileSync(csrPath, csr.csr_pem);
-
-        // Build extension config
-        const extConfig = buildExtConfig(csr.preset, csr.san);
-        fs.writeFileSync(extPath, extConfig);
-
-        // Sign the CSR
-        await runOpenSSL(
-          `openssl x509 -req -in "${csrPath}" -CA "${caCertPath}" -CAkey "${caKeyPath}" -set_serial 0x${serialNumber} -days ${days} -sha256 -out "${certPath}" -extfile "${extPath}"`
-        );
+        issuer = await resolveSigningIssuer(issuer_id);
+      } catch (e) {
+        return res.status(500).json({ error: 'Failed to load issuing CA', details: e.message });
+      }
+      if (!issuer || !issuerExists(issuer)) {
+        return res.status(400).json({ error: 'Issuing CA not found' });
+      }
 
-        // Read the signed certificate
-        const certPem = fs.readFileSync(certPath, 'utf8');
-        const caCertPem = fs.readFileSync(caCertPath, 'utf8');
+      // Claim the CSR first so concurrent requests cannot sign it twice
+      let claimError;
+      try {
+        claimError = await claimForSigning(csr.id);
+      } catch (e) {
+        return res.status(500).json({ error: 'Failed to update CSR', details: e.message });
+      }
+      if (claimError) {
+        return res.status(409).json({ error: claimError });
+      }
 
-        // Parse certificate info
-        const certInfo = await parseCertificate(certPem);
+      try {
+        const { certPem, chainPem, certInfo } = await issueCertificate({
+          csrPem: csr.csr_pem,
+          preset: csr.preset,
+          san: csr.san,
+          days: days === undefined || days === null || days === '' ? csr.requested_days : days,
+          issuer,
+          requestedBy: csr.requested_by,
+          approved: true,
+        });
 
-        // Clean up temp files
-        [csrPath, extPath].forEach((p) => {
-          if (fs.existsSync(p)) fs.unlinkSync(p);
+        const id = await storeCertificate({
+          csr_id: csrId,
+          ...certInfo,
+          cert_pem: certPem,
+          key_pem: csr.key_pem,
+          chain_pem: chainPem,
+          source: 'signed',
+          issuer_ca_id: issuer.id,
+          requested_by: csr.requested_by,
         });
 
-        // Store certificate in database
-        db.run(
-          `INSERT INTO certificates (csr_id, common_name, serial_number, issuer, subject, not_before, not_after, cert_pem, key_pem, chain_pem, source)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'signed')`,
-          [
-            csrId,
-            certInfo.common_name,
-            certInfo.serial_number,
-            certInfo.issuer,
-            certInfo.subject,
-            certInfo.not_before,
-            certInfo.not_after,
-            certPem,
-            csr.key_pem,
-            caCertPem,
-          ],
-          function (insertErr) {
-            if (insertErr) {
-              return res.status(500).json({ error: 'Failed to save certificate', details: insertErr.message });
-            }
-
-            // Update CSR status
-            db.run(
-              "UPDATE csr_requests SET status = 'signed', updated_at = datetime('now') WHERE id = ?",
-              [csrId]
-            );
-
-            return res.json({
-              ok: true,
-              id: this.lastID,
-              certificate: {
-                id: this.lastID,
-                csr_id: csrId,
-                ...certInfo,
-                cert_pem: certPem,
-                source: 'signed',
-              },
-            });
-          }
-        );
-      } catch (e) {
-        // Clean up on error
-        [csrPath, certPath, extPath].forEach((p) => {
-          if (fs.existsSync(p)) fs.unlinkSync(p);
+        await transitionCsr(csr.id, 'issuing', 'issued');
+        await addReview(csr.id, req.user.id, 'issue');
+
+        return res.json({
+          ok: true,
+          id,
+          certificate: {
+            id,
+            csr_id: csrId,
+            ...certInfo,
+            cert_pem: certPem,
+            source: 'signed',
+            issuer_ca_id: issuer.id,
+          },
         });
+      } catch (e) {
+        // Hand the CSR back unless it was already marked issued
+        await transitionCsr(csr.id, 'issuing', 'approved').catch(() => {});
+        if (e instanceof ProfileError || e instanceof InputError) {
+          return res.status(400).json({ error: e.message, violations: e.violations });
+        }
         return res.status(500).json({ error: 'Failed to sign CSR', details: e.message });
       }
     });
@@ -319,8 +364,8 @@ export function registerCertRoutes(app, authMiddleware) {
   // Download certificate PEM
   app.get('/api/certificates/:id/download/cert', authMiddleware, (req, res) => {
     const { id } = req.params;
-    db.get('SELECT common_name, cert_pem FROM certificates WHERE id = ?', [id], (err, row) => {
-      if (err || !row) {
+    db.get('SELECT common_name, cert_pem, requested_by FROM certificates WHERE id = ?', [id], (err, row) => {
+      if (err || !row || !canAccessOwned(req.user, row)) {
         return res.status(404).json({ error: 'Certificate not found' });
       }
       const filename = `${row.common_name.replace(/[^a-zA-Z0-9.-]/g, '_')}.cert.pem`;
@@ -331,27 +376,34 @@ export function registerCertRoutes(app, authMiddleware) {
   });
 
   // Download private key PEM
-  app.get('/api/certificates/:id/download/key', authMiddleware, (req, res) => {
+  app.get('/api/certificates/:id/download/key', authMiddleware, auditAction('certificate.key.download', 'certificate'), canHoldKeys, (req, res) => {
     const { id } = req.params;
-    db.get('SELECT common_name, key_pem FROM certificates WHERE id = ?', [id], (err, row) => {
-      if (err || !row) {
+    db.get('SELECT common_name, key_pem, requested_by FROM certificates WHERE id = ?', [id], (err, row) => {
+      if (err || !row || !canAccessOwned(req.user, row)) {
         return res.status(404).json({ error: 'Certificate not found' });
       }
       if (!row.key_pem) {
         return res.status(404).json({ error: 'Private key not available for this certificate' });
       }
+
+      let keyPem;
+      try {
+        keyPem = decryptPrivateKey(row.key_pem);
+      } catch (e) {
+        return res.status(500).json({ error: 'Failed to decrypt private key', details: e.message });
+      }
       const filename = `${row.common_name.replace(/[^a-zA-Z0-9.-]/g, '_')}.key.pem`;
       res.setHeader('Content-Type', 'application/x-pem-file');
       res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-      return res.send(row.key_pem);
+      return res.send(keyPem);
     });
   });
 
   // Download certificate chain PEM
   app.get('/api/certificates/:id/download/chain', authMiddleware, (req, res) => {
     const { id } = req.params;
-    db.get('SELECT common_name, chain_pem FROM certificates WHERE id = ?', [id], (err, row) => {
-      if (err || !row) {
+    db.get('SELECT common_name, chain_pem, requested_by FROM certificates WHERE id = ?', [id], (err, row) => {
+      if (err || !row || !canAccessOwned(req.user, row)) {
         return res.status(404).json({ error: 'Certificate not found' });
       }
       if (!row.chain_pem) {
@@ -367,8 +419,8 @@ export function registerCertRoutes(app, authMiddleware) {
   // Download full chain (cert + CA)
   app.get('/api/certificates/:id/download/fullchain', authMiddleware, (req, res) => {
     const { id } = req.params;
-    db.get('SELECT common_name, cert_pem, chain_pem FROM certificates WHERE id = ?', [id], (err, row) => {
-      if (err || !row) {
+    db.get('SELECT common_name, cert_pem, chain_pem, requested_by FROM certificates WHERE id = ?', [id], (err, row) => {
+      if (err || !row || !canAccessOwned(req.user, row)) {
         return res.status(404).json({ error: 'Certificate not found' });
       }
       const fullchain = row.cert_pem + (row.chain_pem ? '\n' + row.chain_pem : '');
@@ -379,78 +431,225 @@ export function registerCertRoutes(app, authMiddleware) {
     });
   });
 
-  // Export as PKCS#12
-  app.post('/api/certificates/:id/export/pkcs12', authMiddleware, async (req, res) => {
+  // Download certificate as DER (.cer)
+  app.get('/api/certificates/:id/download/der', authMiddleware, (req, res) => {
+    const { id } = req.params;
+    db.get('SELECT common_name, cert_pem, requested_by FROM certificates WHERE id = ?', [id], (err, row) => {
+      if (err || !row || !canAccessOwned(req.user, row)) {
+        return res.status(404).json({ error: 'Certificate not found' });
+      }
+      res.setHeader('Content-Type', 'application/pkix-cert');
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(row.common_name, '.cer')}"`);
+      return res.send(pemToDer(row.cert_pem));
+    });
+  });
+
+  // Download cert + CA chain as a DER PKCS#7 bundle (.p7b)
+  app.get('/api/certificates/:id/download/pkcs7', authMiddleware, (req, res) => {
+    const { id } = req.params;
+    db.get('SELECT common_name, cert_pem, chain_pem, requested_by FROM certificates WHERE id = ?', [id], async (err, row) => {
+      if (err || !row || !canAccessOwned(req.user, row)) {
+        return res.status(404).json({ error: 'Certificate not found' });
+      }
+      try {
+        const p7b = await buildPkcs7(row.cert_pem + (row.chain_pem || ''));
+        res.setHeader('Content-Type', 'application/x-pkcs7-certificates');
+        res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(row.common_name, '.p7b')}"`);
+        return res.send(p7b);
+      } catch (e) {
+        return res.status(500).json({ error: 'Failed to create PKCS#7', details: e.message });
+      }
+    });
+  });
+
+  // Export as PKCS#12; `encryption: 'legacy'` for clients without AES support
+  app.post('/api/certificates/:id/export/pkcs12', authMiddleware, auditAction('certificate.pkcs12.export', 'certificate', (req) => ({ encryption: req.body.encryption || 'modern' })), canHoldKeys, async (req, res) => {
     const { id } = req.params;
-    const { password } = req.body || {};
+    const { password, alias, encryption = 'modern' } = req.body || {};
 
     if (!password) {
       return res.status(400).json({ error: 'Password is required for PKCS#12 export' });
     }
+    if (!PKCS12_ENCRYPTIONS.includes(encryption)) {
+      return res.status(400).json({ error: `Encryption must be one of ${PKCS12_ENCRYPTIONS.join(', ')}` });
+    }
+    if (alias !== undefined && (typeof alias !== 'string' || !alias.trim() || alias.length > MAX_ALIAS_LENGTH || /[\u0000-\u001f\u007f]/.test(alias))) {
+      return res.status(400).json({ error: `Alias must be 1 to ${MAX_ALIAS_LENGTH} printable characters` });
+    }
 
-    db.get('SELECT common_name, cert_pem, key_pem, chain_pem FROM certificates WHERE id = ?', [id], async (err, row) => {
-      if (err || !row) {
+    db.get('SELECT common_name, cert_pem, key_pem, chain_pem, requested_by FROM certificates WHERE id = ?', [id], async (err, row) => {
+      if (err || !row || !canAccessOwned(req.user, row)) {
         return res.status(404).json({ error: 'Certificate not found' });
       }
       if (!row.key_pem) {
         return res.status(400).json({ error: 'Private key not available for PKCS#12 export' });
       }
 
-      ensureCertsDir();
+      try {
+        const p12Data = await buildPkcs12({
+          certPem: row.cert_pem,
+          keyPem: decryptPrivateKey(row.key_pem),
+          chainPem: row.chain_pem,
+          password,
+          alias: alias ? alias.trim() : row.common_name,
+          legacy: encryption === 'legacy',
+        });
+
+        res.setHeader('Content-Type', 'application/x-pkcs12');
+        res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(row.common_name, '.p12')}"`);
+        return res.send(p12Data);
+      } catch (e) {
+        return res.status(500).json({ error: 'Failed to create PKCS#12', details: e.message });
+      }
+    });
+  });
+
+  // Export the private key as PKCS#8 or traditional (PKCS#1/SEC1) PEM,
+  // encrypted when a password is given
+  app.post('/api/certificates/:id/export/key', authMiddleware, auditAction('certificate.key.export', 'certificate', (req) => ({ format: req.body.format, encrypted: Boolean(req.body.password) })), canHoldKeys, (req, res) => {
+    const { id } = req.params;
+    const { format = 'pkcs8', password } = req.body || {};
 
-      const timestamp = Date.now();
-      const certPath = path.join(certsDir, `${timestamp}.cert.pem`);
-      const keyPath = path.join(certsDir, `${timestamp}.key.pem`);
-      const chainPath = path.join(certsDir, `${timestamp}.chain.pem`);
-      const p12Path = path.join(certsDir, `${timestamp}.p12`);
+    if (format !== 'pkcs8' && format !== 'traditional') {
+      return res.status(400).json({ error: 'Format must be pkcs8 or traditional' });
+    }
 
+    db.get('SELECT common_name, key_pem, requested_by FROM certificates WHERE id = ?', [id], (err, row) => {
+      if (err || !row || !canAccessOwned(req.user, row)) {
+        return res.status(404).json({ error: 'Certificate not found' });
+      }
+      if (!row.key_pem) {
+        return res.status(404).json({ error: 'Private key not available for this certificate' });
+      }
+
+      let keyPem;
       try {
-        fs.writeFileSync(certPath, row.cert_pem);
-        fs.writeFileSync(keyPath, row.key_pem);
+        const key = crypto.createPrivateKey(decryptPrivateKey(row.key_pem));
+        keyPem = format === 'pkcs8' ? privateKeyPem(key, password ? String(password) : undefined) : traditionalKeyPem(key, password ? String(password) : undefined);
+      } catch (e) {
+        return res.status(500).json({ error: 'Failed to export private key', details: e.message });
+      }
+      if (!keyPem) {
+        return res.status(400).json({ error: 'Ed25519 keys have no traditional format; use PKCS#8' });
+      }
 
-        let chainArg = '';
-        if (row.chain_pem) {
-          fs.writeFileSync(chainPath, row.chain_pem);
-          chainArg = `-certfile "${chainPath}"`;
-        }
+      res.setHeader('Content-Type', 'application/x-pem-file');
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(row.common_name, '.key.pem')}"`);
+      return res.send(keyPem);
+    });
+  });
 
-        // Create PKCS#12 file
-        await runOpenSSL(
-          `openssl pkcs12 -export -out "${p12Path}" -inkey "${keyPath}" -in "${certPath}" ${chainArg} -passout pass:"${password.replace(/"/g, '\\"')}"`
-        );
+  // Export the CA chain (and optionally the certificate itself) as a Java
+  // trust store: JKS, or PKCS#12 with a legacy SHA-1 MAC on request
+  app.post('/api/certificates/:id/export/truststore', authMiddleware, auditAction('certificate.truststore.export', 'certificate', (req) => ({
+    format: req.body.format || 'pkcs12',
+    include_certificate: Boolean(req.body.include_certificate),
+    encryption: req.body.encryption || 'modern',
+  })), (req, res) => {
+    const { id } = req.params;
+    const { format = 'pkcs12', password, include_certificate = false, encryption = 'modern' } = req.body || {};
 
-        const p12Data = fs.readFileSync(p12Path);
+    if (format !== 'jks' && format !== 'pkcs12') {
+      return res.status(400).json({ error: 'Format must be jks or pkcs12' });
+    }
+    if (!password) {
+      return res.status(400).json({ error: 'Password is required for a trust store' });
+    }
+    if (!PKCS12_ENCRYPTIONS.includes(encryption)) {
+      return res.status(400).json({ error: `Encryption must be one of ${PKCS12_ENCRYPTIONS.join(', ')}` });
+    }
 
-        // Clean up
-        [certPath, keyPath, chainPath, p12Path].forEach((p) => {
-          if (fs.existsSync(p)) fs.unlinkSync(p);
-        });
+    db.get('SELECT common_name, cert_pem, chain_pem, requested_by FROM certificates WHERE id = ?', [id], (err, row) => {
+      if (err || !row || !canAccessOwned(req.user, row)) {
+        return res.status(404).json({ error: 'Certificate not found' });
+      }
+      const certsPem = (include_certificate ? row.cert_pem : '') + (row.chain_pem || '');
+      if (!certsPem.trim()) {
+        return res.status(400).json({ error: 'No CA chain is stored for this certificate; include the certificate itself' });
+      }
 
-        const filename = `${row.common_name.replace(/[^a-zA-Z0-9.-]/g, '_')}.p12`;
-        res.setHeader('Content-Type', 'application/x-pkcs12');
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        return res.send(p12Data);
+      try {
+        const store =
+          format === 'jks'
+            ? buildJksTruststore(certsPem, String(password))
+            : buildPkcs12Truststore(certsPem, String(password), { legacy: encryption === 'legacy' });
+        res.setHeader('Content-Type', format === 'jks' ? 'application/x-java-keystore' : 'application/x-pkcs12');
+        res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(row.common_name, format === 'jks' ? '.truststore.jks' : '.truststore.p12')}"`);
+        return res.send(store);
       } catch (e) {
-        // Clean up on error
-        [certPath, keyPath, chainPath, p12Path].forEach((p) => {
-          if (fs.existsSync(p)) fs.unlinkSync(p);
-        });
-        return res.status(500).json({ error: 'Failed to create PKCS#12', details: e.message });
+        return res.status(500).json({ error: 'Failed to create trust store', details: e.message });
       }
     });
   });
 
-  // Delete certificate
-  app.delete('/api/certificates/:id', authMiddleware, (req, res) => {
+  // Revoke a certificate issued by this CA and re-publish the CRL
+  app.post('/api/certificates/:id/revoke', authMiddleware, auditAction('certificate.revoke', 'certificate', (req) => ({ reason: req.body.reason || 'unspecified' })), canOperate, (req, res) => {
     const { id } = req.params;
-    db.run('DELETE FROM certificates WHERE id = ?', [id], function (err) {
+    const { reason = 'unspecified' } = req.body || {};
+
+    if (!REVOCATION_REASONS[reason]) {
+      return res.status(400).json({
+        error: `Invalid revocation reason. Use one of: ${Object.keys(REVOCATION_REASONS).join(', ')}`,
+      });
+    }
+
+    db.get('SELECT id, source, revoked_at, issuer_ca_id, ca_generation FROM certificates WHERE id = ?', [id], (err, row) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to fetch certificate' });
+      }
+      if (!row) {
+        return res.status(404).json({ error: 'Certificate not found' });
+      }
+      if (row.source === 'imported') {
+        return res.status(400).json({ error: 'Only certificates issued by this CA can be revoked' });
+      }
+      if (row.revoked_at) {
+        return res.status(400).json({ error: 'Certificate has already been revoked' });
+      }
+
+      db.run(
+        "UPDATE certificates SET revoked_at = datetime('now'), revocation_reason = ? WHERE id = ?",
+        [reason, id],
+        async (updateErr) => {
+          if (updateErr) {
+            return res.status(500).json({ error: 'Failed to revoke certificate', details: updateErr.message });
+          }
+
+          try {
+            await generateCrl(await certificateIssuer(row));
+          } catch (e) {
+            // The revocation is recorded; the scheduled refresh will publish it
+            return res.json({ ok: true, crl_updated: false, details: e.message });
+          }
+          return res.json({ ok: true, crl_updated: true });
+        }
+      );
+    });
+  });
+
+  // Delete an imported certificate. Certificates this CA issued stay, since
+  // CRLs and OCSP answers are built from their rows.
+  app.delete('/api/certificates/:id', authMiddleware, auditAction('certificate.delete', 'certificate'), canOperate, (req, res) => {
+    const { id } = req.params;
+    db.get('SELECT id, source FROM certificates WHERE id = ?', [id], (err, row) => {
       if (err) {
         return res.status(500).json({ error: 'Failed to delete certificate' });
       }
-      if (this.changes === 0) {
+      if (!row) {
         return res.status(404).json({ error: 'Certificate not found' });
       }
-      return res.json({ ok: true });
+      if (row.source !== 'imported') {
+        return res.status(409).json({ error: 'Certificates issued by this CA cannot be deleted; revoke them instead' });
+      }
+      db.run("DELETE FROM certificates WHERE id = ? AND source = 'imported'", [id], function (deleteErr) {
+        if (deleteErr) {
+          return res.status(500).json({ error: 'Failed to delete certificate' });
+        }
+        if (this.changes === 0) {
+          return res.status(404).json({ error: 'Certificate not found' });
+        }
+        return res.json({ ok: true });
+      });
     });
   });
 
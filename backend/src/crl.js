@@ -0,0 +1,215 @@
+import fs from 'fs';
+import path from 'path';
+import { db } from './db.js';
+import {
+  generationIssuer,
+  getIssuer,
+  issuerExists,
+  listIssuers,
+  rootIssuer,
+} from './issuers.js';
+import { signingDigest } from './keys.js';
+import { CA_KEY_PASS } from './keystore.js';
+import { pemToDer, runOpenSSL } from './openssl.js';
+
+const storageDir = process.env.STORAGE_DIR || '/data';
+const caDir = path.join(storageDir, 'ca');
+const crlDir = path.join(caDir, 'crl');
+
+// How long a published CRL is valid (nextUpdate) and how often it is re-issued
+const CRL_VALIDITY_DAYS = Number(process.env.CRL_VALIDITY_DAYS) || 7;
+const CRL_REFRESH_HOURS = Number(process.env.CRL_REFRESH_HOURS) || 24;
+
+// RFC 5280 CRLReason values accepted by the API, mapped to OpenSSL index names.
+// removeFromCRL (delta CRLs only), privilegeWithdrawn and aACompromise are not
+// supported by `openssl ca`.
+export const REVOCATION_REASONS = {
+  unspecified: 'unspecified',
+  keyCompromise: 'keyCompromise',
+  cACompromise: 'CACompromise',
+  affiliationChanged: 'affiliationChanged',
+  superseded: 'superseded',
+  cessationOfOperation: 'cessationOfOperation',
+  certificateHold: 'certificateHold',
+};
+
+function crlPaths(issuer) {
+  return {
+    pem: path.join(crlDir, `${issuer.crlName}.crl.pem`),
+    der: path.join(crlDir, `${issuer.crlName}.crl`),
+  };
+}
+
+// Format a date as an ASN.1 time string for the OpenSSL index file
+// (UTCTime before 2050, GeneralizedTime after, as RFC 5280 requires)
+function toAsn1Time(date) {
+  const iso = date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  return date.getUTCFullYear() < 2050 ? `${iso.slice(2)}Z` : `${iso}Z`;
+}
+
+// SQLite datetime('now') values are UTC without a zone designator
+function parseSqliteDate(value) {
+  return new Date(`${value.replace(' ', 'T')}Z`);
+}
+
+function buildIndexLine(cert) {
+  const notAfter = new Date(cert.not_after);
+  const expiry = toAsn1Time(Number.isNaN(notAfter.getTime()) ? new Date() : notAfter);
+  const subject = `/CN=${cert.common_name}`.replace(/[\t\r\n]/g, ' ');
+
+  if (!cert.revoked_at) {
+    return `V\t${expiry}\t\t${cert.serial_number}\tunknown\t${subject}\n`;
+  }
+
+  const revokedAt = toAsn1Time(parseSqliteDate(cert.revoked_at));
+  const reason = REVOCATION_REASONS[cert.revocation_reason] || 'unspecified';
+  return `R\t${expiry}\t${revokedAt},${reason}\t${cert.serial_number}\tunknown\t${subject}\n`;
+}
+
+function buildCaConfig(indexPath, issuer) {
+  return `[ca]
+default_ca = CA_default
+
+[CA_default]
+database = ${indexPath}
+crlnumber = ${issuer.crlNumberPath}
+default_md = ${signingDigest(issuer.keyPath) || 'default'}
+crl_extensions = crl_ext
+
+[crl_ext]
+authorityKeyIdentifier = keyid:always
+`;
+}
+
+// Certificates an intermediate signed, or a root generation signed directly
+function loadIssuedCertificates(issuer) {
+  const byRoot = issuer.id === null;
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT common_name, serial_number, not_after, revoked_at, revocation_reason
+       FROM certificates WHERE source != 'imported' AND serial_number IS NOT NULL AND issuer_ca_id IS ?
+       ${byRoot ? 'AND ca_generation IS ?' : ''} ORDER BY id`,
+      byRoot ? [null, issuer.generation] : [issuer.id],
+      (err, rows) => (err ? reject(err) : resolve(rows || [])),
+    );
+  });
+}
+
+// Write an OpenSSL CA database (index.txt) describing every certificate the
+// issuer signed, for `openssl ca -gencrl` and `openssl ocsp`. Returns its path.
+export async function writeCaIndex(workDir, issuer) {
+  const issued = await loadIssuedCertificates(issuer);
+  const indexPath = path.join(workDir, 'index.txt');
+
+  fs.writeFileSync(indexPath, issued.map(buildIndexLine).join(''));
+  // Several certificates may share a subject (e.g. re-issued for the same host)
+  fs.writeFileSync(`${indexPath}.attr`, 'unique_subject = no\n');
+  return indexPath;
+}
+
+async function writeCrl(issuer) {
+  if (!fs.existsSync(crlDir)) {
+    fs.mkdirSync(crlDir, { recursive: true });
+  }
+
+  const workDir = fs.mkdtempSync(path.join(caDir, 'crl-'));
+  const configPath = path.join(workDir, 'ca.cnf');
+  const target = crlPaths(issuer);
+
+  try {
+    if (!fs.existsSync(issuer.crlNumberPath)) {
+      fs.writeFileSync(issuer.crlNumberPath, '01\n');
+    }
+    const indexPath = await writeCaIndex(workDir, issuer);
+    fs.writeFileSync(configPath, buildCaConfig(indexPath, issuer));
+
+    const crlPem = await runOpenSSL([
+      'ca', '-batch', '-gencrl',
+      '-config', configPath,
+      '-keyfile', issuer.keyPath,
+      '-passin', CA_KEY_PASS,
+      '-cert', issuer.certPath,
+      '-crldays', String(CRL_VALIDITY_DAYS),
+    ]);
+
+    // Swap both encodings in only once they were generated successfully
+    const tmpPemPath = path.join(workDir, 'ca.crl.pem');
+    const tmpDerPath = path.join(workDir, 'ca.crl');
+    fs.writeFileSync(tmpPemPath, crlPem);
+    fs.writeFileSync(tmpDerPath, pemToDer(crlPem));
+    fs.renameSync(tmpPemPath, target.pem);
+    fs.renameSync(tmpDerPath, target.der);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+let pending = Promise.resolve();
+
+// Regenerate an issuer's CRL (the root's by default) from the certificates
+// table. Calls are serialized so that a revocation and a scheduled refresh
+// never race on a crlnumber file.
+export function generateCrl(issuer = rootIssuer) {
+  const run = pending.then(() => {
+    if (!issuerExists(issuer)) {
+      throw new Error('CA is not initialized');
+    }
+    return writeCrl(issuer);
+  });
+  pending = run.catch(() => {});
+  return run;
+}
+
+export function startCrlScheduler() {
+  const refresh = async () => {
+    try {
+      const issuers = await listIssuers();
+      for (const issuer of issuers.filter(issuerExists)) {
+        await generateCrl(issuer);
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('Scheduled CRL generation failed:', e.message);
+    }
+  };
+
+  refresh();
+  const timer = setInterval(refresh, CRL_REFRESH_HOURS * 60 * 60 * 1000);
+  timer.unref();
+}
+
+export function registerCrlRoutes(app) {
+  // Published CRLs (public, no auth required for relying parties):
+  // /crl/ca.crl for the first root generation, /crl/ca-g<n>.crl for later
+  // ones, /crl/intermediate-<id>.crl per intermediate, DER encoded, or PEM
+  // with a .pem suffix
+  app.get('/crl/:file', async (req, res) => {
+    const match = req.params.file.match(/^(ca(?:-g(\d+))?|intermediate-(\d+))\.crl(\.pem)?$/);
+    if (!match) {
+      return res.status(404).json({ error: 'CRL not found' });
+    }
+
+    try {
+      const issuer = match[3] ? await getIssuer(match[3]) : generationIssuer(match[2] ? Number(match[2]) : 1);
+      if (!issuer || !issuerExists(issuer)) {
+        return res.status(404).json({ error: 'CA is not initialized' });
+      }
+      // ca-g1 is published as ca
+      if (issuer.crlName !== match[1]) {
+        return res.status(404).json({ error: 'CRL not found' });
+      }
+
+      const target = crlPaths(issuer);
+      const filePath = match[4] ? target.pem : target.der;
+      if (!fs.existsSync(filePath)) {
+        await generateCrl(issuer);
+      }
+
+      res.setHeader('Content-Type', match[4] ? 'application/x-pem-file' : 'application/pkix-crl');
+      res.setHeader('Cache-Control', 'no-cache');
+      return res.send(fs.readFileSync(filePath));
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to generate CRL', details: e.message });
+    }
+  });
+}
@@ -1,140 +1,72 @@
-import { exec } from 'child_process';
-import fs from 'fs';
-import path from 'path';
+import { initialStatus } from './approvals.js';
+import { auditAction } from './audit.js';
+import { canAccessOwned, requireRole } from './auth.js';
 import { db } from './db.js';
+import { describeKey, generatePrivateKey, keySpecLabel, parseKeySpec, privateKeyPem } from './keys.js';
+import { decryptPrivateKey, encryptPrivateKey } from './keystore.js';
+import { createCsr, InputError, inspectCsr, parseCsr, parseDn, sanExtension, validateSubject } from './openssl.js';
+import { checkIssuancePolicy } from './policies.js';
+import { checkRequest, profileExtensions, ProfileError, requireProfile, sansFor, validityFor } from './profiles.js';
 
-const storageDir = process.env.STORAGE_DIR || '/data';
-const csrDir = path.join(storageDir, 'csr');
+// Parse a CSR PEM produced elsewhere and verify its self-signature. Throws
+// with a readable message when the CSR is malformed or its key is not allowed.
+async function parseCsrPem(csrPem) {
+  const { subject, attributes: fields, publicKey, san, signature_algorithm, requested_extensions } = await parseCsr(csrPem);
 
-function ensureCsrDir() {
-  if (!fs.existsSync(storageDir)) {
-    fs.mkdirSync(storageDir, { recursive: true });
+  const { keyType, keySize } = describeKey(publicKey);
+  const keySpec = parseKeySpec(keyType, keySize);
+  if (keySpec.error) {
+    throw new InputError(`CSR key is not allowed: ${keySpec.error}`);
   }
-  if (!fs.existsSync(csrDir)) {
-    fs.mkdirSync(csrDir, { recursive: true });
-  }
-}
 
-function runOpenSSL(cmd) {
-  return new Promise((resolve, reject) => {
-    exec(cmd, { shell: '/bin/sh' }, (error, stdout, stderr) => {
-      if (error) {
-        console.error('OpenSSL error:', stderr || error.message);
-        reject(new Error(stderr || error.message));
-      } else {
-        resolve(stdout);
-      }
-    });
+  validateSubject({
+    common_name: fields.CN,
+    organization: fields.O,
+    organizational_unit: fields.OU,
+    country: fields.C,
+    state: fields.ST,
+    locality: fields.L,
+    email: fields.emailAddress,
   });
-}
 
-// Preset configurations for different certificate types
-const PRESETS = {
-  server_tls: {
-    keyUsage: 'critical,digitalSignature,keyEncipherment',
-    extKeyUsage: 'serverAuth',
-    basicConstraints: 'CA:FALSE',
-  },
-  client_tls: {
-    keyUsage: 'critical,digitalSignature',
-    extKeyUsage: 'clientAuth',
-    basicConstraints: 'CA:FALSE',
-  },
-  code_signing: {
-    keyUsage: 'critical,digitalSignature',
-    extKeyUsage: 'codeSigning',
-    basicConstraints: 'CA:FALSE',
-  },
-};
+  const commonName = fields.CN || (san ? san.split(',')[0].replace(/^[^:]+:/, '') : '');
+  if (!commonName) {
+    throw new InputError('CSR has neither a Common Name nor Subject Alternative Names');
+  }
 
-function buildSubject(data) {
-  const parts = [];
-  if (data.country) parts.push(`/C=${data.country}`);
-  if (data.state) parts.push(`/ST=${data.state}`);
-  if (data.locality) parts.push(`/L=${data.locality}`);
-  if (data.organization) parts.push(`/O=${data.organization}`);
-  if (data.organizational_unit) parts.push(`/OU=${data.organizational_unit}`);
-  if (data.common_name) parts.push(`/CN=${data.common_name}`);
-  if (data.email) parts.push(`/emailAddress=${data.email}`);
-  return parts.join('');
+  return {
+    subject,
+    common_name: commonName,
+    organization: fields.O || '',
+    organizational_unit: fields.OU || '',
+    country: fields.C || '',
+    state: fields.ST || '',
+    locality: fields.L || '',
+    email: fields.emailAddress || '',
+    san,
+    key_type: keySpec.keyType,
+    key_size: keySpec.keySize,
+    key_label: keySpecLabel(keySpec.keyType, keySpec.keySize),
+    signature_algorithm,
+    requested_extensions,
+  };
 }
 
-function buildSanConfig(san, preset) {
-  const presetConfig = PRESETS[preset] || PRESETS.server_tls;
-  let config = `[req]
-distinguished_name = req_distinguished_name
-req_extensions = v3_req
-prompt = no
-
-[req_distinguished_name]
-CN = placeholder
-
-[v3_req]
-basicConstraints = ${presetConfig.basicConstraints}
-keyUsage = ${presetConfig.keyUsage}
-extendedKeyUsage = ${presetConfig.extKeyUsage}
-`;
-
-  if (san && san.trim()) {
-    const sanEntries = san.split(',').map((s) => s.trim()).filter(Boolean);
-    if (sanEntries.length > 0) {
-      config += 'subjectAltName = @alt_names\n\n[alt_names]\n';
-      let dnsCount = 1;
-      let ipCount = 1;
-      let emailCount = 1;
-
-      for (let entry of sanEntries) {
-        // Handle explicit prefixes (DNS:, IP:, email: or DNS=, IP=, email=) - strip them and use the specified type
-        const lowerEntry = entry.toLowerCase();
-        
-        if (lowerEntry.startsWith('dns:') || lowerEntry.startsWith('dns=')) {
-          const value = entry.substring(4).trim();
-          if (value) {
-            config += `DNS.${dnsCount} = ${value}\n`;
-            dnsCount++;
-          }
-        } else if (lowerEntry.startsWith('ip:') || lowerEntry.startsWith('ip=')) {
-          const value = entry.substring(3).trim();
-          if (value) {
-            config += `IP.${ipCount} = ${value}\n`;
-            ipCount++;
-          }
-        } else if (lowerEntry.startsWith('email:') || lowerEntry.startsWith('email=')) {
-          const value = entry.substring(6).trim();
-          if (value) {
-            config += `email.${emailCount} = ${value}\n`;
-            emailCount++;
-          }
-        }
-        // Auto-detect type if no prefix
-        else if (/^\d{1,3}(\.\d{1,3}){3}$/.test(entry)) {
-          // IPv4 address
-          config += `IP.${ipCount} = ${entry}\n`;
-          ipCount++;
-        } else if (/^[0-9a-fA-F:]+$/.test(entry) && entry.includes(':')) {
-          // IPv6 address
-          config += `IP.${ipCount} = ${entry}\n`;
-          ipCount++;
-        } else if (entry.includes('@')) {
-          config += `email.${emailCount} = ${entry}\n`;
-          emailCount++;
-        } else {
-          // Default to DNS
-          config += `DNS.${dnsCount} = ${entry}\n`;
-          dnsCount++;
-        }
-      }
-    }
+// The validity the requester asks for, checked against the profile; null
+// leaves it to the profile default
+function requestedDays(profile, days) {
+  if (days === undefined || days === null || days === '') {
+    return null;
   }
-
-  return config;
+  return validityFor(profile, days);
 }
 
 export function registerCsrRoutes(app, authMiddleware) {
-  // Create a new CSR
-  app.post('/api/csr', authMiddleware, async (req, res) => {
-    ensureCsrDir();
+  // Auditors are read-only
+  const canRequest = requireRole('admin', 'operator', 'requester');
 
+  // Create a new CSR
+  app.post('/api/csr', authMiddleware, auditAction('csr.create', 'csr', (req) => ({ common_name: req.body.common_name, preset: req.body.preset })), canRequest, async (req, res) => {
     const {
       preset = 'server_tls',
       common_name,
@@ -146,71 +78,69 @@ export function registerCsrRoutes(app, authMiddleware) {
       email,
       san,
       key_type = 'RSA',
-      key_size = 2048,
+      key_size,
+      days,
     } = req.body || {};
 
     if (!common_name) {
       return res.status(400).json({ error: 'Common Name is required' });
     }
 
-    if (!PRESETS[preset]) {
-      return res.status(400).json({ error: 'Invalid preset. Use server_tls, client_tls, or code_signing' });
+    const keySpec = parseKeySpec(key_type, key_size);
+    if (keySpec.error) {
+      return res.status(400).json({ error: keySpec.error });
     }
 
-    const timestamp = Date.now();
-    const keyPath = path.join(csrDir, `${timestamp}.key.pem`);
-    const csrPath = path.join(csrDir, `${timestamp}.csr.pem`);
-    const configPath = path.join(csrDir, `${timestamp}.cnf`);
+    let subject;
+    let sanLine;
+    let profile;
+    let validity;
+    try {
+      subject = validateSubject({ common_name, organization, organizational_unit, country, state, locality, email });
+      profile = await requireProfile(preset);
+      checkRequest(profile, { keyType: keySpec.keyType, fields: subject });
+      validity = requestedDays(profile, days);
+      sanLine = sanExtension(sansFor(profile, san, subject.common_name));
+      // Refused now rather than when an approver tries to sign
+      await checkIssuancePolicy({ san: sansFor(profile, san, subject.common_name), fields: subject, requestedBy: req.user.id });
+    } catch (e) {
+      if (e instanceof ProfileError || e instanceof InputError) {
+        return res.status(400).json({ error: e.message, violations: e.violations });
+      }
+      return res.status(500).json({ error: 'Failed to load profile', details: e.message });
+    }
+    const sans = sansFor(profile, san, subject.common_name);
 
     try {
-      // Build subject
-      const subject = buildSubject({
-        common_name,
-        organization,
-        organizational_unit,
-        country,
-        state,
-        locality,
-        email,
+      // The key is only kept encrypted in the database
+      const key = await generatePrivateKey(keySpec);
+      const csrPem = await createCsr({
+        key,
+        subject,
+        extensions: [...profileExtensions(profile, keySpec.keyType), ...(sanLine ? [sanLine] : [])],
       });
 
-      // Generate OpenSSL config for extensions
-      const config = buildSanConfig(san, preset);
-      fs.writeFileSync(configPath, config);
-
-      // Generate private key
-      await runOpenSSL(`openssl genrsa -out "${keyPath}" ${key_size}`);
-
-      // Generate CSR with extensions
-      await runOpenSSL(
-        `openssl req -new -key "${keyPath}" -out "${csrPath}" -subj "${subject}" -config "${configPath}" -reqexts v3_req`
-      );
-
-      // Read generated files
-      const csrPem = fs.readFileSync(csrPath, 'utf8');
-      const keyPem = fs.readFileSync(keyPath, 'utf8');
-
-      // Clean up temp files
-      fs.unlinkSync(configPath);
-
       // Store in database
       db.run(
-        `INSERT INTO csr_requests (preset, common_name, organization, organizational_unit, country, state, locality, email, san, key_type, key_size, csr_pem, key_pem, status)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+        `INSERT INTO csr_requests (preset, common_name, organization, organizational_unit, country, state, locality, email, san, key_type, key_size, csr_pem, key_pem, status, requested_by, requested_days)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           preset,
-          common_name,
-          organization || '',
-          organizational_unit || '',
-          country || '',
-          state || '',
-          locality || '',
-          email || '',
-          san || '',
-          key_type,
-          key_size,
+          subject.common_name,
+          subject.organization || '',
+          subject.organizational_unit || '',
+          subject.country || '',
+          subject.state || '',
+          subject.locality || '',
+          subject.email || '',
+          sans,
+          keySpec.keyType,
+          keySpec.keySize,
           csrPem,
-          keyPem,
+          encryptPrivateKey(privateKeyPem(key)),
+          initialStatus(profile),
+          req.user.id,
+          validity,
         ],
         function (err) {
           if (err) {
@@ -219,24 +149,102 @@ export function registerCsrRoutes(app, authMiddleware) {
           return res.json({
             ok: true,
             id: this.lastID,
+            status: initialStatus(profile),
             csr_pem: csrPem,
           });
         }
       );
     } catch (e) {
-      // Clean up on error
-      [keyPath, csrPath, configPath].forEach((p) => {
-        if (fs.existsSync(p)) fs.unlinkSync(p);
-      });
       return res.status(500).json({ error: 'Failed to generate CSR', details: e.message });
     }
   });
 
-  // List all CSRs
+  // Parse an externally generated CSR for preview, without storing it
+  app.post('/api/csr/parse', authMiddleware, canRequest, async (req, res) => {
+    const { csr_pem } = req.body || {};
+    if (!csr_pem || !csr_pem.includes('CERTIFICATE REQUEST')) {
+      return res.status(400).json({ error: 'A PEM encoded CSR is required' });
+    }
+
+    try {
+      return res.json({ csr: await parseCsrPem(csr_pem) });
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+  });
+
+  // Upload an externally generated CSR; its private key never reaches the server
+  app.post('/api/csr/upload', authMiddleware, auditAction('csr.upload', 'csr', (req, body) => ({ common_name: body.csr && body.csr.common_name, preset: req.body.preset })), canRequest, async (req, res) => {
+    const { csr_pem, preset = 'server_tls', days } = req.body || {};
+    if (!csr_pem || !csr_pem.includes('CERTIFICATE REQUEST')) {
+      return res.status(400).json({ error: 'A PEM encoded CSR is required' });
+    }
+
+    let parsed;
+    let profile;
+    let validity;
+    try {
+      parsed = await parseCsrPem(csr_pem);
+      profile = await requireProfile(preset);
+      validity = requestedDays(profile, days);
+      // The common name may have been taken from the SANs; check the subject itself
+      const fields = parseDn(parsed.subject);
+      const subject = {
+        common_name: fields.CN,
+        organization: parsed.organization,
+        organizational_unit: parsed.organizational_unit,
+        country: parsed.country,
+        state: parsed.state,
+        locality: parsed.locality,
+        email: parsed.email,
+      };
+      checkRequest(profile, { keyType: parsed.key_type, fields: subject });
+      await checkIssuancePolicy({ san: sansFor(profile, parsed.san, fields.CN), fields: subject, requestedBy: req.user.id });
+    } catch (e) {
+      return res.status(400).json({ error: e.message, violations: e.violations });
+    }
+
+    db.run(
+      `INSERT INTO csr_requests (preset, common_name, organization, organizational_unit, country, state, locality, email, san, key_type, key_size, csr_pem, key_pem, status, requested_by, requested_days)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, ?, ?, ?)`,
+      [
+        preset,
+        parsed.common_name,
+        parsed.organization,
+        parsed.organizational_unit,
+        parsed.country,
+        parsed.state,
+        parsed.locality,
+        parsed.email,
+        parsed.san,
+        parsed.key_type,
+        parsed.key_size,
+        csr_pem.trim() + '\n',
+        initialStatus(profile),
+        req.user.id,
+        validity,
+      ],
+      function (err) {
+        if (err) {
+          return res.status(500).json({ error: 'Failed to save CSR', details: err.message });
+        }
+        return res.json({ ok: true, id: this.lastID, status: initialStatus(profile), csr: parsed });
+      }
+    );
+  });
+
+  // List all CSRs (requesters only see their own), with their approval progress
   app.get('/api/csr', authMiddleware, (req, res) => {
+    const own = req.user.role === 'requester';
     db.all(
-      `SELECT id, preset, common_name, organization, organizational_unit, country, state, locality, email, san, key_type, key_size, status, created_at
-       FROM csr_requests ORDER BY created_at DESC`,
+      `SELECT c.id, c.preset, c.common_name, c.organization, c.organizational_unit, c.country, c.state, c.locality, c.email, c.san, c.key_type, c.key_size,
+              c.key_pem IS NOT NULL AS has_key, c.status, c.requested_by, u.username AS requested_by_username, c.requested_days, c.created_at,
+              (SELECT COUNT(DISTINCT r.user_id) FROM csr_reviews r WHERE r.csr_id = c.id AND r.action = 'approve') AS approvals,
+              p.approvals_required
+       FROM csr_requests c LEFT JOIN users u ON u.id = c.requested_by LEFT JOIN certificate_profiles p ON p.name = c.preset
+       ${own ? 'WHERE c.requested_by = ?' : ''}
+       ORDER BY c.created_at DESC`,
+      own ? [req.user.id] : [],
       (err, rows) => {
         if (err) {
           return res.status(500).json({ error: 'Failed to fetch CSRs' });
@@ -250,14 +258,14 @@ export function registerCsrRoutes(app, authMiddleware) {
   app.get('/api/csr/:id', authMiddleware, (req, res) => {
     const { id } = req.params;
     db.get(
-      `SELECT id, preset, common_name, organization, organizational_unit, country, state, locality, email, san, key_type, key_size, csr_pem, status, created_at
+      `SELECT id, preset, common_name, organization, organizational_unit, country, state, locality, email, san, key_type, key_size, csr_pem, key_pem IS NOT NULL AS has_key, status, requested_by, requested_days, created_at
        FROM csr_requests WHERE id = ?`,
       [id],
       (err, row) => {
         if (err) {
           return res.status(500).json({ error: 'Failed to fetch CSR' });
         }
-        if (!row) {
+        if (!row || !canAccessOwned(req.user, row)) {
           return res.status(404).json({ error: 'CSR not found' });
         }
         return res.json({ csr: row });
@@ -265,11 +273,26 @@ export function registerCsrRoutes(app, authMiddleware) {
     );
   });
 
+  // Decoded subject, key, requested extensions and fingerprints of a CSR
+  app.get('/api/csr/:id/details', authMiddleware, (req, res) => {
+    const { id } = req.params;
+    db.get('SELECT csr_pem, requested_by FROM csr_requests WHERE id = ?', [id], async (err, row) => {
+      if (err || !row || !canAccessOwned(req.user, row)) {
+        return res.status(404).json({ error: 'CSR not found' });
+      }
+      try {
+        return res.json({ details: await inspectCsr(row.csr_pem) });
+      } catch (e) {
+        return res.status(500).json({ error: 'Failed to decode CSR', details: e.message });
+      }
+    });
+  });
+
   // Download CSR PEM
   app.get('/api/csr/:id/download/csr', authMiddleware, (req, res) => {
     const { id } = req.params;
-    db.get('SELECT common_name, csr_pem FROM csr_requests WHERE id = ?', [id], (err, row) => {
-      if (err || !row) {
+    db.get('SELECT common_name, csr_pem, requested_by FROM csr_requests WHERE id = ?', [id], (err, row) => {
+      if (err || !row || !canAccessOwned(req.user, row)) {
         return res.status(404).json({ error: 'CSR not found' });
       }
       const filename = `${row.common_name.replace(/[^a-zA-Z0-9.-]/g, '_')}.csr.pem`;
@@ -280,30 +303,56 @@ export function registerCsrRoutes(app, authMiddleware) {
   });
 
   // Download private key PEM
-  app.get('/api/csr/:id/download/key', authMiddleware, (req, res) => {
+  app.get('/api/csr/:id/download/key', authMiddleware, auditAction('csr.key.download', 'csr'), canRequest, (req, res) => {
     const { id } = req.params;
-    db.get('SELECT common_name, key_pem FROM csr_requests WHERE id = ?', [id], (err, row) => {
-      if (err || !row) {
+    db.get('SELECT common_name, key_pem, requested_by FROM csr_requests WHERE id = ?', [id], (err, row) => {
+      if (err || !row || !canAccessOwned(req.user, row)) {
         return res.status(404).json({ error: 'CSR not found' });
       }
+      if (!row.key_pem) {
+        return res.status(404).json({ error: 'Private key not available for uploaded CSRs' });
+      }
+
+      let keyPem;
+      try {
+        keyPem = decryptPrivateKey(row.key_pem);
+      } catch (e) {
+        return res.status(500).json({ error: 'Failed to decrypt private key', details: e.message });
+      }
       const filename = `${row.common_name.replace(/[^a-zA-Z0-9.-]/g, '_')}.key.pem`;
       res.setHeader('Content-Type', 'application/x-pem-file');
       res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-      return res.send(row.key_pem);
+      return res.send(keyPem);
     });
   });
 
   // Delete CSR
-  app.delete('/api/csr/:id', authMiddleware, (req, res) => {
+  app.delete('/api/csr/:id', authMiddleware, auditAction('csr.delete', 'csr'), canRequest, (req, res) => {
     const { id } = req.params;
-    db.run('DELETE FROM csr_requests WHERE id = ?', [id], function (err) {
+    // Requesters can only delete their own CSRs
+    const own = req.user.role === 'requester';
+    const scope = own ? ' AND requested_by = ?' : '';
+    const params = own ? [id, req.user.id] : [id];
+    db.get(`SELECT id, status FROM csr_requests WHERE id = ?${scope}`, params, (err, row) => {
       if (err) {
         return res.status(500).json({ error: 'Failed to delete CSR' });
       }
-      if (this.changes === 0) {
+      if (!row) {
         return res.status(404).json({ error: 'CSR not found' });
       }
-      return res.json({ ok: true });
+      // The CSR of an issued certificate is part of its record
+      if (row.status === 'issuing' || row.status === 'issued') {
+        return res.status(409).json({ error: 'CSRs that are being or have been signed cannot be deleted' });
+      }
+      db.run(`DELETE FROM csr_requests WHERE id = ?${scope} AND status NOT IN ('issuing', 'issued')`, params, function (deleteErr) {
+        if (deleteErr) {
+          return res.status(500).json({ error: 'Failed to delete CSR' });
+        }
+        if (this.changes === 0) {
+          return res.status(409).json({ error: 'CSRs that are being or have been signed cannot be deleted' });
+        }
+        return res.json({ ok: true });
+      });
     });
   });
 }
@@ -11,13 +11,33 @@ sqlite3.verbose();
 
 export const db = new sqlite3.Database(dbPath);
 
+// Bring databases created by older versions up to the current schema.
+// ALTER TABLE fails with "duplicate column name" once a column exists.
+function addColumn(table, definition) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${definition}`, (err) => {
+    if (err && !/duplicate column name/.test(err.message)) {
+      // eslint-disable-next-line no-console
+      console.error(`Failed to migrate ${table}:`, err.message);
+    }
+  });
+}
+
 export function initDb() {
   db.serialize(() => {
     db.run(`CREATE TABLE IF NOT EXISTS users (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       username TEXT UNIQUE NOT NULL,
       password_hash TEXT NOT NULL,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      role TEXT NOT NULL DEFAULT 'admin',
+      disabled INTEGER DEFAULT 0,
+      totp_secret TEXT,
+      totp_enabled INTEGER DEFAULT 0,
+      totp_last_step INTEGER,
+      totp_recovery_codes TEXT,
+      auth_source TEXT NOT NULL DEFAULT 'local',
+      oidc_subject TEXT UNIQUE,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT
     )`);
 
     db.run(`CREATE TABLE IF NOT EXISTS ca_settings (
@@ -31,6 +51,9 @@ export function initDb() {
       key_type TEXT,
       key_size INTEGER,
       initialized INTEGER DEFAULT 0,
+      default_issuer_id INTEGER,
+      require_2fa INTEGER DEFAULT 0,
+      allow_self_approval INTEGER DEFAULT 0,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
       updated_at TEXT
     )`);
@@ -50,7 +73,9 @@ export function initDb() {
       key_size INTEGER DEFAULT 2048,
       csr_pem TEXT,
       key_pem TEXT,
-      status TEXT DEFAULT 'pending',
+      status TEXT DEFAULT 'submitted',
+      requested_by INTEGER,
+      requested_days INTEGER,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
       updated_at TEXT
     )`);
@@ -68,8 +93,271 @@ export function initDb() {
       key_pem TEXT,
       chain_pem TEXT,
       source TEXT DEFAULT 'signed',
+      issuer_ca_id INTEGER,
+      revoked_at TEXT,
+      revocation_reason TEXT,
+      requested_by INTEGER,
+      renewed_from INTEGER,
+      ca_generation INTEGER,
+      profile TEXT,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (csr_id) REFERENCES csr_requests(id)
     )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS ca_intermediates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      common_name TEXT NOT NULL,
+      subject TEXT,
+      serial_number TEXT,
+      not_before TEXT,
+      not_after TEXT,
+      path_len INTEGER DEFAULT 0,
+      key_type TEXT DEFAULT 'RSA',
+      key_size INTEGER DEFAULT 2048,
+      cert_pem TEXT NOT NULL,
+      policy_id INTEGER,
+      ca_generation INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Root CA generations; the one not retired is current, see generations.js.
+    // cross_cert_pem is this root signed by the previous generation's key,
+    // reverse_cross_cert_pem the previous root signed by this one's.
+    db.run(`CREATE TABLE IF NOT EXISTS ca_generations (
+      generation INTEGER PRIMARY KEY,
+      common_name TEXT NOT NULL,
+      subject TEXT,
+      serial_number TEXT,
+      not_before TEXT,
+      not_after TEXT,
+      key_type TEXT,
+      key_size INTEGER,
+      cert_pem TEXT NOT NULL,
+      cross_cert_pem TEXT,
+      reverse_cross_cert_pem TEXT,
+      created_at TEXT NOT NULL,
+      retired_at TEXT
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS acme_accounts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      thumbprint TEXT UNIQUE NOT NULL,
+      jwk TEXT NOT NULL,
+      contact TEXT,
+      status TEXT DEFAULT 'valid',
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS acme_orders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL,
+      status TEXT DEFAULT 'pending',
+      identifiers TEXT NOT NULL,
+      expires TEXT,
+      certificate_id INTEGER,
+      error TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (account_id) REFERENCES acme_accounts(id),
+      FOREIGN KEY (certificate_id) REFERENCES certificates(id)
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS acme_authorizations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id INTEGER NOT NULL,
+      identifier_type TEXT NOT NULL,
+      identifier_value TEXT NOT NULL,
+      wildcard INTEGER DEFAULT 0,
+      status TEXT DEFAULT 'pending',
+      expires TEXT,
+      FOREIGN KEY (order_id) REFERENCES acme_orders(id)
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS acme_challenges (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      authorization_id INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      token TEXT NOT NULL,
+      status TEXT DEFAULT 'pending',
+      validated TEXT,
+      error TEXT,
+      FOREIGN KEY (authorization_id) REFERENCES acme_authorizations(id)
+    )`);
+
+    // Certificate profiles; list columns hold JSON arrays, see profiles.js
+    db.run(`CREATE TABLE IF NOT EXISTS certificate_profiles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      label TEXT NOT NULL,
+      description TEXT,
+      key_usage TEXT NOT NULL,
+      key_usage_critical INTEGER DEFAULT 1,
+      extended_key_usage TEXT NOT NULL,
+      basic_constraints TEXT NOT NULL,
+      max_validity_days INTEGER NOT NULL,
+      default_validity_days INTEGER NOT NULL,
+      allowed_key_types TEXT NOT NULL,
+      required_fields TEXT NOT NULL,
+      forbidden_fields TEXT NOT NULL,
+      policy_oids TEXT NOT NULL,
+      default_sans TEXT,
+      approvals_required INTEGER DEFAULT 1,
+      builtin INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT
+    )`);
+
+    // Issuance policies; list columns hold JSON arrays, see policies.js
+    db.run(`CREATE TABLE IF NOT EXISTS issuance_policies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      description TEXT,
+      role TEXT,
+      user_id INTEGER,
+      allowed_dns_suffixes TEXT NOT NULL,
+      denied_dns_suffixes TEXT NOT NULL,
+      allow_wildcards INTEGER DEFAULT 1,
+      allowed_ip_ranges TEXT NOT NULL,
+      denied_ip_ranges TEXT NOT NULL,
+      allowed_email_domains TEXT NOT NULL,
+      max_sans INTEGER,
+      enabled INTEGER DEFAULT 1,
+      created_at TEXT NOT NULL,
+      updated_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+
+    // Approvals, rejections and comments on CSRs, see approvals.js
+    db.run(`CREATE TABLE IF NOT EXISTS csr_reviews (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      csr_id INTEGER NOT NULL,
+      user_id INTEGER,
+      action TEXT NOT NULL,
+      comment TEXT,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY (csr_id) REFERENCES csr_requests(id),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+
+    // Only the SHA-256 of each token is stored; scopes is a JSON array, see tokens.js
+    db.run(`CREATE TABLE IF NOT EXISTS api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      prefix TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      expires_at TEXT,
+      last_used_at TEXT,
+      last_used_ip TEXT,
+      revoked_at TEXT,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+
+    // SCEP challenge passwords, one-time and/or expiring; only a SHA-256
+    // hash is stored, see scep.js
+    db.run(`CREATE TABLE IF NOT EXISTS scep_challenges (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      secret_hash TEXT UNIQUE NOT NULL,
+      profile TEXT NOT NULL,
+      one_time INTEGER NOT NULL DEFAULT 1,
+      expires_at TEXT,
+      use_count INTEGER NOT NULL DEFAULT 0,
+      last_used_at TEXT,
+      last_used_ip TEXT,
+      revoked_at TEXT,
+      created_by INTEGER,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    )`);
+
+    // Console sign-ins; the session cookie names a row here, see sessions.js
+    db.run(`CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      ip TEXT,
+      user_agent TEXT,
+      created_at TEXT NOT NULL,
+      last_seen_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+
+    // Hash-chained: hash = sha256(prev_hash + entry), see audit.js
+    db.run(`CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT NOT NULL,
+      user_id INTEGER,
+      username TEXT,
+      action TEXT NOT NULL,
+      target_type TEXT,
+      target_id TEXT,
+      source_ip TEXT,
+      outcome TEXT NOT NULL,
+      details TEXT,
+      prev_hash TEXT NOT NULL,
+      hash TEXT NOT NULL
+    )`);
+
+    // One row per certificate, threshold and channel; 'failed' rows are retried
+    db.run(`CREATE TABLE IF NOT EXISTS expiry_notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      certificate_id INTEGER NOT NULL,
+      threshold_days INTEGER NOT NULL,
+      channel TEXT NOT NULL,
+      status TEXT NOT NULL,
+      error TEXT,
+      attempts INTEGER DEFAULT 0,
+      updated_at TEXT,
+      UNIQUE (certificate_id, threshold_days, channel),
+      FOREIGN KEY (certificate_id) REFERENCES certificates(id)
+    )`);
+
+    addColumn('certificates', 'revoked_at TEXT');
+    addColumn('certificates', 'revocation_reason TEXT');
+    addColumn('certificates', 'issuer_ca_id INTEGER');
+    addColumn('ca_settings', 'default_issuer_id INTEGER');
+    // Accounts from before roles existed were administrators
+    addColumn('users', "role TEXT NOT NULL DEFAULT 'admin'");
+    addColumn('users', 'disabled INTEGER DEFAULT 0');
+    addColumn('users', 'updated_at TEXT');
+    addColumn('csr_requests', 'requested_by INTEGER');
+    addColumn('certificates', 'requested_by INTEGER');
+    addColumn('certificates', 'renewed_from INTEGER');
+    // One successor per certificate, so concurrent renewals cannot both store
+    // one; should an older database hold two, the first is kept as the successor
+    db.run(`UPDATE certificates SET renewed_from = NULL WHERE renewed_from IS NOT NULL
+            AND id NOT IN (SELECT MIN(id) FROM certificates WHERE renewed_from IS NOT NULL GROUP BY renewed_from)`);
+    db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_certificates_renewed_from ON certificates (renewed_from)');
+    addColumn('users', 'totp_secret TEXT');
+    addColumn('users', 'totp_enabled INTEGER DEFAULT 0');
+    addColumn('users', 'totp_last_step INTEGER');
+    addColumn('users', 'totp_recovery_codes TEXT');
+    // SQLite cannot add a UNIQUE column, so uniqueness comes from an index
+    addColumn('users', "auth_source TEXT NOT NULL DEFAULT 'local'");
+    addColumn('users', 'oidc_subject TEXT');
+    db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_oidc_subject ON users (oidc_subject)');
+    addColumn('ca_settings', 'require_2fa INTEGER DEFAULT 0');
+    addColumn('ca_settings', 'allow_self_approval INTEGER DEFAULT 0');
+    addColumn('certificate_profiles', 'approvals_required INTEGER DEFAULT 1');
+    addColumn('csr_requests', 'requested_days INTEGER');
+    addColumn('ca_intermediates', 'policy_id INTEGER');
+    addColumn('certificates', 'ca_generation INTEGER');
+    addColumn('ca_intermediates', 'ca_generation INTEGER');
+    // Everything issued before rollover existed belongs to the first root
+    db.run("UPDATE certificates SET ca_generation = 1 WHERE ca_generation IS NULL AND source != 'imported'");
+    db.run('UPDATE ca_intermediates SET ca_generation = 1 WHERE ca_generation IS NULL');
+    // Profile each certificate was issued with; older rows only know it through their CSR
+    addColumn('certificates', 'profile TEXT');
+    db.run(`UPDATE certificates SET profile = (SELECT r.preset FROM csr_requests r WHERE r.id = certificates.csr_id)
+            WHERE profile IS NULL AND csr_id IS NOT NULL`);
+    // CSR states before the approval workflow: pending is now submitted, or
+    // approved when its profile needs no approval; signed is now issued
+    db.run(`UPDATE csr_requests SET status = CASE
+              WHEN (SELECT p.approvals_required FROM certificate_profiles p WHERE p.name = csr_requests.preset) > 0 THEN 'submitted'
+              ELSE 'approved' END
+            WHERE status = 'pending'`);
+    db.run("UPDATE csr_requests SET status = 'issued' WHERE status = 'signed'");
   });
 }
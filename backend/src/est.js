@@ -0,0 +1,311 @@
+import crypto from 'crypto';
+import express from 'express';
+import { oid, sequence } from './asn1.js';
+import { recordAudit } from './audit.js';
+import { authenticateBasic } from './auth.js';
+import { AlreadyRenewedError, issueCertificate, resolveSigningIssuer, storeCertificate } from './certificates.js';
+import { db } from './db.js';
+import { issuerChainPem, issuerExists } from './issuers.js';
+import { buildPkcs7, derToPem, InputError, parseCertificate, parseCsr, parseDn, parseSans } from './openssl.js';
+import { getProfile, ProfileError, sansFor } from './profiles.js';
+import { tokenAllowsProfile } from './tokens.js';
+
+// EST (RFC 7030) for routers, switches and IoT devices. The optional label
+// in /.well-known/est/<label>/ names the certificate profile.
+const EST_PROFILE = process.env.EST_PROFILE || 'server_tls';
+// Header in which a TLS-terminating proxy passes the verified client
+// certificate (nginx: $ssl_client_escaped_cert); client certificates are
+// ignored while it is unset
+const CLIENT_CERT_HEADER = process.env.EST_CLIENT_CERT_HEADER || '';
+const MAX_CSR_BYTES = 64 * 1024;
+const REALM = 'Roarin CA EST';
+
+// Enrollment signs at once, like POST /api/certificates/sign
+const ENROLL_ROLES = ['admin', 'operator'];
+
+// CSR signature algorithms per key type, offered through csrattrs
+const SIGNATURE_OIDS = {
+  RSA: '1.2.840.113549.1.1.11', // sha256WithRSAEncryption
+  EC: '1.2.840.10045.4.3.2', // ecdsa-with-SHA256
+  Ed25519: '1.3.101.112',
+};
+
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+class EstError extends Error {
+  constructor(status, message, retryAfter = null) {
+    super(message);
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// EST errors are plain text; 401 asks for basic credentials
+function sendError(res, e) {
+  let status = 500;
+  if (e instanceof EstError) status = e.status;
+  else if (e instanceof ProfileError || e instanceof InputError) status = 400;
+  else if (e instanceof AlreadyRenewedError) status = 409;
+  if (status === 500) {
+    // eslint-disable-next-line no-console
+    console.error('EST error:', e.message);
+  }
+  if (status === 401) {
+    res.setHeader('WWW-Authenticate', `Basic realm="${REALM}"`);
+  }
+  if (e.retryAfter) {
+    res.setHeader('Retry-After', String(e.retryAfter));
+  }
+  return res.status(status).type('text/plain').send(`${e.message}\n`);
+}
+
+function handler(fn) {
+  return (req, res) => fn(req, res).catch((e) => sendError(res, e));
+}
+
+// EST bodies are base64 encoded DER
+function sendBase64(res, contentType, der) {
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Transfer-Encoding', 'base64');
+  return res.send(Buffer.from(der.toString('base64').replace(/.{1,64}/g, '$&\r\n')));
+}
+
+// Each operation with and without a label
+function estPaths(operation) {
+  return [`/.well-known/est/${operation}`, `/.well-known/est/:label/${operation}`];
+}
+
+async function labelProfile(req) {
+  const name = req.params.label || EST_PROFILE;
+  const profile = await getProfile(name);
+  if (!profile) {
+    throw new EstError(404, `Unknown EST label ${name}`);
+  }
+  return profile;
+}
+
+async function signingIssuer() {
+  const issuer = await resolveSigningIssuer(undefined);
+  if (!issuer || !issuerExists(issuer)) {
+    throw new EstError(503, 'CA is not initialized');
+  }
+  return issuer;
+}
+
+// The PKCS#10 request: base64 DER as RFC 7030 sends it, or PEM
+function requestPem(body) {
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (!text) {
+    throw new EstError(400, 'The request body must hold a base64 encoded PKCS#10 CSR');
+  }
+  if (text.includes('-----BEGIN')) {
+    return `${text}\n`;
+  }
+  return derToPem(Buffer.from(text.replace(/\s+/g, ''), 'base64'), 'CERTIFICATE REQUEST');
+}
+
+// The basic-auth user, who must be allowed to sign with the label's profile
+async function enrollingUser(req, profile) {
+  const result = await authenticateBasic(req);
+  if (result.error) {
+    throw new EstError(result.status, result.error, result.retryAfter);
+  }
+  req.user = result.user;
+  req.apiToken = result.token;
+
+  let error = null;
+  if (!ENROLL_ROLES.includes(req.user.role)) {
+    error = `Forbidden - requires role ${ENROLL_ROLES.join(' or ')}`;
+  } else if (req.apiToken && !tokenAllowsProfile(req, profile.name)) {
+    error = `This API token cannot sign with the ${profile.name} profile`;
+  }
+  if (error) {
+    recordAudit({
+      actor: req.user,
+      action: 'certificate.sign',
+      sourceIp: req.ip,
+      outcome: 'denied',
+      details: { source: 'est', profile: profile.name, error },
+    });
+    throw new EstError(403, error);
+  }
+  return req.user;
+}
+
+// The client certificate the proxy verified: it must be one this CA issued,
+// unrevoked and unexpired. Null when none was presented.
+async function clientCertificate(req) {
+  const value = CLIENT_CERT_HEADER ? req.get(CLIENT_CERT_HEADER) : '';
+  if (!value) {
+    return null;
+  }
+  let x509;
+  try {
+    const text = decodeURIComponent(value);
+    x509 = new crypto.X509Certificate(text.includes('-----BEGIN') ? text : Buffer.from(text, 'base64'));
+  } catch {
+    throw new EstError(400, 'The client certificate cannot be read');
+  }
+
+  // Compare without leading zeros: OpenSSL and Node pad serials differently
+  const serial = x509.serialNumber.toUpperCase().replace(/^0+/, '');
+  const rows = await dbAll("SELECT * FROM certificates WHERE source != 'imported' AND ltrim(serial_number, '0') = ?", [serial]);
+  const cert = rows.find((row) => new crypto.X509Certificate(row.cert_pem).raw.equals(x509.raw));
+  if (!cert) {
+    throw new EstError(403, 'The client certificate was not issued by this CA');
+  }
+  if (cert.revoked_at) {
+    throw new EstError(403, 'The client certificate has been revoked');
+  }
+  if (Date.parse(cert.not_after) <= Date.now()) {
+    throw new EstError(403, 'The client certificate has expired');
+  }
+  return cert;
+}
+
+function sameSubject(a, b) {
+  const fields = (dn) => JSON.stringify(Object.entries(parseDn(dn)).sort());
+  return fields(a) === fields(b);
+}
+
+// SANs as a comparable set, from Node's text ("IP Address:") or the san
+// column format, where the prefix is optional
+function sanSet(san) {
+  return new Set(parseSans((san || '').replace(/IP Address:/g, 'IP:')).map((entry) => `${entry.type}:${entry.value}`));
+}
+
+function sameSans(a, b) {
+  const left = sanSet(a);
+  const right = sanSet(b);
+  return left.size === right.size && [...left].every((entry) => right.has(entry));
+}
+
+// Sign through the console's signing path, store with source 'est' and audit
+async function enroll(req, { csrPem, san, profile, actor, requestedBy = null, renewedFrom = null }) {
+  const issuer = await signingIssuer();
+  const operation = renewedFrom ? 'simplereenroll' : 'simpleenroll';
+  try {
+    const { certPem, chainPem, certInfo } = await issueCertificate({ csrPem, preset: profile.name, san, issuer, requestedBy });
+    const id = await storeCertificate({
+      ...certInfo,
+      cert_pem: certPem,
+      chain_pem: chainPem,
+      source: 'est',
+      issuer_ca_id: issuer.id,
+      requested_by: requestedBy,
+      renewed_from: renewedFrom,
+    });
+    recordAudit({
+      actor,
+      action: 'certificate.sign',
+      targetType: 'certificate',
+      targetId: id,
+      sourceIp: req.ip,
+      details: { source: 'est', operation, profile: profile.name, serial_number: certInfo.serial_number, renewed_from: renewedFrom },
+    });
+    return certPem;
+  } catch (e) {
+    recordAudit({
+      actor,
+      action: 'certificate.sign',
+      sourceIp: req.ip,
+      outcome: 'failure',
+      details: { source: 'est', operation, profile: profile.name, error: e.message },
+    });
+    throw e;
+  }
+}
+
+export function registerEstRoutes(app) {
+  const csrBody = express.text({ type: () => true, limit: MAX_CSR_BYTES });
+
+  // The issuing CA and its chain up to the root (public)
+  app.get(estPaths('cacerts'), handler(async (req, res) => {
+    await labelProfile(req);
+    const issuer = await signingIssuer();
+    return sendBase64(res, 'application/pkcs7-mime', await buildPkcs7(issuerChainPem(issuer)));
+  }));
+
+  // Signature algorithms the profile's key types call for (public)
+  app.get(estPaths('csrattrs'), handler(async (req, res) => {
+    const profile = await labelProfile(req);
+    const oids = profile.allowed_key_types.filter((type) => SIGNATURE_OIDS[type]).map((type) => oid(SIGNATURE_OIDS[type]));
+    return sendBase64(res, 'application/csrattrs', sequence(...oids));
+  }));
+
+  // New certificate for a basic-auth user
+  app.post(estPaths('simpleenroll'), csrBody, handler(async (req, res) => {
+    const profile = await labelProfile(req);
+    const user = await enrollingUser(req, profile);
+    const csrPem = requestPem(req.body);
+    const request = await parseCsr(csrPem);
+
+    const certPem = await enroll(req, { csrPem, san: request.san, profile, actor: user, requestedBy: user.id });
+    return sendBase64(res, 'application/pkcs7-mime; smime-type=certs-only', await buildPkcs7(certPem));
+  }));
+
+  // Renewal: the client certificate being replaced, or with basic auth the
+  // newest current certificate with the request's subject. Subject and SANs
+  // must stay the same (RFC 7030 section 4.2.2).
+  app.post(estPaths('simplereenroll'), csrBody, handler(async (req, res) => {
+    const profile = await labelProfile(req);
+    let current = await clientCertificate(req);
+    const actor = current ? { username: `est:certificate/${current.id}` } : await enrollingUser(req, profile);
+    const csrPem = requestPem(req.body);
+    const request = await parseCsr(csrPem);
+
+    if (current) {
+      const successor = await dbGet('SELECT id FROM certificates WHERE renewed_from = ?', [current.id]);
+      if (successor) {
+        throw new EstError(409, `The client certificate has already been re-enrolled (certificate ${successor.id})`);
+      }
+    } else {
+      const candidates = await dbAll(
+        `SELECT * FROM certificates c WHERE c.common_name = ? AND c.source != 'imported' AND c.revoked_at IS NULL
+           AND NOT EXISTS (SELECT 1 FROM certificates n WHERE n.renewed_from = c.id)
+         ORDER BY c.id DESC`,
+        [request.attributes.CN || 'Unknown']
+      );
+      current = candidates.find((row) => sameSubject(row.subject, request.subject));
+      if (!current) {
+        throw new EstError(404, 'No current certificate has this subject; use simpleenroll');
+      }
+    }
+
+    // The label must name the profile the certificate was issued with, so a
+    // certificate cannot be re-enrolled into a different kind of certificate
+    if (current.profile !== profile.name) {
+      throw new EstError(400, current.profile
+        ? `The certificate being re-enrolled was issued with the ${current.profile} profile; re-enroll through /.well-known/est/${current.profile}/`
+        : 'The profile of the certificate being re-enrolled is unknown; use simpleenroll');
+    }
+    if (!sameSubject(parseCertificate(current.cert_pem).subject, request.subject)) {
+      throw new EstError(400, 'The CSR subject must match the certificate being re-enrolled');
+    }
+    // A request without SANs gets the profile defaults, as on first enrollment
+    const sans = sansFor(profile, request.san, request.attributes.CN);
+    if (!sameSans(new crypto.X509Certificate(current.cert_pem).subjectAltName, sans)) {
+      throw new EstError(400, 'The CSR subject alternative names must match the certificate being re-enrolled');
+    }
+
+    const certPem = await enroll(req, {
+      csrPem,
+      san: request.san,
+      profile,
+      actor,
+      requestedBy: current.requested_by,
+      renewedFrom: current.id,
+    });
+    return sendBase64(res, 'application/pkcs7-mime; smime-type=certs-only', await buildPkcs7(certPem));
+  }));
+}
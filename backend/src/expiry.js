@@ -0,0 +1,251 @@
+import { auditAction } from './audit.js';
+import { requireRole } from './auth.js';
+import { db } from './db.js';
+import { configuredChannels } from './notifiers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before not_after at which an alert goes out, largest first
+export const EXPIRY_THRESHOLDS = [
+  ...new Set(
+    (process.env.EXPIRY_THRESHOLDS || '30,14,7,1')
+      .split(',')
+      .map((d) => Number(d.trim()))
+      .filter((d) => Number.isInteger(d) && d > 0)
+  ),
+].sort((a, b) => b - a);
+const EXPIRY_CHECK_HOURS = Number(process.env.EXPIRY_CHECK_HOURS) || 12;
+
+// Threshold 0 stands for "has expired"
+const EXPIRED = 0;
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+// Whole days until notAfter; negative once expired
+export function daysLeft(notAfter, now = Date.now()) {
+  const end = Date.parse(notAfter);
+  if (Number.isNaN(end)) return null;
+  return Math.floor((end - now) / DAY_MS);
+}
+
+// The tightest threshold crossed so far, so a certificate first seen with 5
+// days left gets the 7 day alert only, not 30, 14 and 7 at once
+export function alertThreshold(days) {
+  if (days === null) return null;
+  if (days < 0) return EXPIRED;
+  const crossed = EXPIRY_THRESHOLDS.filter((t) => days <= t);
+  return crossed.length > 0 ? crossed[crossed.length - 1] : null;
+}
+
+function describeCertificate(cert) {
+  return {
+    id: cert.id,
+    common_name: cert.common_name.trim(),
+    serial_number: cert.serial_number,
+    subject: cert.subject,
+    issuer: cert.issuer,
+    not_after: cert.not_after,
+  };
+}
+
+export function buildAlert(cert, days, threshold) {
+  const name = cert.common_name.trim();
+  const subject =
+    threshold === EXPIRED
+      ? `Certificate ${name} has expired`
+      : `Certificate ${name} expires in ${days} day${days === 1 ? '' : 's'}`;
+  const text = [
+    subject,
+    '',
+    `Subject:    ${cert.subject}`,
+    `Issuer:     ${cert.issuer}`,
+    `Serial:     ${cert.serial_number}`,
+    `Not after:  ${cert.not_after}`,
+    process.env.PUBLIC_BASE_URL ? `Console:    ${process.env.PUBLIC_BASE_URL}` : null,
+  ]
+    .filter((l) => l !== null)
+    .join('\n');
+
+  return {
+    event: threshold === EXPIRED ? 'certificate.expired' : 'certificate.expiring',
+    subject,
+    text,
+    days_left: days,
+    threshold_days: threshold,
+    certificate: describeCertificate(cert),
+  };
+}
+
+// Revoked and already renewed certificates no longer need alerts
+function activeCertificates() {
+  return dbAll(
+    `SELECT c.id, c.common_name, c.serial_number, c.subject, c.issuer, c.not_after, c.requested_by
+     FROM certificates c
+     WHERE c.revoked_at IS NULL AND c.not_after IS NOT NULL
+       AND NOT EXISTS (SELECT 1 FROM certificates r WHERE r.renewed_from = c.id)`
+  );
+}
+
+async function recordDelivery(certificateId, threshold, channel, error) {
+  await dbRun(
+    `INSERT INTO expiry_notifications (certificate_id, threshold_days, channel, status, error, attempts, updated_at)
+     VALUES (?, ?, ?, ?, ?, 1, datetime('now'))
+     ON CONFLICT (certificate_id, threshold_days, channel) DO UPDATE SET
+       status = excluded.status, error = excluded.error, attempts = attempts + 1, updated_at = excluded.updated_at`,
+    [certificateId, threshold, channel, error ? 'failed' : 'sent', error]
+  );
+}
+
+// One evaluation pass: alert every certificate that crossed a threshold it has
+// not been alerted for on each configured channel. Failed deliveries are
+// retried on the next pass.
+let running = null;
+
+export function runExpiryCheck() {
+  if (running) return running;
+
+  running = (async () => {
+    const channels = configuredChannels();
+    const summary = { checked: 0, alerts: 0, sent: 0, failed: 0, channels: channels.map((c) => c.name) };
+    if (channels.length === 0) {
+      return summary;
+    }
+
+    const certs = await activeCertificates();
+    const delivered = await dbAll("SELECT certificate_id, threshold_days, channel FROM expiry_notifications WHERE status = 'sent'");
+    const done = new Set(delivered.map((d) => `${d.certificate_id}:${d.threshold_days}:${d.channel}`));
+
+    for (const cert of certs) {
+      summary.checked += 1;
+      const days = daysLeft(cert.not_after);
+      const threshold = alertThreshold(days);
+      if (threshold === null) continue;
+
+      const pending = channels.filter(({ name }) => !done.has(`${cert.id}:${threshold}:${name}`));
+      if (pending.length === 0) continue;
+
+      summary.alerts += 1;
+      const alert = buildAlert(cert, days, threshold);
+      for (const { name, channel } of pending) {
+        try {
+          await channel.send(alert);
+          await recordDelivery(cert.id, threshold, name, null);
+          summary.sent += 1;
+        } catch (e) {
+          await recordDelivery(cert.id, threshold, name, e.message);
+          summary.failed += 1;
+          // eslint-disable-next-line no-console
+          console.error(`Expiry alert for certificate ${cert.id} via ${name} failed:`, e.message);
+        }
+      }
+    }
+    return summary;
+  })().finally(() => {
+    running = null;
+  });
+  return running;
+}
+
+export function startExpiryScheduler() {
+  const check = async () => {
+    try {
+      const summary = await runExpiryCheck();
+      if (summary.sent > 0 || summary.failed > 0) {
+        // eslint-disable-next-line no-console
+        console.log(`Expiry check: ${summary.sent} alert(s) sent, ${summary.failed} failed`);
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('Scheduled expiry check failed:', e.message);
+    }
+  };
+
+  check();
+  const timer = setInterval(check, EXPIRY_CHECK_HOURS * 60 * 60 * 1000);
+  timer.unref();
+}
+
+export function registerExpiryRoutes(app, authMiddleware) {
+  // Expiring soon dashboard: every active certificate inside the largest
+  // threshold (and expired ones), with its alert state per channel
+  app.get('/api/expiry', authMiddleware, async (req, res) => {
+    try {
+      const window = EXPIRY_THRESHOLDS[0] || 30;
+      const own = req.user.role === 'requester';
+      const certs = (await activeCertificates()).filter((c) => !own || c.requested_by === req.user.id);
+      const notifications = await dbAll(
+        'SELECT certificate_id, threshold_days, channel, status, error, attempts, updated_at FROM expiry_notifications'
+      );
+
+      const expiring = certs
+        .map((cert) => {
+          const days = daysLeft(cert.not_after);
+          return {
+            ...describeCertificate(cert),
+            days_left: days,
+            threshold_days: alertThreshold(days),
+            notifications: notifications.filter((n) => n.certificate_id === cert.id),
+          };
+        })
+        .filter((c) => c.days_left !== null && c.days_left <= window)
+        .sort((a, b) => a.days_left - b.days_left);
+
+      return res.json({
+        thresholds: EXPIRY_THRESHOLDS,
+        check_interval_hours: EXPIRY_CHECK_HOURS,
+        channels: configuredChannels().map((c) => c.name),
+        certificates: expiring,
+      });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to evaluate certificate expiry', details: e.message });
+    }
+  });
+
+  // Run an evaluation pass now instead of waiting for the scheduler
+  app.post('/api/expiry/check', authMiddleware, auditAction('expiry.check'), requireRole('admin', 'operator'), async (req, res) => {
+    try {
+      return res.json({ ok: true, ...(await runExpiryCheck()) });
+    } catch (e) {
+      return res.status(500).json({ error: 'Expiry check failed', details: e.message });
+    }
+  });
+
+  // Send a sample alert through every configured channel
+  app.post('/api/expiry/test', authMiddleware, auditAction('expiry.test'), requireRole('admin'), async (req, res) => {
+    const channels = configuredChannels();
+    if (channels.length === 0) {
+      return res.status(400).json({ error: 'No notification channel is configured' });
+    }
+
+    const sample = {
+      id: 0,
+      common_name: 'test.example.com',
+      serial_number: '00',
+      subject: 'CN=test.example.com',
+      issuer: 'Roarin CA test alert',
+      not_after: new Date(Date.now() + 7 * DAY_MS).toUTCString(),
+    };
+    const alert = { ...buildAlert(sample, 7, 7), event: 'test', subject: 'Roarin CA test alert' };
+
+    const results = [];
+    for (const { name, channel } of channels) {
+      try {
+        await channel.send(alert);
+        results.push({ channel: name, ok: true });
+      } catch (e) {
+        results.push({ channel: name, ok: false, error: e.message });
+      }
+    }
+    return res.json({ ok: results.every((r) => r.ok), results });
+  });
+}
@@ -0,0 +1,284 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { auditAction } from './audit.js';
+import { requireRole } from './auth.js';
+import { db } from './db.js';
+import { generateCrl } from './crl.js';
+import { generationsDir, issuerExists, retiredIssuer, rootIssuer, setCurrentGeneration } from './issuers.js';
+import { generatePrivateKey, parseKeySpec, privateKeyPem, signingDigest } from './keys.js';
+import { CA_KEY_PASS, caKeyPassphrase } from './keystore.js';
+import { digestArgs, InputError, parseCertificate, requestFromCertificate, runOpenSSL, signCsr, subjectArg } from './openssl.js';
+
+// Root CA generations. Rolling over generates a new root key and certificate;
+// the previous root is retired to generations/<n>/ and keeps publishing its
+// CRL and answering OCSP for the certificates it issued, which stay valid.
+// Optionally the two roots are cross-signed so clients that trust only one of
+// them can still build a chain through the other.
+const storageDir = process.env.STORAGE_DIR || '/data';
+const caDir = path.join(storageDir, 'ca');
+
+const ROOT_DAYS = 3650;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Extensions of a root certified by the other generation's key
+const CROSS_EXTENSIONS = [
+  'basicConstraints = critical,CA:TRUE',
+  'keyUsage = critical,digitalSignature,keyCertSign,cRLSign',
+  'subjectKeyIdentifier = hash',
+  'authorityKeyIdentifier = keyid:always',
+];
+
+// Files of the current root that move along when it is retired
+const ROOT_FILES = ['keyPath', 'certPath', 'crlNumberPath', 'ocspKeyPath', 'ocspCertPath', 'scepKeyPath', 'scepCertPath'];
+
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      return err ? reject(err) : resolve(this);
+    });
+  });
+}
+
+// Write a new CA key, encrypted with the CA key passphrase
+export async function writeCaKey(keySpec, keyPath) {
+  const key = await generatePrivateKey(keySpec);
+  fs.writeFileSync(keyPath, privateKeyPem(key, caKeyPassphrase()), { mode: 0o600 });
+  return key;
+}
+
+// Self-signed root certificate for the key at keyPath and the CA settings' subject
+export function createRootCertificate(keyPath, settings) {
+  return runOpenSSL([
+    'req', '-x509', '-new',
+    '-key', keyPath,
+    '-passin', CA_KEY_PASS,
+    ...digestArgs(signingDigest(keyPath)),
+    '-days', String(ROOT_DAYS),
+    '-utf8', '-subj', subjectArg(settings),
+  ]);
+}
+
+// Record a new current generation, retiring the others
+export async function recordGeneration({ certPem, keySpec, crossCertPem = null, reverseCrossCertPem = null }) {
+  const info = parseCertificate(certPem);
+  const now = new Date().toISOString();
+  const last = await dbGet('SELECT MAX(generation) AS generation FROM ca_generations');
+  const generation = ((last && last.generation) || 0) + 1;
+
+  await dbRun(
+    `INSERT INTO ca_generations (generation, common_name, subject, serial_number, not_before, not_after, key_type, key_size, cert_pem,
+                                 cross_cert_pem, reverse_cross_cert_pem, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [generation, info.common_name, info.subject, info.serial_number, info.not_before, info.not_after,
+      keySpec.keyType, keySpec.keySize, certPem, crossCertPem, reverseCrossCertPem, now],
+  );
+  await dbRun('UPDATE ca_generations SET retired_at = ? WHERE retired_at IS NULL AND generation != ?', [now, generation]);
+  setCurrentGeneration(generation);
+  return generation;
+}
+
+// Load the current generation at startup. A CA initialized before
+// generations existed becomes generation 1.
+export async function loadCaGenerations() {
+  let current = await dbGet('SELECT generation FROM ca_generations WHERE retired_at IS NULL');
+  if (!current && issuerExists(rootIssuer)) {
+    const settings = await dbGet('SELECT key_type, key_size FROM ca_settings WHERE id = 1');
+    const keySpec = parseKeySpec(settings && settings.key_type, settings && settings.key_size);
+    await recordGeneration({ certPem: fs.readFileSync(rootIssuer.certPath, 'utf8'), keySpec });
+    current = await dbGet('SELECT generation FROM ca_generations WHERE retired_at IS NULL');
+  }
+  setCurrentGeneration(current ? current.generation : null);
+}
+
+// Certify `subjectCertPem`'s subject and key (`subjectKey`) with `issuer`'s
+// key, valid for `days`
+async function crossSign(subjectCertPem, subjectKey, issuer, days) {
+  const csrPem = await requestFromCertificate(subjectCertPem, subjectKey);
+  return signCsr({
+    csrPem,
+    issuer,
+    serialNumber: crypto.randomBytes(16).toString('hex').toUpperCase(),
+    days,
+    extensions: CROSS_EXTENSIONS,
+  });
+}
+
+function moveFiles(moves) {
+  moves.forEach(([from, to]) => fs.renameSync(from, to));
+}
+
+function pemFilename(commonName, suffix) {
+  return `${commonName.replace(/[^a-zA-Z0-9.-]/g, '_')}${suffix}`;
+}
+
+// Only one rollover at a time
+let rolloverRunning = false;
+
+async function rollover(settings, crossSignRoots) {
+  const keySpec = parseKeySpec(settings.key_type, settings.key_size);
+  if (keySpec.error) {
+    throw new InputError(keySpec.error);
+  }
+  const previous = rootIssuer.generation;
+  const oldCertPem = fs.readFileSync(rootIssuer.certPath, 'utf8');
+  const oldNotAfter = Date.parse(new crypto.X509Certificate(oldCertPem).validTo);
+  // A cross certificate cannot vouch for longer than the old root is valid
+  const crossDays = Math.floor((oldNotAfter - Date.now()) / DAY_MS);
+  if (crossSignRoots && crossDays < 1) {
+    throw new InputError('The current root expires within a day and can no longer cross-sign');
+  }
+
+  const workDir = fs.mkdtempSync(path.join(caDir, 'rollover-'));
+  const archiveDir = path.join(generationsDir, String(previous));
+  const archived = retiredIssuer(previous);
+  try {
+    const keyPath = path.join(workDir, 'ca.key.pem');
+    const certPath = path.join(workDir, 'ca.cert.pem');
+    const key = await writeCaKey(keySpec, keyPath);
+    const certPem = await createRootCertificate(keyPath, settings);
+    fs.writeFileSync(certPath, certPem);
+
+    let crossCertPem = null;
+    let reverseCrossCertPem = null;
+    if (crossSignRoots) {
+      const oldKey = crypto.createPrivateKey({ key: fs.readFileSync(rootIssuer.keyPath), passphrase: caKeyPassphrase() });
+      crossCertPem = await crossSign(certPem, key, rootIssuer, crossDays);
+      reverseCrossCertPem = await crossSign(oldCertPem, oldKey, { keyPath, certPath }, crossDays);
+    }
+
+    // Retire the current root's files, then put the new ones in place
+    fs.mkdirSync(archiveDir, { recursive: true });
+    const archive = ROOT_FILES.filter((name) => fs.existsSync(rootIssuer[name])).map((name) => [rootIssuer[name], archived[name]]);
+    moveFiles(archive);
+    try {
+      moveFiles([[keyPath, rootIssuer.keyPath], [certPath, rootIssuer.certPath]]);
+    } catch (e) {
+      moveFiles(archive.map(([from, to]) => [to, from]));
+      throw e;
+    }
+
+    let generation;
+    try {
+      generation = await recordGeneration({ certPem, keySpec, crossCertPem, reverseCrossCertPem });
+    } catch (e) {
+      // Put the previous root back as it was
+      moveFiles([[rootIssuer.keyPath, keyPath], [rootIssuer.certPath, certPath]]);
+      moveFiles(archive.map(([from, to]) => [to, from]));
+      throw e;
+    }
+
+    // Both roots publish a fresh CRL; the new one starts empty
+    await generateCrl(archived);
+    await generateCrl(rootIssuer);
+    return { generation, previous, certInfo: parseCertificate(certPem), cross_signed: crossSignRoots };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+export function registerGenerationRoutes(app, authMiddleware) {
+  // Every root generation, newest first, with how many certificates each issued
+  app.get('/api/ca/generations', authMiddleware, async (req, res) => {
+    try {
+      const rows = await dbAll(
+        `SELECT g.generation, g.common_name, g.subject, g.serial_number, g.not_before, g.not_after, g.key_type, g.key_size,
+                g.cross_cert_pem IS NOT NULL AS has_cross_cert, g.reverse_cross_cert_pem IS NOT NULL AS has_reverse_cross_cert,
+                g.created_at, g.retired_at,
+                (SELECT COUNT(*) FROM certificates c WHERE c.ca_generation = g.generation AND c.source != 'imported') AS certificates,
+                (SELECT COUNT(*) FROM ca_intermediates i WHERE i.ca_generation = g.generation) AS intermediates
+         FROM ca_generations g ORDER BY g.generation DESC`,
+      );
+      const generations = rows.map((row) => ({
+        ...row,
+        current: row.generation === rootIssuer.generation,
+        crl_name: row.generation === rootIssuer.generation ? rootIssuer.crlName : retiredIssuer(row.generation).crlName,
+      }));
+      return res.json({ generations, current: rootIssuer.generation });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to fetch CA generations', details: e.message });
+    }
+  });
+
+  // Root certificate of a generation, and its cross certificates when it was
+  // cross-signed with the previous generation (public, like /api/ca/cert)
+  const downloads = {
+    cert: ['cert_pem', '.ca.cert.pem'],
+    'cross-cert': ['cross_cert_pem', '.cross.cert.pem'],
+    'reverse-cross-cert': ['reverse_cross_cert_pem', '.reverse-cross.cert.pem'],
+  };
+  app.get('/api/ca/generations/:generation/:file(cert|cross-cert|reverse-cross-cert)', async (req, res) => {
+    const [column, suffix] = downloads[req.params.file];
+    try {
+      const row = await dbGet(`SELECT generation, common_name, ${column} AS pem FROM ca_generations WHERE generation = ?`, [req.params.generation]);
+      if (!row || !row.pem) {
+        return res.status(404).json({ error: 'Certificate not found' });
+      }
+      res.setHeader('Content-Type', 'application/x-pem-file');
+      res.setHeader('Content-Disposition', `attachment; filename="${pemFilename(`${row.common_name}-g${row.generation}`, suffix)}"`);
+      return res.send(row.pem);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to fetch certificate', details: e.message });
+    }
+  });
+
+  // Replace the root key and certificate with a new generation built from
+  // the saved CA settings. The caller confirms by typing the current root's
+  // common name.
+  app.post('/api/ca/rollover', authMiddleware, auditAction('ca.rollover', 'ca', (req, body) => ({
+    generation: body.generation,
+    previous_generation: body.previous_generation,
+    cross_sign: req.body.cross_sign !== false,
+  })), requireRole('admin'), async (req, res) => {
+    const { confirm, cross_sign = true } = req.body || {};
+    if (!issuerExists(rootIssuer) || !rootIssuer.generation) {
+      return res.status(400).json({ error: 'CA is not initialized. Please initialize the CA first.' });
+    }
+    if (typeof cross_sign !== 'boolean') {
+      return res.status(400).json({ error: 'cross_sign must be true or false' });
+    }
+    if (rolloverRunning) {
+      return res.status(409).json({ error: 'A rollover is already in progress' });
+    }
+
+    rolloverRunning = true;
+    try {
+      const current = await dbGet('SELECT common_name FROM ca_generations WHERE generation = ?', [rootIssuer.generation]);
+      if (!current || confirm !== current.common_name) {
+        return res.status(400).json({ error: 'Confirm the rollover with the common name of the current root CA' });
+      }
+      const settings = await dbGet('SELECT * FROM ca_settings WHERE id = 1');
+      if (!settings || !settings.common_name) {
+        return res.status(400).json({ error: 'CA settings must be saved with at least a Common Name before a rollover' });
+      }
+
+      const result = await rollover(settings, cross_sign);
+      return res.json({
+        ok: true,
+        generation: result.generation,
+        previous_generation: result.previous,
+        cross_signed: result.cross_signed,
+        certificate: result.certInfo,
+      });
+    } catch (e) {
+      if (e instanceof InputError) {
+        return res.status(400).json({ error: e.message });
+      }
+      return res.status(500).json({ error: 'Failed to roll over the CA', details: e.message });
+    } finally {
+      rolloverRunning = false;
+    }
+  });
+}
@@ -0,0 +1,140 @@
+import fs from 'fs';
+import path from 'path';
+import { db } from './db.js';
+
+const storageDir = process.env.STORAGE_DIR || '/data';
+const caDir = path.join(storageDir, 'ca');
+export const intermediatesDir = path.join(caDir, 'intermediates');
+// Retired root generations, one directory each, see generations.js
+export const generationsDir = path.join(caDir, 'generations');
+
+// Generation of the current root, set once generations are loaded
+let currentGeneration = null;
+
+export function setCurrentGeneration(generation) {
+  currentGeneration = generation;
+}
+
+// Generation 1 keeps publishing /crl/ca.crl; later ones get their own name
+function rootCrlName(generation) {
+  return generation > 1 ? `ca-g${generation}` : 'ca';
+}
+
+// The self-signed root. It only signs when no intermediate is chosen, so it can
+// stay rarely used while intermediates do the daily signing. Its files always
+// belong to the current generation.
+export const rootIssuer = {
+  id: null,
+  name: 'Root CA',
+  get generation() {
+    return currentGeneration;
+  },
+  keyPath: path.join(caDir, 'ca.key.pem'),
+  certPath: path.join(caDir, 'ca.cert.pem'),
+  get crlName() {
+    return rootCrlName(currentGeneration);
+  },
+  crlNumberPath: path.join(caDir, 'crlnumber'),
+  ocspKeyPath: path.join(caDir, 'ocsp.key.pem'),
+  ocspCertPath: path.join(caDir, 'ocsp.cert.pem'),
+  scepKeyPath: path.join(caDir, 'scep.key.pem'),
+  scepCertPath: path.join(caDir, 'scep.cert.pem'),
+  policyId: null,
+};
+
+// A retired root generation: it no longer signs certificates, only CRLs and
+// OCSP responses for the ones it issued
+export function retiredIssuer(generation) {
+  const base = path.join(generationsDir, String(generation));
+  return {
+    id: null,
+    name: `Root CA generation ${generation}`,
+    generation,
+    keyPath: path.join(base, 'ca.key.pem'),
+    certPath: path.join(base, 'ca.cert.pem'),
+    crlName: rootCrlName(generation),
+    crlNumberPath: path.join(base, 'crlnumber'),
+    ocspKeyPath: path.join(base, 'ocsp.key.pem'),
+    ocspCertPath: path.join(base, 'ocsp.cert.pem'),
+    scepKeyPath: path.join(base, 'scep.key.pem'),
+    scepCertPath: path.join(base, 'scep.cert.pem'),
+    policyId: null,
+  };
+}
+
+// The root of a generation; the current root for the current generation or none
+export function generationIssuer(generation) {
+  if (generation === null || generation === undefined || generation === currentGeneration) {
+    return rootIssuer;
+  }
+  return retiredIssuer(generation);
+}
+
+export function intermediateIssuer(row) {
+  const base = path.join(intermediatesDir, String(row.id));
+  return {
+    id: row.id,
+    name: row.common_name,
+    keyPath: `${base}.key.pem`,
+    certPath: `${base}.cert.pem`,
+    crlName: `intermediate-${row.id}`,
+    crlNumberPath: `${base}.crlnumber`,
+    ocspKeyPath: `${base}.ocsp.key.pem`,
+    ocspCertPath: `${base}.ocsp.cert.pem`,
+    scepKeyPath: `${base}.scep.key.pem`,
+    scepCertPath: `${base}.scep.cert.pem`,
+    // Issuance policy encoded in its name constraints, enforced when it signs
+    policyId: row.policy_id || null,
+    // Root generation that signed it
+    generation: row.ca_generation || null,
+  };
+}
+
+export function issuerExists(issuer) {
+  return fs.existsSync(issuer.keyPath) && fs.existsSync(issuer.certPath);
+}
+
+// Resolve an issuer by intermediate id; null/undefined means the root
+export function getIssuer(id) {
+  if (id === null || id === undefined || id === '' || id === 'root') {
+    return Promise.resolve(rootIssuer);
+  }
+  return new Promise((resolve, reject) => {
+    db.get('SELECT id, common_name, policy_id, ca_generation FROM ca_intermediates WHERE id = ?', [id], (err, row) => {
+      if (err) return reject(err);
+      return resolve(row ? intermediateIssuer(row) : null);
+    });
+  });
+}
+
+// The issuer that signed a certificate row: an intermediate, or the root of
+// the certificate's generation
+export function certificateIssuer(cert) {
+  if (cert.issuer_ca_id !== null && cert.issuer_ca_id !== undefined) {
+    return getIssuer(cert.issuer_ca_id);
+  }
+  return Promise.resolve(generationIssuer(cert.ca_generation));
+}
+
+function allRows(sql) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+// Every issuer: the current root, retired roots and intermediates
+export async function listIssuers() {
+  const retired = await allRows('SELECT generation FROM ca_generations WHERE retired_at IS NOT NULL ORDER BY generation');
+  const rows = await allRows('SELECT id, common_name, policy_id, ca_generation FROM ca_intermediates ORDER BY id');
+  return [rootIssuer, ...retired.map((row) => retiredIssuer(row.generation)), ...rows.map(intermediateIssuer)];
+}
+
+// PEM chain from the issuer up to (and including) the root of its generation
+export function issuerChainPem(issuer) {
+  if (issuer.id === null) {
+    return fs.readFileSync(issuer.certPath, 'utf8');
+  }
+  const rootPem = fs.readFileSync(generationIssuer(issuer.generation).certPath, 'utf8');
+  const issuerPem = fs.readFileSync(issuer.certPath, 'utf8');
+  return `${issuerPem.trim()}\n${rootPem}`;
+}
@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { caKeyPassphrase } from './keystore.js';
+
+// Supported key types. For EC the size is the curve size in bits (P-256,
+// P-384, P-521); Ed25519 has a single fixed size.
+export const KEY_TYPES = {
+  RSA: { sizes: [2048, 3072, 4096], defaultSize: 2048 },
+  EC: { sizes: [256, 384, 521], defaultSize: 256 },
+  Ed25519: { sizes: [256], defaultSize: 256 },
+};
+
+const EC_CURVES = { 256: 'P-256', 384: 'P-384', 521: 'P-521' };
+
+// Node's names for the named curves above
+const CURVE_SIZES = { prime256v1: 256, secp384r1: 384, secp521r1: 521 };
+
+// Hash paired with each curve when signing (RFC 5480 section 4)
+const EC_DIGESTS = { 256: 'sha256', 384: 'sha384', 521: 'sha512' };
+
+// Curve sizes by name, so EC sizes can also be given as P-256 and so on
+const EC_CURVE_SIZES = Object.fromEntries(Object.entries(EC_CURVES).map(([size, name]) => [name, Number(size)]));
+
+// Validate a key_type/key_size pair from a request, filling in the default
+// size for the type. Returns { keyType, keySize } or { error }.
+export function parseKeySpec(keyType, keySize) {
+  const type = KEY_TYPES[keyType || 'RSA'];
+  if (!type) {
+    return { error: `Unsupported key type ${keyType}. Use ${Object.keys(KEY_TYPES).join(', ')}` };
+  }
+
+  let size = keySize === undefined || keySize === null || keySize === '' ? type.defaultSize : Number(keySize);
+  if (keyType === 'EC' && EC_CURVE_SIZES[keySize]) {
+    size = EC_CURVE_SIZES[keySize];
+  }
+  if (!type.sizes.includes(size)) {
+    const allowed = keyType === 'EC' ? type.sizes.map((s) => EC_CURVES[s]).join(', ') : type.sizes.join(', ');
+    return { error: `Invalid key size ${keySize} for ${keyType || 'RSA'}. Allowed: ${allowed}` };
+  }
+  return { keyType: keyType || 'RSA', keySize: size };
+}
+
+// Human readable name, e.g. "RSA 2048", "EC P-384", "Ed25519"
+export function keySpecLabel(keyType, keySize) {
+  if (keyType === 'EC') return `EC ${EC_CURVES[keySize] || keySize}`;
+  if (keyType === 'Ed25519') return 'Ed25519';
+  return `RSA ${keySize}`;
+}
+
+// Generate a new private key of the given spec, as a Node KeyObject
+export function generatePrivateKey({ keyType, keySize }) {
+  return new Promise((resolve, reject) => {
+    const done = (err, publicKey, privateKey) => (err ? reject(err) : resolve(privateKey));
+    if (keyType === 'EC') {
+      crypto.generateKeyPair('ec', { namedCurve: EC_CURVES[keySize], paramEncoding: 'named' }, done);
+    } else if (keyType === 'Ed25519') {
+      crypto.generateKeyPair('ed25519', {}, done);
+    } else {
+      crypto.generateKeyPair('rsa', { modulusLength: keySize }, done);
+    }
+  });
+}
+
+// PEM (PKCS#8) of a private key, encrypted when a passphrase is given
+export function privateKeyPem(key, passphrase) {
+  if (!passphrase) {
+    return key.export({ type: 'pkcs8', format: 'pem' });
+  }
+  return key.export({ type: 'pkcs8', format: 'pem', cipher: 'aes-256-cbc', passphrase });
+}
+
+// Traditional PEM of a private key (PKCS#1 for RSA, SEC1 for EC) for tools
+// that predate PKCS#8, with OpenSSL's legacy PEM encryption when a
+// passphrase is given. Ed25519 keys have no such format; returns null.
+export function traditionalKeyPem(key, passphrase) {
+  const type = { rsa: 'pkcs1', ec: 'sec1' }[key.asymmetricKeyType];
+  if (!type) return null;
+  if (!passphrase) {
+    return key.export({ type, format: 'pem' });
+  }
+  return key.export({ type, format: 'pem', cipher: 'aes-256-cbc', passphrase });
+}
+
+// Key type and size of a Node KeyObject (public or private)
+export function describeKey(key) {
+  switch (key.asymmetricKeyType) {
+    case 'rsa':
+      return { keyType: 'RSA', keySize: key.asymmetricKeyDetails.modulusLength };
+    case 'ec':
+      return { keyType: 'EC', keySize: CURVE_SIZES[key.asymmetricKeyDetails.namedCurve] || null };
+    case 'ed25519':
+      return { keyType: 'Ed25519', keySize: 256 };
+    default:
+      return { keyType: key.asymmetricKeyType, keySize: null };
+  }
+}
+
+// keyEncipherment only applies to RSA key transport; drop it for EC/EdDSA keys
+export function keyUsageFor(keyUsage, keyType) {
+  if (keyType === 'RSA') return keyUsage;
+  return keyUsage.split(',').filter((u) => u !== 'keyEncipherment').join(',');
+}
+
+// Digest to sign with using a private KeyObject: EC keys use the hash
+// matching their curve, Ed25519 signs without a separate digest (null)
+export function keyDigest(key) {
+  const { keyType, keySize } = describeKey(key);
+  if (keyType === 'Ed25519') return null;
+  if (keyType === 'EC') return EC_DIGESTS[keySize] || 'sha256';
+  return 'sha256';
+}
+
+// keyDigest() of the key file at keyPath. CA key files are encrypted with the
+// CA key passphrase.
+export function signingDigest(keyPath) {
+  return keyDigest(crypto.createPrivateKey({ key: fs.readFileSync(keyPath), passphrase: caKeyPassphrase() }));
+}
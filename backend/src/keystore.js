@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { db } from './db.js';
+import { listIssuers } from './issuers.js';
+
+const storageDir = process.env.STORAGE_DIR || '/data';
+const csrDir = path.join(storageDir, 'csr');
+// Where versions before this check generated the master key
+const legacyMasterKeyFile = path.join(storageDir, 'master.key');
+
+// OpenSSL reads the CA key passphrase from this variable (`-passin env:...`),
+// so it never appears on a command line
+export const CA_KEY_PASS_ENV = 'ROARINCA_CA_KEY_PASS';
+export const CA_KEY_PASS = `env:${CA_KEY_PASS_ENV}`;
+
+// Stored values look like enc:v1:<master key id>:<wrapped data key>:<encrypted PEM>
+const PREFIX = 'enc:v1:';
+
+export function parseMasterKey(value, source) {
+  const key = Buffer.from(String(value).trim(), 'base64');
+  if (key.length !== 32) {
+    throw new Error(`${source} must hold 32 random bytes, base64 encoded (openssl rand -base64 32)`);
+  }
+  return key;
+}
+
+// The master key comes from MASTER_KEY, else from MASTER_KEY_FILE. There is
+// no default: a key generated into STORAGE_DIR would sit on the same volume,
+// and in the same backups, as the keys it encrypts.
+export function loadMasterKey() {
+  if (process.env.MASTER_KEY) {
+    return parseMasterKey(process.env.MASTER_KEY, 'MASTER_KEY');
+  }
+
+  const keyFile = process.env.MASTER_KEY_FILE;
+  if (!keyFile) {
+    const legacy = fs.existsSync(legacyMasterKeyFile)
+      ? `; the key generated at ${legacyMasterKeyFile} by an earlier version can be moved off the data volume and named by MASTER_KEY_FILE`
+      : '';
+    throw new Error(`Set MASTER_KEY or MASTER_KEY_FILE to 32 random bytes, base64 encoded (openssl rand -base64 32), stored apart from STORAGE_DIR${legacy}`);
+  }
+  if (!fs.existsSync(keyFile)) {
+    throw new Error(`MASTER_KEY_FILE ${keyFile} does not exist`);
+  }
+  return parseMasterKey(fs.readFileSync(keyFile, 'utf8'), keyFile);
+}
+
+const masterKey = loadMasterKey();
+
+export function masterKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+// The CA key passphrase is derived from the master key, so rotating the master
+// key also rotates it
+export function caKeyPassphrase(key = masterKey) {
+  return crypto.createHmac('sha256', key).update('roarinca:ca-key-passphrase').digest('base64url');
+}
+
+process.env[CA_KEY_PASS_ENV] = caKeyPassphrase();
+
+// AES-256-GCM; output is iv | tag | ciphertext
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function unseal(key, sealed) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, 12));
+  decipher.setAuthTag(sealed.subarray(12, 28));
+  return Buffer.concat([decipher.update(sealed.subarray(28)), decipher.final()]);
+}
+
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+function splitEncrypted(value) {
+  const [kid, wrapped, payload] = value.slice(PREFIX.length).split(':');
+  return { kid, wrapped: Buffer.from(wrapped, 'base64'), payload };
+}
+
+// Encrypt a private key PEM under a fresh data key, wrapped by the master key.
+// Already encrypted values are returned unchanged.
+export function encryptPrivateKey(pem, key = masterKey) {
+  if (!pem || isEncrypted(pem)) return pem;
+  const dataKey = crypto.randomBytes(32);
+  const wrapped = seal(key, dataKey).toString('base64');
+  const payload = seal(dataKey, Buffer.from(pem, 'utf8')).toString('base64');
+  return `${PREFIX}${masterKeyId(key)}:${wrapped}:${payload}`;
+}
+
+// Decrypt a stored private key; plaintext values from before encryption pass through
+export function decryptPrivateKey(value, key = masterKey) {
+  if (!isEncrypted(value)) return value;
+  const { kid, wrapped, payload } = splitEncrypted(value);
+  if (kid !== masterKeyId(key)) {
+    throw new Error('Private key is encrypted under a different master key');
+  }
+  const dataKey = unseal(key, wrapped);
+  return unseal(dataKey, Buffer.from(payload, 'base64')).toString('utf8');
+}
+
+// Re-wrap the data key under a new master key; the encrypted PEM is unchanged
+export function rewrapPrivateKey(value, oldKey, newKey) {
+  if (!isEncrypted(value)) return encryptPrivateKey(value, newKey);
+  const { kid, wrapped, payload } = splitEncrypted(value);
+  if (kid !== masterKeyId(oldKey)) {
+    throw new Error('Private key is encrypted under a different master key');
+  }
+  const dataKey = unseal(oldKey, wrapped);
+  return `${PREFIX}${masterKeyId(newKey)}:${seal(newKey, dataKey).toString('base64')}:${payload}`;
+}
+
+export function isEncryptedKeyFile(pem) {
+  return pem.includes('BEGIN ENCRYPTED PRIVATE KEY') || pem.includes('Proc-Type: 4,ENCRYPTED');
+}
+
+// Re-encrypt a key file as passphrase-protected PKCS#8 (also used for rotation)
+export function protectKeyFile(keyPath, oldPassphrase, newPassphrase) {
+  const pem = fs.readFileSync(keyPath, 'utf8');
+  const key = crypto.createPrivateKey({ key: pem, passphrase: isEncryptedKeyFile(pem) ? oldPassphrase : undefined });
+  const tmpPath = `${keyPath}.tmp`;
+  fs.writeFileSync(
+    tmpPath,
+    key.export({ type: 'pkcs8', format: 'pem', cipher: 'aes-256-cbc', passphrase: newPassphrase }),
+    { mode: 0o600 },
+  );
+  fs.renameSync(tmpPath, keyPath);
+}
+
+// Every CA-held key file: root and intermediate keys plus their OCSP signer
+// and SCEP RA keys
+export async function caKeyFiles() {
+  const issuers = await listIssuers();
+  return issuers.flatMap((issuer) => [issuer.keyPath, issuer.ocspKeyPath, issuer.scepKeyPath]).filter((p) => fs.existsSync(p));
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+// One-time migration on startup: encrypt keys stored before encryption at rest
+// existed, protect plaintext CA key files and drop leftover CSR key files
+export async function encryptStoredKeys() {
+  let migrated = 0;
+  for (const table of ['csr_requests', 'certificates']) {
+    const rows = await dbAll(`SELECT id, key_pem FROM ${table} WHERE key_pem IS NOT NULL AND key_pem NOT LIKE 'enc:%'`);
+    for (const row of rows) {
+      await dbRun(`UPDATE ${table} SET key_pem = ? WHERE id = ?`, [encryptPrivateKey(row.key_pem), row.id]);
+      migrated += 1;
+    }
+  }
+
+  for (const keyPath of await caKeyFiles()) {
+    if (!isEncryptedKeyFile(fs.readFileSync(keyPath, 'utf8'))) {
+      protectKeyFile(keyPath, null, caKeyPassphrase());
+      migrated += 1;
+    }
+  }
+
+  if (migrated > 0) {
+    // eslint-disable-next-line no-console
+    console.log(`Encrypted ${migrated} private key(s) at rest`);
+  }
+
+  // Older versions left generated CSR keys on disk; they are in the database
+  if (fs.existsSync(csrDir)) {
+    const leftovers = fs.readdirSync(csrDir).filter((f) => f.endsWith('.key.pem'));
+    leftovers.forEach((f) => fs.unlinkSync(path.join(csrDir, f)));
+    if (leftovers.length > 0) {
+      // eslint-disable-next-line no-console
+      console.log(`Removed ${leftovers.length} plaintext CSR key file(s) from ${csrDir}`);
+    }
+  }
+}
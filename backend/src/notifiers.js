@@ -0,0 +1,209 @@
+import net from 'net';
+import os from 'os';
+import tls from 'tls';
+
+// Alert delivery channels. A channel is { configured(), send(alert) } where
+// alert is { subject, text, event, certificate, days_left, threshold_days };
+// send() resolves once delivered and throws on failure.
+const channels = new Map();
+
+export function registerChannel(name, channel) {
+  channels.set(name, channel);
+}
+
+export function configuredChannels() {
+  return [...channels.entries()]
+    .filter(([, channel]) => channel.configured())
+    .map(([name, channel]) => ({ name, channel }));
+}
+
+const SMTP_TIMEOUT_MS = 15000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// ---------------------------------------------------------------------------
+// SMTP (RFC 5321): implicit TLS with NOTIFY_SMTP_SECURE=true, otherwise
+// STARTTLS whenever the server offers it, AUTH PLAIN when a user is set
+
+function smtpConfig() {
+  const secure = process.env.NOTIFY_SMTP_SECURE === 'true';
+  return {
+    host: process.env.NOTIFY_SMTP_HOST,
+    port: Number(process.env.NOTIFY_SMTP_PORT) || (secure ? 465 : 25),
+    secure,
+    user: process.env.NOTIFY_SMTP_USER,
+    pass: process.env.NOTIFY_SMTP_PASS,
+    from: process.env.NOTIFY_SMTP_FROM || `roarinca@${os.hostname()}`,
+    to: (process.env.NOTIFY_EMAIL_TO || '').split(',').map((a) => a.trim()).filter(Boolean),
+  };
+}
+
+// Collects SMTP replies (multi-line replies end at "NNN text")
+function smtpReader(socket) {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiters = [];
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let idx;
+    while ((idx = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, idx).replace(/\r$/, '');
+      buffer = buffer.slice(idx + 1);
+      lines.push(line.slice(4));
+      if (line[3] !== '-') {
+        const reply = { code: Number(line.slice(0, 3)), lines };
+        lines = [];
+        if (waiters.length > 0) waiters.shift().resolve(reply);
+        else replies.push(reply);
+      }
+    }
+  };
+  const onFailure = (err) => {
+    failure = failure || err;
+    while (waiters.length > 0) waiters.shift().reject(failure);
+  };
+  const onClose = () => onFailure(new Error('SMTP connection closed'));
+
+  socket.on('data', onData);
+  socket.on('error', onFailure);
+  socket.on('close', onClose);
+
+  return {
+    read() {
+      if (replies.length > 0) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    },
+    // Stop reading before the socket is handed to TLS
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onFailure);
+      socket.off('close', onClose);
+    },
+  };
+}
+
+function connectSocket({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function upgradeToTls(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.once('error', reject);
+  });
+}
+
+function encodeHeader(value) {
+  const clean = String(value).replace(/[\r\n]+/g, ' ').trim();
+  return /^[\x20-\x7e]*$/.test(clean) ? clean : `=?UTF-8?B?${Buffer.from(clean, 'utf8').toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${from.split('@')[1] || 'roarinca'}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+  ];
+  // Dot-stuffing: a line starting with "." must be doubled inside DATA
+  const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n.\r\n`;
+}
+
+export async function sendMail(message, config = smtpConfig()) {
+  let socket = await connectSocket(config);
+  socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP timeout')));
+  let reader = smtpReader(socket);
+
+  const command = async (line, expect) => {
+    if (line) socket.write(`${line}\r\n`);
+    const reply = await reader.read();
+    if (Math.floor(reply.code / 100) !== expect) {
+      // Only the verb, never the arguments: AUTH carries the password
+      const verb = line ? line.split(' ')[0] : 'greeting';
+      throw new Error(`SMTP ${verb} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, 2);
+    let ehlo = await command(`EHLO ${os.hostname()}`, 2);
+
+    if (!config.secure && ehlo.lines.some((l) => /^STARTTLS\b/i.test(l))) {
+      await command('STARTTLS', 2);
+      reader.detach();
+      socket = await upgradeToTls(socket, config.host);
+      socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP timeout')));
+      reader = smtpReader(socket);
+      ehlo = await command(`EHLO ${os.hostname()}`, 2);
+    }
+
+    if (config.user) {
+      const credentials = Buffer.from(`\0${config.user}\0${config.pass || ''}`, 'utf8').toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, 2);
+    }
+
+    await command(`MAIL FROM:<${config.from}>`, 2);
+    for (const rcpt of config.to) {
+      await command(`RCPT TO:<${rcpt}>`, 2);
+    }
+    await command('DATA', 3);
+    socket.write(buildMessage({ ...config, ...message }));
+    await command(null, 2);
+    socket.write('QUIT\r\n');
+  } finally {
+    socket.end();
+  }
+}
+
+registerChannel('smtp', {
+  configured: () => Boolean(process.env.NOTIFY_SMTP_HOST && process.env.NOTIFY_EMAIL_TO),
+  send: (alert) => sendMail({ subject: alert.subject, text: alert.text }),
+});
+
+// ---------------------------------------------------------------------------
+// Webhooks
+
+async function postJson(url, payload) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!res.ok) {
+    throw new Error(`Webhook responded ${res.status} ${res.statusText}`);
+  }
+}
+
+// Generic webhook: the full alert as JSON
+registerChannel('webhook', {
+  configured: () => Boolean(process.env.NOTIFY_WEBHOOK_URL),
+  send: (alert) =>
+    postJson(process.env.NOTIFY_WEBHOOK_URL, {
+      event: alert.event,
+      subject: alert.subject,
+      days_left: alert.days_left,
+      threshold_days: alert.threshold_days,
+      certificate: alert.certificate,
+    }),
+});
+
+// Slack-style incoming webhook (also Mattermost, Rocket.Chat, ...): { text }
+registerChannel('slack', {
+  configured: () => Boolean(process.env.NOTIFY_SLACK_WEBHOOK_URL),
+  send: (alert) => postJson(process.env.NOTIFY_SLACK_WEBHOOK_URL, { text: alert.text.replace(alert.subject, `*${alert.subject}*`) }),
+});
@@ -0,0 +1,205 @@
+import crypto from 'crypto';
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { writeCaIndex } from './crl.js';
+import { issuerExists, listIssuers, rootIssuer } from './issuers.js';
+import { generatePrivateKey, privateKeyPem, signingDigest } from './keys.js';
+import { CA_KEY_PASS, caKeyPassphrase } from './keystore.js';
+import { createCsr, runOpenSSL, signCsr } from './openssl.js';
+
+const storageDir = process.env.STORAGE_DIR || '/data';
+const caDir = path.join(storageDir, 'ca');
+
+// 'ca' signs responses with the CA key, 'delegated' with an OCSP signing
+// certificate issued (and renewed) automatically by the CA
+const OCSP_SIGNER = process.env.OCSP_SIGNER === 'delegated' ? 'delegated' : 'ca';
+const OCSP_SIGNER_DAYS = 30;
+const OCSP_SIGNER_RENEW_MS = 7 * 24 * 60 * 60 * 1000;
+const EKU_OCSP_SIGNING = '1.3.6.1.5.5.7.3.9';
+// nextUpdate of each response, in minutes
+const OCSP_VALIDITY_MINUTES = Number(process.env.OCSP_VALIDITY_MINUTES) || 60;
+
+// Unsigned OCSPResponse structures for the non-successful response statuses
+// (RFC 6960 section 4.2.1): SEQUENCE { ENUMERATED status }
+const MALFORMED_REQUEST = Buffer.from([0x30, 0x03, 0x0a, 0x01, 0x01]);
+const INTERNAL_ERROR = Buffer.from([0x30, 0x03, 0x0a, 0x01, 0x02]);
+const UNAUTHORIZED = Buffer.from([0x30, 0x03, 0x0a, 0x01, 0x06]);
+
+// Certificate mtime each issuer's delegated signer was last checked against
+const signerCheckedFor = new Map();
+
+// Make sure the issuer's delegated OCSP signing certificate exists, was issued
+// by the current issuer certificate and is not about to expire; re-issue it otherwise
+async function ensureDelegatedSigner(issuer) {
+  const { certPath: caCertPath, ocspCertPath: signerCertPath, ocspKeyPath: signerKeyPath } = issuer;
+  const caStat = fs.statSync(caCertPath);
+  if (signerCheckedFor.get(caCertPath) === caStat.mtimeMs && fs.existsSync(signerCertPath)) {
+    return;
+  }
+
+  if (fs.existsSync(signerCertPath) && fs.existsSync(signerKeyPath)) {
+    try {
+      const ca = new crypto.X509Certificate(fs.readFileSync(caCertPath));
+      const signer = new crypto.X509Certificate(fs.readFileSync(signerCertPath));
+      const current = signer.checkIssued(ca) && signer.verify(ca.publicKey)
+        && (signer.keyUsage || []).includes(EKU_OCSP_SIGNING)
+        && Date.parse(signer.validTo) - Date.now() > OCSP_SIGNER_RENEW_MS;
+      if (current) {
+        signerCheckedFor.set(caCertPath, caStat.mtimeMs);
+        return;
+      }
+    } catch {
+      // unreadable: fall through and re-issue
+    }
+  }
+
+  const key = await generatePrivateKey({ keyType: 'RSA', keySize: 2048 });
+  const csrPem = await createCsr({ key, subject: { common_name: 'Roarin CA OCSP Responder' } });
+  const certPem = await signCsr({
+    csrPem,
+    issuer,
+    serialNumber: Date.now().toString(16),
+    days: OCSP_SIGNER_DAYS,
+    extensions: [
+      'basicConstraints = critical,CA:FALSE',
+      'keyUsage = critical,digitalSignature',
+      'extendedKeyUsage = critical,OCSPSigning',
+      'noCheck = ignored',
+      'subjectKeyIdentifier = hash',
+      'authorityKeyIdentifier = keyid,issuer',
+    ],
+  });
+  fs.writeFileSync(signerKeyPath, privateKeyPem(key, caKeyPassphrase()), { mode: 0o600 });
+  fs.writeFileSync(signerCertPath, certPem);
+  signerCheckedFor.set(caCertPath, caStat.mtimeMs);
+}
+
+const signerPending = new Map();
+
+// Concurrent requests share a single check/re-issue of each delegated signer
+function delegatedSigner(issuer) {
+  if (!signerPending.has(issuer.certPath)) {
+    signerPending.set(issuer.certPath, ensureDelegatedSigner(issuer).finally(() => {
+      signerPending.delete(issuer.certPath);
+    }));
+  }
+  return signerPending.get(issuer.certPath);
+}
+
+// SHA-1 public key hash per issuer certificate, keyed by path and mtime
+const keyHashCache = new Map();
+
+async function issuerKeyHash(issuer) {
+  const { mtimeMs } = fs.statSync(issuer.certPath);
+  const cached = keyHashCache.get(issuer.certPath);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.hash;
+  }
+  const out = await runOpenSSL(['x509', '-noout', '-ocspid'], { input: fs.readFileSync(issuer.certPath) });
+  const match = out.match(/Public key OCSP hash:\s*([0-9A-F]+)/i);
+  const hash = match ? match[1].toUpperCase() : null;
+  keyHashCache.set(issuer.certPath, { mtimeMs, hash });
+  return hash;
+}
+
+// Pick the issuer named by the first CertID of the request (root if unknown)
+async function findIssuer(requestText) {
+  const match = requestText.match(/Issuer Key Hash:\s*([0-9A-F]+)/i);
+  const issuers = (await listIssuers()).filter(issuerExists);
+  if (match) {
+    for (const issuer of issuers) {
+      if ((await issuerKeyHash(issuer)) === match[1].toUpperCase()) {
+        return issuer;
+      }
+    }
+  }
+  return issuers.find((issuer) => issuer.id === null) || null;
+}
+
+async function buildOcspResponse(requestDer) {
+  if (!issuerExists(rootIssuer)) {
+    return UNAUTHORIZED;
+  }
+
+  const workDir = fs.mkdtempSync(path.join(caDir, 'ocsp-'));
+  const reqPath = path.join(workDir, 'request.der');
+  const respPath = path.join(workDir, 'response.der');
+
+  try {
+    fs.writeFileSync(reqPath, requestDer);
+
+    let requestText;
+    try {
+      requestText = await runOpenSSL(['ocsp', '-reqin', reqPath, '-req_text']);
+    } catch {
+      return MALFORMED_REQUEST;
+    }
+
+    const issuer = await findIssuer(requestText);
+    if (!issuer) {
+      return UNAUTHORIZED;
+    }
+
+    let signerCert = issuer.certPath;
+    let signerKey = issuer.keyPath;
+    if (OCSP_SIGNER === 'delegated') {
+      await delegatedSigner(issuer);
+      signerCert = issuer.ocspCertPath;
+      signerKey = issuer.ocspKeyPath;
+    }
+
+    const indexPath = await writeCaIndex(workDir, issuer);
+    const digest = signingDigest(signerKey);
+    await runOpenSSL([
+      'ocsp',
+      '-index', indexPath,
+      '-CA', issuer.certPath,
+      '-rsigner', signerCert,
+      '-rkey', signerKey,
+      '-passin', CA_KEY_PASS,
+      ...(digest ? ['-rmd', digest] : []),
+      '-reqin', reqPath,
+      '-respout', respPath,
+      '-nmin', String(OCSP_VALIDITY_MINUTES),
+    ]);
+    return fs.readFileSync(respPath);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+async function respond(res, requestDer, cacheable) {
+  let body;
+  try {
+    body = await buildOcspResponse(requestDer);
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.error('OCSP responder error:', e.message);
+    body = INTERNAL_ERROR;
+  }
+
+  res.setHeader('Content-Type', 'application/ocsp-response');
+  if (cacheable && body.length > MALFORMED_REQUEST.length) {
+    res.setHeader('Cache-Control', `max-age=${OCSP_VALIDITY_MINUTES * 60}, public, no-transform, must-revalidate`);
+  } else {
+    res.setHeader('Cache-Control', 'no-cache');
+  }
+  return res.send(body);
+}
+
+export function registerOcspRoutes(app) {
+  // OCSP over POST (RFC 6960 appendix A.1): DER request in the body
+  app.post('/ocsp', express.raw({ type: () => true, limit: '64kb' }), (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      res.setHeader('Content-Type', 'application/ocsp-response');
+      return res.send(MALFORMED_REQUEST);
+    }
+    return respond(res, req.body, false);
+  });
+
+  // OCSP over GET: base64 (then URL-encoded) DER request in the path
+  app.get('/ocsp/*', (req, res) => {
+    return respond(res, Buffer.from(req.params[0] || '', 'base64'), true);
+  });
+}
@@ -0,0 +1,309 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { recordAudit } from './audit.js';
+import { openSession, ROLES } from './auth.js';
+import { db } from './db.js';
+
+// OpenID Connect single sign-on (authorization code flow with PKCE). Users
+// are created on their first sign-in and get their role from IdP groups at
+// every sign-in.
+const ISSUER = (process.env.OIDC_ISSUER || '').replace(/\/+$/, '');
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || '';
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || '';
+const publicBaseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+const REDIRECT_URI = process.env.OIDC_REDIRECT_URI || `${publicBaseUrl}/api/auth/oidc/callback`;
+const SCOPES = process.env.OIDC_SCOPES || 'openid profile email';
+const USERNAME_CLAIM = process.env.OIDC_USERNAME_CLAIM || 'preferred_username';
+// Dotted paths reach nested claims, e.g. realm_access.roles for Keycloak
+const GROUPS_CLAIM = process.env.OIDC_GROUPS_CLAIM || 'groups';
+const DEFAULT_ROLE = process.env.OIDC_DEFAULT_ROLE || '';
+const LABEL = process.env.OIDC_LABEL || 'SSO';
+
+// The login round trip is kept in a signed cookie rather than server state
+const STATE_SECRET = `${process.env.JWT_SECRET || 'dev-secret-change-me'}:oidc`;
+const STATE_COOKIE = 'oidc_state';
+const STATE_MINUTES = 10;
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const USERNAME_PATTERN = /^[A-Za-z0-9._@-]{1,64}$/;
+
+let metadataCache = null;
+let jwksCache = null;
+
+class OidcError extends Error {}
+
+export function oidcEnabled() {
+  return !!(ISSUER && CLIENT_ID);
+}
+
+// "group=role,group=role"; a user in several mapped groups gets the most
+// privileged role
+function parseRoleMap(text) {
+  return (text || '')
+    .split(',')
+    .map((pair) => pair.split('=').map((s) => s.trim()))
+    .filter(([group, role]) => {
+      if (!group || !role) return false;
+      if (!ROLES.includes(role)) {
+        // eslint-disable-next-line no-console
+        console.warn(`OIDC_ROLE_MAP: ignoring ${group}=${role}, role must be one of ${ROLES.join(', ')}`);
+        return false;
+      }
+      return true;
+    });
+}
+
+const ROLE_MAP = parseRoleMap(process.env.OIDC_ROLE_MAP);
+
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      return err ? reject(err) : resolve(this);
+    });
+  });
+}
+
+async function fetchJson(url, options = {}) {
+  const res = await fetch(url, { ...options, headers: { accept: 'application/json', ...options.headers } });
+  const text = await res.text();
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (e) {
+    throw new OidcError(`${url} returned ${res.status} without JSON`);
+  }
+  if (!res.ok) {
+    throw new OidcError(body.error_description || body.error || `${url} returned ${res.status}`);
+  }
+  return body;
+}
+
+async function providerMetadata() {
+  if (metadataCache && metadataCache.expires > Date.now()) {
+    return metadataCache.metadata;
+  }
+  const metadata = await fetchJson(`${ISSUER}/.well-known/openid-configuration`);
+  if (metadata.issuer.replace(/\/+$/, '') !== ISSUER) {
+    throw new OidcError(`Provider reports issuer ${metadata.issuer}, expected ${ISSUER}`);
+  }
+  metadataCache = { metadata, expires: Date.now() + METADATA_TTL_MS };
+  return metadata;
+}
+
+// Signing key for an ID token; the key set is fetched again for unknown key
+// ids so provider key rotation needs no restart
+async function signingKey(header) {
+  const metadata = await providerMetadata();
+  const find = () => jwksCache.keys.find((k) => (header.kid ? k.kid === header.kid : k.use !== 'enc'));
+  if (!jwksCache || !find()) {
+    jwksCache = await fetchJson(metadata.jwks_uri);
+  }
+  const jwk = find();
+  if (!jwk) {
+    throw new OidcError('The ID token is signed with an unknown key');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+async function verifyIdToken(idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new OidcError('The provider returned an invalid ID token');
+  }
+  const key = await signingKey(decoded.header);
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, { algorithms: ID_TOKEN_ALGORITHMS, audience: CLIENT_ID, issuer: (await providerMetadata()).issuer });
+  } catch (e) {
+    throw new OidcError(`ID token rejected: ${e.message}`);
+  }
+  if (claims.nonce !== nonce) {
+    throw new OidcError('ID token nonce does not match');
+  }
+  return claims;
+}
+
+function claimAt(claims, path) {
+  return path.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), claims);
+}
+
+// The role for a set of claims, or null when no mapping and no default applies
+function roleForClaims(claims) {
+  const raw = claimAt(claims, GROUPS_CLAIM);
+  const groups = Array.isArray(raw) ? raw.map(String) : typeof raw === 'string' ? raw.split(/[\s,]+/) : [];
+  const roles = ROLE_MAP.filter(([group]) => groups.includes(group)).map(([, role]) => role);
+  if (roles.length) {
+    return ROLES.find((role) => roles.includes(role));
+  }
+  return DEFAULT_ROLE && ROLES.includes(DEFAULT_ROLE) ? DEFAULT_ROLE : null;
+}
+
+// Find the account linked to the IdP subject, creating it on first sign-in.
+// Local accounts are never taken over by an IdP user of the same name.
+async function provisionUser(claims) {
+  const role = roleForClaims(claims);
+  if (!role) {
+    throw new OidcError('Your identity provider groups do not grant access to this CA');
+  }
+
+  const existing = await dbGet('SELECT id, username, role, disabled FROM users WHERE oidc_subject = ?', [claims.sub]);
+  if (existing) {
+    if (existing.disabled) {
+      throw new OidcError('Account is disabled');
+    }
+    if (existing.role !== role) {
+      await dbRun('UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [role, existing.id]);
+    }
+    return { user: { ...existing, role }, provisioned: false, previousRole: existing.role };
+  }
+
+  const username = claims[USERNAME_CLAIM] || claims.email || claims.sub;
+  if (!USERNAME_PATTERN.test(username || '')) {
+    throw new OidcError(`The ${USERNAME_CLAIM} claim is not a valid username`);
+  }
+  const clash = await dbGet('SELECT id FROM users WHERE username = ?', [username]);
+  if (clash) {
+    throw new OidcError(`A local account named ${username} already exists`);
+  }
+  // No usable password: the account can only sign in through the IdP
+  const result = await dbRun("INSERT INTO users (username, password_hash, role, auth_source, oidc_subject) VALUES (?, '!', ?, 'oidc', ?)", [
+    username,
+    role,
+    claims.sub,
+  ]);
+  return { user: { id: result.lastID, username, role }, provisioned: true, previousRole: null };
+}
+
+function isHttps(req) {
+  return req.headers['x-forwarded-proto'] === 'https' || process.env.FORCE_SECURE_COOKIES === 'true';
+}
+
+// Errors go back to the console, which shows them on the login screen
+function failRedirect(res, message) {
+  return res.clearCookie(STATE_COOKIE, { path: '/api/auth/oidc' }).redirect(`/?sso_error=${encodeURIComponent(message)}`);
+}
+
+export function registerOidcRoutes(app) {
+  // Public: whether to show the SSO button and what to call it
+  app.get('/api/auth/oidc', (req, res) => {
+    res.json({ enabled: oidcEnabled(), label: LABEL });
+  });
+
+  app.get('/api/auth/oidc/login', async (req, res) => {
+    if (!oidcEnabled()) {
+      return res.status(404).json({ error: 'Single sign-on is not configured' });
+    }
+    try {
+      const metadata = await providerMetadata();
+      const state = crypto.randomBytes(16).toString('base64url');
+      const nonce = crypto.randomBytes(16).toString('base64url');
+      const verifier = crypto.randomBytes(32).toString('base64url');
+      const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: CLIENT_ID,
+        redirect_uri: REDIRECT_URI,
+        scope: SCOPES,
+        state,
+        nonce,
+        code_challenge: crypto.createHash('sha256').update(verifier).digest('base64url'),
+        code_challenge_method: 'S256',
+      });
+      return res
+        .cookie(STATE_COOKIE, jwt.sign({ state, nonce, verifier }, STATE_SECRET, { expiresIn: `${STATE_MINUTES}m` }), {
+          httpOnly: true,
+          sameSite: 'lax',
+          secure: isHttps(req),
+          path: '/api/auth/oidc',
+          maxAge: STATE_MINUTES * 60 * 1000,
+        })
+        .redirect(`${metadata.authorization_endpoint}?${params}`);
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('OIDC login failed:', e.message);
+      return failRedirect(res, 'The identity provider is unavailable');
+    }
+  });
+
+  app.get('/api/auth/oidc/callback', async (req, res) => {
+    const { code, state, error, error_description } = req.query;
+    // Failures before a session exists name the IdP identity, not an account
+    const fail = (message, identity = {}) => {
+      recordAudit({ action: 'auth.sso.login', sourceIp: req.ip, outcome: 'failure', details: { error: message, ...identity } });
+      return failRedirect(res, message);
+    };
+
+    if (!oidcEnabled()) {
+      return res.status(404).json({ error: 'Single sign-on is not configured' });
+    }
+    if (error) {
+      return fail(error_description || error);
+    }
+
+    let round;
+    try {
+      round = jwt.verify((req.cookies && req.cookies[STATE_COOKIE]) || '', STATE_SECRET);
+    } catch (e) {
+      return fail('Sign-in expired; try again');
+    }
+    if (!code || state !== round.state) {
+      return fail('Sign-in response does not match this browser; try again');
+    }
+
+    let claims;
+    let result;
+    try {
+      const metadata = await providerMetadata();
+      const body = new URLSearchParams({ grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, code_verifier: round.verifier });
+      const headers = { 'content-type': 'application/x-www-form-urlencoded' };
+      if (CLIENT_SECRET) {
+        headers.authorization = `Basic ${Buffer.from(`${encodeURIComponent(CLIENT_ID)}:${encodeURIComponent(CLIENT_SECRET)}`).toString('base64')}`;
+      } else {
+        body.set('client_id', CLIENT_ID);
+      }
+      const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+      claims = await verifyIdToken(tokens.id_token, round.nonce);
+
+      // Some providers only put groups in the userinfo response
+      if (claimAt(claims, GROUPS_CLAIM) === undefined && metadata.userinfo_endpoint && tokens.access_token) {
+        const info = await fetchJson(metadata.userinfo_endpoint, { headers: { authorization: `Bearer ${tokens.access_token}` } });
+        if (info.sub === claims.sub) {
+          claims = { ...info, ...claims };
+        }
+      }
+
+      result = await provisionUser(claims);
+    } catch (e) {
+      if (!(e instanceof OidcError)) {
+        // eslint-disable-next-line no-console
+        console.error('OIDC callback failed:', e.message);
+      }
+      return fail(e instanceof OidcError ? e.message : 'Single sign-on failed', claims ? { subject: claims.sub, claimed_username: claims[USERNAME_CLAIM] } : {});
+    }
+
+    try {
+      await openSession(req, res, result.user);
+    } catch (e) {
+      return fail('Failed to start session', { subject: claims.sub });
+    }
+    recordAudit({
+      actor: result.user,
+      action: 'auth.sso.login',
+      targetType: 'user',
+      targetId: result.user.id,
+      sourceIp: req.ip,
+      details: {
+        subject: claims.sub,
+        role: result.user.role,
+        ...(result.provisioned ? { provisioned: true } : {}),
+        ...(result.previousRole && result.previousRole !== result.user.role ? { previous_role: result.previousRole } : {}),
+      },
+    });
+    return res.clearCookie(STATE_COOKIE, { path: '/api/auth/oidc' }).redirect('/');
+  });
+}
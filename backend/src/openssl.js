@@ -0,0 +1,640 @@
+import { execFile } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { describeKey, keyDigest, keySpecLabel, signingDigest } from './keys.js';
+import { CA_KEY_PASS } from './keystore.js';
+
+// Every OpenSSL call goes through here: the binary is run directly with an
+// argument array, never through a shell, and PEM input is fed on stdin.
+// Files are only written for the inputs OpenSSL insists on opening by name
+// (signing keys, extension files), inside a private directory that is removed
+// afterwards. Certificates are parsed natively.
+const OPENSSL_TIMEOUT_MS = 60 * 1000;
+const MAX_OUTPUT_BYTES = 16 * 1024 * 1024;
+
+// Upper bounds from RFC 5280 appendix A.1
+const SUBJECT_LIMITS = {
+  common_name: ['CN', 64],
+  organization: ['O', 64],
+  organizational_unit: ['OU', 64],
+  locality: ['L', 128],
+  state: ['ST', 128],
+  country: ['C', 2],
+  email: ['emailAddress', 128],
+};
+// OpenSSL's -subj order, most significant first
+const SUBJECT_ORDER = ['country', 'state', 'locality', 'organization', 'organizational_unit', 'common_name', 'email'];
+
+const CONTROL_CHARS = /[\u0000-\u001f\u007f]/;
+const DNS_LABEL = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i;
+const EMAIL_LOCAL = /^[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]{1,64}$/;
+const URI_PATTERN = /^[a-z][a-z0-9+.-]*:[^\s,"<>\\]+$/i;
+const MAX_SAN_LENGTH = 253;
+const PEM_BLOCK = /-----BEGIN ([A-Z0-9 ]+)-----[\s\S]+?-----END \1-----/g;
+// Environment variable handing PKCS#12 passwords to OpenSSL
+const PKCS12_PASS_ENV = 'ROARINCA_PKCS12_PASS';
+
+// Bad user input (a DN or SAN value, a malformed CSR); routes answer 400
+export class InputError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// Run openssl with the given arguments. `input` (string or Buffer) is written
+// to stdin; `env` adds variables for env: pass sources, so secrets stay off
+// the command line; `binary` resolves a Buffer; `withStderr` appends stderr
+// to the output for commands that report results there; `quiet` skips
+// logging failures of commands that only probe what the input is.
+export function runOpenSSL(args, { input, env, binary = false, withStderr = false, quiet = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = execFile(
+      'openssl',
+      args,
+      {
+        encoding: binary ? 'buffer' : 'utf8',
+        env: env ? { ...process.env, ...env } : process.env,
+        timeout: OPENSSL_TIMEOUT_MS,
+        maxBuffer: MAX_OUTPUT_BYTES,
+      },
+      (error, stdout, stderr) => {
+        if (error) {
+          const message = String(stderr || '').trim() || error.message;
+          if (!quiet) {
+            // eslint-disable-next-line no-console
+            console.error('OpenSSL error:', message);
+          }
+          reject(new Error(message));
+        } else {
+          resolve(withStderr ? `${stdout}${stderr}` : stdout);
+        }
+      },
+    );
+    // OpenSSL may exit without reading all of stdin
+    child.stdin.on('error', () => {});
+    child.stdin.end(input === undefined ? '' : input);
+  });
+}
+
+// Run fn(dir) with a fresh directory only this process can read
+export async function withWorkDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roarinca-'));
+  try {
+    return await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function writePrivate(dir, name, content) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, content, { mode: 0o600 });
+  return filePath;
+}
+
+function isHostname(value) {
+  if (value.length > MAX_SAN_LENGTH) return false;
+  return value.split('.').every((label) => DNS_LABEL.test(label));
+}
+
+function isEmail(value) {
+  const at = value.lastIndexOf('@');
+  return at > 0 && EMAIL_LOCAL.test(value.slice(0, at)) && isHostname(value.slice(at + 1));
+}
+
+// Check subject fields ({ common_name, organization, ... }) and return them
+// trimmed, with the country upper-cased. Empty fields are dropped.
+export function validateSubject(fields) {
+  const subject = {};
+  for (const [field, [attr, limit]] of Object.entries(SUBJECT_LIMITS)) {
+    const raw = fields[field];
+    if (raw === undefined || raw === null || raw === '') continue;
+    if (typeof raw !== 'string') {
+      throw new InputError(`${attr} must be text`);
+    }
+    const value = raw.trim();
+    if (!value) continue;
+    if (CONTROL_CHARS.test(value)) {
+      throw new InputError(`${attr} must not contain control characters`);
+    }
+    if (field === 'country' && !/^[A-Za-z]{2}$/.test(value)) {
+      throw new InputError('C must be a two-letter country code');
+    }
+    if (value.length > limit) {
+      throw new InputError(`${attr} must be at most ${limit} characters`);
+    }
+    if (field === 'email' && !isEmail(value)) {
+      throw new InputError(`${value} is not a valid email address`);
+    }
+    subject[field] = field === 'country' ? value.toUpperCase() : value;
+  }
+  return subject;
+}
+
+// Validated subject fields as an OpenSSL -subj argument (use with -utf8)
+export function subjectArg(fields) {
+  const subject = validateSubject(fields);
+  return SUBJECT_ORDER.filter((field) => subject[field])
+    .map((field) => `/${SUBJECT_LIMITS[field][0]}=${subject[field].replace(/[\\/+]/g, '\\$&')}`)
+    .join('');
+}
+
+function sanEntry(type, value) {
+  if (!value) {
+    throw new InputError(`Empty ${type} subject alternative name`);
+  }
+  if (CONTROL_CHARS.test(value)) {
+    throw new InputError('Subject alternative names must not contain control characters');
+  }
+  switch (type) {
+    case 'DNS': {
+      const name = value.toLowerCase();
+      if (!isHostname(name.startsWith('*.') ? name.slice(2) : name)) {
+        throw new InputError(`${value} is not a valid DNS name`);
+      }
+      return { type, value: name };
+    }
+    case 'IP':
+      if (!net.isIP(value)) {
+        throw new InputError(`${value} is not a valid IP address`);
+      }
+      return { type, value };
+    case 'email':
+      if (!isEmail(value)) {
+        throw new InputError(`${value} is not a valid email address`);
+      }
+      return { type, value };
+    default:
+      if (!URI_PATTERN.test(value) || value.length > 2048) {
+        throw new InputError(`${value} is not a valid URI`);
+      }
+      return { type, value };
+  }
+}
+
+// Parse a comma-separated SAN list into { type, value } entries. Entries may
+// be prefixed DNS:, IP:, email: or URI: (or DNS=, ...); bare values are
+// detected as IP addresses, email addresses or DNS names.
+export function parseSans(san) {
+  if (san === undefined || san === null || san === '') return [];
+  if (typeof san !== 'string') {
+    throw new InputError('Subject alternative names must be a comma-separated list');
+  }
+  return san
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const prefix = entry.match(/^(dns|ip|email|uri)\s*[:=]\s*(.*)$/i);
+      if (prefix) {
+        const type = { dns: 'DNS', ip: 'IP', email: 'email', uri: 'URI' }[prefix[1].toLowerCase()];
+        return sanEntry(type, prefix[2].trim());
+      }
+      if (net.isIP(entry)) return sanEntry('IP', entry);
+      if (entry.includes('@')) return sanEntry('email', entry);
+      return sanEntry('DNS', entry);
+    });
+}
+
+// A SAN list as a subjectAltName extension line, or null when empty
+export function sanExtension(san) {
+  const entries = parseSans(san);
+  if (entries.length === 0) return null;
+  return `subjectAltName = ${entries.map((e) => `${e.type}:${e.value}`).join(',')}`;
+}
+
+// Split an RFC 2253 DN ("CN=a,O=Acme\, Inc,C=US") into attribute values
+export function parseDn(dn) {
+  const fields = {};
+  dn.split(/(?<!\\),/).forEach((part) => {
+    const idx = part.indexOf('=');
+    if (idx > 0) {
+      fields[part.slice(0, idx).trim()] = part.slice(idx + 1).replace(/\\(.)/g, '$1').trim();
+    }
+  });
+  return fields;
+}
+
+// Node prints names one RDN per line, most significant first; RFC 2253 wants
+// them reversed and comma separated (values are already escaped)
+function rfc2253(name) {
+  return name
+    .split('\n')
+    .filter(Boolean)
+    .reverse()
+    .map((rdn) => rdn.replace(/ \+ /g, '+'))
+    .join(',');
+}
+
+// Every PEM block in a text as { label, pem }
+export function pemBlocks(text) {
+  return [...text.matchAll(PEM_BLOCK)].map((m) => ({ label: m[1], pem: `${m[0]}\n` }));
+}
+
+export function derToPem(der, label) {
+  const lines = der.toString('base64').match(/.{1,64}/g) || [];
+  return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+}
+
+export function pemToDer(pem) {
+  const body = pem.replace(/-----(BEGIN|END)[^-]+-----/g, '').replace(/\s+/g, '');
+  return Buffer.from(body, 'base64');
+}
+
+// Subject, issuer, serial and validity of a PEM certificate
+export function parseCertificate(certPem) {
+  let cert;
+  try {
+    cert = new crypto.X509Certificate(certPem);
+  } catch {
+    throw new InputError('Not a valid PEM certificate');
+  }
+  const subject = rfc2253(cert.subject);
+  return {
+    common_name: parseDn(subject).CN || 'Unknown',
+    subject,
+    issuer: rfc2253(cert.issuer),
+    serial_number: cert.serialNumber.toUpperCase(),
+    not_before: cert.validFrom,
+    not_after: cert.validTo,
+  };
+}
+
+// Extensions listed under `heading` in `openssl req/x509 -text` output:
+// name, critical flag and value
+function parseExtensionSection(text, heading) {
+  const lines = text.split('\n');
+  const start = lines.findIndex((line) => line.trim() === heading);
+  if (start === -1) {
+    return [];
+  }
+
+  const baseIndent = lines[start].search(/\S/);
+  const extensions = [];
+  for (const line of lines.slice(start + 1)) {
+    const indent = line.search(/\S/);
+    if (indent === -1) continue;
+    if (indent <= baseIndent) break;
+
+    const header = line.match(/^\s*(.+?):\s*(critical)?\s*$/);
+    if (header && (extensions.length === 0 || indent <= extensions[extensions.length - 1].indent)) {
+      extensions.push({ indent, name: header[1], critical: Boolean(header[2]), value: '' });
+    } else if (extensions.length > 0) {
+      const ext = extensions[extensions.length - 1];
+      ext.value = ext.value ? `${ext.value}\n${line.trim()}` : line.trim();
+    }
+  }
+  return extensions.map(({ name, critical, value }) => ({ name, critical, value }));
+}
+
+// Map OpenSSL's SAN text ("DNS:a, IP Address:10.0.0.1") to our san column format
+function sanFromText(value) {
+  return value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => entry.replace(/^IP Address:/, 'IP:'))
+    .join(',');
+}
+
+// Parse a PEM CSR and verify its self-signature. Returns the RFC 2253
+// subject and its attributes, the public key, the requested SANs in the san
+// column format and every requested extension.
+export async function parseCsr(csrPem) {
+  if (typeof csrPem !== 'string' || !csrPem.includes('CERTIFICATE REQUEST')) {
+    throw new InputError('A PEM encoded CSR is required');
+  }
+  let text;
+  try {
+    // The verification result is reported on stderr, with exit status 0 either way
+    text = await runOpenSSL(['req', '-noout', '-verify', '-text', '-pubkey', '-nameopt', 'RFC2253,-esc_msb'], { input: csrPem, withStderr: true });
+  } catch {
+    throw new InputError('Not a valid CSR');
+  }
+  if (!/self-signature verify OK/.test(text)) {
+    throw new InputError('CSR self-signature does not verify');
+  }
+
+  const subjectMatch = text.match(/^\s*Subject:\s*(.*)$/m);
+  const subject = subjectMatch ? subjectMatch[1].trim() : '';
+  const publicKeyPem = text.match(/-----BEGIN PUBLIC KEY-----[\s\S]+?-----END PUBLIC KEY-----/);
+  const extensions = parseExtensionSection(text, 'Requested Extensions:');
+  const sanExt = extensions.find((ext) => ext.name === 'X509v3 Subject Alternative Name');
+  const signatureMatch = text.match(/^\s*Signature Algorithm:\s*(.*)$/m);
+
+  return {
+    subject,
+    attributes: parseDn(subject),
+    publicKey: crypto.createPublicKey(publicKeyPem[0]),
+    san: sanExt ? sanFromText(sanExt.value) : '',
+    signature_algorithm: signatureMatch ? signatureMatch[1].trim() : null,
+    requested_extensions: extensions,
+  };
+}
+
+// '-sha256' style option, none for Ed25519
+export function digestArgs(digest) {
+  return digest ? [`-${digest}`] : [];
+}
+
+// New CSR signed by `key` (a private KeyObject) with validated subject
+// fields and extension lines ("keyUsage = critical,digitalSignature")
+export function createCsr({ key, subject, extensions = [] }) {
+  return withWorkDir(async (dir) => {
+    const keyPath = writePrivate(dir, 'key.pem', key.export({ type: 'pkcs8', format: 'pem' }));
+    const args = ['req', '-new', '-key', keyPath, ...digestArgs(keyDigest(key)), '-utf8', '-subj', subjectArg(subject)];
+    extensions.forEach((line) => args.push('-addext', line));
+    return runOpenSSL(args);
+  });
+}
+
+// Sign a CSR with an issuer ({ certPath, keyPath }, the key encrypted with
+// the CA key passphrase), adding the given extension lines. Returns the PEM.
+export function signCsr({ csrPem, issuer, serialNumber, days, extensions }) {
+  return withWorkDir(async (dir) => {
+    const extPath = writePrivate(dir, 'ext.cnf', `${extensions.join('\n')}\n`);
+    return runOpenSSL(
+      [
+        'x509', '-req',
+        '-CA', issuer.certPath,
+        '-CAkey', issuer.keyPath,
+        '-passin', CA_KEY_PASS,
+        '-set_serial', `0x${serialNumber}`,
+        '-days', String(days),
+        ...digestArgs(signingDigest(issuer.keyPath)),
+        '-extfile', extPath,
+      ],
+      { input: csrPem },
+    );
+  });
+}
+
+// Request carrying the subject of an existing certificate, signed by `key`
+export function requestFromCertificate(certPem, key) {
+  return withWorkDir(async (dir) => {
+    const keyPath = writePrivate(dir, 'key.pem', key.export({ type: 'pkcs8', format: 'pem' }));
+    return runOpenSSL(['x509', '-x509toreq', '-signkey', keyPath, ...digestArgs(keyDigest(key))], { input: certPem });
+  });
+}
+
+// SAN entries as { type, value }, with OpenSSL's "IP Address" shortened to IP
+function sanEntries(value) {
+  return value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const idx = entry.indexOf(':');
+      if (idx === -1) return { type: 'other', value: entry };
+      const type = entry.slice(0, idx);
+      return { type: type === 'IP Address' ? 'IP' : type, value: entry.slice(idx + 1) };
+    });
+}
+
+function listValue(value) {
+  return value
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// URIs from "OCSP - URI:http://..." style lines, optionally only those with a prefix
+function uriLines(value, prefix = '') {
+  return value
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line.startsWith(prefix) && line.includes('URI:'))
+    .map((line) => line.slice(line.indexOf('URI:') + 4));
+}
+
+// The well-known extensions decoded into fields; anything else is only in
+// the raw list
+function decodeExtensions(extensions) {
+  const find = (name) => extensions.find((ext) => ext.name === name);
+  const san = find('X509v3 Subject Alternative Name');
+  const keyUsage = find('X509v3 Key Usage');
+  const extendedKeyUsage = find('X509v3 Extended Key Usage');
+  const basicConstraints = find('X509v3 Basic Constraints');
+  const ski = find('X509v3 Subject Key Identifier');
+  const aki = find('X509v3 Authority Key Identifier');
+  const aia = find('Authority Information Access');
+  const crlDp = find('X509v3 CRL Distribution Points');
+  const policies = find('X509v3 Certificate Policies');
+
+  let constraints = null;
+  if (basicConstraints) {
+    const pathLen = basicConstraints.value.match(/pathlen:(\d+)/);
+    constraints = {
+      ca: /CA:TRUE/.test(basicConstraints.value),
+      path_len: pathLen ? Number(pathLen[1]) : null,
+      critical: basicConstraints.critical,
+    };
+  }
+
+  return {
+    san: san ? sanEntries(san.value) : [],
+    key_usage: keyUsage ? listValue(keyUsage.value) : [],
+    extended_key_usage: extendedKeyUsage ? listValue(extendedKeyUsage.value) : [],
+    basic_constraints: constraints,
+    subject_key_id: ski ? ski.value : null,
+    // Older OpenSSL prints "keyid:" and may add the issuer name and serial
+    authority_key_id: aki ? aki.value.split('\n')[0].replace(/^keyid:/, '') : null,
+    ocsp_urls: aia ? uriLines(aia.value, 'OCSP') : [],
+    ca_issuers_urls: aia ? uriLines(aia.value, 'CA Issuers') : [],
+    crl_urls: crlDp ? uriLines(crlDp.value) : [],
+    policies: policies
+      ? policies.value
+          .split('\n')
+          .map((line) => line.trim())
+          .filter((line) => line.startsWith('Policy:'))
+          .map((line) => line.slice(7).trim())
+      : [],
+    extensions,
+  };
+}
+
+// Algorithm, size, curve and display label of a public key
+export function publicKeyInfo(key) {
+  const { keyType, keySize } = describeKey(key);
+  const known = keyType === 'RSA' || keyType === 'Ed25519' || (keyType === 'EC' && keySize);
+  return {
+    type: keyType,
+    size: keySize,
+    curve: (key.asymmetricKeyDetails && key.asymmetricKeyDetails.namedCurve) || null,
+    label: known ? keySpecLabel(keyType, keySize) : keyType,
+  };
+}
+
+// "AB:CD:..." digests of the DER encoding, as OpenSSL prints them
+function fingerprints(der) {
+  const digest = (algorithm) =>
+    crypto
+      .createHash(algorithm)
+      .update(der)
+      .digest('hex')
+      .toUpperCase()
+      .match(/../g)
+      .join(':');
+  return { sha1: digest('sha1'), sha256: digest('sha256') };
+}
+
+// Everything the inspector shows about a PEM certificate
+export async function inspectCertificate(certPem) {
+  const info = parseCertificate(certPem);
+  const cert = new crypto.X509Certificate(certPem);
+  const text = await runOpenSSL(['x509', '-noout', '-text', '-nameopt', 'RFC2253,-esc_msb', '-certopt', 'no_pubkey,no_sigdump'], { input: certPem });
+  const version = text.match(/^\s*Version:\s*(\d+)/m);
+  const signature = text.match(/^\s*Signature Algorithm:\s*(.*)$/m);
+
+  return {
+    kind: 'certificate',
+    ...info,
+    version: version ? Number(version[1]) : null,
+    signature_algorithm: signature ? signature[1].trim() : null,
+    public_key: publicKeyInfo(cert.publicKey),
+    fingerprints: fingerprints(cert.raw),
+    self_signed: cert.checkIssued(cert) && cert.verify(cert.publicKey),
+    ...decodeExtensions(parseExtensionSection(text, 'X509v3 extensions:')),
+  };
+}
+
+// Everything the inspector shows about a PEM CSR; its self-signature must verify
+export async function inspectCsr(csrPem) {
+  const { subject, attributes, publicKey, signature_algorithm, requested_extensions } = await parseCsr(csrPem);
+  return {
+    kind: 'csr',
+    common_name: attributes.CN || null,
+    subject,
+    signature_algorithm,
+    public_key: publicKeyInfo(publicKey),
+    fingerprints: fingerprints(pemToDer(csrPem)),
+    ...decodeExtensions(requested_extensions),
+  };
+}
+
+// Issuer, validity and revoked entries of a PEM CRL
+export async function inspectCrl(crlPem) {
+  const text = await runOpenSSL(['crl', '-noout', '-text', '-nameopt', 'RFC2253,-esc_msb'], { input: crlPem });
+  const field = (label) => {
+    const match = text.match(new RegExp(`^\\s*${label}:\\s*(.*)$`, 'm'));
+    return match ? match[1].trim() : null;
+  };
+  const number = text.match(/X509v3 CRL Number:\s*\n\s*(\S+)/);
+
+  const revoked = [];
+  const entries = text.split(/^\s*Serial Number: /m).slice(1);
+  for (const entry of entries) {
+    const date = entry.match(/Revocation Date:\s*(.*)/);
+    const reason = entry.match(/CRL Reason Code:\s*\n\s*(.*)/);
+    revoked.push({
+      serial_number: entry.split('\n')[0].trim(),
+      revoked_at: date ? date[1].trim() : null,
+      reason: reason ? reason[1].trim() : null,
+    });
+  }
+
+  return {
+    kind: 'crl',
+    issuer: field('Issuer'),
+    last_update: field('Last Update'),
+    next_update: field('Next Update'),
+    crl_number: number ? number[1] : null,
+    signature_algorithm: field('Signature Algorithm'),
+    fingerprints: fingerprints(pemToDer(crlPem)),
+    revoked,
+  };
+}
+
+// Certificates (and CRLs) held in a PKCS#7 bundle, PEM or DER, as PEM text
+export function readPkcs7(input, { inform = 'PEM', quiet = false } = {}) {
+  return runOpenSSL(['pkcs7', '-inform', inform, '-print_certs'], { input, quiet });
+}
+
+// Certificates as a DER PKCS#7 bundle (.p7b), without CRLs
+export function buildPkcs7(certsPem) {
+  return withWorkDir(async (dir) => {
+    const certsPath = writePrivate(dir, 'certs.pem', certsPem);
+    return runOpenSSL(['crl2pkcs7', '-nocrl', '-certfile', certsPath, '-outform', 'DER'], { binary: true });
+  });
+}
+
+// Certificates and unencrypted keys in a DER PKCS#12 file, as PEM text.
+// Files using RC2/3DES are read through OpenSSL's legacy provider.
+export async function readPkcs12(der, password = '') {
+  const args = ['pkcs12', '-nodes', '-passin', `env:${PKCS12_PASS_ENV}`];
+  const options = { input: der, env: { [PKCS12_PASS_ENV]: String(password) }, quiet: true };
+  try {
+    return await runOpenSSL(args, options);
+  } catch (e) {
+    if (/mac verify|invalid password/i.test(e.message)) {
+      throw new InputError(password ? 'The PKCS#12 password is incorrect' : 'The PKCS#12 file is password protected; enter its password');
+    }
+    if (!/unsupported/i.test(e.message)) throw e;
+  }
+  return runOpenSSL([...args, '-legacy'], options);
+}
+
+// A PKCS#12 file holding the certificate, its key (PEM) and the chain,
+// protected with `password`. The key entry is named `alias` and chain
+// certificates by their common names. `legacy` uses 3DES/RC2 and a SHA-1
+// MAC for clients that cannot read AES-encrypted files (Java before 8u301,
+// Windows Server 2016, macOS keychains).
+export function buildPkcs12({ certPem, keyPem, chainPem, password, alias, legacy = false }) {
+  return withWorkDir(async (dir) => {
+    const keyPath = writePrivate(dir, 'key.pem', keyPem);
+    const args = ['pkcs12', '-export', '-inkey', keyPath, '-passout', `env:${PKCS12_PASS_ENV}`];
+    if (alias) {
+      args.push('-name', alias);
+    }
+    if (chainPem) {
+      args.push('-certfile', writePrivate(dir, 'chain.pem', chainPem));
+      pemBlocks(chainPem).forEach((block) => args.push('-caname', parseCertificate(block.pem).common_name));
+    }
+    if (legacy) {
+      args.push('-legacy');
+    }
+    return runOpenSSL(args, { input: certPem, binary: true, env: { [PKCS12_PASS_ENV]: String(password) } });
+  });
+}
+
+// Check a CMS/PKCS#7 SignedData (DER) against the signer certificate it
+// carries, without judging whether that certificate is trusted. Returns the
+// signed content and the signer certificate as PEM.
+export function verifySignedData(der) {
+  return withWorkDir(async (dir) => {
+    const signerPath = path.join(dir, 'signer.pem');
+    let content;
+    try {
+      content = await runOpenSSL(['cms', '-verify', '-noverify', '-binary', '-inform', 'DER', '-signer', signerPath], { input: der, binary: true, quiet: true });
+    } catch {
+      throw new InputError('The message signature does not verify');
+    }
+    return { content, signerPem: fs.readFileSync(signerPath, 'utf8') };
+  });
+}
+
+// Decrypt a CMS/PKCS#7 EnvelopedData (DER) addressed to `recipient`
+// ({ certPath, keyPath }, the key encrypted with the CA key passphrase)
+export async function decryptEnvelopedData(der, recipient) {
+  try {
+    return await runOpenSSL(
+      ['cms', '-decrypt', '-binary', '-inform', 'DER', '-recip', recipient.certPath, '-inkey', recipient.keyPath, '-passin', CA_KEY_PASS],
+      { input: der, binary: true, quiet: true },
+    );
+  } catch {
+    throw new InputError('The message cannot be decrypted');
+  }
+}
+
+// Encrypt content to a recipient certificate (PEM) as DER CMS EnvelopedData,
+// with an OpenSSL cipher name such as aes-256-cbc
+export function buildEnvelopedData(content, recipientPem, cipher) {
+  return withWorkDir(async (dir) => {
+    const recipientPath = writePrivate(dir, 'recipient.pem', recipientPem);
+    return runOpenSSL(['cms', '-encrypt', '-binary', '-outform', 'DER', `-${cipher}`, recipientPath], { input: content, binary: true });
+  });
+}
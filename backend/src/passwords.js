@@ -0,0 +1,52 @@
+// Password strength rules for new passwords, whoever sets them
+const MIN_PASSWORD_LENGTH = 12;
+// Long passphrases need not mix character classes
+const PASSPHRASE_LENGTH = 20;
+
+// Compared with the letters of a password, so "Welcome2024!" counts as "welcome"
+const COMMON_WORDS = new Set([
+  '',
+  'password',
+  'passwort',
+  'qwerty',
+  'qwertyuiop',
+  'asdfgh',
+  'letmein',
+  'welcome',
+  'admin',
+  'administrator',
+  'changeme',
+  'iloveyou',
+  'trustno',
+  'monkey',
+  'dragon',
+  'sunshine',
+  'football',
+  'master',
+  'secret',
+  'roarinca',
+]);
+
+export const PASSWORD_RULES = `At least ${MIN_PASSWORD_LENGTH} characters mixing three of lower case, upper case, digits and symbols (or ${PASSPHRASE_LENGTH}+ characters), not containing the username`;
+
+// Returns an error message, or null when the password is acceptable
+export function validatePassword(password, username = '') {
+  if (!password || typeof password !== 'string') {
+    return 'Password is required';
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/].filter((re) => re.test(password)).length;
+  if (classes < 3 && password.length < PASSPHRASE_LENGTH) {
+    return `Password must mix at least three of lower case, upper case, digits and symbols, or be ${PASSPHRASE_LENGTH}+ characters long`;
+  }
+  const lower = password.toLowerCase();
+  if (username && lower.includes(username.toLowerCase())) {
+    return 'Password must not contain the username';
+  }
+  if (COMMON_WORDS.has(lower.replace(/[^a-z]/g, '')) || /^(.)\1+$/.test(password)) {
+    return 'Password is too common';
+  }
+  return null;
+}
@@ -0,0 +1,368 @@
+import net from 'net';
+import { auditAction } from './audit.js';
+import { requireRole, ROLES } from './auth.js';
+import { db } from './db.js';
+import { parseSans } from './openssl.js';
+import { ProfileError } from './profiles.js';
+
+// Issuance policies: which DNS names, IP addresses and email domains a
+// certificate may name, whether wildcards are allowed and how many SANs it
+// may carry. A policy applies to everyone, to one role or to one user; every
+// policy that applies to the requester must be met. An intermediate CA
+// created with a policy has it encoded as X.509 Name Constraints and also
+// enforces it for everything it signs.
+const MAX_SANS_LIMIT = 1000;
+
+// Thrown when a request breaks one or more policies; a ProfileError so the
+// enrollment protocols refuse it like any other bad request
+export class PolicyError extends ProfileError {
+  constructor(violations) {
+    super(`Issuance policy violated: ${violations.join('; ')}`);
+    this.violations = violations;
+  }
+}
+
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      return err ? reject(err) : resolve(this);
+    });
+  });
+}
+
+const LIST_COLUMNS = ['allowed_dns_suffixes', 'denied_dns_suffixes', 'allowed_ip_ranges', 'denied_ip_ranges', 'allowed_email_domains'];
+
+function fromRow(row) {
+  if (!row) return null;
+  const policy = { ...row, allow_wildcards: !!row.allow_wildcards, enabled: !!row.enabled };
+  LIST_COLUMNS.forEach((c) => {
+    policy[c] = row[c] ? JSON.parse(row[c]) : [];
+  });
+  return policy;
+}
+
+export async function getPolicy(id) {
+  return fromRow(await dbGet('SELECT * FROM issuance_policies WHERE id = ?', [id]));
+}
+
+// "example.com", ".example.com" and "*.example.com" all mean example.com and below
+function domainSuffix(value) {
+  return value.toLowerCase().replace(/^\*?\./, '').replace(/\.$/, '');
+}
+
+function underSuffix(name, suffix) {
+  return name === suffix || name.endsWith(`.${suffix}`);
+}
+
+// "10.0.0.0/8", "2001:db8::/32" or a single address as { address, prefix, family }
+function parseCidr(value) {
+  const [address, bits, extra] = value.split('/');
+  const family = net.isIP(address);
+  const max = family === 6 ? 128 : 32;
+  const prefix = bits === undefined ? max : Number(bits);
+  if (!family || extra !== undefined || !/^\d*$/.test(bits || '') || !Number.isInteger(prefix) || prefix < 0 || prefix > max) {
+    return null;
+  }
+  return { address, prefix, family };
+}
+
+function rangeList(ranges) {
+  const list = new net.BlockList();
+  ranges.forEach((range) => {
+    const { address, prefix, family } = parseCidr(range);
+    list.addSubnet(address, prefix, family === 6 ? 'ipv6' : 'ipv4');
+  });
+  return list;
+}
+
+function inRanges(address, ranges) {
+  return rangeList(ranges).check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// The names a request asks for: its SANs, plus a common name or subject
+// email that looks like a DNS name, IP address or mailbox
+function requestedNames(san, fields) {
+  const sans = parseSans(san);
+  const names = [...sans];
+  const extra = [];
+  const cn = (fields && fields.common_name) || '';
+  if (net.isIP(cn)) extra.push({ type: 'IP', value: cn });
+  else if (/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(cn)) extra.push({ type: 'DNS', value: cn.toLowerCase() });
+  if (fields && fields.email) extra.push({ type: 'email', value: fields.email });
+  extra.forEach((entry) => {
+    if (!names.some((n) => n.type === entry.type && n.value === entry.value)) names.push(entry);
+  });
+  return { sans, names };
+}
+
+// What one policy has against the names, as readable messages
+export function policyViolations(policy, { sans, names }) {
+  const violations = [];
+  const add = (message) => violations.push(`${message} (policy ${policy.name})`);
+
+  if (policy.max_sans !== null && policy.max_sans !== undefined && sans.length > policy.max_sans) {
+    add(`${sans.length} subject alternative names exceed the maximum of ${policy.max_sans}`);
+  }
+
+  names.forEach(({ type, value }) => {
+    if (type === 'DNS') {
+      const wildcard = value.startsWith('*.');
+      const base = wildcard ? value.slice(2) : value;
+      if (wildcard && !policy.allow_wildcards) {
+        add(`Wildcard name ${value} is not allowed`);
+        return;
+      }
+      const denied = policy.denied_dns_suffixes.find((s) => underSuffix(base, s));
+      // A wildcard also covers every denied name one label below it
+      const covered = wildcard && policy.denied_dns_suffixes.find((s) => s.endsWith(`.${base}`) && s.split('.').length === base.split('.').length + 1);
+      if (denied) {
+        add(`${value} is under the denied DNS suffix ${denied}`);
+      } else if (covered) {
+        add(`${value} would cover the denied name ${covered}`);
+      } else if (policy.allowed_dns_suffixes.length > 0 && !policy.allowed_dns_suffixes.some((s) => underSuffix(base, s))) {
+        add(`${value} is not under an allowed DNS suffix (${policy.allowed_dns_suffixes.join(', ')})`);
+      }
+    } else if (type === 'IP') {
+      if (policy.denied_ip_ranges.length > 0 && inRanges(value, policy.denied_ip_ranges)) {
+        add(`IP address ${value} is in a denied range (${policy.denied_ip_ranges.join(', ')})`);
+      } else if (policy.allowed_ip_ranges.length > 0 && !inRanges(value, policy.allowed_ip_ranges)) {
+        add(`IP address ${value} is outside the allowed ranges (${policy.allowed_ip_ranges.join(', ')})`);
+      }
+    } else if (type === 'email') {
+      const domain = value.slice(value.lastIndexOf('@') + 1).toLowerCase();
+      if (policy.allowed_email_domains.length > 0 && !policy.allowed_email_domains.some((d) => underSuffix(domain, d))) {
+        add(`Email address ${value} is not in an allowed domain (${policy.allowed_email_domains.join(', ')})`);
+      }
+    }
+  });
+  return violations;
+}
+
+// Enabled policies for the user (null for ACME and other requests without
+// one: only policies for everyone) and the issuing intermediate's policy
+async function applicablePolicies(requestedBy, issuer) {
+  const user = requestedBy ? await dbGet('SELECT id, role FROM users WHERE id = ?', [requestedBy]) : null;
+  const rows = await dbAll(
+    `SELECT * FROM issuance_policies
+     WHERE enabled = 1 AND (role IS NULL OR role = ?) AND (user_id IS NULL OR user_id = ?)
+     ORDER BY id`,
+    [user ? user.role : null, user ? user.id : null]
+  );
+  const policies = rows.map(fromRow);
+  if (issuer && issuer.policyId && !policies.some((p) => p.id === issuer.policyId)) {
+    const constraint = await getPolicy(issuer.policyId);
+    if (constraint) policies.push(constraint);
+  }
+  return policies;
+}
+
+// Every violation of the policies that apply, or an empty list
+export async function findViolations({ san, fields, requestedBy = null, issuer = null }) {
+  const request = requestedNames(san, fields);
+  const policies = await applicablePolicies(requestedBy, issuer);
+  return policies.flatMap((policy) => policyViolations(policy, request));
+}
+
+// Throw a PolicyError listing every violation
+export async function checkIssuancePolicy(request) {
+  const violations = await findViolations(request);
+  if (violations.length > 0) {
+    throw new PolicyError(violations);
+  }
+}
+
+// An IP range as the address/mask OpenSSL expects in name constraints
+export function rangeMask({ address, prefix, family }) {
+  if (family === 4) {
+    const mask = prefix === 0 ? 0 : (0xffffffff << (32 - prefix)) >>> 0;
+    return `${address}/${[24, 16, 8, 0].map((shift) => (mask >>> shift) & 0xff).join('.')}`;
+  }
+  const groups = Array.from({ length: 8 }, (_, i) => {
+    const bits = Math.max(0, Math.min(16, prefix - i * 16));
+    return (bits === 0 ? 0 : (0xffff << (16 - bits)) & 0xffff).toString(16);
+  });
+  return `${address}/${groups.join(':')}`;
+}
+
+// The nameConstraints extension line for an intermediate CA. Wildcard and
+// SAN count rules cannot be expressed and are only enforced when signing.
+export function nameConstraintsExtension(policy) {
+  const permitted = [
+    ...policy.allowed_dns_suffixes.map((s) => `DNS:${s}`),
+    ...policy.allowed_ip_ranges.map((r) => `IP:${rangeMask(parseCidr(r))}`),
+    // A mailbox at the domain itself, and at any host below it
+    ...policy.allowed_email_domains.flatMap((d) => [`email:${d}`, `email:.${d}`]),
+  ].map((name) => `permitted;${name}`);
+  const excluded = [
+    ...policy.denied_dns_suffixes.map((s) => `DNS:${s}`),
+    ...policy.denied_ip_ranges.map((r) => `IP:${rangeMask(parseCidr(r))}`),
+  ].map((name) => `excluded;${name}`);
+  if (permitted.length === 0 && excluded.length === 0) {
+    return null;
+  }
+  return `nameConstraints = critical,${[...permitted, ...excluded].join(',')}`;
+}
+
+function stringList(value, name) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.some((v) => typeof v !== 'string')) {
+    throw new ProfileError(`${name} must be a list of strings`);
+  }
+  return [...new Set(value.map((v) => v.trim()).filter(Boolean))];
+}
+
+function suffixList(value, name) {
+  const suffixes = [...new Set(stringList(value, name).map(domainSuffix))];
+  const bad = suffixes.filter((s) => !/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(s));
+  if (bad.length > 0) {
+    throw new ProfileError(`Invalid domain in ${name}: ${bad.join(', ')}`);
+  }
+  return suffixes;
+}
+
+function cidrList(value, name) {
+  const ranges = stringList(value, name);
+  const bad = ranges.filter((r) => !parseCidr(r));
+  if (bad.length > 0) {
+    throw new ProfileError(`Invalid IP range in ${name}: ${bad.join(', ')}. Use CIDR notation such as 10.0.0.0/8`);
+  }
+  return ranges;
+}
+
+// Validate a create/update body into the stored columns
+async function parsePolicyBody(body, existing) {
+  const input = { ...(existing || {}), ...(body || {}) };
+
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name || name.length > 64) {
+    throw new ProfileError('Name must be 1-64 characters');
+  }
+
+  const role = input.role === undefined || input.role === null || input.role === '' ? null : input.role;
+  if (role !== null && !ROLES.includes(role)) {
+    throw new ProfileError(`role must be one of ${ROLES.join(', ')}, or empty for everyone`);
+  }
+  const userId = input.user_id === undefined || input.user_id === null || input.user_id === '' ? null : Number(input.user_id);
+  if (userId !== null && !(await dbGet('SELECT id FROM users WHERE id = ?', [userId]))) {
+    throw new ProfileError('user_id does not name a user');
+  }
+
+  const maxSans = input.max_sans === undefined || input.max_sans === null || input.max_sans === '' ? null : Number(input.max_sans);
+  if (maxSans !== null && (!Number.isInteger(maxSans) || maxSans < 0 || maxSans > MAX_SANS_LIMIT)) {
+    throw new ProfileError(`max_sans must be a whole number from 0 to ${MAX_SANS_LIMIT}, or empty for no limit`);
+  }
+
+  return {
+    name,
+    description: typeof input.description === 'string' ? input.description.trim() : '',
+    role,
+    user_id: userId,
+    allowed_dns_suffixes: JSON.stringify(suffixList(input.allowed_dns_suffixes, 'allowed_dns_suffixes')),
+    denied_dns_suffixes: JSON.stringify(suffixList(input.denied_dns_suffixes, 'denied_dns_suffixes')),
+    allow_wildcards: input.allow_wildcards === false ? 0 : 1,
+    allowed_ip_ranges: JSON.stringify(cidrList(input.allowed_ip_ranges, 'allowed_ip_ranges')),
+    denied_ip_ranges: JSON.stringify(cidrList(input.denied_ip_ranges, 'denied_ip_ranges')),
+    allowed_email_domains: JSON.stringify(suffixList(input.allowed_email_domains, 'allowed_email_domains')),
+    max_sans: maxSans,
+    enabled: input.enabled === false ? 0 : 1,
+  };
+}
+
+async function loadPolicy(id) {
+  return fromRow(
+    await dbGet(
+      `SELECT p.*, u.username,
+              (SELECT COUNT(*) FROM ca_intermediates i WHERE i.policy_id = p.id) AS intermediates
+       FROM issuance_policies p LEFT JOIN users u ON u.id = p.user_id WHERE p.id = ?`,
+      [id]
+    )
+  );
+}
+
+export function registerPolicyRoutes(app, authMiddleware) {
+  const audited = (action) => [authMiddleware, auditAction(action, 'policy', (req, body) => ({ name: (body.policy && body.policy.name) || req.body.name })), requireRole('admin')];
+
+  app.get('/api/policies', authMiddleware, requireRole('admin', 'operator', 'auditor'), async (req, res) => {
+    try {
+      const rows = await dbAll(
+        `SELECT p.*, u.username,
+                (SELECT COUNT(*) FROM ca_intermediates i WHERE i.policy_id = p.id) AS intermediates
+         FROM issuance_policies p LEFT JOIN users u ON u.id = p.user_id ORDER BY p.name`
+      );
+      return res.json({ policies: rows.map(fromRow), roles: ROLES });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to fetch policies', details: e.message });
+    }
+  });
+
+  app.post('/api/policies', audited('policy.create'), async (req, res) => {
+    try {
+      const fields = await parsePolicyBody(req.body);
+      const columns = Object.keys(fields);
+      const result = await dbRun(
+        `INSERT INTO issuance_policies (${columns.join(', ')}, created_at) VALUES (${columns.map(() => '?').join(', ')}, datetime('now'))`,
+        Object.values(fields)
+      );
+      const policy = await loadPolicy(result.lastID);
+      return res.json({ ok: true, id: policy.id, policy });
+    } catch (e) {
+      if (e instanceof ProfileError) {
+        return res.status(400).json({ error: e.message });
+      }
+      return res.status(500).json({ error: 'Failed to create policy', details: e.message });
+    }
+  });
+
+  // Name constraints already in an intermediate's certificate stay as they
+  // were issued; signing with it follows the updated rules
+  app.put('/api/policies/:id', audited('policy.update'), async (req, res) => {
+    try {
+      const existing = await getPolicy(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Policy not found' });
+      }
+
+      const fields = await parsePolicyBody(req.body, existing);
+      await dbRun(
+        `UPDATE issuance_policies SET ${Object.keys(fields).map((c) => `${c} = ?`).join(', ')}, updated_at = datetime('now') WHERE id = ?`,
+        [...Object.values(fields), existing.id]
+      );
+      const policy = await loadPolicy(existing.id);
+      return res.json({ ok: true, id: policy.id, policy });
+    } catch (e) {
+      if (e instanceof ProfileError) {
+        return res.status(400).json({ error: e.message });
+      }
+      return res.status(500).json({ error: 'Failed to update policy', details: e.message });
+    }
+  });
+
+  app.delete('/api/policies/:id', audited('policy.delete'), async (req, res) => {
+    try {
+      const policy = await loadPolicy(req.params.id);
+      if (!policy) {
+        return res.status(404).json({ error: 'Policy not found' });
+      }
+      if (policy.intermediates > 0) {
+        return res.status(409).json({ error: `Policy is encoded in ${policy.intermediates} intermediate CA(s)` });
+      }
+
+      await dbRun('DELETE FROM issuance_policies WHERE id = ?', [policy.id]);
+      return res.json({ ok: true, policy: { name: policy.name } });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to delete policy', details: e.message });
+    }
+  });
+}
@@ -0,0 +1,415 @@
+import { auditAction } from './audit.js';
+import { requireRole } from './auth.js';
+import { db } from './db.js';
+import { KEY_TYPES, keyUsageFor } from './keys.js';
+
+// Certificate profiles: the extensions, validity and subject rules a
+// certificate is issued with. CSRs name their profile in the `preset` column.
+
+export const KEY_USAGES = [
+  'digitalSignature',
+  'nonRepudiation',
+  'keyEncipherment',
+  'dataEncipherment',
+  'keyAgreement',
+  'keyCertSign',
+  'cRLSign',
+  'encipherOnly',
+  'decipherOnly',
+];
+
+// Extended key usages OpenSSL knows by name; anything else must be a dotted OID
+export const EXTENDED_KEY_USAGES = [
+  'serverAuth',
+  'clientAuth',
+  'codeSigning',
+  'emailProtection',
+  'timeStamping',
+  'OCSPSigning',
+  'ipsecIKE',
+  'msCodeInd',
+  'msCodeCom',
+  'msEFS',
+];
+
+// Subject fields a profile can require or forbid, as named in CSR requests
+export const SUBJECT_FIELDS = {
+  common_name: 'CN',
+  organization: 'O',
+  organizational_unit: 'OU',
+  country: 'C',
+  state: 'ST',
+  locality: 'L',
+  email: 'emailAddress',
+};
+
+const OID_PATTERN = /^[0-2](\.\d+)+$/;
+const BASIC_CONSTRAINTS_PATTERN = /^(critical,)?CA:(FALSE|TRUE(,pathlen:\d+)?)$/;
+const MAX_VALIDITY_DAYS = 3650;
+// Distinct approvers a CSR of the profile needs before it can be signed
+const MAX_APPROVALS = 5;
+
+// Profiles created on first start; they can be edited but not deleted
+const BUILTIN_PROFILES = [
+  {
+    name: 'server_tls',
+    label: 'Server TLS',
+    description: 'HTTPS servers, APIs, web services',
+    key_usage: ['digitalSignature', 'keyEncipherment'],
+    extended_key_usage: ['serverAuth'],
+    required_fields: [],
+    default_sans: '{cn}',
+  },
+  {
+    name: 'client_tls',
+    label: 'Client TLS',
+    description: 'mTLS client authentication',
+    key_usage: ['digitalSignature'],
+    extended_key_usage: ['clientAuth'],
+    required_fields: ['common_name'],
+    default_sans: '',
+  },
+  {
+    name: 'code_signing',
+    label: 'Code Signing',
+    description: 'Sign executables, scripts, packages',
+    key_usage: ['digitalSignature'],
+    extended_key_usage: ['codeSigning'],
+    required_fields: ['common_name'],
+    default_sans: '',
+  },
+];
+
+// Thrown when a request does not satisfy its profile
+export class ProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      return err ? reject(err) : resolve(this);
+    });
+  });
+}
+
+const LIST_COLUMNS = ['key_usage', 'extended_key_usage', 'allowed_key_types', 'required_fields', 'forbidden_fields', 'policy_oids'];
+
+function fromRow(row) {
+  if (!row) return null;
+  const profile = { ...row, key_usage_critical: !!row.key_usage_critical, builtin: !!row.builtin };
+  LIST_COLUMNS.forEach((c) => {
+    profile[c] = row[c] ? JSON.parse(row[c]) : [];
+  });
+  return profile;
+}
+
+export function seedProfiles() {
+  BUILTIN_PROFILES.forEach((p) => {
+    db.run(
+      `INSERT OR IGNORE INTO certificate_profiles (name, label, description, key_usage, key_usage_critical, extended_key_usage, basic_constraints,
+         max_validity_days, default_validity_days, allowed_key_types, required_fields, forbidden_fields, policy_oids, default_sans, approvals_required, builtin)
+       VALUES (?, ?, ?, ?, 1, ?, 'critical,CA:FALSE', 825, 365, ?, ?, '[]', '[]', ?, 1, 1)`,
+      [
+        p.name,
+        p.label,
+        p.description,
+        JSON.stringify(p.key_usage),
+        JSON.stringify(p.extended_key_usage),
+        JSON.stringify(Object.keys(KEY_TYPES)),
+        JSON.stringify(p.required_fields),
+        p.default_sans,
+      ]
+    );
+  });
+}
+
+export async function getProfile(name) {
+  return fromRow(await dbGet('SELECT * FROM certificate_profiles WHERE name = ?', [name]));
+}
+
+export async function listProfiles() {
+  return (await dbAll('SELECT * FROM certificate_profiles ORDER BY builtin DESC, label')).map(fromRow);
+}
+
+// The profile for a request, or a ProfileError naming the ones that exist
+export async function requireProfile(name) {
+  const profile = await getProfile(name);
+  if (!profile) {
+    const names = (await listProfiles()).map((p) => p.name);
+    throw new ProfileError(`Unknown certificate profile ${name}. Use one of: ${names.join(', ')}`);
+  }
+  return profile;
+}
+
+// OpenSSL extension lines for CSRs and for signing
+export function profileExtensions(profile, keyType) {
+  const lines = [`basicConstraints = ${profile.basic_constraints}`];
+
+  const keyUsage = keyUsageFor(profile.key_usage.join(','), keyType);
+  if (keyUsage) {
+    lines.push(`keyUsage = ${profile.key_usage_critical ? 'critical,' : ''}${keyUsage}`);
+  }
+  if (profile.extended_key_usage.length > 0) {
+    lines.push(`extendedKeyUsage = ${profile.extended_key_usage.join(',')}`);
+  }
+  if (profile.policy_oids.length > 0) {
+    lines.push(`certificatePolicies = ${profile.policy_oids.join(',')}`);
+  }
+  return lines;
+}
+
+// The SANs to use: the requested ones, else the profile defaults with {cn}
+// replaced by the common name
+export function sansFor(profile, san, commonName) {
+  if (san && san.trim()) return san;
+  if (!profile.default_sans) return '';
+  return commonName ? profile.default_sans.replace(/\{cn\}/g, commonName) : '';
+}
+
+// Check key type and subject fields ({ common_name, organization, ... }) against the profile
+export function checkRequest(profile, { keyType, fields }) {
+  if (keyType && !profile.allowed_key_types.includes(keyType)) {
+    throw new ProfileError(`Profile ${profile.label} does not allow ${keyType} keys (allowed: ${profile.allowed_key_types.join(', ')})`);
+  }
+  if (fields) {
+    const missing = profile.required_fields.filter((f) => !fields[f]);
+    if (missing.length > 0) {
+      throw new ProfileError(`Profile ${profile.label} requires ${missing.join(', ')}`);
+    }
+    const forbidden = profile.forbidden_fields.filter((f) => fields[f]);
+    if (forbidden.length > 0) {
+      throw new ProfileError(`Profile ${profile.label} does not allow ${forbidden.join(', ')} in the subject`);
+    }
+  }
+}
+
+// Validity for a signing request: the profile default when none is given,
+// never above the profile maximum
+export function validityFor(profile, days) {
+  if (days === undefined || days === null || days === '') {
+    return profile.default_validity_days;
+  }
+  const value = Number(days);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new ProfileError('days must be a positive whole number');
+  }
+  if (value > profile.max_validity_days) {
+    throw new ProfileError(`Profile ${profile.label} allows at most ${profile.max_validity_days} days of validity`);
+  }
+  return value;
+}
+
+// Subject fields from an RFC 2253 subject ("CN=a,O=Acme\, Inc")
+export function subjectFields(subject) {
+  const attrs = {};
+  subject.split(/(?<!\\),/).forEach((part) => {
+    const idx = part.indexOf('=');
+    if (idx > 0) {
+      attrs[part.slice(0, idx).trim()] = part.slice(idx + 1).replace(/\\(.)/g, '$1').trim();
+    }
+  });
+  return Object.fromEntries(Object.entries(SUBJECT_FIELDS).map(([field, attr]) => [field, attrs[attr] || '']));
+}
+
+function stringList(value, name) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.some((v) => typeof v !== 'string')) {
+    throw new ProfileError(`${name} must be a list of strings`);
+  }
+  return [...new Set(value.map((v) => v.trim()).filter(Boolean))];
+}
+
+// Validate a create/update body into the stored columns
+function parseProfileBody(body, existing) {
+  const input = { ...(existing || {}), ...(body || {}) };
+
+  const label = typeof input.label === 'string' ? input.label.trim() : '';
+  if (!label) {
+    throw new ProfileError('Label is required');
+  }
+
+  const keyUsage = stringList(input.key_usage, 'key_usage');
+  const badUsage = keyUsage.filter((u) => !KEY_USAGES.includes(u));
+  if (badUsage.length > 0) {
+    throw new ProfileError(`Unknown key usage ${badUsage.join(', ')}. Use ${KEY_USAGES.join(', ')}`);
+  }
+
+  const extendedKeyUsage = stringList(input.extended_key_usage, 'extended_key_usage');
+  const badEku = extendedKeyUsage.filter((u) => !EXTENDED_KEY_USAGES.includes(u) && !OID_PATTERN.test(u));
+  if (badEku.length > 0) {
+    throw new ProfileError(`Unknown extended key usage ${badEku.join(', ')}: use a known name or a dotted OID`);
+  }
+
+  const basicConstraints = String(input.basic_constraints || 'critical,CA:FALSE').replace(/\s+/g, '');
+  if (!BASIC_CONSTRAINTS_PATTERN.test(basicConstraints)) {
+    throw new ProfileError('basic_constraints must look like critical,CA:FALSE or CA:TRUE,pathlen:0');
+  }
+
+  const maxDays = Number(input.max_validity_days);
+  if (!Number.isInteger(maxDays) || maxDays < 1 || maxDays > MAX_VALIDITY_DAYS) {
+    throw new ProfileError(`max_validity_days must be a whole number from 1 to ${MAX_VALIDITY_DAYS}`);
+  }
+  const defaultDays = input.default_validity_days === undefined || input.default_validity_days === null || input.default_validity_days === ''
+    ? Math.min(365, maxDays)
+    : Number(input.default_validity_days);
+  if (!Number.isInteger(defaultDays) || defaultDays < 1 || defaultDays > maxDays) {
+    throw new ProfileError('default_validity_days must be a whole number no larger than max_validity_days');
+  }
+
+  const allowedKeyTypes = stringList(input.allowed_key_types, 'allowed_key_types');
+  if (allowedKeyTypes.length === 0 || allowedKeyTypes.some((t) => !KEY_TYPES[t])) {
+    throw new ProfileError(`allowed_key_types must list one or more of ${Object.keys(KEY_TYPES).join(', ')}`);
+  }
+
+  const requiredFields = stringList(input.required_fields, 'required_fields');
+  const forbiddenFields = stringList(input.forbidden_fields, 'forbidden_fields');
+  const badFields = [...requiredFields, ...forbiddenFields].filter((f) => !SUBJECT_FIELDS[f]);
+  if (badFields.length > 0) {
+    throw new ProfileError(`Unknown subject field ${badFields.join(', ')}. Use ${Object.keys(SUBJECT_FIELDS).join(', ')}`);
+  }
+  if (requiredFields.some((f) => forbiddenFields.includes(f))) {
+    throw new ProfileError('A subject field cannot be both required and forbidden');
+  }
+
+  const policyOids = stringList(input.policy_oids, 'policy_oids');
+  const badOids = policyOids.filter((o) => !OID_PATTERN.test(o));
+  if (badOids.length > 0) {
+    throw new ProfileError(`Invalid policy OID ${badOids.join(', ')}`);
+  }
+
+  const defaultSans = typeof input.default_sans === 'string' ? input.default_sans.trim() : '';
+  if (/[\r\n\[\]=]/.test(defaultSans)) {
+    throw new ProfileError('default_sans must be a comma-separated SAN list');
+  }
+
+  const approvalsRequired = input.approvals_required === undefined || input.approvals_required === null || input.approvals_required === ''
+    ? 1
+    : Number(input.approvals_required);
+  if (!Number.isInteger(approvalsRequired) || approvalsRequired < 0 || approvalsRequired > MAX_APPROVALS) {
+    throw new ProfileError(`approvals_required must be a whole number from 0 to ${MAX_APPROVALS}`);
+  }
+
+  return {
+    label,
+    description: typeof input.description === 'string' ? input.description.trim() : '',
+    key_usage: JSON.stringify(keyUsage),
+    key_usage_critical: input.key_usage_critical === false ? 0 : 1,
+    extended_key_usage: JSON.stringify(extendedKeyUsage),
+    basic_constraints: basicConstraints,
+    max_validity_days: maxDays,
+    default_validity_days: defaultDays,
+    allowed_key_types: JSON.stringify(allowedKeyTypes),
+    required_fields: JSON.stringify(requiredFields),
+    forbidden_fields: JSON.stringify(forbiddenFields),
+    policy_oids: JSON.stringify(policyOids),
+    default_sans: defaultSans,
+    approvals_required: approvalsRequired,
+  };
+}
+
+export function registerProfileRoutes(app, authMiddleware) {
+  const audited = (action) => [authMiddleware, auditAction(action, 'profile', (req, body) => ({ name: (body.profile && body.profile.name) || req.body.name })), requireRole('admin')];
+
+  // Everyone picks a profile when requesting; only admins change them
+  app.get('/api/profiles', authMiddleware, async (req, res) => {
+    try {
+      return res.json({
+        profiles: await listProfiles(),
+        options: {
+          key_usages: KEY_USAGES,
+          extended_key_usages: EXTENDED_KEY_USAGES,
+          subject_fields: Object.keys(SUBJECT_FIELDS),
+          key_types: Object.keys(KEY_TYPES),
+        },
+      });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to fetch profiles', details: e.message });
+    }
+  });
+
+  app.post('/api/profiles', audited('profile.create'), async (req, res) => {
+    const { name } = req.body || {};
+    if (!name || !/^[a-z0-9_-]{1,64}$/.test(name)) {
+      return res.status(400).json({ error: 'Name must be 1-64 characters of lowercase letters, digits, _ or -' });
+    }
+
+    try {
+      const fields = parseProfileBody(req.body);
+      const columns = Object.keys(fields);
+      const result = await dbRun(
+        `INSERT INTO certificate_profiles (name, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`,
+        [name, ...Object.values(fields)]
+      );
+      const profile = fromRow(await dbGet('SELECT * FROM certificate_profiles WHERE id = ?', [result.lastID]));
+      return res.json({ ok: true, id: profile.id, profile });
+    } catch (e) {
+      if (e instanceof ProfileError) {
+        return res.status(400).json({ error: e.message });
+      }
+      if (/UNIQUE/.test(e.message)) {
+        return res.status(409).json({ error: `Profile ${name} already exists` });
+      }
+      return res.status(500).json({ error: 'Failed to create profile', details: e.message });
+    }
+  });
+
+  // Update everything but the name, which CSRs refer to
+  app.put('/api/profiles/:id', audited('profile.update'), async (req, res) => {
+    try {
+      const existing = fromRow(await dbGet('SELECT * FROM certificate_profiles WHERE id = ?', [req.params.id]));
+      if (!existing) {
+        return res.status(404).json({ error: 'Profile not found' });
+      }
+
+      const fields = parseProfileBody(req.body, existing);
+      await dbRun(
+        `UPDATE certificate_profiles SET ${Object.keys(fields).map((c) => `${c} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...Object.values(fields), existing.id]
+      );
+      const profile = fromRow(await dbGet('SELECT * FROM certificate_profiles WHERE id = ?', [existing.id]));
+      return res.json({ ok: true, id: profile.id, profile });
+    } catch (e) {
+      if (e instanceof ProfileError) {
+        return res.status(400).json({ error: e.message });
+      }
+      return res.status(500).json({ error: 'Failed to update profile', details: e.message });
+    }
+  });
+
+  app.delete('/api/profiles/:id', audited('profile.delete'), async (req, res) => {
+    try {
+      const profile = fromRow(await dbGet('SELECT * FROM certificate_profiles WHERE id = ?', [req.params.id]));
+      if (!profile) {
+        return res.status(404).json({ error: 'Profile not found' });
+      }
+      if (profile.builtin) {
+        return res.status(400).json({ error: 'Built-in profiles can be edited but not deleted' });
+      }
+      const { pending } = await dbGet("SELECT COUNT(*) AS pending FROM csr_requests WHERE preset = ? AND status IN ('submitted', 'approved', 'issuing')", [profile.name]);
+      if (pending > 0) {
+        return res.status(409).json({ error: `Profile is used by ${pending} pending CSR(s)` });
+      }
+
+      await dbRun('DELETE FROM certificate_profiles WHERE id = ?', [profile.id]);
+      return res.json({ ok: true, profile: { name: profile.name } });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to delete profile', details: e.message });
+    }
+  });
+}
@@ -0,0 +1,108 @@
+// Rotate the master key: re-wrap the data key of every stored private key and
+// re-encrypt the CA key files under the new CA key passphrase.
+//
+// Run with the backend stopped:
+//   npm run rekey                                  new key replaces MASTER_KEY_FILE
+//   NEW_MASTER_KEY=<base64> npm run rekey          then set MASTER_KEY to the new value
+//   NEW_MASTER_KEY_FILE=/path npm run rekey        then point MASTER_KEY_FILE at it
+import crypto from 'crypto';
+import fs from 'fs';
+import { db } from './db.js';
+import {
+  caKeyFiles,
+  caKeyPassphrase,
+  loadMasterKey,
+  parseMasterKey,
+  protectKeyFile,
+  rewrapPrivateKey,
+} from './keystore.js';
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+function loadNewMasterKey() {
+  if (process.env.NEW_MASTER_KEY) {
+    return { key: parseMasterKey(process.env.NEW_MASTER_KEY, 'NEW_MASTER_KEY') };
+  }
+  if (process.env.NEW_MASTER_KEY_FILE) {
+    const file = process.env.NEW_MASTER_KEY_FILE;
+    if (!fs.existsSync(file)) {
+      const key = crypto.randomBytes(32);
+      fs.writeFileSync(file, `${key.toString('base64')}\n`, { mode: 0o600 });
+      return { key };
+    }
+    return { key: parseMasterKey(fs.readFileSync(file, 'utf8'), file) };
+  }
+  if (process.env.MASTER_KEY) {
+    throw new Error('MASTER_KEY is set in the environment; pass the replacement as NEW_MASTER_KEY or NEW_MASTER_KEY_FILE');
+  }
+
+  // File based master key: generate the replacement and swap the file when done
+  const keyFile = process.env.MASTER_KEY_FILE;
+  const pendingFile = `${keyFile}.new`;
+  const key = crypto.randomBytes(32);
+  fs.writeFileSync(pendingFile, `${key.toString('base64')}\n`, { mode: 0o600 });
+  return { key, pendingFile, keyFile };
+}
+
+async function rekey() {
+  const oldKey = loadMasterKey();
+  const { key: newKey, pendingFile, keyFile } = loadNewMasterKey();
+  if (oldKey.equals(newKey)) {
+    throw new Error('The new master key is the same as the current one');
+  }
+
+  // All rows change together or not at all
+  let rows = 0;
+  await dbRun('BEGIN IMMEDIATE');
+  try {
+    for (const [table, column] of [['csr_requests', 'key_pem'], ['certificates', 'key_pem'], ['users', 'totp_secret']]) {
+      const stored = await dbAll(`SELECT id, ${column} AS value FROM ${table} WHERE ${column} IS NOT NULL`);
+      for (const row of stored) {
+        await dbRun(`UPDATE ${table} SET ${column} = ? WHERE id = ?`, [rewrapPrivateKey(row.value, oldKey, newKey), row.id]);
+        rows += 1;
+      }
+    }
+    await dbRun('COMMIT');
+  } catch (e) {
+    await dbRun('ROLLBACK');
+    throw e;
+  }
+
+  const files = await caKeyFiles();
+  files.forEach((keyPath) => protectKeyFile(keyPath, caKeyPassphrase(oldKey), caKeyPassphrase(newKey)));
+
+  if (pendingFile) {
+    fs.renameSync(pendingFile, keyFile);
+  }
+
+  // eslint-disable-next-line no-console
+  console.log(`Re-encrypted ${rows} stored private key(s) and 2FA secret(s) and ${files.length} CA key file(s).`);
+  if (process.env.NEW_MASTER_KEY) {
+    // eslint-disable-next-line no-console
+    console.log('Set MASTER_KEY to the value of NEW_MASTER_KEY before starting the backend.');
+  } else if (process.env.NEW_MASTER_KEY_FILE) {
+    // eslint-disable-next-line no-console
+    console.log(`Set MASTER_KEY_FILE=${process.env.NEW_MASTER_KEY_FILE} before starting the backend.`);
+  } else {
+    // eslint-disable-next-line no-console
+    console.log(`Master key file ${keyFile} now holds the new key.`);
+  }
+}
+
+rekey()
+  .catch((e) => {
+    // eslint-disable-next-line no-console
+    console.error('Re-keying failed:', e.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
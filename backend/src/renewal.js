@@ -0,0 +1,229 @@
+import crypto from 'crypto';
+import { auditAction, recordAudit } from './audit.js';
+import { requireRole } from './auth.js';
+import { AlreadyRenewedError, issueCertificate, resolveSigningIssuer, storeCertificate } from './certificates.js';
+import { db } from './db.js';
+import { issuerExists } from './issuers.js';
+import { describeKey, generatePrivateKey, privateKeyPem } from './keys.js';
+import { decryptPrivateKey } from './keystore.js';
+import { InputError, requestFromCertificate } from './openssl.js';
+import { ProfileError, requireProfile } from './profiles.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BULK_WINDOW_DAYS = 365;
+
+class RenewalError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+// Extended key usage OIDs
+const EKU_SERVER_AUTH = '1.3.6.1.5.5.7.3.1';
+const EKU_CLIENT_AUTH = '1.3.6.1.5.5.7.3.2';
+const EKU_CODE_SIGNING = '1.3.6.1.5.5.7.3.3';
+
+// SANs of an issued certificate in the "DNS:a, IP:b" form the SAN field takes
+function certificateSans(x509) {
+  return (x509.subjectAltName || '')
+    .split(',')
+    .map((s) => s.trim().replace(/^IP Address:/, 'IP:'))
+    .filter((s) => /^(DNS|IP|email|URI):/.test(s))
+    .join(', ');
+}
+
+// Best guess at the preset of a certificate whose CSR has been deleted
+function certificatePreset(x509) {
+  const usages = x509.keyUsage || [];
+  if (usages.includes(EKU_CODE_SIGNING)) return 'code_signing';
+  if (usages.includes(EKU_CLIENT_AUTH) && !usages.includes(EKU_SERVER_AUTH)) return 'client_tls';
+  return 'server_tls';
+}
+
+// Original validity period in whole days
+function validityDays(cert) {
+  const days = Math.round((Date.parse(cert.not_after) - Date.parse(cert.not_before)) / DAY_MS);
+  return Number.isFinite(days) && days > 0 ? days : 365;
+}
+
+// Reissue a certificate with the same subject, SANs and preset, linked to the
+// original through renewed_from. With reuseKey the original CSR is signed again
+// (or, if it was deleted, a new CSR is made with the stored key); otherwise a
+// new key of the same type and size is generated.
+export async function renewCertificate(certId, { reuseKey = false, days, issuerId } = {}) {
+  const cert = await dbGet('SELECT * FROM certificates WHERE id = ?', [certId]);
+  if (!cert) {
+    throw new RenewalError(404, 'Certificate not found');
+  }
+  if (cert.source === 'imported') {
+    throw new RenewalError(400, 'Only certificates issued by this CA can be renewed');
+  }
+  if (cert.source === 'acme') {
+    throw new RenewalError(400, 'ACME certificates are renewed by their ACME client');
+  }
+  if (cert.source === 'est') {
+    throw new RenewalError(400, 'EST certificates are re-enrolled by their device');
+  }
+  if (cert.source === 'scep') {
+    throw new RenewalError(400, 'SCEP certificates are re-enrolled by their device');
+  }
+  if (cert.revoked_at && reuseKey) {
+    throw new RenewalError(400, 'The key of a revoked certificate cannot be reused; renew with a new key');
+  }
+  const successor = await dbGet('SELECT id FROM certificates WHERE renewed_from = ?', [cert.id]);
+  if (successor) {
+    throw new RenewalError(409, `Certificate has already been renewed (certificate ${successor.id})`);
+  }
+
+  const issuer = await resolveSigningIssuer(issuerId !== undefined ? issuerId : cert.issuer_ca_id);
+  if (!issuer || !issuerExists(issuer)) {
+    throw new RenewalError(400, 'Issuing CA not found');
+  }
+
+  const csr = cert.csr_id ? await dbGet('SELECT * FROM csr_requests WHERE id = ?', [cert.csr_id]) : null;
+
+  const x509 = new crypto.X509Certificate(cert.cert_pem);
+  const san = csr ? csr.san : certificateSans(x509);
+  const preset = csr ? csr.preset : certificatePreset(x509);
+  // Same validity as before unless the profile now allows less
+  const profile = await requireProfile(preset);
+  const validity = days === undefined || days === null || days === '' ? Math.min(validityDays(cert), profile.max_validity_days) : days;
+
+  let csrPem;
+  let keyPem;
+  if (reuseKey && csr) {
+    csrPem = csr.csr_pem;
+    keyPem = cert.key_pem;
+  } else {
+    let key;
+    if (reuseKey) {
+      if (!cert.key_pem) {
+        throw new RenewalError(400, 'The private key of this certificate is not stored; renew with a new key');
+      }
+      key = crypto.createPrivateKey(decryptPrivateKey(cert.key_pem));
+    } else {
+      key = await generatePrivateKey(describeKey(x509.publicKey));
+    }
+    // A request carrying the certificate's subject, signed by the key
+    csrPem = await requestFromCertificate(cert.cert_pem, key);
+    keyPem = reuseKey ? cert.key_pem : privateKeyPem(key);
+  }
+
+  // A renewal keeps the names that were approved for the original CSR
+  const approved = Boolean(csr && csr.status === 'issued');
+  const { certPem, chainPem, certInfo } = await issueCertificate({ csrPem, preset, san, days: validity, issuer, requestedBy: cert.requested_by, approved });
+  const id = await storeCertificate({
+    csr_id: cert.csr_id,
+    ...certInfo,
+    cert_pem: certPem,
+    key_pem: keyPem,
+    chain_pem: chainPem,
+    source: 'signed',
+    issuer_ca_id: issuer.id,
+    requested_by: cert.requested_by,
+    renewed_from: cert.id,
+  });
+
+  return {
+    id,
+    certificate: { id, ...certInfo, source: 'signed', issuer_ca_id: issuer.id, renewed_from: cert.id },
+  };
+}
+
+// Certificates that can be renewed in bulk: issued here, not revoked, not
+// renewed yet and expiring within `days`
+async function renewalCandidates(days) {
+  const rows = await dbAll(
+    `SELECT c.id, c.common_name, c.not_after FROM certificates c
+     WHERE c.source = 'signed' AND c.revoked_at IS NULL
+       AND NOT EXISTS (SELECT 1 FROM certificates r WHERE r.renewed_from = c.id)`
+  );
+  const cutoff = Date.now() + days * DAY_MS;
+  return rows.filter((r) => Date.parse(r.not_after) <= cutoff);
+}
+
+export function registerRenewalRoutes(app, authMiddleware) {
+  const canOperate = requireRole('admin', 'operator');
+
+  // Renew one certificate: { reuse_key, days, issuer_id }, all optional
+  app.post('/api/certificates/:id/renew', authMiddleware, auditAction('certificate.renew', 'certificate', (req, body) => ({
+    certificate_id: body.id,
+    serial_number: body.certificate && body.certificate.serial_number,
+    reuse_key: !!req.body.reuse_key,
+  })), canOperate, async (req, res) => {
+    const { reuse_key = false, days, issuer_id } = req.body || {};
+    try {
+      const renewed = await renewCertificate(req.params.id, { reuseKey: !!reuse_key, days, issuerId: issuer_id });
+      return res.json({ ok: true, ...renewed });
+    } catch (e) {
+      if (e instanceof RenewalError || e instanceof AlreadyRenewedError || e instanceof ProfileError || e instanceof InputError) {
+        return res.status(e.status).json({ error: e.message, violations: e.violations });
+      }
+      return res.status(500).json({ error: 'Failed to renew certificate', details: e.message });
+    }
+  });
+
+  // Renew every certificate expiring within `days`: { days, reuse_key }
+  app.post('/api/certificates/renew-expiring', authMiddleware, auditAction('certificate.renew.bulk', null, (req, body) => ({
+    days: req.body.days,
+    reuse_key: !!req.body.reuse_key,
+    renewed: body.renewed && body.renewed.length,
+    failed: body.failed && body.failed.length,
+  })), canOperate, async (req, res) => {
+    const { days, reuse_key = false } = req.body || {};
+    const window = Number(days);
+    if (!Number.isInteger(window) || window < 1 || window > MAX_BULK_WINDOW_DAYS) {
+      return res.status(400).json({ error: `days must be a whole number from 1 to ${MAX_BULK_WINDOW_DAYS}` });
+    }
+
+    let candidates;
+    try {
+      candidates = await renewalCandidates(window);
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to find expiring certificates', details: e.message });
+    }
+
+    // One at a time: every renewal runs OpenSSL and may generate a key
+    const renewed = [];
+    const failed = [];
+    for (const cert of candidates) {
+      try {
+        const { id, certificate } = await renewCertificate(cert.id, { reuseKey: !!reuse_key });
+        renewed.push({ id: cert.id, common_name: cert.common_name, new_id: id });
+        recordAudit({
+          actor: req.user,
+          action: 'certificate.renew',
+          targetType: 'certificate',
+          targetId: cert.id,
+          sourceIp: req.ip,
+          details: { certificate_id: id, serial_number: certificate.serial_number, reuse_key: !!reuse_key, bulk: true },
+        });
+      } catch (e) {
+        failed.push({ id: cert.id, common_name: cert.common_name, error: e.message });
+        recordAudit({
+          actor: req.user,
+          action: 'certificate.renew',
+          targetType: 'certificate',
+          targetId: cert.id,
+          sourceIp: req.ip,
+          outcome: 'failure',
+          details: { error: e.message, bulk: true },
+        });
+      }
+    }
+    return res.json({ ok: failed.length === 0, renewed, failed });
+  });
+}
@@ -0,0 +1,545 @@
+import crypto from 'crypto';
+import express from 'express';
+import fs from 'fs';
+import { contentBytes, der, elementBytes, explicit, integer, nullValue, octetString, oid, parseBer, printableString, readOid, sequence, set, utcTime } from './asn1.js';
+import { auditAction, recordAudit } from './audit.js';
+import { requireRole } from './auth.js';
+import { issueCertificate, resolveSigningIssuer, storeCertificate } from './certificates.js';
+import { db } from './db.js';
+import { issuerChainPem, issuerExists } from './issuers.js';
+import { generatePrivateKey, privateKeyPem } from './keys.js';
+import { caKeyPassphrase } from './keystore.js';
+import {
+  buildEnvelopedData,
+  buildPkcs7,
+  createCsr,
+  decryptEnvelopedData,
+  derToPem,
+  InputError,
+  parseCsr,
+  pemToDer,
+  signCsr,
+  verifySignedData,
+} from './openssl.js';
+import { getProfile, ProfileError } from './profiles.js';
+
+// SCEP (RFC 8894) for MDM, printers and routers. Devices authenticate with
+// a challenge password managed from the console; requests are encrypted to,
+// and responses signed by, an RSA registration authority (RA) certificate
+// the issuing CA hands out itself, so EC CAs can serve SCEP too.
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const MAX_NAME_LENGTH = 64;
+const RA_DAYS = 365;
+const RA_RENEW_MS = 30 * 24 * 60 * 60 * 1000;
+// SHA-1 and 3DES only for old devices that know nothing better; advertising
+// them would invite every client to downgrade
+const SCEP_LEGACY_ALGORITHMS = process.env.SCEP_LEGACY_ALGORITHMS === 'true';
+const CAPABILITIES = ['POSTPKIOperation', 'SHA-256', 'SHA-512', 'AES', 'SCEPStandard', ...(SCEP_LEGACY_ALGORITHMS ? ['SHA-1', 'DES3'] : [])];
+
+const OID_DATA = '1.2.840.113549.1.7.1';
+const OID_SIGNED_DATA = '1.2.840.113549.1.7.2';
+const OID_CONTENT_TYPE = '1.2.840.113549.1.9.3';
+const OID_MESSAGE_DIGEST = '1.2.840.113549.1.9.4';
+const OID_SIGNING_TIME = '1.2.840.113549.1.9.5';
+const OID_CHALLENGE_PASSWORD = '1.2.840.113549.1.9.7';
+const OID_RSA_ENCRYPTION = '1.2.840.113549.1.1.1';
+// SCEP's authenticated attributes
+const OID_MESSAGE_TYPE = '2.16.840.1.113733.1.9.2';
+const OID_PKI_STATUS = '2.16.840.1.113733.1.9.3';
+const OID_FAIL_INFO = '2.16.840.1.113733.1.9.4';
+const OID_SENDER_NONCE = '2.16.840.1.113733.1.9.5';
+const OID_RECIPIENT_NONCE = '2.16.840.1.113733.1.9.6';
+const OID_TRANSACTION_ID = '2.16.840.1.113733.1.9.7';
+
+const DIGEST_OIDS = {
+  sha1: '1.3.14.3.2.26',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  sha512: '2.16.840.1.101.3.4.2.3',
+};
+// Content encryption a request may use; the reply is encrypted the same way
+const CIPHER_OIDS = {
+  '2.16.840.1.101.3.4.1.2': 'aes-128-cbc',
+  '2.16.840.1.101.3.4.1.22': 'aes-192-cbc',
+  '2.16.840.1.101.3.4.1.42': 'aes-256-cbc',
+  ...(SCEP_LEGACY_ALGORITHMS ? { '1.2.840.113549.3.7': 'des-ede3-cbc' } : {}),
+};
+
+const MESSAGE_CERT_REP = '3';
+const MESSAGE_PKCS_REQ = '19';
+const STATUS_SUCCESS = '0';
+const STATUS_FAILURE = '2';
+const FAIL_BAD_ALG = '0';
+const FAIL_BAD_MESSAGE_CHECK = '1';
+const FAIL_BAD_REQUEST = '2';
+
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) reject(err);
+      else resolve(this);
+    });
+  });
+}
+
+class ScepError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Transport errors are plain text; refused requests are CertReps instead
+function sendError(res, e) {
+  const status = e instanceof ScepError ? e.status : 500;
+  if (status === 500) {
+    // eslint-disable-next-line no-console
+    console.error('SCEP error:', e.message);
+  }
+  return res.status(status).type('text/plain').send(`${e.message}\n`);
+}
+
+function handler(fn) {
+  return (req, res) => fn(req, res).catch((e) => sendError(res, e));
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function describeChallenge(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    profile: row.profile,
+    one_time: Boolean(row.one_time),
+    expires_at: row.expires_at,
+    use_count: row.use_count,
+    last_used_at: row.last_used_at,
+    last_used_ip: row.last_used_ip,
+    revoked_at: row.revoked_at,
+    created_by: row.created_by,
+    created_by_username: row.username || null,
+    created_at: row.created_at,
+  };
+}
+
+async function scepIssuer() {
+  const issuer = await resolveSigningIssuer(undefined);
+  if (!issuer || !issuerExists(issuer)) {
+    throw new ScepError(503, 'CA is not initialized');
+  }
+  return issuer;
+}
+
+// CA path and mtime for which the RA certificate was last found current
+const raCheckedFor = new Map();
+
+// Issue the RA certificate when missing, not issued by the current CA
+// certificate or close to expiry
+async function ensureRaCertificate(issuer) {
+  const { certPath: caCertPath, scepCertPath, scepKeyPath } = issuer;
+  const caStat = fs.statSync(caCertPath);
+  if (raCheckedFor.get(caCertPath) === caStat.mtimeMs && fs.existsSync(scepCertPath)) {
+    return;
+  }
+
+  if (fs.existsSync(scepCertPath) && fs.existsSync(scepKeyPath)) {
+    try {
+      const ca = new crypto.X509Certificate(fs.readFileSync(caCertPath));
+      const ra = new crypto.X509Certificate(fs.readFileSync(scepCertPath));
+      const current = ra.checkIssued(ca) && ra.verify(ca.publicKey)
+        && Date.parse(ra.validTo) - Date.now() > RA_RENEW_MS;
+      if (current) {
+        raCheckedFor.set(caCertPath, caStat.mtimeMs);
+        return;
+      }
+    } catch {
+      // unreadable: fall through and re-issue
+    }
+  }
+
+  const key = await generatePrivateKey({ keyType: 'RSA', keySize: 2048 });
+  const csrPem = await createCsr({ key, subject: { common_name: 'Roarin CA SCEP RA' } });
+  const certPem = await signCsr({
+    csrPem,
+    issuer,
+    serialNumber: Date.now().toString(16),
+    days: RA_DAYS,
+    extensions: [
+      'basicConstraints = critical,CA:FALSE',
+      'keyUsage = critical,digitalSignature,keyEncipherment',
+      'subjectKeyIdentifier = hash',
+      'authorityKeyIdentifier = keyid,issuer',
+    ],
+  });
+  fs.writeFileSync(scepKeyPath, privateKeyPem(key, caKeyPassphrase()), { mode: 0o600 });
+  fs.writeFileSync(scepCertPath, certPem);
+  raCheckedFor.set(caCertPath, caStat.mtimeMs);
+}
+
+const raPending = new Map();
+
+// The issuer's RA: { certPath, keyPath, certPem, certDer, key }. Concurrent
+// requests share a single check/re-issue.
+async function raFor(issuer) {
+  if (!raPending.has(issuer.certPath)) {
+    raPending.set(issuer.certPath, ensureRaCertificate(issuer).finally(() => {
+      raPending.delete(issuer.certPath);
+    }));
+  }
+  await raPending.get(issuer.certPath);
+  const certPem = fs.readFileSync(issuer.scepCertPath, 'utf8');
+  return {
+    certPath: issuer.scepCertPath,
+    keyPath: issuer.scepKeyPath,
+    certPem,
+    certDer: pemToDer(certPem),
+    key: crypto.createPrivateKey({ key: fs.readFileSync(issuer.scepKeyPath), passphrase: caKeyPassphrase() }),
+  };
+}
+
+// What the reply needs from a pkiMessage: the SCEP attributes of its signer
+// and the digest algorithm it signed with
+function readPkiMessage(message) {
+  try {
+    const contentInfo = parseBer(message);
+    if (readOid(contentInfo.children[0]) !== OID_SIGNED_DATA) {
+      throw new Error('not SignedData');
+    }
+    const signedData = contentInfo.children[1].children[0];
+    const signerInfo = signedData.children[signedData.children.length - 1].children[0];
+    const digestOid = readOid(signerInfo.children[2].children[0]);
+    const signedAttributes = signerInfo.children.find((node) => node.tag === 0xa0);
+
+    const attributes = new Map();
+    (signedAttributes ? signedAttributes.children : []).forEach((attribute) => {
+      attributes.set(readOid(attribute.children[0]), contentBytes(attribute.children[1].children[0]));
+    });
+    const text = (name) => (attributes.get(name) || Buffer.alloc(0)).toString('latin1');
+    return {
+      messageType: text(OID_MESSAGE_TYPE),
+      transactionId: text(OID_TRANSACTION_ID),
+      senderNonce: attributes.get(OID_SENDER_NONCE) || null,
+      digest: Object.keys(DIGEST_OIDS).find((name) => DIGEST_OIDS[name] === digestOid) || 'sha256',
+    };
+  } catch {
+    throw new ScepError(400, 'Malformed SCEP message');
+  }
+}
+
+// OpenSSL name of the EnvelopedData's content cipher, null if unsupported
+function contentCipher(envelopedData) {
+  try {
+    const fields = parseBer(envelopedData).children[1].children[0].children;
+    // version, optional originatorInfo, recipientInfos, encryptedContentInfo
+    const encryptedContentInfo = fields.find((node) => node.tag === 0x30);
+    return CIPHER_OIDS[readOid(encryptedContentInfo.children[1].children[0])] || null;
+  } catch {
+    return null;
+  }
+}
+
+// The challengePassword attribute of a PKCS#10 request (DER)
+function challengePassword(csrDer) {
+  const info = parseBer(csrDer).children[0];
+  const attributes = info.children.find((node) => node.tag === 0xa0);
+  const attribute = (attributes ? attributes.children : []).find((node) => readOid(node.children[0]) === OID_CHALLENGE_PASSWORD);
+  return attribute ? contentBytes(attribute.children[1].children[0]).toString('utf8') : '';
+}
+
+// Take one use of a challenge; one-time challenges allow a single use.
+// Null when the password is unknown, used, expired or revoked.
+async function claimChallenge(password, sourceIp) {
+  if (!password) {
+    return null;
+  }
+  const row = await dbGet('SELECT * FROM scep_challenges WHERE secret_hash = ?', [hashSecret(password)]);
+  if (!row || row.revoked_at || (row.expires_at && Date.parse(row.expires_at) <= Date.now())) {
+    return null;
+  }
+  const result = await dbRun(
+    'UPDATE scep_challenges SET use_count = use_count + 1, last_used_at = ?, last_used_ip = ? WHERE id = ? AND (one_time = 0 OR use_count = 0)',
+    [new Date().toISOString(), sourceIp, row.id]
+  );
+  return result.changes === 1 ? row : null;
+}
+
+// Give the use back when nothing was issued
+function releaseChallenge(row) {
+  return dbRun('UPDATE scep_challenges SET use_count = use_count - 1 WHERE id = ? AND use_count > 0', [row.id]);
+}
+
+function attribute(type, value) {
+  return sequence(oid(type), set(value));
+}
+
+// IssuerAndSerialNumber of a certificate (DER)
+function issuerAndSerialNumber(certDer) {
+  const tbs = parseBer(certDer).children[0];
+  // serialNumber, signature, issuer, after the optional [0] version
+  const fields = tbs.children[0].tag === 0xa0 ? tbs.children.slice(1) : tbs.children;
+  return sequence(elementBytes(fields[2]), elementBytes(fields[0]));
+}
+
+// CertRep pkiMessage signed by the RA, answering the request's transaction;
+// `envelope` holds the encrypted certificate on success
+function certRep(request, ra, { status, failInfo = null, envelope = null }) {
+  const digestAlgorithm = sequence(oid(DIGEST_OIDS[request.digest]), nullValue());
+  const content = envelope || Buffer.alloc(0);
+  // Signed attributes are a SET OF, so in DER order
+  const attributes = [
+    attribute(OID_CONTENT_TYPE, oid(OID_DATA)),
+    attribute(OID_SIGNING_TIME, utcTime(new Date())),
+    attribute(OID_MESSAGE_DIGEST, octetString(crypto.createHash(request.digest).update(content).digest())),
+    attribute(OID_MESSAGE_TYPE, printableString(MESSAGE_CERT_REP)),
+    attribute(OID_PKI_STATUS, printableString(status)),
+    ...(failInfo ? [attribute(OID_FAIL_INFO, printableString(failInfo))] : []),
+    attribute(OID_TRANSACTION_ID, printableString(request.transactionId)),
+    attribute(OID_SENDER_NONCE, octetString(crypto.randomBytes(16))),
+    ...(request.senderNonce ? [attribute(OID_RECIPIENT_NONCE, octetString(request.senderNonce))] : []),
+  ].sort(Buffer.compare);
+  const signature = crypto.sign(request.digest, set(...attributes), ra.key);
+
+  const signerInfo = sequence(
+    integer(1),
+    issuerAndSerialNumber(ra.certDer),
+    digestAlgorithm,
+    der(0xa0, ...attributes),
+    sequence(oid(OID_RSA_ENCRYPTION), nullValue()),
+    octetString(signature),
+  );
+  return sequence(
+    oid(OID_SIGNED_DATA),
+    explicit(sequence(
+      integer(1),
+      set(digestAlgorithm),
+      sequence(oid(OID_DATA), ...(envelope ? [explicit(octetString(envelope))] : [])),
+      der(0xa0, ra.certDer),
+      set(signerInfo),
+    )),
+  );
+}
+
+// PKCSReq: verify the signature, decrypt the CSR, check its challenge
+// password and issue with the challenge's profile. Anything refused is
+// answered with a FAILURE CertRep, as clients expect.
+async function pkiOperation(req, message) {
+  const issuer = await scepIssuer();
+  const ra = await raFor(issuer);
+  const request = readPkiMessage(message);
+  if (!request.transactionId) {
+    throw new ScepError(400, 'The SCEP message has no transaction ID');
+  }
+
+  let challenge = null;
+  const refuse = (failInfo, error) => {
+    recordAudit({
+      actor: { username: challenge ? `scep:challenge/${challenge.id}` : 'scep' },
+      action: 'certificate.sign',
+      sourceIp: req.ip,
+      outcome: 'failure',
+      details: { source: 'scep', transaction_id: request.transactionId, profile: challenge ? challenge.profile : null, error },
+    });
+    return certRep(request, ra, { status: STATUS_FAILURE, failInfo });
+  };
+
+  if (request.messageType !== MESSAGE_PKCS_REQ) {
+    return refuse(FAIL_BAD_REQUEST, `Unsupported message type ${request.messageType || '(none)'}`);
+  }
+  if (request.digest === 'sha1' && !SCEP_LEGACY_ALGORITHMS) {
+    return refuse(FAIL_BAD_ALG, 'SHA-1 is not accepted; use SHA-256 or SHA-512');
+  }
+
+  let signed;
+  let csrDer;
+  try {
+    signed = await verifySignedData(message);
+  } catch (e) {
+    if (e instanceof InputError) return refuse(FAIL_BAD_MESSAGE_CHECK, e.message);
+    throw e;
+  }
+  const cipher = contentCipher(signed.content);
+  if (!cipher) {
+    return refuse(FAIL_BAD_ALG, 'Unsupported content encryption');
+  }
+  try {
+    csrDer = await decryptEnvelopedData(signed.content, ra);
+  } catch (e) {
+    if (e instanceof InputError) return refuse(FAIL_BAD_MESSAGE_CHECK, e.message);
+    throw e;
+  }
+
+  let password;
+  try {
+    password = challengePassword(csrDer);
+  } catch {
+    return refuse(FAIL_BAD_REQUEST, 'The encrypted request is not a PKCS#10 CSR');
+  }
+  challenge = await claimChallenge(password, req.ip);
+  if (!challenge) {
+    return refuse(FAIL_BAD_REQUEST, 'The challenge password is invalid, used, expired or revoked');
+  }
+
+  let certPem;
+  try {
+    const csrPem = derToPem(csrDer, 'CERTIFICATE REQUEST');
+    const parsed = await parseCsr(csrPem);
+    const issued = await issueCertificate({ csrPem, preset: challenge.profile, san: parsed.san, issuer, requestedBy: challenge.created_by });
+    certPem = issued.certPem;
+    const id = await storeCertificate({
+      ...issued.certInfo,
+      cert_pem: issued.certPem,
+      chain_pem: issued.chainPem,
+      source: 'scep',
+      issuer_ca_id: issuer.id,
+      requested_by: challenge.created_by,
+    });
+    recordAudit({
+      actor: { username: `scep:challenge/${challenge.id}` },
+      action: 'certificate.sign',
+      targetType: 'certificate',
+      targetId: id,
+      sourceIp: req.ip,
+      details: { source: 'scep', transaction_id: request.transactionId, profile: challenge.profile, serial_number: issued.certInfo.serial_number },
+    });
+  } catch (e) {
+    await releaseChallenge(challenge);
+    if (e instanceof ProfileError || e instanceof InputError) return refuse(FAIL_BAD_REQUEST, e.message);
+    throw e;
+  }
+
+  const envelope = await buildEnvelopedData(await buildPkcs7(certPem), signed.signerPem, cipher);
+  return certRep(request, ra, { status: STATUS_SUCCESS, envelope });
+}
+
+function sendPkiMessage(res, der) {
+  res.setHeader('Content-Type', 'application/x-pki-message');
+  return res.send(der);
+}
+
+export function registerScepRoutes(app, authMiddleware) {
+  const canManage = requireRole('admin', 'operator');
+
+  app.get('/api/scep/challenges', authMiddleware, requireRole('admin', 'operator', 'auditor'), async (req, res) => {
+    try {
+      const rows = await dbAll(
+        `SELECT c.*, u.username FROM scep_challenges c LEFT JOIN users u ON u.id = c.created_by
+         ORDER BY c.created_at DESC, c.id DESC`
+      );
+      return res.json({ challenges: rows.map(describeChallenge) });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to list SCEP challenges', details: e.message });
+    }
+  });
+
+  // The password is returned once; reusable challenges must expire
+  app.post('/api/scep/challenges', authMiddleware, auditAction('scep.challenge.create', 'scep_challenge', (req) => ({
+    name: req.body.name,
+    profile: req.body.profile,
+    one_time: req.body.one_time !== false,
+    expires_at: req.body.expires_at || null,
+  })), canManage, async (req, res) => {
+    const { name, profile, one_time: oneTime = true, expires_at } = req.body || {};
+
+    const label = typeof name === 'string' ? name.trim() : '';
+    if (!label || label.length > MAX_NAME_LENGTH) {
+      return res.status(400).json({ error: `Name must be 1-${MAX_NAME_LENGTH} characters` });
+    }
+    if (typeof oneTime !== 'boolean') {
+      return res.status(400).json({ error: 'one_time must be true or false' });
+    }
+
+    let expiresAt = null;
+    if (expires_at) {
+      const time = Date.parse(expires_at);
+      if (Number.isNaN(time)) {
+        return res.status(400).json({ error: 'expires_at must be a date' });
+      }
+      if (time <= Date.now()) {
+        return res.status(400).json({ error: 'expires_at must be in the future' });
+      }
+      expiresAt = new Date(time).toISOString();
+    } else if (!oneTime) {
+      return res.status(400).json({ error: 'A reusable challenge password must have an expiry date' });
+    }
+
+    try {
+      if (!(await getProfile(profile))) {
+        return res.status(400).json({ error: `Unknown profile: ${profile}` });
+      }
+      // Hex stays within PrintableString, which some clients insist on
+      const secret = crypto.randomBytes(16).toString('hex');
+      const result = await dbRun(
+        'INSERT INTO scep_challenges (name, secret_hash, profile, one_time, expires_at, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [label, hashSecret(secret), profile, oneTime ? 1 : 0, expiresAt, req.user.id, new Date().toISOString()]
+      );
+      const row = await dbGet('SELECT c.*, u.username FROM scep_challenges c LEFT JOIN users u ON u.id = c.created_by WHERE c.id = ?', [result.lastID]);
+      return res.json({ ok: true, id: row.id, password: secret, challenge: describeChallenge(row) });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to create SCEP challenge', details: e.message });
+    }
+  });
+
+  // Revoked challenges are kept so audit entries naming them still resolve
+  app.delete('/api/scep/challenges/:id', authMiddleware, auditAction('scep.challenge.revoke', 'scep_challenge'), canManage, async (req, res) => {
+    try {
+      const row = await dbGet('SELECT * FROM scep_challenges WHERE id = ?', [req.params.id]);
+      if (!row) {
+        return res.status(404).json({ error: 'SCEP challenge not found' });
+      }
+      if (!row.revoked_at) {
+        await dbRun('UPDATE scep_challenges SET revoked_at = ? WHERE id = ?', [new Date().toISOString(), row.id]);
+      }
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to revoke SCEP challenge', details: e.message });
+    }
+  });
+
+  // SCEP itself (public): clients use /scep or the traditional /scep/pkiclient.exe
+  const scepPaths = ['/scep', '/scep/pkiclient.exe'];
+
+  app.get(scepPaths, handler(async (req, res) => {
+    const { operation, message } = req.query;
+    if (operation === 'GetCACaps') {
+      return res.type('text/plain').send(CAPABILITIES.join('\n'));
+    }
+    if (operation === 'GetCACert') {
+      const issuer = await scepIssuer();
+      const ra = await raFor(issuer);
+      res.setHeader('Content-Type', 'application/x-x509-ca-ra-cert');
+      return res.send(await buildPkcs7(ra.certPem + issuerChainPem(issuer)));
+    }
+    if (operation === 'PKIOperation') {
+      // Base64 in the query string; '+' may arrive decoded as a space
+      const der = typeof message === 'string' ? Buffer.from(message.replace(/ /g, '+'), 'base64') : Buffer.alloc(0);
+      if (der.length === 0) {
+        throw new ScepError(400, 'PKIOperation needs a message');
+      }
+      return sendPkiMessage(res, await pkiOperation(req, der));
+    }
+    throw new ScepError(400, `Unsupported SCEP operation ${operation || '(none)'}`);
+  }));
+
+  app.post(scepPaths, express.raw({ type: () => true, limit: MAX_MESSAGE_BYTES }), handler(async (req, res) => {
+    if (req.query.operation !== 'PKIOperation') {
+      throw new ScepError(400, `Unsupported SCEP operation ${req.query.operation || '(none)'}`);
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      throw new ScepError(400, 'PKIOperation needs a message');
+    }
+    return sendPkiMessage(res, await pkiOperation(req, req.body));
+  }));
+}
@@ -4,10 +4,29 @@ import cookieParser from 'cookie-parser';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { initDb } from './db.js';
+import { encryptStoredKeys } from './keystore.js';
 import { seedAdminUser, registerAuthRoutes, authMiddleware } from './auth.js';
+import { registerUserRoutes } from './users.js';
+import { registerTokenRoutes } from './tokens.js';
+import { registerTwoFactorRoutes } from './twofactor.js';
+import { registerSessionRoutes } from './sessions.js';
+import { registerOidcRoutes } from './oidc.js';
+import { registerAuditRoutes } from './audit.js';
 import { registerCaRoutes } from './ca.js';
+import { loadCaGenerations, registerGenerationRoutes } from './generations.js';
 import { registerCsrRoutes } from './csr.js';
+import { registerApprovalRoutes } from './approvals.js';
 import { registerCertRoutes } from './certificates.js';
+import { registerProfileRoutes, seedProfiles } from './profiles.js';
+import { registerPolicyRoutes } from './policies.js';
+import { registerRenewalRoutes } from './renewal.js';
+import { registerCrlRoutes, startCrlScheduler } from './crl.js';
+import { registerOcspRoutes } from './ocsp.js';
+import { registerAcmeRoutes } from './acme.js';
+import { registerEstRoutes } from './est.js';
+import { registerScepRoutes } from './scep.js';
+import { registerExpiryRoutes, startExpiryScheduler } from './expiry.js';
+import { registerToolRoutes } from './tools.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,6 +34,12 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const port = process.env.PORT || 4000;
 
+// Behind a reverse proxy, lets req.ip/req.protocol reflect the real client
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 app.use(express.json({ limit: '10mb' }));
 app.use(cookieParser());
 app.use(cors({
@@ -24,11 +49,43 @@ app.use(cors({
 
 initDb();
 seedAdminUser();
+seedProfiles();
+encryptStoredKeys().catch((e) => {
+  // eslint-disable-next-line no-console
+  console.error('Failed to encrypt stored private keys:', e.message);
+});
 
 registerAuthRoutes(app);
+registerOidcRoutes(app);
+registerTwoFactorRoutes(app, authMiddleware);
+registerSessionRoutes(app, authMiddleware);
+registerUserRoutes(app, authMiddleware);
+registerTokenRoutes(app, authMiddleware);
+registerAuditRoutes(app, authMiddleware);
 registerCaRoutes(app, authMiddleware);
+registerGenerationRoutes(app, authMiddleware);
+registerProfileRoutes(app, authMiddleware);
+registerPolicyRoutes(app, authMiddleware);
 registerCsrRoutes(app, authMiddleware);
+registerApprovalRoutes(app, authMiddleware);
 registerCertRoutes(app, authMiddleware);
+registerRenewalRoutes(app, authMiddleware);
+registerExpiryRoutes(app, authMiddleware);
+registerToolRoutes(app, authMiddleware);
+registerCrlRoutes(app);
+registerOcspRoutes(app);
+registerAcmeRoutes(app);
+registerEstRoutes(app);
+registerScepRoutes(app, authMiddleware);
+
+// CRLs are published per root generation, so those are loaded first
+loadCaGenerations()
+  .catch((e) => {
+    // eslint-disable-next-line no-console
+    console.error('Failed to load CA generations:', e.message);
+  })
+  .then(() => startCrlScheduler());
+startExpiryScheduler();
 
 app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import { auditAction } from './audit.js';
+import { requireRole } from './auth.js';
+import { db } from './db.js';
+
+// Console sessions live server-side: the JWT cookie only carries the session
+// id, so deleting the row signs the browser out at its next request
+export const SESSION_HOURS = 8;
+// last_seen_at is refreshed at most this often
+const TOUCH_INTERVAL_MS = 60 * 1000;
+const MAX_USER_AGENT_LENGTH = 255;
+
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      return err ? reject(err) : resolve(this);
+    });
+  });
+}
+
+export async function createSession(userId, req) {
+  const id = crypto.randomBytes(18).toString('base64url');
+  const now = new Date();
+  // Expired sessions are cleared whenever a new one starts
+  await dbRun('DELETE FROM sessions WHERE expires_at < ?', [now.toISOString()]);
+  await dbRun(
+    'INSERT INTO sessions (id, user_id, ip, user_agent, created_at, last_seen_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [
+      id,
+      userId,
+      req.ip,
+      (req.headers['user-agent'] || '').slice(0, MAX_USER_AGENT_LENGTH),
+      now.toISOString(),
+      now.toISOString(),
+      new Date(now.getTime() + SESSION_HOURS * 60 * 60 * 1000).toISOString(),
+    ]
+  );
+  return id;
+}
+
+// The live session with its account, or undefined once ended or expired
+export function findSession(id) {
+  return dbGet(
+    `SELECT s.id AS session_id, s.last_seen_at, u.id, u.username, u.role, u.disabled, u.totp_enabled, u.auth_source
+     FROM sessions s JOIN users u ON u.id = s.user_id
+     WHERE s.id = ? AND s.expires_at > ?`,
+    [id || '', new Date().toISOString()]
+  );
+}
+
+export function touchSession(session, req) {
+  if (Date.now() - Date.parse(session.last_seen_at) < TOUCH_INTERVAL_MS) return;
+  dbRun('UPDATE sessions SET last_seen_at = ?, ip = ? WHERE id = ?', [new Date().toISOString(), req.ip, session.session_id]).catch((e) => {
+    // eslint-disable-next-line no-console
+    console.error('Failed to update session:', e.message);
+  });
+}
+
+export function endSession(id) {
+  return dbRun('DELETE FROM sessions WHERE id = ?', [id || '']);
+}
+
+// Sign a user out everywhere, optionally except the session making the request
+export async function endUserSessions(userId, exceptId = null) {
+  const result = await dbRun('DELETE FROM sessions WHERE user_id = ? AND id != ?', [userId, exceptId || '']);
+  return result.changes;
+}
+
+function listSessions(userId = null) {
+  return dbAll(
+    `SELECT s.id, s.user_id, u.username, s.ip, s.user_agent, s.created_at, s.last_seen_at, s.expires_at
+     FROM sessions s JOIN users u ON u.id = s.user_id
+     WHERE s.expires_at > ? ${userId ? 'AND s.user_id = ?' : ''}
+     ORDER BY s.last_seen_at DESC`,
+    userId ? [new Date().toISOString(), userId] : [new Date().toISOString()]
+  );
+}
+
+export function registerSessionRoutes(app, authMiddleware) {
+  const adminOnly = requireRole('admin');
+
+  // Own sessions; `current` marks the one making the request
+  app.get('/api/auth/sessions', authMiddleware, async (req, res) => {
+    try {
+      const sessions = await listSessions(req.user.id);
+      return res.json(sessions.map((s) => ({ ...s, current: s.id === req.sessionId })));
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to list sessions', details: e.message });
+    }
+  });
+
+  app.delete('/api/auth/sessions/:id', authMiddleware, auditAction('auth.session.end', 'session'), async (req, res) => {
+    try {
+      const session = await dbGet('SELECT id FROM sessions WHERE id = ? AND user_id = ?', [req.params.id, req.user.id]);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      await endSession(session.id);
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to end session', details: e.message });
+    }
+  });
+
+  // Every active session, or one user's with ?user_id=
+  app.get('/api/sessions', authMiddleware, adminOnly, async (req, res) => {
+    try {
+      const sessions = await listSessions(Number(req.query.user_id) || null);
+      return res.json(sessions.map((s) => ({ ...s, current: s.id === req.sessionId })));
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to list sessions', details: e.message });
+    }
+  });
+
+  app.delete('/api/sessions/:id', authMiddleware, auditAction('session.end', 'session'), adminOnly, async (req, res) => {
+    try {
+      const result = await endSession(req.params.id);
+      if (result.changes === 0) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to end session', details: e.message });
+    }
+  });
+
+  // Sign a user out everywhere (an admin ending their own keeps the current one)
+  app.delete('/api/users/:id/sessions', authMiddleware, auditAction('user.sessions.end', 'user', (req, body) => ({ ended: body.ended })), adminOnly, async (req, res) => {
+    try {
+      const ended = await endUserSessions(Number(req.params.id), req.sessionId);
+      return res.json({ ok: true, ended });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to end sessions', details: e.message });
+    }
+  });
+}
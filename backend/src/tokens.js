@@ -0,0 +1,245 @@
+import crypto from 'crypto';
+import { auditAction } from './audit.js';
+import { db } from './db.js';
+import { getProfile } from './profiles.js';
+
+// Long-lived credentials for scripts and CI, sent as "Authorization: Bearer
+// rca_...". Only a SHA-256 hash is stored; the token is shown once on creation.
+const TOKEN_PREFIX = 'rca_';
+const MAX_NAME_LENGTH = 64;
+
+export const TOKEN_SCOPES = {
+  read: 'Read CA settings, profiles, CSRs, certificates and expiry status, but no private keys',
+  keys: 'Download and export private keys and PKCS#12 bundles',
+  csr: 'Create, upload and delete CSRs',
+  sign: 'Sign CSRs; sign:<profile> allows one profile only',
+  renew: 'Renew certificates',
+  revoke: 'Revoke certificates',
+  import: 'Import certificates',
+  delete: 'Delete certificates',
+};
+
+// Scopes a token may carry, by the role of its owner; the role is still
+// checked on every request, so a token never exceeds its owner's rights
+const ROLE_SCOPES = {
+  admin: Object.keys(TOKEN_SCOPES),
+  operator: Object.keys(TOKEN_SCOPES),
+  requester: ['read', 'keys', 'csr'],
+  auditor: ['read'],
+};
+
+// Scope needed per route, first match wins. Routes without a scope (CA
+// setup, users, profile editing, tokens and sessions themselves) need a
+// console login.
+const SCOPED_ROUTES = [
+  ['GET', /^\/api\/(csr|certificates)\/[^/]+\/download\/key$/, 'keys'],
+  ['POST', /^\/api\/certificates\/[^/]+\/export\/(pkcs12|key)$/, 'keys'],
+  ['POST', /^\/api\/certificates\/[^/]+\/export\/truststore$/, 'read'],
+  ['GET', /^\/api\/tokens(\/|$)/, null],
+  ['GET', /^\/api\/(auth\/(?!me$)|sessions)/, null],
+  ['GET', /^\/api\//, 'read'],
+  ['POST', /^\/api\/tools\/(decode|convert)$/, 'read'],
+  ['POST', /^\/api\/csr(\/parse|\/upload)?$/, 'csr'],
+  ['DELETE', /^\/api\/csr\/[^/]+$/, 'csr'],
+  ['POST', /^\/api\/csr\/[^/]+\/comments$/, 'csr'],
+  ['POST', /^\/api\/certificates\/sign\/[^/]+$/, 'sign'],
+  ['POST', /^\/api\/certificates\/(renew-expiring|[^/]+\/renew)$/, 'renew'],
+  ['POST', /^\/api\/certificates\/[^/]+\/revoke$/, 'revoke'],
+  ['POST', /^\/api\/certificates\/import$/, 'import'],
+  ['DELETE', /^\/api\/certificates\/[^/]+$/, 'delete'],
+];
+
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      return err ? reject(err) : resolve(this);
+    });
+  });
+}
+
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function describeToken(row) {
+  return {
+    id: row.id,
+    user_id: row.user_id,
+    username: row.username,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: JSON.parse(row.scopes),
+    expires_at: row.expires_at,
+    last_used_at: row.last_used_at,
+    last_used_ip: row.last_used_ip,
+    revoked_at: row.revoked_at,
+    created_at: row.created_at,
+  };
+}
+
+// Whether a secret is meant as an API token rather than a password
+export function isApiToken(secret) {
+  return typeof secret === 'string' && secret.startsWith(TOKEN_PREFIX);
+}
+
+// The scope a request needs when made with a token, null if tokens cannot make it
+export function tokenScopeFor(method, path) {
+  const verb = method === 'HEAD' ? 'GET' : method;
+  const route = SCOPED_ROUTES.find(([m, pattern]) => m === verb && pattern.test(path));
+  return route ? route[2] : null;
+}
+
+export function hasScope(scopes, scope) {
+  if (scopes.includes(scope)) return true;
+  return scope === 'sign' && scopes.some((s) => s.startsWith('sign:'));
+}
+
+// For routes that sign: false when the token is limited to other profiles.
+// Console sessions have no req.apiToken and are not limited.
+export function tokenAllowsProfile(req, profileName) {
+  if (!req.apiToken) return true;
+  return req.apiToken.scopes.includes('sign') || req.apiToken.scopes.includes(`sign:${profileName}`);
+}
+
+// Look up a presented token. Returns { token, user } or { error } for unknown,
+// revoked and expired tokens and disabled owners.
+export async function authenticateApiToken(secret, sourceIp) {
+  if (!secret.startsWith(TOKEN_PREFIX)) {
+    return { error: 'Invalid API token' };
+  }
+  const row = await dbGet(
+    `SELECT t.*, u.username, u.role, u.disabled, u.totp_enabled, u.auth_source FROM api_tokens t
+     JOIN users u ON u.id = t.user_id WHERE t.token_hash = ?`,
+    [hashToken(secret)]
+  );
+  if (!row || row.revoked_at) {
+    return { error: 'Invalid API token' };
+  }
+  if (row.expires_at && Date.parse(row.expires_at) <= Date.now()) {
+    return { error: 'API token has expired' };
+  }
+  if (row.disabled) {
+    return { error: 'Account is disabled or no longer exists' };
+  }
+
+  dbRun('UPDATE api_tokens SET last_used_at = ?, last_used_ip = ? WHERE id = ?', [new Date().toISOString(), sourceIp, row.id]).catch((e) => {
+    // eslint-disable-next-line no-console
+    console.error('Failed to record API token use:', e.message);
+  });
+
+  return {
+    token: { id: row.id, name: row.name, scopes: JSON.parse(row.scopes) },
+    user: { id: row.user_id, username: row.username, role: row.role, two_factor: !!row.totp_enabled, sso: row.auth_source === 'oidc' },
+  };
+}
+
+async function validateScopes(scopes, role) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'Choose at least one scope';
+  }
+  const allowed = ROLE_SCOPES[role] || [];
+  for (const scope of scopes) {
+    const [base, profileName] = typeof scope === 'string' ? scope.split(/:(.*)/s) : [];
+    if (!TOKEN_SCOPES[base] || (profileName !== undefined && base !== 'sign')) {
+      return `Unknown scope ${scope}; use ${Object.keys(TOKEN_SCOPES).join(', ')} or sign:<profile>`;
+    }
+    if (!allowed.includes(base)) {
+      return `Your role cannot grant the ${base} scope`;
+    }
+    if (profileName !== undefined && !(await getProfile(profileName))) {
+      return `Unknown profile ${profileName} in scope ${scope}`;
+    }
+  }
+  return null;
+}
+
+export function registerTokenRoutes(app, authMiddleware) {
+  // Own tokens; admins see everyone's with ?all=true. Also returns the scopes
+  // the caller can grant.
+  app.get('/api/tokens', authMiddleware, async (req, res) => {
+    const all = req.user.role === 'admin' && req.query.all === 'true';
+    try {
+      const rows = await dbAll(
+        `SELECT t.*, u.username FROM api_tokens t JOIN users u ON u.id = t.user_id
+         ${all ? '' : 'WHERE t.user_id = ?'} ORDER BY t.created_at DESC, t.id DESC`,
+        all ? [] : [req.user.id]
+      );
+      const scopes = (ROLE_SCOPES[req.user.role] || []).map((name) => ({ name, description: TOKEN_SCOPES[name] }));
+      return res.json({ tokens: rows.map(describeToken), scopes });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to list API tokens', details: e.message });
+    }
+  });
+
+  // { name, scopes, expires_at }; expires_at is optional
+  app.post('/api/tokens', authMiddleware, auditAction('token.create', 'api_token', (req) => ({
+    name: req.body.name,
+    scopes: req.body.scopes,
+    expires_at: req.body.expires_at || null,
+  })), async (req, res) => {
+    const { name, scopes, expires_at } = req.body || {};
+
+    const label = typeof name === 'string' ? name.trim() : '';
+    if (!label || label.length > MAX_NAME_LENGTH) {
+      return res.status(400).json({ error: `Name must be 1-${MAX_NAME_LENGTH} characters` });
+    }
+
+    let expiresAt = null;
+    if (expires_at) {
+      const time = Date.parse(expires_at);
+      if (Number.isNaN(time)) {
+        return res.status(400).json({ error: 'expires_at must be a date' });
+      }
+      if (time <= Date.now()) {
+        return res.status(400).json({ error: 'expires_at must be in the future' });
+      }
+      expiresAt = new Date(time).toISOString();
+    }
+
+    try {
+      const scopeError = await validateScopes(scopes, req.user.role);
+      if (scopeError) {
+        return res.status(400).json({ error: scopeError });
+      }
+
+      const secret = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+      const result = await dbRun(
+        'INSERT INTO api_tokens (user_id, name, token_hash, prefix, scopes, expires_at, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [req.user.id, label, hashToken(secret), secret.slice(0, TOKEN_PREFIX.length + 6), JSON.stringify([...new Set(scopes)]), expiresAt, new Date().toISOString()]
+      );
+      const row = await dbGet('SELECT t.*, u.username FROM api_tokens t JOIN users u ON u.id = t.user_id WHERE t.id = ?', [result.lastID]);
+      return res.json({ ok: true, id: row.id, token: secret, api_token: describeToken(row) });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to create API token', details: e.message });
+    }
+  });
+
+  // Revoke: owners revoke their own tokens, admins any. The row is kept so
+  // audit entries naming the token still resolve.
+  app.delete('/api/tokens/:id', authMiddleware, auditAction('token.revoke', 'api_token'), async (req, res) => {
+    try {
+      const row = await dbGet('SELECT * FROM api_tokens WHERE id = ?', [req.params.id]);
+      if (!row || (row.user_id !== req.user.id && req.user.role !== 'admin')) {
+        return res.status(404).json({ error: 'API token not found' });
+      }
+      if (!row.revoked_at) {
+        await dbRun('UPDATE api_tokens SET revoked_at = ? WHERE id = ?', [new Date().toISOString(), row.id]);
+      }
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to revoke API token', details: e.message });
+    }
+  });
+}
@@ -0,0 +1,316 @@
+import crypto from 'crypto';
+import { privateKeyPem } from './keys.js';
+import {
+  buildPkcs12,
+  buildPkcs7,
+  derToPem,
+  InputError,
+  inspectCertificate,
+  inspectCrl,
+  inspectCsr,
+  pemBlocks,
+  pemToDer,
+  publicKeyInfo,
+  readPkcs12,
+  readPkcs7,
+  runOpenSSL,
+} from './openssl.js';
+
+// Decoding and conversion of pasted or uploaded PKI files. Nothing sent here
+// is stored or logged; keys are only held in memory for the request.
+const MAX_INPUT_BYTES = 1024 * 1024;
+
+const CSR_LABELS = ['CERTIFICATE REQUEST', 'NEW CERTIFICATE REQUEST'];
+const PRIVATE_KEY_LABELS = ['PRIVATE KEY', 'ENCRYPTED PRIVATE KEY', 'RSA PRIVATE KEY', 'EC PRIVATE KEY'];
+const PUBLIC_KEY_LABELS = ['PUBLIC KEY', 'RSA PUBLIC KEY'];
+
+// Output formats: file extension and content type
+const FORMATS = {
+  pem: ['pem', 'application/x-pem-file'],
+  der: ['der', 'application/octet-stream'],
+  pkcs7: ['p7b', 'application/x-pkcs7-certificates'],
+  pkcs12: ['p12', 'application/x-pkcs12'],
+};
+
+const TYPE_LABELS = {
+  certificate: 'certificate',
+  csr: 'CSR',
+  crl: 'CRL',
+  private_key: 'private key',
+  public_key: 'public key',
+};
+
+// The uploaded bytes: `data` is text (pasted PEM) or base64 (a file)
+function inputBuffer({ data, encoding = 'text' } = {}) {
+  if (typeof data !== 'string' || !data.trim()) {
+    throw new InputError('Paste or upload something to decode');
+  }
+  const buffer = encoding === 'base64' ? Buffer.from(data, 'base64') : Buffer.from(data, 'utf8');
+  if (buffer.length === 0) {
+    throw new InputError('The upload is empty');
+  }
+  if (buffer.length > MAX_INPUT_BYTES) {
+    throw new InputError(`Input must be at most ${MAX_INPUT_BYTES / 1024} KB`);
+  }
+  return buffer;
+}
+
+// Node's errors for an encrypted key read without a passphrase (DER, PEM)
+const NEEDS_PASSPHRASE = ['ERR_MISSING_PASSPHRASE', 'ERR_OSSL_CRYPTO_INTERRUPTED_OR_CANCELLED'];
+
+// A private key object, PEM or DER of the given type; decrypted with the
+// password when it turns out to be encrypted
+function readPrivateKey(key, password, der = null) {
+  const options = der ? { key, format: 'der', type: der } : { key };
+  try {
+    return { type: 'private_key', key: crypto.createPrivateKey(options), encrypted: false };
+  } catch (e) {
+    if (!NEEDS_PASSPHRASE.includes(e.code)) throw e;
+  }
+  if (!password) {
+    throw new InputError('The private key is encrypted; enter its password');
+  }
+  try {
+    return { type: 'private_key', key: crypto.createPrivateKey({ ...options, passphrase: String(password) }), encrypted: true };
+  } catch {
+    throw new InputError('The private key password is incorrect');
+  }
+}
+
+// Objects in one PEM block; PKCS#7 bundles are expanded
+async function fromPemBlock({ label, pem }, password) {
+  if (label === 'CERTIFICATE' || label === 'X509 CERTIFICATE') {
+    return [{ type: 'certificate', pem: pem.replace(/X509 CERTIFICATE/g, 'CERTIFICATE') }];
+  }
+  if (CSR_LABELS.includes(label)) {
+    return [{ type: 'csr', pem }];
+  }
+  if (label === 'X509 CRL') {
+    return [{ type: 'crl', pem }];
+  }
+  if (label === 'PKCS7') {
+    return fromPemText(await readPkcs7(pem), password);
+  }
+  if (PRIVATE_KEY_LABELS.includes(label)) {
+    return [readPrivateKey(pem, password)];
+  }
+  if (PUBLIC_KEY_LABELS.includes(label)) {
+    return [{ type: 'public_key', key: crypto.createPublicKey(pem) }];
+  }
+  return [{ type: 'unknown', label }];
+}
+
+async function fromPemText(text, password) {
+  const objects = [];
+  for (const block of pemBlocks(text)) {
+    objects.push(...(await fromPemBlock(block, password)));
+  }
+  return objects;
+}
+
+// Try each DER structure in turn; PKCS#12 comes last as it needs the password
+async function fromDer(der, password) {
+  try {
+    new crypto.X509Certificate(der);
+    return { format: 'der', objects: [{ type: 'certificate', pem: derToPem(der, 'CERTIFICATE') }] };
+  } catch {
+    // not a certificate
+  }
+  for (const type of ['pkcs8', 'pkcs1', 'sec1']) {
+    try {
+      return { format: 'der', objects: [readPrivateKey(der, password, type)] };
+    } catch (e) {
+      if (e instanceof InputError) throw e;
+    }
+  }
+  for (const type of ['spki', 'pkcs1']) {
+    try {
+      return { format: 'der', objects: [{ type: 'public_key', key: crypto.createPublicKey({ key: der, format: 'der', type }) }] };
+    } catch {
+      // not a public key of this encoding
+    }
+  }
+  for (const [command, type] of [['req', 'csr'], ['crl', 'crl']]) {
+    try {
+      const pem = await runOpenSSL([command, '-inform', 'DER'], { input: der, quiet: true });
+      return { format: 'der', objects: [{ type, pem }] };
+    } catch {
+      // not this structure
+    }
+  }
+  try {
+    return { format: 'pkcs7', objects: await fromPemText(await readPkcs7(der, { inform: 'DER', quiet: true }), password) };
+  } catch (e) {
+    if (e instanceof InputError) throw e;
+  }
+  try {
+    return { format: 'pkcs12', objects: await fromPemText(await readPkcs12(der, password), password) };
+  } catch (e) {
+    if (e instanceof InputError) throw e;
+  }
+  throw new InputError('Not a recognised PEM, DER, PKCS#7 or PKCS#12 file');
+}
+
+async function readObjects(buffer, password) {
+  const text = buffer.toString('utf8');
+  if (text.includes('-----BEGIN ')) {
+    const labels = pemBlocks(text).map((block) => block.label);
+    if (labels.length === 0) {
+      throw new InputError('The PEM data is incomplete');
+    }
+    const objects = await fromPemText(text, password);
+    return { format: labels.every((label) => label === 'PKCS7') ? 'pkcs7' : 'pem', objects };
+  }
+  return fromDer(buffer, password);
+}
+
+function sameKey(a, b) {
+  return a.export({ type: 'spki', format: 'der' }).equals(b.export({ type: 'spki', format: 'der' }));
+}
+
+// Decode every object, link certificates to their issuers within the input
+// and match private keys to certificates
+async function describeObjects(format, objects) {
+  const certs = objects.map((obj) => (obj.type === 'certificate' ? new crypto.X509Certificate(obj.pem) : null));
+  const items = [];
+  for (const [index, obj] of objects.entries()) {
+    const item = { index, type: obj.type };
+    try {
+      if (obj.type === 'certificate') {
+        item.details = await inspectCertificate(obj.pem);
+        const cert = certs[index];
+        const issuer = certs.findIndex((other, i) => other && i !== index && cert.checkIssued(other) && cert.verify(other.publicKey));
+        item.issuer_index = issuer === -1 ? null : issuer;
+      } else if (obj.type === 'csr') {
+        item.details = await inspectCsr(obj.pem);
+      } else if (obj.type === 'crl') {
+        item.details = await inspectCrl(obj.pem);
+      } else if (obj.type === 'private_key' || obj.type === 'public_key') {
+        const publicKey = crypto.createPublicKey(obj.key);
+        item.details = { public_key: publicKeyInfo(publicKey) };
+        if (obj.type === 'private_key') {
+          item.details.encrypted = obj.encrypted;
+          item.matches = certs.flatMap((cert, i) => (cert && sameKey(cert.publicKey, publicKey) ? [i] : []));
+        }
+      } else {
+        item.error = `Unsupported PEM block: ${obj.label}`;
+      }
+    } catch (e) {
+      item.error = e.message;
+    }
+    items.push(item);
+  }
+
+  const counts = {};
+  items.forEach((item) => {
+    if (TYPE_LABELS[item.type]) counts[item.type] = (counts[item.type] || 0) + 1;
+  });
+  const contains = Object.entries(counts).map(([type, count]) => {
+    if (type === 'certificate' && count > 1) return `certificate chain (${count} certificates)`;
+    return count > 1 ? `${count} ${TYPE_LABELS[type]}s` : TYPE_LABELS[type];
+  });
+
+  const keys = items.filter((item) => item.type === 'private_key' && item.matches);
+  const haveCerts = certs.some(Boolean);
+  return {
+    format,
+    contains,
+    items,
+    // null when there is no key and certificate to compare
+    key_match: keys.length > 0 && haveCerts ? keys.every((item) => item.matches.length > 0) : null,
+  };
+}
+
+function keyDer(key, password) {
+  if (key.type === 'public') {
+    return key.export({ type: 'spki', format: 'der' });
+  }
+  return key.export(password ? { type: 'pkcs8', format: 'der', cipher: 'aes-256-cbc', passphrase: password } : { type: 'pkcs8', format: 'der' });
+}
+
+// Converted file contents; private keys are encrypted with exportPassword when given
+async function convertObjects(objects, format, exportPassword) {
+  const known = objects.filter((obj) => obj.type !== 'unknown');
+  const certs = known.filter((obj) => obj.type === 'certificate');
+  const keys = known.filter((obj) => obj.type === 'private_key');
+
+  if (format === 'pem') {
+    return known
+      .map((obj) => {
+        if (obj.type === 'private_key') return privateKeyPem(obj.key, exportPassword || undefined);
+        if (obj.type === 'public_key') return obj.key.export({ type: 'spki', format: 'pem' });
+        return obj.pem;
+      })
+      .join('');
+  }
+
+  if (format === 'der') {
+    if (known.length !== 1) {
+      throw new InputError(`DER holds a single object; this input has ${known.length}`);
+    }
+    const [obj] = known;
+    return obj.key ? keyDer(obj.key, exportPassword) : pemToDer(obj.pem);
+  }
+
+  if (format === 'pkcs7') {
+    if (certs.length === 0) {
+      throw new InputError('PKCS#7 needs at least one certificate');
+    }
+    return buildPkcs7(certs.map((obj) => obj.pem).join(''));
+  }
+
+  if (!exportPassword) {
+    throw new InputError('A password is required for PKCS#12');
+  }
+  if (keys.length !== 1) {
+    throw new InputError('PKCS#12 needs exactly one private key');
+  }
+  const publicKey = crypto.createPublicKey(keys[0].key);
+  const leaf = certs.find((obj) => sameKey(new crypto.X509Certificate(obj.pem).publicKey, publicKey));
+  if (!leaf) {
+    throw new InputError('None of the certificates matches the private key');
+  }
+  return buildPkcs12({
+    certPem: leaf.pem,
+    keyPem: privateKeyPem(keys[0].key),
+    chainPem: certs.filter((obj) => obj !== leaf).map((obj) => obj.pem).join('') || null,
+    password: exportPassword,
+  });
+}
+
+export function registerToolRoutes(app, authMiddleware) {
+  // Identify and decode whatever was pasted or uploaded
+  app.post('/api/tools/decode', authMiddleware, async (req, res) => {
+    try {
+      const { format, objects } = await readObjects(inputBuffer(req.body), (req.body || {}).password);
+      return res.json(await describeObjects(format, objects));
+    } catch (e) {
+      if (e instanceof InputError) {
+        return res.status(400).json({ error: e.message });
+      }
+      return res.status(500).json({ error: 'Failed to decode input', details: e.message });
+    }
+  });
+
+  // Convert the input to PEM, DER, PKCS#7 or PKCS#12 and send it back as a file
+  app.post('/api/tools/convert', authMiddleware, async (req, res) => {
+    const { password, format, export_password } = req.body || {};
+    if (!FORMATS[format]) {
+      return res.status(400).json({ error: `Format must be one of ${Object.keys(FORMATS).join(', ')}` });
+    }
+
+    try {
+      const { objects } = await readObjects(inputBuffer(req.body), password);
+      const output = await convertObjects(objects, format, export_password ? String(export_password) : '');
+      const [extension, contentType] = FORMATS[format];
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="converted.${extension}"`);
+      return res.send(output);
+    } catch (e) {
+      if (e instanceof InputError) {
+        return res.status(400).json({ error: e.message });
+      }
+      return res.status(500).json({ error: 'Failed to convert input', details: e.message });
+    }
+  });
+}
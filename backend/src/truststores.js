@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import { bmpString, der, explicit, integer, nullValue, octetString, oid, sequence, set } from './asn1.js';
+import { parseCertificate, pemBlocks, pemToDer } from './openssl.js';
+
+// Java trust stores, written natively: keytool is not available and
+// OpenSSL 3.0 cannot mark PKCS#12 certificates as trusted the way Java
+// expects, so such files would load as empty trust stores.
+const OID_DATA = '1.2.840.113549.1.7.1';
+const OID_CERT_BAG = '1.2.840.113549.1.12.10.1.3';
+const OID_X509_CERTIFICATE = '1.2.840.113549.1.9.22.1';
+const OID_FRIENDLY_NAME = '1.2.840.113549.1.9.20';
+// Oracle's "trusted key usage" bag attribute, set to anyExtendedKeyUsage
+const OID_JAVA_TRUSTED = '2.16.840.1.113894.746875.1.1';
+const OID_ANY_EKU = '2.5.29.37.0';
+const MAC_DIGESTS = {
+  sha256: '2.16.840.1.101.3.4.2.1',
+  sha1: '1.3.14.3.2.26',
+};
+const MAC_ITERATIONS = 10000;
+
+const JKS_MAGIC = 0xfeedfeed;
+const JKS_VERSION = 2;
+const JKS_TRUSTED_CERT = 2;
+
+// RFC 7292 appendix B key derivation; id 3 derives MAC keys
+function pkcs12Kdf(digest, password, salt, id, iterations, size) {
+  const blockSize = 64;
+  const fill = (bytes) => {
+    const length = blockSize * Math.ceil(bytes.length / blockSize);
+    return Buffer.from(Array.from({ length }, (_, i) => bytes[i % bytes.length]));
+  };
+  const diversifier = Buffer.alloc(blockSize, id);
+  // BMPString password with a two-byte terminator
+  const input = Buffer.concat([fill(salt), fill(Buffer.concat([bmpString(password), Buffer.alloc(2)]))]);
+
+  const output = [];
+  let produced = 0;
+  while (produced < size) {
+    let block = crypto.createHash(digest).update(Buffer.concat([diversifier, input])).digest();
+    for (let i = 1; i < iterations; i++) {
+      block = crypto.createHash(digest).update(block).digest();
+    }
+    output.push(block);
+    produced += block.length;
+    if (produced >= size) break;
+
+    // Add the filled block plus one to every block of the input
+    const addend = fill(block);
+    for (let offset = 0; offset < input.length; offset += blockSize) {
+      let carry = 1;
+      for (let k = blockSize - 1; k >= 0; k--) {
+        const sum = input[offset + k] + addend[k] + carry;
+        input[offset + k] = sum & 0xff;
+        carry = sum >> 8;
+      }
+    }
+  }
+  return Buffer.concat(output).subarray(0, size);
+}
+
+// Certificates of a PEM bundle as { der, alias }; aliases are the lower-cased
+// common names, made unique
+function trustedEntries(pem) {
+  const used = new Set();
+  return pemBlocks(pem)
+    .filter((block) => block.label === 'CERTIFICATE')
+    .map((block) => {
+      const cn = parseCertificate(block.pem).common_name;
+      const base = cn.toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '') || 'certificate';
+      let alias = base;
+      for (let n = 2; used.has(alias); n++) alias = `${base}-${n}`;
+      used.add(alias);
+      return { der: pemToDer(block.pem), alias };
+    });
+}
+
+// PKCS#12 trust store: certificate bags marked as trusted for Java, left
+// unencrypted (they are public) and protected by an HMAC-SHA256 MAC, or
+// HMAC-SHA1 with `legacy` for Java releases before 8u301
+export function buildPkcs12Truststore(certsPem, password, { legacy = false } = {}) {
+  const bags = trustedEntries(certsPem).map((entry) =>
+    sequence(
+      oid(OID_CERT_BAG),
+      explicit(sequence(oid(OID_X509_CERTIFICATE), explicit(octetString(entry.der)))),
+      set(
+        sequence(oid(OID_JAVA_TRUSTED), set(oid(OID_ANY_EKU))),
+        sequence(oid(OID_FRIENDLY_NAME), set(der(0x1e, bmpString(entry.alias)))),
+      ),
+    ),
+  );
+  const authSafe = sequence(sequence(oid(OID_DATA), explicit(octetString(sequence(...bags)))));
+
+  const digest = legacy ? 'sha1' : 'sha256';
+  const salt = crypto.randomBytes(16);
+  const macKey = pkcs12Kdf(digest, password, salt, 3, MAC_ITERATIONS, crypto.createHash(digest).digest().length);
+  const mac = crypto.createHmac(digest, macKey).update(authSafe).digest();
+
+  return sequence(
+    integer(3),
+    sequence(oid(OID_DATA), explicit(octetString(authSafe))),
+    sequence(
+      sequence(sequence(oid(MAC_DIGESTS[digest]), nullValue()), octetString(mac)),
+      octetString(salt),
+      integer(MAC_ITERATIONS),
+    ),
+  );
+}
+
+function javaUtf(text) {
+  const bytes = Buffer.from(text, 'utf8');
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(bytes.length);
+  return Buffer.concat([length, bytes]);
+}
+
+function uint32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+}
+
+// JKS trust store: trusted certificate entries and the keyed SHA-1 digest
+// Java checks the store password against
+export function buildJksTruststore(certsPem, password) {
+  const entries = trustedEntries(certsPem);
+  const now = Buffer.alloc(8);
+  now.writeBigUInt64BE(BigInt(Date.now()));
+
+  const body = Buffer.concat([
+    uint32(JKS_MAGIC),
+    uint32(JKS_VERSION),
+    uint32(entries.length),
+    ...entries.flatMap((entry) => [uint32(JKS_TRUSTED_CERT), javaUtf(entry.alias), now, javaUtf('X.509'), uint32(entry.der.length), entry.der]),
+  ]);
+  const digest = crypto
+    .createHash('sha1')
+    .update(bmpString(password))
+    .update('Mighty Aphrodite', 'utf8')
+    .update(body)
+    .digest();
+  return Buffer.concat([body, digest]);
+}
@@ -0,0 +1,261 @@
+import bcrypt from 'bcrypt';
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { auditAction } from './audit.js';
+import { requireRole } from './auth.js';
+import { db } from './db.js';
+import { decryptPrivateKey, encryptPrivateKey } from './keystore.js';
+
+// TOTP (RFC 6238): HMAC-SHA1, 6 digits, 30 second steps, as every
+// authenticator app expects. Secrets are encrypted under the master key.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Steps accepted either side of now, for clock drift
+const WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = process.env.TOTP_ISSUER || 'Roarin CA';
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Roles that can sign or revoke; the enforcement setting applies to them
+export const TWO_FACTOR_ROLES = ['admin', 'operator'];
+
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      return err ? reject(err) : resolve(this);
+    });
+  });
+}
+
+function base32Encode(buffer) {
+  let bits = '';
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+  let out = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return out;
+}
+
+function base32Decode(text) {
+  let bits = '';
+  for (const char of text.replace(/[\s=]/g, '').toUpperCase()) {
+    const value = BASE32.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+// RFC 4226 HOTP value for one counter
+function hotp(key, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(value).padStart(DIGITS, '0');
+}
+
+// The step the code matches, or null. Steps at or before lastStep are refused
+// so a code cannot be used twice.
+export function verifyTotp(secret, code, lastStep = null, now = Date.now()) {
+  const digits = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(digits)) return null;
+  const key = base32Decode(secret);
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let step = current - WINDOW; step <= current + WINDOW; step += 1) {
+    if (lastStep !== null && step <= lastStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(digits))) return step;
+  }
+  return null;
+}
+
+function otpauthUrl(username, secret) {
+  const label = encodeURIComponent(`${ISSUER}:${username}`);
+  const params = new URLSearchParams({ secret, issuer: ISSUER, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// Recovery codes are random, so a plain SHA-256 is enough to store them
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+}
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+async function storeRecoveryCodes(userId) {
+  const codes = generateRecoveryCodes();
+  await dbRun('UPDATE users SET totp_recovery_codes = ? WHERE id = ?', [JSON.stringify(codes.map(hashRecoveryCode)), userId]);
+  return codes;
+}
+
+function loadTwoFactor(userId) {
+  return dbGet('SELECT id, username, password_hash, totp_secret, totp_enabled, totp_last_step, totp_recovery_codes FROM users WHERE id = ?', [userId]);
+}
+
+// Check a second factor for an enrolled user: { code } from the authenticator
+// or { recovery_code }, which is used up. Returns an error message or null.
+export async function checkSecondFactor(userId, { code, recovery_code } = {}) {
+  const row = await loadTwoFactor(userId);
+  if (!row || !row.totp_enabled) {
+    return 'Two-factor authentication is not enabled';
+  }
+
+  if (recovery_code) {
+    const hashes = JSON.parse(row.totp_recovery_codes || '[]');
+    const hash = hashRecoveryCode(recovery_code);
+    if (!hashes.includes(hash)) {
+      return 'Invalid recovery code';
+    }
+    await dbRun('UPDATE users SET totp_recovery_codes = ? WHERE id = ?', [JSON.stringify(hashes.filter((h) => h !== hash)), userId]);
+    return null;
+  }
+
+  const step = verifyTotp(decryptPrivateKey(row.totp_secret), code, row.totp_last_step);
+  if (step === null) {
+    return 'Invalid authentication code';
+  }
+  await dbRun('UPDATE users SET totp_last_step = ? WHERE id = ?', [step, userId]);
+  return null;
+}
+
+// Whether the enforcement setting requires 2FA for this role
+export async function twoFactorRequired(role) {
+  if (!TWO_FACTOR_ROLES.includes(role)) return false;
+  const row = await dbGet('SELECT require_2fa FROM ca_settings WHERE id = 1');
+  return !!(row && row.require_2fa);
+}
+
+export function registerTwoFactorRoutes(app, authMiddleware) {
+  // Own 2FA state plus the enforcement setting
+  app.get('/api/auth/2fa', authMiddleware, async (req, res) => {
+    try {
+      const row = await loadTwoFactor(req.user.id);
+      const settings = await dbGet('SELECT require_2fa FROM ca_settings WHERE id = 1');
+      return res.json({
+        enabled: !!row.totp_enabled,
+        pending: !row.totp_enabled && !!row.totp_secret,
+        recovery_codes_left: row.totp_enabled ? JSON.parse(row.totp_recovery_codes || '[]').length : 0,
+        required: await twoFactorRequired(req.user.role),
+        policy: { require_2fa: !!(settings && settings.require_2fa), roles: TWO_FACTOR_ROLES },
+      });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to load two-factor settings', details: e.message });
+    }
+  });
+
+  // Start enrollment: a new secret, kept pending until a code confirms it
+  app.post('/api/auth/2fa/setup', authMiddleware, auditAction('auth.2fa.setup', 'user'), async (req, res) => {
+    try {
+      const row = await loadTwoFactor(req.user.id);
+      if (row.totp_enabled) {
+        return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+      }
+      const secret = base32Encode(crypto.randomBytes(20));
+      await dbRun('UPDATE users SET totp_secret = ?, totp_last_step = NULL, totp_recovery_codes = NULL WHERE id = ?', [encryptPrivateKey(secret), req.user.id]);
+      const url = otpauthUrl(req.user.username, secret);
+      return res.json({ ok: true, secret, otpauth_url: url, qr_code: await QRCode.toDataURL(url, { margin: 1, width: 200 }) });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to start two-factor setup', details: e.message });
+    }
+  });
+
+  // Confirm enrollment with a first code; returns the recovery codes once
+  app.post('/api/auth/2fa/enable', authMiddleware, auditAction('auth.2fa.enable', 'user'), async (req, res) => {
+    try {
+      const row = await loadTwoFactor(req.user.id);
+      if (row.totp_enabled) {
+        return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+      }
+      if (!row.totp_secret) {
+        return res.status(400).json({ error: 'Start the two-factor setup first' });
+      }
+      const step = verifyTotp(decryptPrivateKey(row.totp_secret), (req.body || {}).code);
+      if (step === null) {
+        return res.status(400).json({ error: 'Invalid authentication code; check the time on your device' });
+      }
+      await dbRun('UPDATE users SET totp_enabled = 1, totp_last_step = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [step, req.user.id]);
+      return res.json({ ok: true, recovery_codes: await storeRecoveryCodes(req.user.id) });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to enable two-factor authentication', details: e.message });
+    }
+  });
+
+  // Replace the recovery codes: { code } or { recovery_code }
+  app.post('/api/auth/2fa/recovery-codes', authMiddleware, auditAction('auth.2fa.recovery_codes', 'user'), async (req, res) => {
+    try {
+      const error = await checkSecondFactor(req.user.id, req.body || {});
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      return res.json({ ok: true, recovery_codes: await storeRecoveryCodes(req.user.id) });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to create recovery codes', details: e.message });
+    }
+  });
+
+  // Turn 2FA off: { password, code } or { password, recovery_code }
+  app.post('/api/auth/2fa/disable', authMiddleware, auditAction('auth.2fa.disable', 'user'), async (req, res) => {
+    const { password } = req.body || {};
+    try {
+      if (await twoFactorRequired(req.user.role)) {
+        return res.status(400).json({ error: 'Two-factor authentication is required for your role' });
+      }
+      const row = await loadTwoFactor(req.user.id);
+      if (!password || !(await bcrypt.compare(password, row.password_hash))) {
+        return res.status(400).json({ error: 'Password is incorrect' });
+      }
+      const error = await checkSecondFactor(req.user.id, req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      await dbRun(
+        'UPDATE users SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL, totp_recovery_codes = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [req.user.id]
+      );
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to disable two-factor authentication', details: e.message });
+    }
+  });
+
+  // Enforcement setting: { require_2fa } for the roles that can sign or revoke
+  app.put('/api/auth/2fa/policy', authMiddleware, auditAction('auth.2fa.policy', 'ca', (req) => ({ require_2fa: req.body.require_2fa })), requireRole('admin'), async (req, res) => {
+    const { require_2fa } = req.body || {};
+    if (typeof require_2fa !== 'boolean') {
+      return res.status(400).json({ error: 'require_2fa must be true or false' });
+    }
+    try {
+      // Otherwise the admin turning it on would be locked out of everything but enrollment
+      if (require_2fa && !req.user.two_factor) {
+        return res.status(400).json({ error: 'Enable two-factor authentication for your own account first' });
+      }
+      await dbRun(
+        `INSERT INTO ca_settings (id, require_2fa, updated_at) VALUES (1, ?, datetime('now'))
+         ON CONFLICT(id) DO UPDATE SET require_2fa = excluded.require_2fa, updated_at = excluded.updated_at`,
+        [require_2fa ? 1 : 0]
+      );
+      return res.json({ ok: true, require_2fa, roles: TWO_FACTOR_ROLES });
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to save two-factor policy', details: e.message });
+    }
+  });
+}
@@ -0,0 +1,206 @@
+import bcrypt from 'bcrypt';
+import { db } from './db.js';
+import { auditAction } from './audit.js';
+import { clearAddressLockout, clearLoginFailures, lockedAddresses, loginLockedUntil, ROLES, requireRole } from './auth.js';
+import { validatePassword } from './passwords.js';
+import { endUserSessions } from './sessions.js';
+
+export function registerUserRoutes(app, authMiddleware) {
+  // User management is admin only
+  const adminOnly = [authMiddleware, requireRole('admin')];
+  const audited = (action, describe) => [authMiddleware, auditAction(action, 'user', describe), requireRole('admin')];
+
+  app.get('/api/users', adminOnly, (req, res) => {
+    db.all(
+      `SELECT u.id, u.username, u.role, u.disabled, u.totp_enabled, u.auth_source, u.created_at, u.updated_at,
+       (SELECT COUNT(*) FROM sessions s WHERE s.user_id = u.id AND s.expires_at > ?) AS active_sessions
+       FROM users u ORDER BY u.username`,
+      [new Date().toISOString()],
+      (err, rows) => {
+        if (err) {
+          return res.status(500).json({ error: 'DB error', details: err.message });
+        }
+        res.json(rows.map(({ totp_enabled, auth_source, ...r }) => ({
+          ...r,
+          sso: auth_source === 'oidc',
+          disabled: !!r.disabled,
+          two_factor: !!totp_enabled,
+          locked_until: loginLockedUntil(r.username),
+        })));
+      }
+    );
+  });
+
+  app.post('/api/users', audited('user.create', (req) => ({ username: req.body.username, role: req.body.role })), async (req, res) => {
+    const { username, password, role } = req.body || {};
+
+    if (!username || !/^[A-Za-z0-9._@-]{1,64}$/.test(username)) {
+      return res.status(400).json({ error: 'Username must be 1-64 characters of letters, digits, . _ @ or -' });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of ${ROLES.join(', ')}` });
+    }
+    const passwordError = validatePassword(password, username);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    try {
+      const hash = await bcrypt.hash(password, 10);
+      db.run(
+        'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)',
+        [username, hash, role],
+        function (err) {
+          if (err) {
+            if (/UNIQUE/.test(err.message)) {
+              return res.status(409).json({ error: `User ${username} already exists` });
+            }
+            return res.status(500).json({ error: 'DB error', details: err.message });
+          }
+          res.json({ id: this.lastID, username, role, disabled: false });
+        }
+      );
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to create user', details: e.message });
+    }
+  });
+
+  // Change role and/or enable/disable an account
+  app.patch('/api/users/:id', audited('user.update', (req) => ({ role: req.body.role, disabled: req.body.disabled })), (req, res) => {
+    const id = Number(req.params.id);
+    const { role, disabled } = req.body || {};
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of ${ROLES.join(', ')}` });
+    }
+    if (disabled !== undefined && typeof disabled !== 'boolean') {
+      return res.status(400).json({ error: 'disabled must be true or false' });
+    }
+    // Keeps at least one active admin: the one making the change
+    if (id === req.user.id && ((role !== undefined && role !== 'admin') || disabled === true)) {
+      return res.status(400).json({ error: 'You cannot disable or demote your own account' });
+    }
+
+    db.get('SELECT id, username, role, disabled FROM users WHERE id = ?', [id], (err, row) => {
+      if (err) {
+        return res.status(500).json({ error: 'DB error', details: err.message });
+      }
+      if (!row) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const newRole = role !== undefined ? role : row.role;
+      const newDisabled = disabled !== undefined ? (disabled ? 1 : 0) : row.disabled;
+      db.run(
+        'UPDATE users SET role = ?, disabled = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [newRole, newDisabled, id],
+        async (updateErr) => {
+          if (updateErr) {
+            return res.status(500).json({ error: 'DB error', details: updateErr.message });
+          }
+          // A disabled account is signed out everywhere straight away
+          if (newDisabled) {
+            // eslint-disable-next-line no-console
+            await endUserSessions(id).catch((e) => console.error('Failed to end sessions:', e.message));
+          }
+          res.json({ id, username: row.username, role: newRole, disabled: !!newDisabled });
+        }
+      );
+    });
+  });
+
+  app.post('/api/users/:id/reset-password', audited('user.reset_password'), async (req, res) => {
+    const id = Number(req.params.id);
+    const { password } = req.body || {};
+
+    db.get('SELECT username, auth_source FROM users WHERE id = ?', [id], async (err, row) => {
+      if (err) {
+        return res.status(500).json({ error: 'DB error', details: err.message });
+      }
+      if (!row) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (row.auth_source === 'oidc') {
+        return res.status(400).json({ error: 'Single sign-on accounts have no password here' });
+      }
+      const passwordError = validatePassword(password, row.username);
+      if (passwordError) {
+        return res.status(400).json({ error: passwordError });
+      }
+
+      try {
+        const hash = await bcrypt.hash(password, 10);
+        db.run('UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [hash, id], async (updateErr) => {
+          if (updateErr) {
+            return res.status(500).json({ error: 'DB error', details: updateErr.message });
+          }
+          // Whoever had the old password is signed out (an admin resetting
+          // their own keeps the current session)
+          // eslint-disable-next-line no-console
+          await endUserSessions(id, req.sessionId).catch((e) => console.error('Failed to end sessions:', e.message));
+          clearLoginFailures(row.username);
+          res.json({ ok: true });
+        });
+      } catch (e) {
+        res.status(500).json({ error: 'Failed to reset password', details: e.message });
+      }
+    });
+  });
+
+  // Client addresses locked out after too many failed sign-ins
+  app.get('/api/users/address-lockouts', adminOnly, (req, res) => {
+    res.json(lockedAddresses());
+  });
+
+  // Lift the lockout of one address, e.g. an office behind a single NAT
+  // address; unlocking a user leaves address lockouts alone
+  app.post('/api/users/address-lockouts/unlock', authMiddleware, auditAction('user.address_unlock', 'address', (req) => ({
+    address: req.body.address,
+  })), requireRole('admin'), (req, res) => {
+    const { address } = req.body || {};
+    if (typeof address !== 'string' || !address) {
+      return res.status(400).json({ error: 'address is required' });
+    }
+    if (!clearAddressLockout(address)) {
+      return res.status(404).json({ error: 'Address is not locked out' });
+    }
+    res.json({ ok: true, address });
+  });
+
+  // Lift a sign-in lockout before it runs out
+  app.post('/api/users/:id/unlock', audited('user.unlock'), (req, res) => {
+    db.get('SELECT username FROM users WHERE id = ?', [Number(req.params.id)], (err, row) => {
+      if (err) {
+        return res.status(500).json({ error: 'DB error', details: err.message });
+      }
+      if (!row) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      clearLoginFailures(row.username);
+      res.json({ ok: true });
+    });
+  });
+
+  // For lost authenticators: the user sets 2FA up again on the next login
+  app.post('/api/users/:id/reset-2fa', audited('user.reset_2fa'), (req, res) => {
+    const id = Number(req.params.id);
+    if (id === req.user.id) {
+      return res.status(400).json({ error: 'Use your own two-factor settings to change your authenticator' });
+    }
+
+    db.run(
+      `UPDATE users SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL, totp_recovery_codes = NULL,
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [id],
+      function (err) {
+        if (err) {
+          return res.status(500).json({ error: 'DB error', details: err.message });
+        }
+        if (this.changes === 0) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({ ok: true });
+      }
+    );
+  });
+}
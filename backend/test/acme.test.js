@@ -0,0 +1,182 @@
+import './env.js';
+import assert from 'assert/strict';
+import crypto from 'crypto';
+import { before, describe, it } from 'node:test';
+import { AcmeError, jwkThumbprint, newNonce, verifyJws } from '../src/acme.js';
+import { db, initDb } from '../src/db.js';
+
+const HOST = 'ca.example.test';
+const URL_PATH = '/acme/new-order';
+
+const b64url = (value) => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+
+function keyPair(type) {
+  const options = { ec: { namedCurve: 'P-256' }, rsa: { modulusLength: 2048 }, ed25519: {} }[type];
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options);
+  return { privateKey, jwk: publicKey.export({ format: 'jwk' }) };
+}
+
+function sign(alg, privateKey, input) {
+  const data = Buffer.from(input);
+  switch (alg) {
+    case 'ES256':
+      return crypto.sign('sha256', data, { key: privateKey, dsaEncoding: 'ieee-p1363' });
+    case 'RS256':
+      return crypto.sign('sha256', data, privateKey);
+    default:
+      return crypto.sign(null, data, privateKey);
+  }
+}
+
+// A request as Express hands it to verifyJws, carrying a flattened JWS
+function jwsRequest({ alg = 'ES256', key, header = {}, payload = { hello: 'world' }, url = `http://${HOST}${URL_PATH}` }) {
+  const protectedB64 = b64url({ alg, nonce: newNonce(), url, ...header });
+  const payloadB64 = payload === '' ? '' : b64url(payload);
+  const signature = sign(alg, key.privateKey, `${protectedB64}.${payloadB64}`);
+  return {
+    body: { protected: protectedB64, payload: payloadB64, signature: signature.toString('base64url') },
+    protocol: 'http',
+    originalUrl: URL_PATH,
+    get: () => HOST,
+  };
+}
+
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      return err ? reject(err) : resolve(this);
+    });
+  });
+}
+
+async function rejectsWith(promise, status, type) {
+  await assert.rejects(promise, (e) => {
+    assert.ok(e instanceof AcmeError);
+    assert.equal(e.status, status);
+    assert.equal(e.type, type);
+    return true;
+  });
+}
+
+describe('jwkThumbprint', () => {
+  it('matches the RFC 7638 example', () => {
+    const jwk = {
+      kty: 'RSA',
+      n: '0vx7agoebGcQSuuPiLJXZptN9nndrQmbXEps2aiAFbWhM78LhWx4cbbfAAtVT86zwu1RK7aPFFxuhDR1L6tSoc_BJECPebWKRXjBZCiFV4n3oknjhMstn64tZ_2W-5JsGY4Hc5n9yBXArwl93lqt7_RN5w6Cf0h4QyQ5v-65YGjQR0_FDW2QvzqY368QQMicAtaSqzs8KJZgnYb9c7d0zgdAZHzu6qMQvRL5hajrn1n91CbOpbISD08qNLyrdkt-bFTWhAI4vMQFh6WeZu0fM4lFd2NcRwr3XPksINHaQ-G_xBniIqbw0Ls1jF44-csFCur-kEgU8awapJzKnqDKgw',
+      e: 'AQAB',
+      alg: 'RS256',
+      kid: '2011-04-29',
+    };
+    assert.equal(jwkThumbprint(jwk), 'NzbLsXh8uDCcd-6MNwXF4W_7noWXFZAfHkxZsRGC9Xs');
+  });
+
+  it('refuses unknown key types', () => {
+    assert.throws(() => jwkThumbprint({ kty: 'oct', k: 'AAAA' }), (e) => e.type === 'badPublicKey');
+  });
+});
+
+describe('verifyJws with an embedded jwk', () => {
+  const ec = keyPair('ec');
+
+  it('accepts ES256, RS256 and EdDSA signatures', async () => {
+    for (const [alg, type] of [['ES256', 'ec'], ['RS256', 'rsa'], ['EdDSA', 'ed25519']]) {
+      const key = type === 'ec' ? ec : keyPair(type);
+      const result = await verifyJws(jwsRequest({ alg, key, header: { jwk: key.jwk } }), { useJwk: true });
+      assert.deepEqual(result.payload, { hello: 'world' });
+      assert.equal(result.account, null);
+      assert.equal(result.thumbprint, jwkThumbprint(key.jwk));
+    }
+  });
+
+  it('reads an empty payload as POST-as-GET', async () => {
+    const result = await verifyJws(jwsRequest({ key: ec, header: { jwk: ec.jwk }, payload: '' }), { useJwk: true });
+    assert.equal(result.payload, null);
+  });
+
+  it('refuses a body that is not a flattened JWS', async () => {
+    const req = jwsRequest({ key: ec, header: { jwk: ec.jwk } });
+    delete req.body.signature;
+    await rejectsWith(verifyJws(req, { useJwk: true }), 400, 'malformed');
+  });
+
+  it('refuses a modified payload', async () => {
+    const req = jwsRequest({ key: ec, header: { jwk: ec.jwk } });
+    req.body.payload = b64url({ hello: 'mallory' });
+    await rejectsWith(verifyJws(req, { useJwk: true }), 400, 'malformed');
+  });
+
+  it('refuses a signature by another key', async () => {
+    const other = keyPair('ec');
+    await rejectsWith(verifyJws(jwsRequest({ key: other, header: { jwk: ec.jwk } }), { useJwk: true }), 400, 'malformed');
+  });
+
+  it('refuses a nonce that was already used', async () => {
+    const req = jwsRequest({ key: ec, header: { jwk: ec.jwk } });
+    await verifyJws(req, { useJwk: true });
+    await rejectsWith(verifyJws(req, { useJwk: true }), 400, 'badNonce');
+  });
+
+  it('refuses a nonce the server never issued', async () => {
+    await rejectsWith(verifyJws(jwsRequest({ key: ec, header: { jwk: ec.jwk, nonce: 'made-up' } }), { useJwk: true }), 400, 'badNonce');
+  });
+
+  it('refuses a url other than the request URL', async () => {
+    const req = jwsRequest({ key: ec, header: { jwk: ec.jwk }, url: `http://${HOST}/acme/new-account` });
+    await rejectsWith(verifyJws(req, { useJwk: true }), 401, 'unauthorized');
+  });
+
+  it('refuses unsupported algorithms', async () => {
+    const req = jwsRequest({ key: ec, header: { jwk: ec.jwk, alg: 'HS256' } });
+    await rejectsWith(verifyJws(req, { useJwk: true }), 400, 'badSignatureAlgorithm');
+  });
+
+  it('refuses a kid where a jwk is required', async () => {
+    const req = jwsRequest({ key: ec, header: { jwk: ec.jwk, kid: `http://${HOST}/acme/account/1` } });
+    await rejectsWith(verifyJws(req, { useJwk: true }), 400, 'malformed');
+  });
+
+  it('refuses an invalid jwk', async () => {
+    const req = jwsRequest({ key: ec, header: { jwk: { kty: 'EC', crv: 'P-256', x: 'AAAA', y: 'AAAA' } } });
+    await rejectsWith(verifyJws(req, { useJwk: true }), 400, 'badPublicKey');
+  });
+});
+
+describe('verifyJws with an account kid', () => {
+  const key = keyPair('ec');
+  const kid = (id) => `http://${HOST}/acme/account/${id}`;
+  let valid;
+  let deactivated;
+
+  before(async () => {
+    initDb();
+    const insert = "INSERT INTO acme_accounts (thumbprint, jwk, contact, status) VALUES (?, ?, '[]', ?)";
+    valid = (await dbRun(insert, [jwkThumbprint(key.jwk), JSON.stringify(key.jwk), 'valid'])).lastID;
+    deactivated = (await dbRun(insert, ['deactivated', JSON.stringify(key.jwk), 'deactivated'])).lastID;
+  });
+
+  it('resolves the signing account', async () => {
+    const result = await verifyJws(jwsRequest({ key, header: { kid: kid(valid) } }));
+    assert.equal(result.account.id, valid);
+    assert.deepEqual(result.payload, { hello: 'world' });
+  });
+
+  it('refuses a jwk where a kid is required', async () => {
+    await rejectsWith(verifyJws(jwsRequest({ key, header: { jwk: key.jwk } })), 400, 'malformed');
+  });
+
+  it('refuses a kid outside this server', async () => {
+    await rejectsWith(verifyJws(jwsRequest({ key, header: { kid: `http://elsewhere.test/acme/account/${valid}` } })), 400, 'malformed');
+  });
+
+  it('refuses unknown accounts', async () => {
+    await rejectsWith(verifyJws(jwsRequest({ key, header: { kid: kid(9999) } })), 400, 'accountDoesNotExist');
+  });
+
+  it('refuses deactivated accounts', async () => {
+    await rejectsWith(verifyJws(jwsRequest({ key, header: { kid: kid(deactivated) } })), 401, 'unauthorized');
+  });
+
+  it('refuses a signature by a key other than the account key', async () => {
+    await rejectsWith(verifyJws(jwsRequest({ key: keyPair('ec'), header: { kid: kid(valid) } })), 400, 'malformed');
+  });
+});
@@ -0,0 +1,97 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import {
+  bmpString,
+  contentBytes,
+  der,
+  elementBytes,
+  explicit,
+  integer,
+  nullValue,
+  octetString,
+  oid,
+  parseBer,
+  printableString,
+  readOid,
+  sequence,
+  set,
+  utcTime,
+} from '../src/asn1.js';
+
+const hex = (buffer) => buffer.toString('hex');
+
+describe('asn1 encoder', () => {
+  it('writes short and long form lengths', () => {
+    assert.equal(hex(der(0x04, Buffer.alloc(0))), '0400');
+    assert.equal(hex(der(0x04, Buffer.alloc(127))).slice(0, 4), '047f');
+    assert.equal(hex(der(0x04, Buffer.alloc(128))).slice(0, 6), '048180');
+    assert.equal(hex(der(0x04, Buffer.alloc(256))).slice(0, 8), '04820100');
+    assert.equal(der(0x04, Buffer.alloc(70000)).length, 1 + 4 + 70000);
+  });
+
+  it('joins the contents', () => {
+    assert.equal(hex(der(0x04, Buffer.from([1]), Buffer.from([2, 3]))), '0403010203');
+  });
+
+  it('encodes integers as minimal positive values', () => {
+    assert.equal(hex(integer(0)), '020100');
+    assert.equal(hex(integer(1)), '020101');
+    assert.equal(hex(integer(127)), '02017f');
+    assert.equal(hex(integer(128)), '02020080');
+    assert.equal(hex(integer(256)), '02020100');
+    assert.equal(hex(integer(65537)), '0203010001');
+  });
+
+  it('encodes object identifiers', () => {
+    assert.equal(hex(oid('1.2.840.113549.1.7.2')), '06092a864886f70d010702');
+    assert.equal(hex(oid('2.5.4.3')), '0603550403');
+    assert.equal(hex(oid('1.3.6.1.4.1.311.20.2')), '06092b0601040182371402');
+  });
+
+  it('tags the constructed types', () => {
+    assert.equal(hex(sequence(nullValue())), '30020500');
+    assert.equal(hex(set(nullValue(), nullValue())), '310405000500');
+    assert.equal(hex(explicit(integer(3))), 'a003020103');
+    assert.equal(hex(octetString(Buffer.from('hi'))), '04026869');
+  });
+
+  it('encodes strings and times', () => {
+    assert.equal(hex(printableString('CA')), '13024341');
+    assert.equal(hex(bmpString('ab')), '00610062');
+    assert.equal(utcTime(new Date('2024-03-05T06:07:08.900Z')).toString('latin1', 2), '240305060708Z');
+    assert.equal(utcTime(new Date('2024-03-05T06:07:08Z'))[0], 0x17);
+  });
+});
+
+describe('asn1 reader', () => {
+  it('reads back what the encoder writes', () => {
+    const encoded = sequence(oid('1.2.840.113549.1.9.7'), set(printableString('secret')), explicit(octetString(Buffer.alloc(200, 1))));
+    const node = parseBer(encoded);
+    assert.equal(node.tag, 0x30);
+    assert.equal(node.end, encoded.length);
+    assert.equal(node.children.length, 3);
+    assert.equal(readOid(node.children[0]), '1.2.840.113549.1.9.7');
+    assert.equal(contentBytes(node.children[1].children[0]).toString('latin1'), 'secret');
+    assert.deepEqual(contentBytes(node.children[2].children[0]), Buffer.alloc(200, 1));
+    assert.deepEqual(elementBytes(node.children[0]), oid('1.2.840.113549.1.9.7'));
+  });
+
+  it('reads object identifiers under joint-iso-itu-t', () => {
+    assert.equal(readOid(parseBer(oid('2.16.840.1.101.3.4.2.1'))), '2.16.840.1.101.3.4.2.1');
+  });
+
+  it('accepts indefinite lengths and joins constructed strings', () => {
+    const encoded = Buffer.from('3080' + '2480' + '04026869' + '040121' + '0000' + '0000', 'hex');
+    const node = parseBer(encoded);
+    assert.equal(node.end, encoded.length);
+    assert.equal(contentBytes(node.children[0]).toString('latin1'), 'hi!');
+  });
+
+  it('refuses truncated and unsupported input', () => {
+    assert.throws(() => parseBer(Buffer.from('3005020101', 'hex')), /Malformed/);
+    assert.throws(() => parseBer(Buffer.from('30', 'hex')), /Malformed/);
+    assert.throws(() => parseBer(Buffer.from('0480', 'hex')), /Malformed/);
+    assert.throws(() => parseBer(Buffer.from('1f0100', 'hex')), /Malformed/);
+    assert.throws(() => parseBer(Buffer.from('3080020101', 'hex')), /Malformed/);
+  });
+});
@@ -0,0 +1,13 @@
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+
+// Import first: the modules under test read their configuration when loaded.
+// Tests get an in-memory database, a storage directory nothing is written to
+// and a throwaway master key.
+process.env.DB_PATH = ':memory:';
+process.env.STORAGE_DIR = path.join(os.tmpdir(), 'roarinca-test');
+process.env.MASTER_KEY = crypto.randomBytes(32).toString('base64');
+process.env.CA_ADMIN_PASSWORD = 'test';
+delete process.env.MASTER_KEY_FILE;
+delete process.env.PUBLIC_BASE_URL;
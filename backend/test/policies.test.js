@@ -0,0 +1,132 @@
+import './env.js';
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { nameConstraintsExtension, policyViolations, rangeMask } from '../src/policies.js';
+
+// A policy as getPolicy returns it
+function policy(overrides = {}) {
+  return {
+    name: 'test',
+    max_sans: null,
+    allow_wildcards: true,
+    allowed_dns_suffixes: [],
+    denied_dns_suffixes: [],
+    allowed_ip_ranges: [],
+    denied_ip_ranges: [],
+    allowed_email_domains: [],
+    ...overrides,
+  };
+}
+
+const dns = (value) => ({ type: 'DNS', value });
+const ip = (value) => ({ type: 'IP', value });
+const email = (value) => ({ type: 'email', value });
+
+function violations(overrides, names, sans = names) {
+  return policyViolations(policy(overrides), { sans, names });
+}
+
+describe('policyViolations', () => {
+  it('allows anything under an empty policy', () => {
+    assert.deepEqual(violations({}, [dns('a.example.com'), ip('10.0.0.1'), email('a@example.com')]), []);
+  });
+
+  it('limits names to the allowed DNS suffixes', () => {
+    const allowed = { allowed_dns_suffixes: ['example.com'] };
+    assert.deepEqual(violations(allowed, [dns('example.com'), dns('a.b.example.com')]), []);
+    assert.deepEqual(violations(allowed, [dns('badexample.com')]), [
+      'badexample.com is not under an allowed DNS suffix (example.com) (policy test)',
+    ]);
+  });
+
+  it('refuses names under a denied DNS suffix', () => {
+    const denied = { allowed_dns_suffixes: ['example.com'], denied_dns_suffixes: ['internal.example.com'] };
+    assert.deepEqual(violations(denied, [dns('db.internal.example.com')]), [
+      'db.internal.example.com is under the denied DNS suffix internal.example.com (policy test)',
+    ]);
+    assert.deepEqual(violations(denied, [dns('www.example.com')]), []);
+  });
+
+  it('refuses wildcards unless the policy allows them', () => {
+    assert.deepEqual(violations({ allow_wildcards: false }, [dns('*.example.com')]), ['Wildcard name *.example.com is not allowed (policy test)']);
+    assert.deepEqual(violations({ allowed_dns_suffixes: ['example.com'] }, [dns('*.example.com')]), []);
+  });
+
+  it('refuses wildcards that would cover a denied name', () => {
+    const denied = { denied_dns_suffixes: ['admin.example.com'] };
+    assert.deepEqual(violations(denied, [dns('*.example.com')]), ['*.example.com would cover the denied name admin.example.com (policy test)']);
+    assert.deepEqual(violations({ denied_dns_suffixes: ['x.admin.example.com'] }, [dns('*.example.com')]), []);
+  });
+
+  it('checks IP addresses against allowed and denied ranges', () => {
+    const ranges = { allowed_ip_ranges: ['10.0.0.0/8', '2001:db8::/32'], denied_ip_ranges: ['10.9.0.0/16'] };
+    assert.deepEqual(violations(ranges, [ip('10.1.2.3'), ip('2001:db8::1')]), []);
+    assert.deepEqual(violations(ranges, [ip('10.9.1.1')]), ['IP address 10.9.1.1 is in a denied range (10.9.0.0/16) (policy test)']);
+    assert.deepEqual(violations(ranges, [ip('192.168.1.1')]), [
+      'IP address 192.168.1.1 is outside the allowed ranges (10.0.0.0/8, 2001:db8::/32) (policy test)',
+    ]);
+    assert.equal(violations(ranges, [ip('2001:db9::1')]).length, 1);
+    assert.equal(violations({ denied_ip_ranges: ['192.0.2.7'] }, [ip('192.0.2.7'), ip('192.0.2.8')]).length, 1);
+  });
+
+  it('limits email addresses to the allowed domains and their hosts', () => {
+    const domains = { allowed_email_domains: ['example.com'] };
+    assert.deepEqual(violations(domains, [email('a@example.com'), email('b@mail.Example.com')]), []);
+    assert.deepEqual(violations(domains, [email('a@example.org')]), ['Email address a@example.org is not in an allowed domain (example.com) (policy test)']);
+  });
+
+  it('counts only subject alternative names toward the maximum', () => {
+    const names = [dns('a.example.com'), dns('b.example.com'), dns('c.example.com')];
+    assert.deepEqual(violations({ max_sans: 2 }, names, names.slice(0, 2)), []);
+    assert.deepEqual(violations({ max_sans: 2 }, names), ['3 subject alternative names exceed the maximum of 2 (policy test)']);
+    assert.deepEqual(violations({ max_sans: 0 }, [dns('a.example.com')], []), []);
+  });
+
+  it('reports every violation', () => {
+    const strict = { allow_wildcards: false, allowed_dns_suffixes: ['example.com'], max_sans: 1 };
+    assert.equal(violations(strict, [dns('*.example.com'), dns('example.org')]).length, 3);
+  });
+});
+
+describe('rangeMask', () => {
+  it('writes IPv4 prefixes as netmasks', () => {
+    assert.equal(rangeMask({ address: '10.0.0.0', prefix: 8, family: 4 }), '10.0.0.0/255.0.0.0');
+    assert.equal(rangeMask({ address: '172.16.0.0', prefix: 12, family: 4 }), '172.16.0.0/255.240.0.0');
+    assert.equal(rangeMask({ address: '192.0.2.7', prefix: 32, family: 4 }), '192.0.2.7/255.255.255.255');
+    assert.equal(rangeMask({ address: '0.0.0.0', prefix: 0, family: 4 }), '0.0.0.0/0.0.0.0');
+  });
+
+  it('writes IPv6 prefixes as masks', () => {
+    assert.equal(rangeMask({ address: '2001:db8::', prefix: 32, family: 6 }), '2001:db8::/ffff:ffff:0:0:0:0:0:0');
+    assert.equal(rangeMask({ address: 'fc00::', prefix: 7, family: 6 }), 'fc00::/fe00:0:0:0:0:0:0:0');
+    assert.equal(rangeMask({ address: '2001:db8::', prefix: 56, family: 6 }), '2001:db8::/ffff:ffff:ffff:ff00:0:0:0:0');
+    assert.equal(rangeMask({ address: '::1', prefix: 128, family: 6 }), '::1/ffff:ffff:ffff:ffff:ffff:ffff:ffff:ffff');
+  });
+});
+
+describe('nameConstraintsExtension', () => {
+  it('is null when the policy names nothing', () => {
+    assert.equal(nameConstraintsExtension(policy({ max_sans: 5, allow_wildcards: false })), null);
+  });
+
+  it('permits the allowed names and excludes the denied ones', () => {
+    const extension = nameConstraintsExtension(policy({
+      allowed_dns_suffixes: ['example.com'],
+      denied_dns_suffixes: ['internal.example.com'],
+      allowed_ip_ranges: ['10.0.0.0/8'],
+      denied_ip_ranges: ['2001:db8::/32', '10.9.9.9'],
+      allowed_email_domains: ['example.com'],
+    }));
+    assert.equal(extension, 'nameConstraints = critical,'
+      + 'permitted;DNS:example.com,'
+      + 'permitted;IP:10.0.0.0/255.0.0.0,'
+      + 'permitted;email:example.com,permitted;email:.example.com,'
+      + 'excluded;DNS:internal.example.com,'
+      + 'excluded;IP:2001:db8::/ffff:ffff:0:0:0:0:0:0,'
+      + 'excluded;IP:10.9.9.9/255.255.255.255');
+  });
+
+  it('can consist of exclusions only', () => {
+    assert.equal(nameConstraintsExtension(policy({ denied_dns_suffixes: ['corp.example'] })), 'nameConstraints = critical,excluded;DNS:corp.example');
+  });
+});
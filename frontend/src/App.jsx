@@ -1,39 +1,303 @@
 import React, { useState, useEffect } from 'react';
-import { login, logout, fetchMe } from './api.js';
-import { getCaSettings, saveCaSettings, initCa } from './caApi.js';
-import { createCsr, listCsrs, deleteCsr, downloadCsr, downloadCsrKey } from './csrApi.js';
+import { login, loginSecondFactor, logout, fetchMe, changePassword, fetchSsoConfig, ssoLoginUrl } from './api.js';
+import {
+  getCaSettings,
+  saveCaSettings,
+  initCa,
+  listIntermediates,
+  createIntermediate,
+  setDefaultIssuer,
+  listCaGenerations,
+  rolloverCa,
+} from './caApi.js';
+import {
+  createCsr,
+  parseCsr,
+  uploadCsr,
+  listCsrs,
+  deleteCsr,
+  getCsrDetails,
+  downloadCsr,
+  downloadCsrKey,
+} from './csrApi.js';
 import {
   listCertificates,
+  getCertificateDetails,
   importCertificate,
   signCsr,
+  revokeCertificate,
+  renewCertificate,
+  renewExpiringCertificates,
   deleteCertificate,
   downloadCert,
   downloadCertKey,
   downloadFullchain,
+  downloadCertDer,
+  downloadPkcs7,
   exportPkcs12,
+  exportKey,
+  exportTruststore,
   downloadCaCert,
+  downloadIntermediateCert,
+  downloadGenerationCert,
 } from './certApi.js';
+import { listUsers, createUser, updateUser, resetUserPassword, resetUserTwoFactor, unlockUser, listAddressLockouts, unlockAddress } from './usersApi.js';
+import { listMySessions, endMySession, listSessions, endSession, endUserSessions } from './sessionsApi.js';
+import { listAudit, verifyAudit, exportAudit } from './auditApi.js';
+import { getExpiry, runExpiryCheck, sendTestAlert } from './expiryApi.js';
+import { listProfiles, createProfile, updateProfile, deleteProfile } from './profilesApi.js';
+import { listPolicies, createPolicy, updatePolicy, deletePolicy } from './policiesApi.js';
+import { listTokens, createToken, revokeToken } from './tokensApi.js';
+import { decodeInput, convertInput } from './toolsApi.js';
+import { listScepChallenges, createScepChallenge, revokeScepChallenge } from './scepApi.js';
+import { listApprovals, approveCsr, rejectCsr, commentCsr, listCsrReviews, setApprovalPolicy } from './approvalsApi.js';
+import {
+  getTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  setTwoFactorPolicy,
+} from './twoFactorApi.js';
+
+const sections = ['settings', 'requests', 'approvals', 'certificates', 'profiles', 'policies', 'audit', 'users', 'tokens', 'scep', 'tools'];
+
+// Sections only some roles can open
+const SECTION_ROLES = {
+  profiles: ['admin'],
+  policies: ['admin', 'operator', 'auditor'],
+  approvals: ['admin', 'operator', 'auditor'],
+  audit: ['admin', 'auditor'],
+  users: ['admin'],
+  scep: ['admin', 'operator', 'auditor'],
+};
+
+const AUDIT_OUTCOMES = {
+  success: 'bg-emerald-500/20 text-emerald-300 border border-emerald-400/40',
+  failure: 'bg-amber-500/20 text-amber-300 border border-amber-400/40',
+  denied: 'bg-rose-500/20 text-rose-300 border border-rose-400/40',
+};
+
+const EMPTY_AUDIT_FILTERS = { username: '', action: '', outcome: '', from: '', to: '' };
+
+const EMPTY_TOKEN_FORM = { name: '', scopes: ['read'], sign_profile: '', expires_at: '' };
+
+// CSR workflow states: badge style per status
+const CSR_STATUS_BADGES = {
+  submitted: 'bg-amber-500/20 text-amber-300 border border-amber-400/40',
+  approved: 'bg-sky-500/20 text-sky-300 border border-sky-400/40',
+  issuing: 'bg-sky-500/20 text-sky-300 border border-sky-400/40',
+  rejected: 'bg-rose-500/20 text-rose-300 border border-rose-400/40',
+  issued: 'bg-emerald-500/20 text-emerald-300 border border-emerald-400/40',
+};
+
+// How each review entry reads in a CSR's history
+const REVIEW_ACTIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  comment: 'commented',
+  issue: 'signed the certificate',
+};
+
+const EMPTY_SCEP_FORM = { name: '', profile: 'server_tls', one_time: true, expires_at: '' };
+
+// What each role may do; enforced by the backend, mirrored here to hide actions
+const ROLES = {
+  admin: { label: 'Admin', description: 'CA setup, settings and users' },
+  operator: { label: 'Operator', description: 'Sign and revoke certificates' },
+  requester: { label: 'Requester', description: 'Create CSRs, see own certificates' },
+  auditor: { label: 'Auditor', description: 'Read-only access' },
+};
+
+// Icons for the built-in certificate profiles; custom ones get a generic icon
+const PROFILE_ICONS = {
+  server_tls: '🌐',
+  client_tls: '🔐',
+  code_signing: '📦',
+};
+
+const SUBJECT_FIELD_LABELS = {
+  common_name: 'Common Name',
+  organization: 'Organization',
+  organizational_unit: 'Org. Unit',
+  country: 'Country',
+  state: 'State',
+  locality: 'Locality',
+  email: 'Email',
+};
+
+const EMPTY_PROFILE = {
+  name: '',
+  label: '',
+  description: '',
+  key_usage: ['digitalSignature'],
+  key_usage_critical: true,
+  extended_key_usage: [],
+  custom_ekus: '',
+  basic_constraints: 'critical,CA:FALSE',
+  max_validity_days: 397,
+  default_validity_days: 365,
+  approvals_required: 1,
+  allowed_key_types: ['RSA', 'EC', 'Ed25519'],
+  field_rules: {},
+  policy_oids: '',
+  default_sans: '',
+};
+
+// Issuance policy editor; list fields are comma separated here
+const EMPTY_POLICY = {
+  name: '',
+  description: '',
+  role: '',
+  user_id: '',
+  allowed_dns_suffixes: '',
+  denied_dns_suffixes: '',
+  allow_wildcards: true,
+  allowed_ip_ranges: '',
+  denied_ip_ranges: '',
+  allowed_email_domains: '',
+  max_sans: '',
+  enabled: true,
+};
+
+const POLICY_LISTS = ['allowed_dns_suffixes', 'denied_dns_suffixes', 'allowed_ip_ranges', 'denied_ip_ranges', 'allowed_email_domains'];
+
+function splitList(value) {
+  return value.split(',').map(v => v.trim()).filter(Boolean);
+}
 
-const sections = ['settings', 'requests', 'certificates'];
+function toggleItem(list, item) {
+  return list.includes(item) ? list.filter(i => i !== item) : [...list, item];
+}
 
-const CSR_PRESETS = {
-  server_tls: {
-    label: 'Server TLS',
-    description: 'HTTPS servers, APIs, web services',
-    icon: '🌐',
+// Key sizes offered per key type; for EC the size is the curve
+const KEY_TYPES = {
+  RSA: {
+    label: 'RSA',
+    sizes: [
+      { value: 2048, label: '2048 bits' },
+      { value: 3072, label: '3072 bits' },
+      { value: 4096, label: '4096 bits' },
+    ],
   },
-  client_tls: {
-    label: 'Client TLS',
-    description: 'mTLS client authentication',
-    icon: '🔐',
+  EC: {
+    label: 'ECDSA',
+    sizes: [
+      { value: 256, label: 'P-256' },
+      { value: 384, label: 'P-384' },
+      { value: 521, label: 'P-521' },
+    ],
   },
-  code_signing: {
-    label: 'Code Signing',
-    description: 'Sign executables, scripts, packages',
-    icon: '📦',
+  Ed25519: {
+    label: 'Ed25519',
+    sizes: [{ value: 256, label: 'Curve25519' }],
   },
 };
 
+function keyLabel(keyType, keySize) {
+  const type = KEY_TYPES[keyType] || KEY_TYPES.RSA;
+  if (keyType === 'Ed25519') return type.label;
+  const size = type.sizes.find(s => s.value === Number(keySize));
+  return `${type.label} ${size ? size.label : keySize}`;
+}
+
+// RFC 5280 CRLReason codes accepted by the revoke endpoint
+const REVOCATION_REASONS = {
+  unspecified: 'Unspecified',
+  keyCompromise: 'Key compromise',
+  cACompromise: 'CA compromise',
+  affiliationChanged: 'Affiliation changed',
+  superseded: 'Superseded',
+  cessationOfOperation: 'Cessation of operation',
+  certificateHold: 'Certificate hold',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole days until a certificate's not_after; negative once expired
+function daysUntil(notAfter) {
+  const end = Date.parse(notAfter);
+  return Number.isNaN(end) ? null : Math.floor((end - Date.now()) / DAY_MS);
+}
+
+function expiryLabel(days) {
+  if (days < 0) return 'expired';
+  if (days === 0) return 'expires today';
+  return `${days}d left`;
+}
+
+function expiryBadgeClass(days) {
+  if (days <= 7) return 'bg-rose-500/20 text-rose-300 border border-rose-400/40';
+  if (days <= 30) return 'bg-amber-500/20 text-amber-300 border border-amber-400/40';
+  return 'bg-slate-800/70 text-slate-300 border border-white/10';
+}
+
+// Inspector drawer rows as [label, value or list]; empty ones are left out
+function detailRows(d) {
+  const bc = d.basic_constraints;
+  const present = ([, value]) => (Array.isArray(value) ? value.length > 0 : value);
+  return {
+    overview: [
+      ['Subject', d.subject],
+      ['Issuer', d.issuer],
+      ['Serial Number', d.serial_number],
+      ['Not Before', d.not_before],
+      ['Not After', d.not_after],
+      ['Version', d.version && `v${d.version}`],
+      ['Signature Algorithm', d.signature_algorithm],
+      ['Public Key', `${d.public_key.label}${d.public_key.curve ? ` (${d.public_key.curve})` : ''}`],
+      ['SHA-1 Fingerprint', d.fingerprints.sha1],
+      ['SHA-256 Fingerprint', d.fingerprints.sha256],
+    ].filter(present),
+    extensions: [
+      ['Subject Alternative Names', d.san.map(e => `${e.type}: ${e.value}`)],
+      ['Key Usage', d.key_usage],
+      ['Extended Key Usage', d.extended_key_usage],
+      ['Basic Constraints', bc && `${bc.ca ? 'CA' : 'End entity'}${bc.path_len !== null ? `, path length ${bc.path_len}` : ''}`],
+      ['Subject Key Identifier', d.subject_key_id],
+      ['Authority Key Identifier', d.authority_key_id],
+      ['OCSP', d.ocsp_urls],
+      ['CA Issuers', d.ca_issuers_urls],
+      ['CRL Distribution Points', d.crl_urls],
+      ['Certificate Policies', d.policies],
+    ].filter(present),
+  };
+}
+
+// Per-certificate export formats: `key` ones need the stored private key,
+// `password` is required, optional (encrypts the key) or not asked
+const EXPORT_FORMATS = {
+  der_cer: { label: 'DER certificate (.cer)' },
+  der_crt: { label: 'DER certificate (.crt)' },
+  pkcs7: { label: 'PKCS#7 chain (.p7b)' },
+  pkcs12: { label: 'PKCS#12 keystore (.p12)', key: true, password: 'required' },
+  key_pkcs8: { label: 'Private key, PKCS#8', key: true, password: 'optional' },
+  key_traditional: { label: 'Private key, traditional RSA/EC', key: true, password: 'optional' },
+  truststore_jks: { label: 'Java truststore (.jks)', password: 'required' },
+  truststore_pkcs12: { label: 'PKCS#12 truststore (.p12)', password: 'required' },
+};
+
+const EMPTY_EXPORT_FORM = { format: 'der_cer', password: '', alias: '', encryption: 'modern', include_certificate: false };
+
+// Tools: output formats and the extension of the downloaded file
+const TOOL_FORMATS = {
+  pem: ['PEM', 'pem'],
+  der: ['DER', 'der'],
+  pkcs7: ['PKCS#7', 'p7b'],
+  pkcs12: ['PKCS#12', 'p12'],
+};
+
+const TOOL_ITEM_LABELS = {
+  certificate: 'Certificate',
+  csr: 'CSR',
+  crl: 'CRL',
+  private_key: 'Private key',
+  public_key: 'Public key',
+  unknown: 'Unknown',
+};
+
+const EMPTY_TOOL_INPUT = { data: '', encoding: 'text', name: '' };
+
 function App() {
   const [active, setActive] = useState('settings');
 
@@ -43,7 +307,38 @@ function App() {
   const [username, setUsername] = useState('ca_admin');
   const [password, setPassword] = useState('');
   const [authError, setAuthError] = useState('');
+  const [sso, setSso] = useState(null);
   const [authBusy, setAuthBusy] = useState(false);
+  // Second login step: set once the password was accepted for a 2FA account
+  const [loginChallenge, setLoginChallenge] = useState(null);
+  const [loginCode, setLoginCode] = useState('');
+  const [loginUseRecovery, setLoginUseRecovery] = useState(false);
+
+  // Two-factor settings; recoveryCodes are shown once after they are created
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [showTwoFactorModal, setShowTwoFactorModal] = useState(false);
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [twoFactorPassword, setTwoFactorPassword] = useState('');
+  const [twoFactorUseRecovery, setTwoFactorUseRecovery] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [twoFactorError, setTwoFactorError] = useState('');
+  const [twoFactorBusy, setTwoFactorBusy] = useState(false);
+
+  // Own password change
+  const [showPasswordModal, setShowPasswordModal] = useState(false);
+  const [passwordForm, setPasswordForm] = useState({ current: '', next: '', confirm: '' });
+  const [passwordError, setPasswordError] = useState('');
+  const [passwordMessage, setPasswordMessage] = useState('');
+  const [passwordBusy, setPasswordBusy] = useState(false);
+
+  // Sessions modal: sessionsUser is null for your own sessions, or the user an
+  // admin is looking at
+  const [showSessionsModal, setShowSessionsModal] = useState(false);
+  const [sessionsUser, setSessionsUser] = useState(null);
+  const [sessionList, setSessionList] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(false);
+  const [sessionsError, setSessionsError] = useState('');
 
   // CA settings state
   const [caLoading, setCaLoading] = useState(false);
@@ -60,13 +355,36 @@ function App() {
     key_type: 'RSA',
     key_size: 2048,
     initialized: false,
+    ca_generation: null,
+    default_issuer_id: null,
+  });
+
+  // Intermediate CA state
+  const [intermediates, setIntermediates] = useState([]);
+  const [intermediateCreating, setIntermediateCreating] = useState(false);
+  const [intermediateError, setIntermediateError] = useState('');
+  const [intermediateForm, setIntermediateForm] = useState({
+    common_name: '',
+    path_len: 0,
+    days: 1825,
+    policy_id: '',
   });
+  const [signIssuerId, setSignIssuerId] = useState('');
+
+  // Root CA generations and key rollover
+  const [caGenerations, setCaGenerations] = useState([]);
+  const [generationError, setGenerationError] = useState('');
+  const [rolloverCrossSign, setRolloverCrossSign] = useState(true);
+  const [rolloverConfirm, setRolloverConfirm] = useState('');
+  const [rolloverBusy, setRolloverBusy] = useState(false);
+  const [rolloverResult, setRolloverResult] = useState(null);
 
   // CSR state
   const [csrList, setCsrList] = useState([]);
   const [csrLoading, setCsrLoading] = useState(false);
   const [csrCreating, setCsrCreating] = useState(false);
   const [csrError, setCsrError] = useState('');
+  const [csrViolations, setCsrViolations] = useState([]);
   const [csrForm, setCsrForm] = useState({
     preset: 'server_tls',
     common_name: '',
@@ -77,9 +395,21 @@ function App() {
     locality: '',
     email: '',
     san: '',
+    key_type: 'RSA',
     key_size: 2048,
+    days: '',
   });
 
+  // External CSR upload state
+  const [showCsrUploadModal, setShowCsrUploadModal] = useState(false);
+  const [csrUploadPem, setCsrUploadPem] = useState('');
+  const [csrUploadPreset, setCsrUploadPreset] = useState('server_tls');
+  const [csrUploadDays, setCsrUploadDays] = useState('');
+  const [csrUploadPreview, setCsrUploadPreview] = useState(null);
+  const [csrUploadError, setCsrUploadError] = useState('');
+  const [csrUploadViolations, setCsrUploadViolations] = useState([]);
+  const [csrUploading, setCsrUploading] = useState(false);
+
   // Certificates state
   const [certList, setCertList] = useState([]);
   const [certLoading, setCertLoading] = useState(false);
@@ -87,15 +417,137 @@ function App() {
   const [certImporting, setCertImporting] = useState(false);
   const [showImportModal, setShowImportModal] = useState(false);
   const [importForm, setImportForm] = useState({ cert_pem: '', key_pem: '', chain_pem: '' });
-  const [showPkcs12Modal, setShowPkcs12Modal] = useState(false);
-  const [pkcs12CertId, setPkcs12CertId] = useState(null);
-  const [pkcs12CertName, setPkcs12CertName] = useState('');
-  const [pkcs12Password, setPkcs12Password] = useState('');
-  const [pkcs12Exporting, setPkcs12Exporting] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [exportCert, setExportCert] = useState(null);
+  const [exportForm, setExportForm] = useState(EMPTY_EXPORT_FORM);
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState('');
+  const [showRevokeModal, setShowRevokeModal] = useState(false);
+  const [revokeCertId, setRevokeCertId] = useState(null);
+  const [revokeCertName, setRevokeCertName] = useState('');
+  const [revokeReason, setRevokeReason] = useState('unspecified');
+  const [revoking, setRevoking] = useState(false);
+
+  // Certificate profiles (everyone picks one; admins edit them)
+  const [profiles, setProfiles] = useState([]);
+  const [profileOptions, setProfileOptions] = useState(null);
+  const [profileForm, setProfileForm] = useState(null);
+  const [profileEditingId, setProfileEditingId] = useState(null);
+  const [profileSaving, setProfileSaving] = useState(false);
+  const [profileError, setProfileError] = useState('');
+
+  // Issuance policies (admins edit them; operators and auditors can look)
+  const [policies, setPolicies] = useState([]);
+  const [policyForm, setPolicyForm] = useState(null);
+  const [policyEditingId, setPolicyEditingId] = useState(null);
+  const [policySaving, setPolicySaving] = useState(false);
+  const [policyError, setPolicyError] = useState('');
+  // Renewal: renewCertId null means bulk renewal of expiring certificates
+  const [showRenewModal, setShowRenewModal] = useState(false);
+  const [renewCertId, setRenewCertId] = useState(null);
+  const [renewCertName, setRenewCertName] = useState('');
+  const [renewReuseKey, setRenewReuseKey] = useState(false);
+  const [renewDays, setRenewDays] = useState('');
+  const [renewWindow, setRenewWindow] = useState(30);
+  const [renewing, setRenewing] = useState(false);
+  const [certNotice, setCertNotice] = useState('');
+  const [historyCertId, setHistoryCertId] = useState(null);
+  // Inspector drawer for a certificate or CSR
+  const [details, setDetails] = useState(null);
+  const [detailsTitle, setDetailsTitle] = useState('');
+  const [detailsLoading, setDetailsLoading] = useState(false);
+  const [detailsError, setDetailsError] = useState('');
+
+  // Tools: decode and convert pasted or uploaded files (nothing is stored)
+  const [toolInput, setToolInput] = useState(EMPTY_TOOL_INPUT);
+  const [toolPassword, setToolPassword] = useState('');
+  const [toolResult, setToolResult] = useState(null);
+  const [toolError, setToolError] = useState('');
+  const [toolBusy, setToolBusy] = useState(false);
+  const [toolFormat, setToolFormat] = useState('pem');
+  const [toolExportPassword, setToolExportPassword] = useState('');
+
+  // Expiry dashboard state
+  const [expiry, setExpiry] = useState(null);
+  const [expiryError, setExpiryError] = useState('');
+  const [expiryMessage, setExpiryMessage] = useState('');
+  const [expiryChecking, setExpiryChecking] = useState(false);
+
+  // Users state (admins only)
+  const [userList, setUserList] = useState([]);
+  const [addressLockouts, setAddressLockouts] = useState([]);
+  const [usersLoading, setUsersLoading] = useState(false);
+  const [usersError, setUsersError] = useState('');
+  const [userCreating, setUserCreating] = useState(false);
+  const [userForm, setUserForm] = useState({ username: '', password: '', role: 'requester' });
+  const [showResetPasswordModal, setShowResetPasswordModal] = useState(false);
+  const [resetUserId, setResetUserId] = useState(null);
+  const [resetUserName, setResetUserName] = useState('');
+  const [resetPassword, setResetPassword] = useState('');
+  const [resettingPassword, setResettingPassword] = useState(false);
+
+  // API tokens state; newToken holds a just-created secret, shown once
+  const [tokens, setTokens] = useState([]);
+  const [tokenScopes, setTokenScopes] = useState([]);
+  const [tokensAll, setTokensAll] = useState(false);
+  const [tokensError, setTokensError] = useState('');
+  const [tokenForm, setTokenForm] = useState(EMPTY_TOKEN_FORM);
+  const [tokenCreating, setTokenCreating] = useState(false);
+  const [newToken, setNewToken] = useState(null);
+
+  // Approval queue; approvalNotes holds the comment typed on each queued CSR
+  const [approvalQueue, setApprovalQueue] = useState([]);
+  const [allowSelfApproval, setAllowSelfApproval] = useState(false);
+  const [approvalsError, setApprovalsError] = useState('');
+  const [approvalNotes, setApprovalNotes] = useState({});
+  const [approvalBusyId, setApprovalBusyId] = useState(null);
+
+  // Review history of the one CSR whose thread is open, in either list
+  const [reviewsCsrId, setReviewsCsrId] = useState(null);
+  const [csrReviews, setCsrReviews] = useState([]);
+  const [reviewComment, setReviewComment] = useState('');
+  const [reviewError, setReviewError] = useState('');
+
+  // SCEP challenge passwords; newChallenge holds a just-created password, shown once
+  const [scepChallenges, setScepChallenges] = useState([]);
+  const [scepError, setScepError] = useState('');
+  const [scepForm, setScepForm] = useState(EMPTY_SCEP_FORM);
+  const [scepCreating, setScepCreating] = useState(false);
+  const [newChallenge, setNewChallenge] = useState(null);
+
+  const role = user ? user.role : null;
+  const isAdmin = role === 'admin';
+  const canOperate = role === 'admin' || role === 'operator';
+  const canRequest = !!role && role !== 'auditor';
+  const visibleSections = sections.filter(s => !SECTION_ROLES[s] || SECTION_ROLES[s].includes(role));
+
+  const profileByName = Object.fromEntries(profiles.map(p => [p.name, p]));
+  const selectedProfile = profileByName[csrForm.preset];
+
+  const certById = new Map(certList.map(c => [c.id, c]));
+  const currentRoot = caGenerations.find(gen => gen.current) || null;
+  const renewedBy = new Map(certList.filter(c => c.renewed_from).map(c => [c.renewed_from, c]));
+
+  // Audit state (admins and auditors)
+  const [auditEntries, setAuditEntries] = useState([]);
+  const [auditTotal, setAuditTotal] = useState(0);
+  const [auditLoading, setAuditLoading] = useState(false);
+  const [auditError, setAuditError] = useState('');
+  const [auditFilters, setAuditFilters] = useState(EMPTY_AUDIT_FILTERS);
+  const [auditVerify, setAuditVerify] = useState(null);
 
   // Check auth on load
   useEffect(() => {
     let mounted = true;
+    // A failed single sign-on comes back as ?sso_error=
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('sso_error')) {
+      setAuthError(params.get('sso_error'));
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+    fetchSsoConfig()
+      .then(config => mounted && setSso(config))
+      .catch(() => {});
     (async () => {
       try {
         const data = await fetchMe();
@@ -141,14 +593,28 @@ function App() {
     };
   }, [user]);
 
+  // Load the signed-in account; users who must enroll in 2FA go straight to setup
+  async function finishLogin() {
+    const data = await fetchMe();
+    setUser(data.user);
+    if (data.user.two_factor_setup_required) {
+      openTwoFactorModal();
+    }
+  }
+
   async function handleLogin(e) {
     e.preventDefault();
     setAuthError('');
     setAuthBusy(true);
     try {
       const data = await login(username.trim(), password);
-      if (data && data.username) {
-        setUser({ username: data.username });
+      if (data && data.two_factor_required) {
+        setLoginChallenge(data.challenge);
+        setLoginCode('');
+        setLoginUseRecovery(false);
+        setPassword('');
+      } else if (data && data.username) {
+        await finishLogin();
         setPassword('');
       }
     } catch (err) {
@@ -161,11 +627,238 @@ function App() {
     }
   }
 
+  async function handleLoginSecondFactor(e) {
+    e.preventDefault();
+    setAuthError('');
+    setAuthBusy(true);
+    try {
+      await loginSecondFactor(loginChallenge, loginUseRecovery ? { recovery_code: loginCode } : { code: loginCode });
+      setLoginChallenge(null);
+      setLoginCode('');
+      await finishLogin();
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Unable to verify the code';
+      setAuthError(msg);
+    } finally {
+      setAuthBusy(false);
+    }
+  }
+
+  // Two-factor handlers
+  async function loadTwoFactor() {
+    try {
+      setTwoFactor(await getTwoFactor());
+    } catch (err) {
+      setTwoFactorError('Failed to load two-factor settings');
+    }
+  }
+
+  function openTwoFactorModal() {
+    setTwoFactorSetup(null);
+    setTwoFactorCode('');
+    setTwoFactorPassword('');
+    setTwoFactorUseRecovery(false);
+    setRecoveryCodes([]);
+    setTwoFactorError('');
+    setShowTwoFactorModal(true);
+    loadTwoFactor();
+  }
+
+  async function handleStartTwoFactorSetup() {
+    setTwoFactorError('');
+    setTwoFactorBusy(true);
+    try {
+      setTwoFactorSetup(await setupTwoFactor());
+      setTwoFactorCode('');
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to start two-factor setup';
+      setTwoFactorError(msg);
+    } finally {
+      setTwoFactorBusy(false);
+    }
+  }
+
+  async function handleEnableTwoFactor(e) {
+    e.preventDefault();
+    setTwoFactorError('');
+    setTwoFactorBusy(true);
+    try {
+      const data = await enableTwoFactor(twoFactorCode);
+      setRecoveryCodes(data.recovery_codes);
+      setTwoFactorSetup(null);
+      setTwoFactorCode('');
+      await loadTwoFactor();
+      const me = await fetchMe();
+      setUser(me.user);
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to enable two-factor authentication';
+      setTwoFactorError(msg);
+    } finally {
+      setTwoFactorBusy(false);
+    }
+  }
+
+  async function handleRegenerateRecoveryCodes() {
+    setTwoFactorError('');
+    setTwoFactorBusy(true);
+    try {
+      const data = await regenerateRecoveryCodes(twoFactorUseRecovery ? { recovery_code: twoFactorCode } : { code: twoFactorCode });
+      setRecoveryCodes(data.recovery_codes);
+      setTwoFactorCode('');
+      await loadTwoFactor();
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to create recovery codes';
+      setTwoFactorError(msg);
+    } finally {
+      setTwoFactorBusy(false);
+    }
+  }
+
+  async function handleDisableTwoFactor() {
+    setTwoFactorError('');
+    setTwoFactorBusy(true);
+    try {
+      await disableTwoFactor(twoFactorPassword, twoFactorUseRecovery ? { recovery_code: twoFactorCode } : { code: twoFactorCode });
+      setTwoFactorCode('');
+      setTwoFactorPassword('');
+      setRecoveryCodes([]);
+      await loadTwoFactor();
+      const me = await fetchMe();
+      setUser(me.user);
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to disable two-factor authentication';
+      setTwoFactorError(msg);
+    } finally {
+      setTwoFactorBusy(false);
+    }
+  }
+
+  async function handleTwoFactorPolicy(require2fa) {
+    setUsersError('');
+    try {
+      await setTwoFactorPolicy(require2fa);
+      await loadTwoFactor();
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to save two-factor policy';
+      setUsersError(msg);
+    }
+  }
+
+  function openPasswordModal() {
+    setPasswordForm({ current: '', next: '', confirm: '' });
+    setPasswordError('');
+    setPasswordMessage('');
+    setShowPasswordModal(true);
+  }
+
+  async function handleChangePassword(e) {
+    e.preventDefault();
+    setPasswordError('');
+    setPasswordMessage('');
+    if (passwordForm.next !== passwordForm.confirm) {
+      setPasswordError('The new passwords do not match');
+      return;
+    }
+    setPasswordBusy(true);
+    try {
+      const res = await changePassword(passwordForm.current, passwordForm.next);
+      setPasswordForm({ current: '', next: '', confirm: '' });
+      setPasswordMessage(
+        res.sessions_ended
+          ? `Password changed. ${res.sessions_ended} other session${res.sessions_ended === 1 ? ' was' : 's were'} signed out.`
+          : 'Password changed.'
+      );
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to change password';
+      setPasswordError(msg);
+    } finally {
+      setPasswordBusy(false);
+    }
+  }
+
+  async function loadSessionList(target) {
+    setSessionsLoading(true);
+    setSessionsError('');
+    try {
+      setSessionList(target ? await listSessions(target.id) : await listMySessions());
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to load sessions';
+      setSessionsError(msg);
+    } finally {
+      setSessionsLoading(false);
+    }
+  }
+
+  function openSessionsModal(target = null) {
+    setSessionsUser(target);
+    setSessionList([]);
+    setShowSessionsModal(true);
+    loadSessionList(target);
+  }
+
+  async function handleEndSession(s) {
+    if (!confirm(`Sign out the session from ${s.ip || 'an unknown address'}?`)) return;
+    setSessionsError('');
+    try {
+      if (sessionsUser) {
+        await endSession(s.id);
+      } else {
+        await endMySession(s.id);
+      }
+      await loadSessionList(sessionsUser);
+      if (sessionsUser) await loadUsers();
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to end session';
+      setSessionsError(msg);
+    }
+  }
+
+  async function handleEndUserSessions() {
+    if (!confirm(`Sign ${sessionsUser.username} out everywhere?`)) return;
+    setSessionsError('');
+    try {
+      await endUserSessions(sessionsUser.id);
+      await loadSessionList(sessionsUser);
+      await loadUsers();
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to end sessions';
+      setSessionsError(msg);
+    }
+  }
+
   async function handleLogout() {
     setAuthBusy(true);
     try {
       await logout();
       setUser(null);
+      setTwoFactor(null);
+      setShowTwoFactorModal(false);
+      setShowPasswordModal(false);
+      setShowSessionsModal(false);
+      if (SECTION_ROLES[active]) setActive('settings');
+      setUserList([]);
+      setAuditEntries([]);
+      setAuditVerify(null);
 
       // Reset CA-related state on logout
       setCaSettings({
@@ -178,7 +871,12 @@ function App() {
         key_type: 'RSA',
         key_size: 2048,
         initialized: false,
+        ca_generation: null,
+        default_issuer_id: null,
       });
+      setIntermediates([]);
+      setCaGenerations([]);
+      setRolloverConfirm('');
       setCaError('');
       setCaLoading(false);
       setCaSaving(false);
@@ -222,6 +920,96 @@ function App() {
     }
   }
 
+  async function loadCaGenerations() {
+    setGenerationError('');
+    try {
+      const data = await listCaGenerations();
+      setCaGenerations(data.generations || []);
+    } catch {
+      setGenerationError('Failed to load CA generations');
+    }
+  }
+
+  // New root key and certificate; the retired root keeps serving CRLs and OCSP
+  async function handleRollover(e) {
+    e.preventDefault();
+    setGenerationError('');
+    setRolloverResult(null);
+    setRolloverBusy(true);
+    try {
+      const data = await rolloverCa({ confirm: rolloverConfirm, cross_sign: rolloverCrossSign });
+      setRolloverResult(data);
+      setRolloverConfirm('');
+      setCaSettings(prev => ({ ...prev, ca_generation: data.generation }));
+      await loadCaGenerations();
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to roll over the CA';
+      setGenerationError(msg);
+    } finally {
+      setRolloverBusy(false);
+    }
+  }
+
+  async function handleDownloadGenerationCert(generation, file, cn) {
+    try {
+      await downloadGenerationCert(generation, file, cn);
+    } catch {
+      setGenerationError('Failed to download certificate');
+    }
+  }
+
+  // Load intermediate CAs
+  async function loadIntermediates() {
+    setIntermediateError('');
+    try {
+      const data = await listIntermediates();
+      setIntermediates(data.intermediates || []);
+    } catch {
+      setIntermediateError('Failed to load intermediate CAs');
+    }
+  }
+
+  async function handleCreateIntermediate(e) {
+    e.preventDefault();
+    setIntermediateError('');
+    setIntermediateCreating(true);
+    try {
+      await createIntermediate(intermediateForm);
+      setIntermediateForm({ common_name: '', path_len: 0, days: 1825, policy_id: '' });
+      await loadIntermediates();
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to create intermediate CA';
+      setIntermediateError(msg);
+    } finally {
+      setIntermediateCreating(false);
+    }
+  }
+
+  async function handleSetDefaultIssuer(issuerId) {
+    setIntermediateError('');
+    try {
+      const data = await setDefaultIssuer(issuerId);
+      setCaSettings(prev => ({ ...prev, default_issuer_id: data.default_issuer_id }));
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to set default issuer';
+      setIntermediateError(msg);
+    }
+  }
+
+  async function handleDownloadIntermediateCert(id, cn) {
+    try {
+      await downloadIntermediateCert(id, cn);
+    } catch {
+      setIntermediateError('Failed to download intermediate CA certificate');
+    }
+  }
+
   // Load CSR list
   async function loadCsrs() {
     setCsrLoading(true);
@@ -250,6 +1038,72 @@ function App() {
     }
   }
 
+  async function loadExpiry() {
+    setExpiryError('');
+    try {
+      setExpiry(await getExpiry());
+    } catch {
+      setExpiryError('Failed to load expiry status');
+    }
+  }
+
+  async function handleRunExpiryCheck() {
+    setExpiryChecking(true);
+    setExpiryError('');
+    setExpiryMessage('');
+    try {
+      const result = await runExpiryCheck();
+      setExpiryMessage(
+        result.channels.length === 0
+          ? 'No notification channel configured; nothing was sent'
+          : `Checked ${result.checked} certificate(s): ${result.sent} alert(s) sent, ${result.failed} failed`
+      );
+      await Promise.all([loadExpiry(), loadCertificates()]);
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Expiry check failed';
+      setExpiryError(msg);
+    } finally {
+      setExpiryChecking(false);
+    }
+  }
+
+  async function handleSendTestAlert() {
+    setExpiryChecking(true);
+    setExpiryError('');
+    setExpiryMessage('');
+    try {
+      const result = await sendTestAlert();
+      const failed = result.results.filter(r => !r.ok);
+      if (failed.length > 0) {
+        setExpiryError(failed.map(r => `${r.channel}: ${r.error}`).join(' · '));
+      } else {
+        setExpiryMessage(`Test alert sent via ${result.results.map(r => r.channel).join(', ')}`);
+      }
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to send test alert';
+      setExpiryError(msg);
+    } finally {
+      setExpiryChecking(false);
+    }
+  }
+
+  // Intermediates are needed by the settings tab and the issuer picker
+  useEffect(() => {
+    if (user && caSettings.initialized && (active === 'settings' || active === 'requests' || active === 'approvals')) {
+      loadIntermediates();
+    }
+  }, [user, active, caSettings.initialized]);
+
+  useEffect(() => {
+    if (user && caSettings.initialized && active === 'settings') {
+      loadCaGenerations();
+    }
+  }, [user, active, caSettings.initialized]);
+
   // Load CSRs and certs when user logs in or tab changes
   useEffect(() => {
     if (user && active === 'requests') {
@@ -257,901 +1111,4701 @@ function App() {
     }
   }, [user, active]);
 
+  useEffect(() => {
+    if (visibleSections.includes('approvals') && active === 'approvals') {
+      loadApprovals();
+    }
+  }, [user, active]);
+
+  useEffect(() => {
+    setReviewsCsrId(null);
+  }, [active]);
+
   useEffect(() => {
     if (user && active === 'certificates') {
       loadCertificates();
+      loadExpiry();
     }
   }, [user, active]);
 
-  // CSR form handlers
-  async function handleCreateCsr(e) {
-    e.preventDefault();
-    setCsrError('');
-    setCsrCreating(true);
+  useEffect(() => {
+    if (isAdmin && active === 'users') {
+      loadUsers();
+    }
+  }, [user, active]);
+
+  useEffect(() => {
+    if (user) {
+      loadTwoFactor();
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (user && (active === 'requests' || active === 'profiles' || active === 'tokens' || active === 'scep')) {
+      loadProfiles();
+    }
+  }, [user, active]);
+
+  useEffect(() => {
+    // Settings needs them to offer name constraints for new intermediates
+    if (visibleSections.includes('policies') && (active === 'policies' || active === 'settings')) {
+      loadPolicies();
+    }
+    if (isAdmin && active === 'policies') {
+      loadUsers();
+    }
+  }, [user, active]);
+
+  useEffect(() => {
+    if (user && active === 'tokens') {
+      loadTokens();
+    }
+  }, [user, active, tokensAll]);
+
+  useEffect(() => {
+    if (visibleSections.includes('scep') && active === 'scep') {
+      loadScepChallenges();
+    }
+  }, [user, active]);
+
+  useEffect(() => {
+    if (visibleSections.includes('audit') && active === 'audit') {
+      loadAudit();
+    }
+  }, [user, active]);
+
+  // Audit handlers; `more` appends the next page
+  async function loadAudit(more = false) {
+    setAuditLoading(true);
+    setAuditError('');
     try {
-      await createCsr(csrForm);
-      setCsrForm({
-        preset: 'server_tls',
-        common_name: '',
-        organization: '',
-        organizational_unit: '',
-        country: '',
-        state: '',
-        locality: '',
-        email: '',
-        san: '',
-        key_size: 2048,
-      });
-      await loadCsrs();
+      const data = await listAudit(auditFilters, more ? auditEntries.length : 0);
+      setAuditEntries(prev => (more ? [...prev, ...data.entries] : data.entries));
+      setAuditTotal(data.total);
     } catch (err) {
       const msg =
         (err.response && err.response.data && err.response.data.error) ||
-        'Failed to create CSR';
-      setCsrError(msg);
+        'Failed to load audit log';
+      setAuditError(msg);
     } finally {
-      setCsrCreating(false);
+      setAuditLoading(false);
     }
   }
 
-  async function handleDeleteCsr(id) {
-    if (!confirm('Delete this CSR? This cannot be undone.')) return;
+  function handleAuditFilter(e) {
+    e.preventDefault();
+    loadAudit();
+  }
+
+  async function handleVerifyAudit() {
+    setAuditError('');
     try {
-      await deleteCsr(id);
-      await loadCsrs();
-    } catch {
-      setCsrError('Failed to delete CSR');
+      setAuditVerify(await verifyAudit());
+    } catch (err) {
+      setAuditError('Failed to verify audit log');
     }
   }
 
-  async function handleDownloadCsr(id, cn) {
+  async function handleExportAudit(format) {
     try {
-      await downloadCsr(id, cn);
+      await exportAudit(auditFilters, format);
     } catch {
-      setCsrError('Failed to download CSR');
+      setAuditError('Failed to export audit log');
     }
   }
 
-  async function handleDownloadCsrKey(id, cn) {
+  // Profile handlers
+  async function loadProfiles() {
     try {
-      await downloadCsrKey(id, cn);
+      const data = await listProfiles();
+      setProfiles(data.profiles);
+      setProfileOptions(data.options);
     } catch {
-      setCsrError('Failed to download key');
+      setProfileError('Failed to load profiles');
     }
   }
 
-  // Certificate handlers
-  async function handleSignCsr(csrId) {
-    if (!caSettings.initialized) {
-      setCsrError('Initialize the CA first before signing CSRs');
+  function openProfileEditor(profile) {
+    setProfileError('');
+    if (!profile) {
+      setProfileEditingId(null);
+      setProfileForm(EMPTY_PROFILE);
       return;
     }
+    const known = profileOptions ? profileOptions.extended_key_usages : [];
+    const fieldRules = {};
+    profile.required_fields.forEach(f => { fieldRules[f] = 'required'; });
+    profile.forbidden_fields.forEach(f => { fieldRules[f] = 'forbidden'; });
+    setProfileEditingId(profile.id);
+    setProfileForm({
+      ...profile,
+      extended_key_usage: profile.extended_key_usage.filter(u => known.includes(u)),
+      custom_ekus: profile.extended_key_usage.filter(u => !known.includes(u)).join(', '),
+      field_rules: fieldRules,
+      policy_oids: profile.policy_oids.join(', '),
+    });
+  }
+
+  async function handleSaveProfile(e) {
+    e.preventDefault();
+    setProfileSaving(true);
+    setProfileError('');
+    const rules = Object.entries(profileForm.field_rules);
+    const payload = {
+      name: profileForm.name,
+      label: profileForm.label,
+      description: profileForm.description,
+      key_usage: profileForm.key_usage,
+      key_usage_critical: profileForm.key_usage_critical,
+      extended_key_usage: [...profileForm.extended_key_usage, ...splitList(profileForm.custom_ekus)],
+      basic_constraints: profileForm.basic_constraints,
+      max_validity_days: Number(profileForm.max_validity_days),
+      default_validity_days: Number(profileForm.default_validity_days),
+      approvals_required: Number(profileForm.approvals_required),
+      allowed_key_types: profileForm.allowed_key_types,
+      required_fields: rules.filter(([, rule]) => rule === 'required').map(([f]) => f),
+      forbidden_fields: rules.filter(([, rule]) => rule === 'forbidden').map(([f]) => f),
+      policy_oids: splitList(profileForm.policy_oids),
+      default_sans: profileForm.default_sans,
+    };
     try {
-      await signCsr(csrId);
-      await loadCsrs();
-      await loadCertificates();
-      setActive('certificates');
+      if (profileEditingId) {
+        await updateProfile(profileEditingId, payload);
+      } else {
+        await createProfile(payload);
+      }
+      setProfileForm(null);
+      await loadProfiles();
     } catch (err) {
       const msg =
         (err.response && err.response.data && err.response.data.error) ||
-        'Failed to sign CSR';
-      setCsrError(msg);
+        'Failed to save profile';
+      setProfileError(msg);
+    } finally {
+      setProfileSaving(false);
     }
   }
 
-  async function handleImportCert(e) {
+  async function handleDeleteProfile(profile) {
+    if (!confirm(`Delete the ${profile.label} profile?`)) return;
+    setProfileError('');
+    try {
+      await deleteProfile(profile.id);
+      setProfileForm(null);
+      await loadProfiles();
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to delete profile';
+      setProfileError(msg);
+    }
+  }
+
+  // Issuance policy handlers
+  async function loadPolicies() {
+    try {
+      const data = await listPolicies();
+      setPolicies(data.policies);
+    } catch {
+      setPolicyError('Failed to load issuance policies');
+    }
+  }
+
+  function openPolicyEditor(policy) {
+    setPolicyError('');
+    if (!policy) {
+      setPolicyEditingId(null);
+      setPolicyForm(EMPTY_POLICY);
+      return;
+    }
+    setPolicyEditingId(policy.id);
+    setPolicyForm({
+      ...policy,
+      ...Object.fromEntries(POLICY_LISTS.map(field => [field, policy[field].join(', ')])),
+      role: policy.role || '',
+      user_id: policy.user_id || '',
+      max_sans: policy.max_sans === null ? '' : policy.max_sans,
+    });
+  }
+
+  async function handleSavePolicy(e) {
     e.preventDefault();
-    setCertImporting(true);
-    setCertError('');
+    setPolicySaving(true);
+    setPolicyError('');
+    const payload = {
+      name: policyForm.name,
+      description: policyForm.description,
+      role: policyForm.role || null,
+      user_id: policyForm.user_id === '' ? null : Number(policyForm.user_id),
+      ...Object.fromEntries(POLICY_LISTS.map(field => [field, splitList(policyForm[field])])),
+      allow_wildcards: policyForm.allow_wildcards,
+      max_sans: policyForm.max_sans === '' ? null : Number(policyForm.max_sans),
+      enabled: policyForm.enabled,
+    };
     try {
-      await importCertificate(importForm);
-      setShowImportModal(false);
-      setImportForm({ cert_pem: '', key_pem: '', chain_pem: '' });
-      await loadCertificates();
+      if (policyEditingId) {
+        await updatePolicy(policyEditingId, payload);
+      } else {
+        await createPolicy(payload);
+      }
+      setPolicyForm(null);
+      await loadPolicies();
     } catch (err) {
       const msg =
         (err.response && err.response.data && err.response.data.error) ||
-        'Failed to import certificate';
-      setCertError(msg);
+        'Failed to save policy';
+      setPolicyError(msg);
     } finally {
-      setCertImporting(false);
+      setPolicySaving(false);
     }
   }
 
-  async function handleDeleteCert(id) {
-    if (!confirm('Delete this certificate? This cannot be undone.')) return;
+  async function handleDeletePolicy(policy) {
+    if (!confirm(`Delete the ${policy.name} policy?`)) return;
+    setPolicyError('');
     try {
-      await deleteCertificate(id);
-      await loadCertificates();
-    } catch {
-      setCertError('Failed to delete certificate');
+      await deletePolicy(policy.id);
+      setPolicyForm(null);
+      await loadPolicies();
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to delete policy';
+      setPolicyError(msg);
     }
   }
 
-  async function handleDownloadCert(id, cn) {
+  // API token handlers
+  async function loadTokens() {
+    setTokensError('');
     try {
-      await downloadCert(id, cn);
-    } catch {
-      setCertError('Failed to download certificate');
+      const data = await listTokens(tokensAll);
+      setTokens(data.tokens);
+      setTokenScopes(data.scopes);
+    } catch (err) {
+      setTokensError('Failed to load API tokens');
     }
   }
 
-  async function handleDownloadCertKey(id, cn) {
+  async function handleCreateToken(e) {
+    e.preventDefault();
+    setTokensError('');
+    setNewToken(null);
+    setTokenCreating(true);
     try {
-      await downloadCertKey(id, cn);
-    } catch {
-      setCertError('Failed to download key');
+      // "sign" becomes "sign:<profile>" when limited to one profile
+      const scopes = tokenForm.scopes.map(s => (s === 'sign' && tokenForm.sign_profile ? `sign:${tokenForm.sign_profile}` : s));
+      const created = await createToken({
+        name: tokenForm.name.trim(),
+        scopes,
+        expires_at: tokenForm.expires_at ? new Date(`${tokenForm.expires_at}T23:59:59`).toISOString() : null,
+      });
+      setNewToken({ name: created.api_token.name, token: created.token });
+      setTokenForm(EMPTY_TOKEN_FORM);
+      await loadTokens();
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to create API token';
+      setTokensError(msg);
+    } finally {
+      setTokenCreating(false);
     }
   }
 
-  async function handleDownloadFullchain(id, cn) {
+  async function handleRevokeToken(token) {
+    if (!confirm(`Revoke API token "${token.name}"? Clients using it stop working immediately.`)) return;
+    setTokensError('');
     try {
-      await downloadFullchain(id, cn);
-    } catch {
-      setCertError('Failed to download fullchain');
+      await revokeToken(token.id);
+      await loadTokens();
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to revoke API token';
+      setTokensError(msg);
     }
   }
 
-  function openPkcs12Modal(id, cn) {
-    setPkcs12CertId(id);
-    setPkcs12CertName(cn);
-    setPkcs12Password('');
-    setShowPkcs12Modal(true);
+  // Approval queue handlers
+  async function loadApprovals() {
+    setApprovalsError('');
+    try {
+      const data = await listApprovals();
+      setApprovalQueue(data.queue);
+      setAllowSelfApproval(data.policy.allow_self_approval);
+    } catch (err) {
+      setApprovalsError('Failed to load the approval queue');
+    }
   }
 
-  async function handleExportPkcs12(e) {
-    e.preventDefault();
-    setPkcs12Exporting(true);
+  async function handleReviewDecision(csr, decision) {
+    const note = (approvalNotes[csr.id] || '').trim();
+    if (decision === 'reject' && !confirm(`Reject the CSR for ${csr.common_name}? This cannot be undone.`)) return;
+    setApprovalsError('');
+    setApprovalBusyId(csr.id);
     try {
-      await exportPkcs12(pkcs12CertId, pkcs12CertName, pkcs12Password);
-      setShowPkcs12Modal(false);
-      setPkcs12Password('');
+      if (decision === 'approve') {
+        await approveCsr(csr.id, note);
+      } else if (decision === 'reject') {
+        await rejectCsr(csr.id, note);
+      } else {
+        await commentCsr(csr.id, note);
+      }
+      setApprovalNotes(prev => ({ ...prev, [csr.id]: '' }));
+      await loadApprovals();
+      if (reviewsCsrId === csr.id) await loadReviews(csr.id);
     } catch (err) {
       const msg =
         (err.response && err.response.data && err.response.data.error) ||
-        'Failed to export PKCS#12';
-      setCertError(msg);
+        `Failed to ${decision} CSR`;
+      setApprovalsError(msg);
     } finally {
-      setPkcs12Exporting(false);
+      setApprovalBusyId(null);
     }
   }
 
-  async function handleDownloadCaCert() {
+  async function handleSignApproved(csr) {
+    setApprovalsError('');
+    setApprovalBusyId(csr.id);
     try {
-      await downloadCaCert();
+      await signCsr(csr.id, undefined, signIssuerId === '' ? undefined : signIssuerId);
+      await loadApprovals();
+      await loadCertificates();
+      setActive('certificates');
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to sign CSR';
+      setApprovalsError(msg);
+    } finally {
+      setApprovalBusyId(null);
+    }
+  }
+
+  async function handleSelfApprovalPolicy(allow) {
+    setApprovalsError('');
+    try {
+      await setApprovalPolicy(allow);
+      await loadApprovals();
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to save approval policy';
+      setApprovalsError(msg);
+    }
+  }
+
+  async function loadReviews(csrId) {
+    setReviewError('');
+    try {
+      const data = await listCsrReviews(csrId);
+      setCsrReviews(data.reviews);
     } catch {
-      setCertError('Failed to download CA certificate');
+      setReviewError('Failed to load the CSR history');
     }
   }
 
-  return (
-    <div className="min-h-screen flex flex-col text-slate-50 relative">
-      {/* Purple ambient background glow */}
-      <div className="fixed inset-0 pointer-events-none overflow-hidden z-0">
-        <div className="absolute top-0 left-1/4 w-96 h-96 bg-rpurple-500/10 rounded-full blur-[120px]" />
-        <div className="absolute bottom-1/4 right-1/4 w-80 h-80 bg-rpurple-600/8 rounded-full blur-[100px]" />
-      </div>
+  function toggleReviews(csrId) {
+    setReviewComment('');
+    if (reviewsCsrId === csrId) {
+      setReviewsCsrId(null);
+      return;
+    }
+    setCsrReviews([]);
+    setReviewsCsrId(csrId);
+    loadReviews(csrId);
+  }
 
-      {/* Header */}
-      <header className="flex items-center justify-between px-4 sm:px-8 py-3 border-b border-rpurple-500/20 bg-slate-950/80 backdrop-blur-xl shadow-glossy sticky top-0 z-20">
-        <div className="flex items-center gap-3">
-          <img 
-            src="/roarinca.png" 
-            alt="Roarin CA Logo" 
-            className="h-10 w-10 rounded-xl shadow-lg shadow-rpurple-500/30 bg-white/95 p-0.5"
-          />
-          <div className="leading-tight">
-            <div className="text-xs uppercase tracking-[0.25em] text-rpurple-300 font-medium">
-              Roarin CA
-            </div>
-            <div className="text-sm sm:text-base font-semibold bg-gradient-to-r from-slate-50 to-rpurple-200 bg-clip-text text-transparent">
-              Digital Certificate Studio
-            </div>
-          </div>
-        </div>
+  async function handleAddComment(e) {
+    e.preventDefault();
+    setReviewError('');
+    try {
+      await commentCsr(reviewsCsrId, reviewComment.trim());
+      setReviewComment('');
+      await loadReviews(reviewsCsrId);
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to add comment';
+      setReviewError(msg);
+    }
+  }
 
-        {/* Top-right clean tab nav */}
-        <nav className="hidden sm:flex items-center gap-2 bg-slate-950/90 border border-rpurple-500/20 rounded-2xl px-2 py-1 shadow-glossy">
-          {sections.map(s => (
+  // History of the open CSR, with a comment box for those who may comment
+  function renderReviews() {
+    return (
+      <div className="mt-2 space-y-1.5 border-t border-white/10 pt-2">
+        {csrReviews.length === 0 ? (
+          <div className="text-[10px] text-slate-500">No approvals or comments yet.</div>
+        ) : (
+          csrReviews.map(review => (
+            <div key={review.id} className="text-[10px]">
+              <span className="text-slate-300">{review.username || 'deleted user'}</span>{' '}
+              <span className={review.action === 'reject' ? 'text-rose-300' : review.action === 'approve' ? 'text-sky-300' : 'text-slate-400'}>
+                {REVIEW_ACTIONS[review.action] || review.action}
+              </span>
+              <span className="text-slate-500"> · {new Date(review.created_at).toLocaleString()}</span>
+              {review.comment && <div className="text-slate-300 whitespace-pre-wrap break-words pl-2">{review.comment}</div>}
+            </div>
+          ))
+        )}
+        {canRequest && (
+          <form onSubmit={handleAddComment} className="flex items-center gap-1.5">
+            <input
+              className="flex-1 min-w-0 rounded-lg bg-slate-900/70 border border-white/10 px-2 py-1 text-[11px] text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+              value={reviewComment}
+              onChange={e => setReviewComment(e.target.value)}
+              placeholder="Add a comment"
+            />
             <button
-              key={s}
-              onClick={() => setActive(s)}
-              className={`text-xs font-medium px-3 py-1.5 rounded-xl capitalize transition-all duration-200 ${
-                active === s
-                  ? 'btn-glow text-white'
-                  : 'text-slate-300 hover:text-rpurple-200 hover:bg-rpurple-500/10'
-              }`}
+              type="submit"
+              disabled={!reviewComment.trim()}
+              className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800 disabled:opacity-50"
             >
-              {s}
+              Comment
             </button>
-          ))}
-        </nav>
-      </header>
+          </form>
+        )}
+        {reviewError && <div className="text-[10px] text-rose-300">{reviewError}</div>}
+      </div>
+    );
+  }
 
-      {/* Main */}
-      <main className="flex-1 px-3 sm:px-6 lg:px-10 py-6 sm:py-8 relative z-10">
-        <div className="max-w-6xl mx-auto grid gap-4 sm:gap-6 lg:grid-cols-[minmax(0,2fr)_minmax(0,1.2fr)] items-start">
-          {/* Primary panel */}
-          <section className="glossy-card rounded-3xl p-4 sm:p-6 lg:p-7">
-            <div className="flex items-center justify-between mb-4 sm:mb-6">
-              <div>
-                <h1 className="text-lg sm:text-xl font-semibold tracking-tight flex items-center gap-2">
-                  <span className="inline-flex h-7 w-7 items-center justify-center rounded-2xl btn-glow text-xs font-bold">
-                    {active === 'settings' ? 'CA' : active === 'requests' ? 'CSR' : 'CRT'}
-                  </span>
-                  <span className="capitalize bg-gradient-to-r from-slate-50 to-rpurple-200 bg-clip-text text-transparent">{active}</span>
-                </h1>
-                <p className="mt-1 text-xs sm:text-sm text-slate-400">
-                  {active === 'settings' &&
-                    'Define how your Certificate Authority presents and protects itself.'}
-                  {active === 'requests' &&
-                    'Craft CSRs with sensible presets, ready for external signing.'}
-                  {active === 'certificates' &&
-                    'Import, issue, sign and export digital certificates with confidence.'}
-                </p>
-              </div>
-            </div>
+  // SCEP challenge handlers
+  async function loadScepChallenges() {
+    setScepError('');
+    try {
+      const data = await listScepChallenges();
+      setScepChallenges(data.challenges);
+    } catch (err) {
+      setScepError('Failed to load SCEP challenges');
+    }
+  }
 
-            <div className="mt-4 sm:mt-6 text-sm text-slate-300">
-              {active === 'settings' && (
-                <>
-                  {!user ? (
-                    // Logged OUT: locked card, no CA details
-                    <div className="h-40 sm:h-56 rounded-2xl border border-rpurple-500/40 bg-gradient-to-br from-slate-950/60 via-slate-950/40 to-rpurple-900/40 flex flex-col items-center justify-center text-xs sm:text-sm text-slate-400 gap-2">
-                      <div className="inline-flex items-center gap-1 rounded-full bg-slate-800/70 text-slate-200 px-3 py-1 border border-slate-500/60 text-[11px]">
-                        <span className="h-1.5 w-1.5 rounded-full bg-slate-400" />
-                        CA settings are locked
-                      </div>
-                      <p className="text-[11px] sm:text-xs text-slate-400 max-w-md text-center">
-                        Sign in as <span className="font-mono text-rpurple-200">ca_admin</span>{' '}
-                        to view and manage your Certificate Authority identity and key material.
-                      </p>
-                    </div>
-                  ) : (
-                    // Logged IN: full CA form
-                    <div className="space-y-4">
-                      <div className="flex flex-wrap items-center gap-2 text-xs">
-                        <span className="inline-flex items-center gap-1 rounded-full border border-white/10 bg-slate-900/60 px-2 py-1">
-                          <span className="h-1.5 w-1.5 rounded-full bg-emerald-400 shadow-[0_0_10px_rgba(52,211,153,0.9)]" />
-                          <span className="uppercase tracking-[0.16em] text-slate-300">
-                            CA Settings
-                          </span>
-                        </span>
-                        {caSettings.initialized ? (
-                          <span className="inline-flex items-center gap-1 rounded-full bg-emerald-500/20 text-emerald-200 px-2 py-1 border border-emerald-400/40 text-[11px]">
-                            <span className="h-1.5 w-1.5 rounded-full bg-emerald-300" />
-                            Initialized
-                          </span>
-                        ) : (
-                          <span className="inline-flex items-center gap-1 rounded-full bg-amber-500/10 text-amber-200 px-2 py-1 border border-amber-400/40 text-[11px]">
-                            <span className="h-1.5 w-1.5 rounded-full bg-amber-300" />
-                            Not initialized
-                          </span>
-                        )}
-                      </div>
+  async function handleCreateScepChallenge(e) {
+    e.preventDefault();
+    setScepError('');
+    setNewChallenge(null);
+    setScepCreating(true);
+    try {
+      const created = await createScepChallenge({
+        name: scepForm.name.trim(),
+        profile: scepForm.profile,
+        one_time: scepForm.one_time,
+        expires_at: scepForm.expires_at ? new Date(`${scepForm.expires_at}T23:59:59`).toISOString() : null,
+      });
+      setNewChallenge({ name: created.challenge.name, password: created.password });
+      setScepForm(EMPTY_SCEP_FORM);
+      await loadScepChallenges();
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to create SCEP challenge';
+      setScepError(msg);
+    } finally {
+      setScepCreating(false);
+    }
+  }
 
-                      <form onSubmit={handleSaveCa} className="grid gap-4 sm:grid-cols-2">
-                        <div className="space-y-3">
-                          <label className="block space-y-1 text-xs">
-                            <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
-                              Common Name
-                            </span>
-                            <input
-                              className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 focus:border-rpurple-400/80"
-                              value={caSettings.common_name}
-                              onChange={e =>
-                                setCaSettings(prev => ({
-                                  ...prev,
-                                  common_name: e.target.value,
-                                }))
-                              }
-                              placeholder="Roarin CA Root"
-                            />
-                          </label>
+  async function handleRevokeScepChallenge(challenge) {
+    if (!confirm(`Revoke SCEP challenge "${challenge.name}"? Devices can no longer enroll with it.`)) return;
+    setScepError('');
+    try {
+      await revokeScepChallenge(challenge.id);
+      await loadScepChallenges();
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to revoke SCEP challenge';
+      setScepError(msg);
+    }
+  }
 
-                          <label className="block space-y-1 text-xs">
-                            <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
-                              Organization
-                            </span>
-                            <input
-                              className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 focus:border-rpurple-400/80"
-                              value={caSettings.organization}
-                              onChange={e =>
-                                setCaSettings(prev => ({
-                                  ...prev,
-                                  organization: e.target.value,
-                                }))
-                              }
-                              placeholder="RoarinPenguin"
-                            />
-                          </label>
+  // Users handlers
+  async function loadUsers() {
+    setUsersLoading(true);
+    setUsersError('');
+    try {
+      const [users, addresses] = await Promise.all([listUsers(), listAddressLockouts()]);
+      setUserList(users);
+      setAddressLockouts(addresses);
+    } catch (err) {
+      setUsersError('Failed to load users');
+    } finally {
+      setUsersLoading(false);
+    }
+  }
 
-                          <label className="block space-y-1 text-xs">
-                            <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
-                              Organizational Unit
-                            </span>
-                            <input
-                              className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 focus:border-rpurple-400/80"
-                              value={caSettings.organizational_unit}
-                              onChange={e =>
-                                setCaSettings(prev => ({
-                                  ...prev,
-                                  organizational_unit: e.target.value,
-                                }))
-                              }
-                              placeholder="Security Operations"
-                            />
-                          </label>
-                        </div>
+  async function handleCreateUser(e) {
+    e.preventDefault();
+    setUsersError('');
+    setUserCreating(true);
+    try {
+      await createUser({ ...userForm, username: userForm.username.trim() });
+      setUserForm({ username: '', password: '', role: 'requester' });
+      await loadUsers();
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to create user';
+      setUsersError(msg);
+    } finally {
+      setUserCreating(false);
+    }
+  }
 
-                        <div className="space-y-3">
-                          <div className="grid grid-cols-3 gap-2 text-xs">
-                            <label className="space-y-1">
-                              <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
-                                Country
-                              </span>
-                              <input
-                                className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 focus:border-rpurple-400/80"
-                                value={caSettings.country}
-                                onChange={e =>
-                                  setCaSettings(prev => ({
-                                    ...prev,
-                                    country: e.target.value,
-                                  }))
-                                }
-                                placeholder="IT"
-                                maxLength={2}
-                              />
-                            </label>
+  async function handleUpdateUser(id, changes) {
+    setUsersError('');
+    try {
+      await updateUser(id, changes);
+      await loadUsers();
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to update user';
+      setUsersError(msg);
+    }
+  }
 
-                            <label className="space-y-1">
-                              <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
-                                State
-                              </span>
-                              <input
-                                className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 focus:border-rpurple-400/80"
-                                value={caSettings.state}
-                                onChange={e =>
-                                  setCaSettings(prev => ({
-                                    ...prev,
-                                    state: e.target.value,
-                                  }))
-                                }
-                                placeholder="MI"
-                              />
-                            </label>
+  async function handleResetUserTwoFactor(u) {
+    if (!confirm(`Reset two-factor authentication for ${u.username}? They set it up again on their next sign-in.`)) return;
+    setUsersError('');
+    try {
+      await resetUserTwoFactor(u.id);
+      await loadUsers();
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to reset two-factor authentication';
+      setUsersError(msg);
+    }
+  }
 
-                            <label className="space-y-1">
-                              <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
-                                Locality
-                              </span>
-                              <input
-                                className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 focus:border-rpurple-400/80"
-                                value={caSettings.locality}
-                                onChange={e =>
-                                  setCaSettings(prev => ({
-                                    ...prev,
-                                    locality: e.target.value,
-                                  }))
-                                }
-                                placeholder="Milan"
-                              />
-                            </label>
-                          </div>
+  async function handleUnlockUser(u) {
+    setUsersError('');
+    try {
+      await unlockUser(u.id);
+      await loadUsers();
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to unlock user';
+      setUsersError(msg);
+    }
+  }
 
-                          <div className="grid grid-cols-2 gap-2 text-xs">
-                            <label className="space-y-1">
-                              <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
-                                Key Type
-                              </span>
-                              <select
-                                className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 focus:border-rpurple-400/80"
-                                value={caSettings.key_type}
-                                onChange={e =>
-                                  setCaSettings(prev => ({
-                                    ...prev,
-                                    key_type: e.target.value,
-                                  }))
-                                }
-                              >
-                                <option value="RSA">RSA</option>
-                              </select>
-                            </label>
+  async function handleUnlockAddress(address) {
+    setUsersError('');
+    try {
+      await unlockAddress(address);
+      await loadUsers();
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to unlock address';
+      setUsersError(msg);
+    }
+  }
 
-                            <label className="space-y-1">
-                              <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
-                                Key Size
-                              </span>
-                              <select
-                                className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 focus:border-rpurple-400/80"
-                                value={caSettings.key_size}
-                                onChange={e =>
-                                  setCaSettings(prev => ({
-                                    ...prev,
-                                    key_size: Number(e.target.value),
-                                  }))
-                                }
-                              >
-                                <option value={2048}>2048</option>
-                                <option value={4096}>4096</option>
-                              </select>
-                            </label>
-                          </div>
-                        </div>
+  function openResetPasswordModal(id, name) {
+    setResetUserId(id);
+    setResetUserName(name);
+    setResetPassword('');
+    setShowResetPasswordModal(true);
+  }
 
-                        <div className="sm:col-span-2 flex flex-wrap items-center gap-3 mt-1">
-                          <button
-                            type="submit"
-                            disabled={caSaving || !user}
-                            className="inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5 shadow-glossy"
-                          >
-                            {caSaving ? 'Saving ...' : 'Save CA settings'}
-                          </button>
-                          <button
-                            type="button"
-                            disabled={caInitializing || !user || !caSettings.common_name}
-                            onClick={handleInitCa}
-                            className="inline-flex items-center justify-center gap-1.5 rounded-2xl border border-rpurple-400/70 bg-slate-950/80 hover:bg-slate-900/80 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5"
-                          >
-                            {caInitializing ? 'Initializing ...' : 'Initialize CA'}
-                          </button>
-                          {caLoading && (
-                            <span className="text-[11px] text-slate-500">
-                              Loading CA settings ...
-                            </span>
-                          )}
-                          {caError && (
-                            <span className="text-[11px] text-rose-300">{caError}</span>
-                          )}
-                        </div>
-                      </form>
-                    </div>
-                  )}
-                </>
-              )}
+  async function handleResetPassword(e) {
+    e.preventDefault();
+    setUsersError('');
+    setResettingPassword(true);
+    try {
+      await resetUserPassword(resetUserId, resetPassword);
+      setShowResetPasswordModal(false);
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to reset password';
+      setUsersError(msg);
+      setShowResetPasswordModal(false);
+    } finally {
+      setResettingPassword(false);
+    }
+  }
 
-              {active === 'requests' && (
-                <>
-                  {!user ? (
-                    <div className="h-40 sm:h-56 rounded-2xl border border-rpurple-500/40 bg-gradient-to-br from-slate-950/60 via-slate-950/40 to-rpurple-900/40 flex flex-col items-center justify-center text-xs sm:text-sm text-slate-400 gap-2">
-                      <div className="inline-flex items-center gap-1 rounded-full bg-slate-800/70 text-slate-200 px-3 py-1 border border-slate-500/60 text-[11px]">
-                        <span className="h-1.5 w-1.5 rounded-full bg-slate-400" />
-                        CSR generation locked
-                      </div>
-                      <p className="text-[11px] sm:text-xs text-slate-400 max-w-md text-center">
-                        Sign in as <span className="font-mono text-rpurple-200">ca_admin</span> to create and manage certificate signing requests.
-                      </p>
-                    </div>
-                  ) : (
-                    <div className="space-y-4">
-                      {/* Preset selector */}
-                      <div className="flex flex-wrap gap-2">
-                        {Object.entries(CSR_PRESETS).map(([key, preset]) => (
-                          <button
-                            key={key}
-                            type="button"
-                            onClick={() => setCsrForm(prev => ({ ...prev, preset: key }))}
-                            className={`flex items-center gap-2 px-3 py-2 rounded-xl border text-xs transition-all ${
-                              csrForm.preset === key
-                                ? 'border-rpurple-400/70 bg-rpurple-500/20 text-rpurple-100'
-                                : 'border-white/10 bg-slate-900/50 text-slate-300 hover:bg-slate-900/70'
-                            }`}
+  // CSR form handlers
+  async function handleCreateCsr(e) {
+    e.preventDefault();
+    setCsrError('');
+    setCsrViolations([]);
+    setCsrCreating(true);
+    try {
+      await createCsr(csrForm);
+      setCsrForm({
+        preset: 'server_tls',
+        common_name: '',
+        organization: '',
+        organizational_unit: '',
+        country: '',
+        state: '',
+        locality: '',
+        email: '',
+        san: '',
+        key_type: 'RSA',
+        key_size: 2048,
+        days: '',
+      });
+      await loadCsrs();
+    } catch (err) {
+      const violations = (err.response && err.response.data && err.response.data.violations) || [];
+      const msg =
+        (violations.length > 0 && 'Refused by the issuance policy:') ||
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to create CSR';
+      setCsrError(msg);
+      setCsrViolations(violations);
+    } finally {
+      setCsrCreating(false);
+    }
+  }
+
+  async function handleDeleteCsr(id) {
+    if (!confirm('Delete this CSR? This cannot be undone.')) return;
+    try {
+      await deleteCsr(id);
+      await loadCsrs();
+    } catch (err) {
+      setCsrError((err.response && err.response.data && err.response.data.error) || 'Failed to delete CSR');
+    }
+  }
+
+  async function handleDownloadCsr(id, cn) {
+    try {
+      await downloadCsr(id, cn);
+    } catch {
+      setCsrError('Failed to download CSR');
+    }
+  }
+
+  async function handleDownloadCsrKey(id, cn) {
+    try {
+      await downloadCsrKey(id, cn);
+    } catch {
+      setCsrError('Failed to download key');
+    }
+  }
+
+  // Certificate handlers
+  async function handleSignCsr(csrId) {
+    if (!caSettings.initialized) {
+      setCsrError('Initialize the CA first before signing CSRs');
+      return;
+    }
+    try {
+      await signCsr(csrId, undefined, signIssuerId === '' ? undefined : signIssuerId);
+      await loadCsrs();
+      await loadCertificates();
+      setActive('certificates');
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to sign CSR';
+      setCsrError(msg);
+    }
+  }
+
+  function openCsrUploadModal() {
+    setCsrUploadPem('');
+    setCsrUploadPreset('server_tls');
+    setCsrUploadDays('');
+    setCsrUploadPreview(null);
+    setCsrUploadError('');
+    setCsrUploadViolations([]);
+    setShowCsrUploadModal(true);
+  }
+
+  function handleCsrUploadFile(e) {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setCsrUploadPem(String(reader.result));
+      setCsrUploadPreview(null);
+    };
+    reader.readAsText(file);
+  }
+
+  async function handleParseCsrUpload() {
+    setCsrUploading(true);
+    setCsrUploadError('');
+    try {
+      const data = await parseCsr(csrUploadPem);
+      setCsrUploadPreview(data.csr);
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to parse CSR';
+      setCsrUploadPreview(null);
+      setCsrUploadError(msg);
+    } finally {
+      setCsrUploading(false);
+    }
+  }
+
+  async function handleUploadCsr(e) {
+    e.preventDefault();
+    setCsrUploading(true);
+    setCsrUploadError('');
+    setCsrUploadViolations([]);
+    try {
+      await uploadCsr(csrUploadPem, csrUploadPreset, csrUploadDays);
+      setShowCsrUploadModal(false);
+      await loadCsrs();
+    } catch (err) {
+      const violations = (err.response && err.response.data && err.response.data.violations) || [];
+      const msg =
+        (violations.length > 0 && 'Refused by the issuance policy:') ||
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to upload CSR';
+      setCsrUploadError(msg);
+      setCsrUploadViolations(violations);
+    } finally {
+      setCsrUploading(false);
+    }
+  }
+
+  async function handleImportCert(e) {
+    e.preventDefault();
+    setCertImporting(true);
+    setCertError('');
+    try {
+      await importCertificate(importForm);
+      setShowImportModal(false);
+      setImportForm({ cert_pem: '', key_pem: '', chain_pem: '' });
+      await loadCertificates();
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to import certificate';
+      setCertError(msg);
+    } finally {
+      setCertImporting(false);
+    }
+  }
+
+  function openRevokeModal(id, cn) {
+    setRevokeCertId(id);
+    setRevokeCertName(cn);
+    setRevokeReason('unspecified');
+    setShowRevokeModal(true);
+  }
+
+  async function handleRevokeCert(e) {
+    e.preventDefault();
+    setRevoking(true);
+    setCertError('');
+    try {
+      await revokeCertificate(revokeCertId, revokeReason);
+      setShowRevokeModal(false);
+      await loadCertificates();
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to revoke certificate';
+      setCertError(msg);
+    } finally {
+      setRevoking(false);
+    }
+  }
+
+  function openRenewModal(id, cn) {
+    setRenewCertId(id);
+    setRenewCertName(cn);
+    setRenewReuseKey(false);
+    setRenewDays('');
+    setShowRenewModal(true);
+  }
+
+  async function handleRenewCert(e) {
+    e.preventDefault();
+    setRenewing(true);
+    setCertError('');
+    setCertNotice('');
+    try {
+      if (renewCertId) {
+        const result = await renewCertificate(renewCertId, { reuseKey: renewReuseKey, days: Number(renewDays) || undefined });
+        setCertNotice(`Renewed ${renewCertName} as certificate #${result.id}`);
+      } else {
+        const result = await renewExpiringCertificates(Number(renewWindow), renewReuseKey);
+        const failed = result.failed.map(f => `${f.common_name}: ${f.error}`);
+        setCertNotice(`Renewed ${result.renewed.length} certificate(s) expiring within ${renewWindow} days`);
+        if (failed.length > 0) setCertError(`Failed to renew ${failed.join(' · ')}`);
+      }
+      setShowRenewModal(false);
+      await Promise.all([loadCertificates(), loadExpiry()]);
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to renew certificate';
+      setCertError(msg);
+      setShowRenewModal(false);
+    } finally {
+      setRenewing(false);
+    }
+  }
+
+  // Renewal lineage of a certificate, oldest first, from the loaded list
+  function renewalHistory(cert) {
+    let first = cert;
+    while (first.renewed_from && certById.has(first.renewed_from)) {
+      first = certById.get(first.renewed_from);
+    }
+    const chain = [first];
+    while (renewedBy.has(chain[chain.length - 1].id)) {
+      chain.push(renewedBy.get(chain[chain.length - 1].id));
+    }
+    return chain;
+  }
+
+  async function handleDeleteCert(id) {
+    if (!confirm('Delete this certificate? This cannot be undone.')) return;
+    try {
+      await deleteCertificate(id);
+      await loadCertificates();
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to delete certificate';
+      setCertError(msg);
+    }
+  }
+
+  async function handleDownloadCert(id, cn) {
+    try {
+      await downloadCert(id, cn);
+    } catch {
+      setCertError('Failed to download certificate');
+    }
+  }
+
+  async function handleDownloadCertKey(id, cn) {
+    try {
+      await downloadCertKey(id, cn);
+    } catch {
+      setCertError('Failed to download key');
+    }
+  }
+
+  async function handleDownloadFullchain(id, cn) {
+    try {
+      await downloadFullchain(id, cn);
+    } catch {
+      setCertError('Failed to download fullchain');
+    }
+  }
+
+  async function openDetails(kind, id, cn) {
+    setDetails(null);
+    setDetailsTitle(cn);
+    setDetailsError('');
+    setDetailsLoading(true);
+    try {
+      const data = kind === 'csr' ? await getCsrDetails(id) : await getCertificateDetails(id);
+      setDetails(data.details);
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to load details';
+      setDetailsError(msg);
+    } finally {
+      setDetailsLoading(false);
+    }
+  }
+
+  // Formats this user can export for a certificate
+  function exportFormatsFor(cert) {
+    return Object.keys(EXPORT_FORMATS).filter(f => !EXPORT_FORMATS[f].key || (canRequest && cert.has_key));
+  }
+
+  function openExportModal(cert) {
+    setExportCert(cert);
+    setExportForm({ ...EMPTY_EXPORT_FORM, format: canRequest && cert.has_key ? 'pkcs12' : 'der_cer' });
+    setExportError('');
+    setShowExportModal(true);
+  }
+
+  async function handleExport(e) {
+    e.preventDefault();
+    const { format, password, alias, encryption, include_certificate } = exportForm;
+    const { id, common_name: cn } = exportCert;
+    setExporting(true);
+    setExportError('');
+    try {
+      if (format === 'der_cer' || format === 'der_crt') {
+        await downloadCertDer(id, cn, format === 'der_cer' ? 'cer' : 'crt');
+      } else if (format === 'pkcs7') {
+        await downloadPkcs7(id, cn);
+      } else if (format === 'pkcs12') {
+        await exportPkcs12(id, cn, password, { alias, encryption });
+      } else if (format === 'key_pkcs8' || format === 'key_traditional') {
+        await exportKey(id, cn, format === 'key_pkcs8' ? 'pkcs8' : 'traditional', password);
+      } else {
+        await exportTruststore(id, cn, {
+          format: format === 'truststore_jks' ? 'jks' : 'pkcs12',
+          password,
+          includeCertificate: include_certificate,
+          encryption,
+        });
+      }
+      setShowExportModal(false);
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to export certificate';
+      setExportError(msg);
+    } finally {
+      setExporting(false);
+    }
+  }
+
+  function handleToolFile(e) {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      // Files may be binary (DER, PKCS#12), so they are sent as base64
+      const data = String(reader.result).replace(/^data:[^,]*,/, '');
+      setToolInput({ data, encoding: 'base64', name: file.name });
+      setToolResult(null);
+      setToolError('');
+    };
+    reader.readAsDataURL(file);
+    e.target.value = '';
+  }
+
+  function toolRequest() {
+    return { data: toolInput.data, encoding: toolInput.encoding, password: toolPassword || undefined };
+  }
+
+  async function handleToolDecode(e) {
+    e.preventDefault();
+    setToolBusy(true);
+    setToolError('');
+    setToolResult(null);
+    try {
+      setToolResult(await decodeInput(toolRequest()));
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to decode input';
+      setToolError(msg);
+    } finally {
+      setToolBusy(false);
+    }
+  }
+
+  async function handleToolConvert() {
+    setToolBusy(true);
+    setToolError('');
+    try {
+      const base = (toolInput.name || 'converted').replace(/\.[^.]+$/, '').replace(/[^a-zA-Z0-9.-]/g, '_');
+      await convertInput(toolRequest(), toolFormat, toolExportPassword || undefined, `${base}.${TOOL_FORMATS[toolFormat][1]}`);
+    } catch (err) {
+      const msg =
+        (err.response && err.response.data && err.response.data.error) ||
+        'Failed to convert input';
+      setToolError(msg);
+    } finally {
+      setToolBusy(false);
+    }
+  }
+
+  function clearTool() {
+    setToolInput(EMPTY_TOOL_INPUT);
+    setToolPassword('');
+    setToolExportPassword('');
+    setToolResult(null);
+    setToolError('');
+  }
+
+  async function handleDownloadCaCert() {
+    try {
+      await downloadCaCert();
+    } catch {
+      setCertError('Failed to download CA certificate');
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex flex-col text-slate-50 relative">
+      {/* Purple ambient background glow */}
+      <div className="fixed inset-0 pointer-events-none overflow-hidden z-0">
+        <div className="absolute top-0 left-1/4 w-96 h-96 bg-rpurple-500/10 rounded-full blur-[120px]" />
+        <div className="absolute bottom-1/4 right-1/4 w-80 h-80 bg-rpurple-600/8 rounded-full blur-[100px]" />
+      </div>
+
+      {/* Header */}
+      <header className="flex items-center justify-between px-4 sm:px-8 py-3 border-b border-rpurple-500/20 bg-slate-950/80 backdrop-blur-xl shadow-glossy sticky top-0 z-20">
+        <div className="flex items-center gap-3">
+          <img 
+            src="/roarinca.png" 
+            alt="Roarin CA Logo" 
+            className="h-10 w-10 rounded-xl shadow-lg shadow-rpurple-500/30 bg-white/95 p-0.5"
+          />
+          <div className="leading-tight">
+            <div className="text-xs uppercase tracking-[0.25em] text-rpurple-300 font-medium">
+              Roarin CA
+            </div>
+            <div className="text-sm sm:text-base font-semibold bg-gradient-to-r from-slate-50 to-rpurple-200 bg-clip-text text-transparent">
+              Digital Certificate Studio
+            </div>
+          </div>
+        </div>
+
+        {/* Top-right clean tab nav */}
+        <nav className="hidden sm:flex items-center gap-2 bg-slate-950/90 border border-rpurple-500/20 rounded-2xl px-2 py-1 shadow-glossy">
+          {visibleSections.map(s => (
+            <button
+              key={s}
+              onClick={() => setActive(s)}
+              className={`text-xs font-medium px-3 py-1.5 rounded-xl capitalize transition-all duration-200 ${
+                active === s
+                  ? 'btn-glow text-white'
+                  : 'text-slate-300 hover:text-rpurple-200 hover:bg-rpurple-500/10'
+              }`}
+            >
+              {s}
+            </button>
+          ))}
+        </nav>
+      </header>
+
+      {/* Main */}
+      <main className="flex-1 px-3 sm:px-6 lg:px-10 py-6 sm:py-8 relative z-10">
+        <div className="max-w-6xl mx-auto grid gap-4 sm:gap-6 lg:grid-cols-[minmax(0,2fr)_minmax(0,1.2fr)] items-start">
+          {/* Primary panel */}
+          <section className="glossy-card rounded-3xl p-4 sm:p-6 lg:p-7">
+            <div className="flex items-center justify-between mb-4 sm:mb-6">
+              <div>
+                <h1 className="text-lg sm:text-xl font-semibold tracking-tight flex items-center gap-2">
+                  <span className="inline-flex h-7 w-7 items-center justify-center rounded-2xl btn-glow text-xs font-bold">
+                    {active === 'settings' ? 'CA' : active === 'requests' ? 'CSR' : active === 'approvals' ? 'APR' : active === 'users' ? 'USR' : active === 'audit' ? 'LOG' : active === 'profiles' ? 'PRF' : active === 'policies' ? 'POL' : active === 'tokens' ? 'API' : active === 'scep' ? 'SCP' : active === 'tools' ? 'KIT' : 'CRT'}
+                  </span>
+                  <span className="capitalize bg-gradient-to-r from-slate-50 to-rpurple-200 bg-clip-text text-transparent">{active}</span>
+                </h1>
+                <p className="mt-1 text-xs sm:text-sm text-slate-400">
+                  {active === 'settings' &&
+                    'Define how your Certificate Authority presents and protects itself.'}
+                  {active === 'requests' &&
+                    'Craft CSRs with sensible presets, ready for external signing.'}
+                  {active === 'approvals' &&
+                    'Review requested names and validity, approve or reject, then sign.'}
+                  {active === 'certificates' &&
+                    'Import, issue, sign and export digital certificates with confidence.'}
+                  {active === 'profiles' &&
+                    'Decide what each kind of certificate may contain and how long it lives.'}
+                  {active === 'policies' &&
+                    'Limit the names certificates may carry, for everyone, a role or a single user.'}
+                  {active === 'audit' &&
+                    'Who did what, when and from where: a hash-chained record of every CA operation.'}
+                  {active === 'users' &&
+                    'Decide who can run the CA, issue certificates, request them or just look.'}
+                  {active === 'tokens' &&
+                    'Scoped, long-lived credentials for scripts and CI pipelines.'}
+                  {active === 'scep' &&
+                    'Challenge passwords for MDM, printers and routers enrolling over SCEP.'}
+                  {active === 'tools' &&
+                    'Identify, decode and convert PEM, DER, PKCS#7 and PKCS#12 files. Nothing is stored.'}
+                </p>
+              </div>
+            </div>
+
+            <div className="mt-4 sm:mt-6 text-sm text-slate-300">
+              {user && user.two_factor_setup_required ? (
+                <div className="space-y-3 p-4 rounded-2xl border border-amber-400/40 bg-amber-950/20">
+                  <p className="text-xs text-amber-200">
+                    Your role requires two-factor authentication. Set it up with an authenticator app to continue.
+                  </p>
+                  <button
+                    type="button"
+                    onClick={openTwoFactorModal}
+                    className="inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 text-xs font-medium px-4 py-1.5 shadow-glossy"
+                  >
+                    Set up two-factor
+                  </button>
+                </div>
+              ) : (
+              <>
+              {active === 'settings' && (
+                <>
+                  {!user ? (
+                    // Logged OUT: locked card, no CA details
+                    <div className="h-40 sm:h-56 rounded-2xl border border-rpurple-500/40 bg-gradient-to-br from-slate-950/60 via-slate-950/40 to-rpurple-900/40 flex flex-col items-center justify-center text-xs sm:text-sm text-slate-400 gap-2">
+                      <div className="inline-flex items-center gap-1 rounded-full bg-slate-800/70 text-slate-200 px-3 py-1 border border-slate-500/60 text-[11px]">
+                        <span className="h-1.5 w-1.5 rounded-full bg-slate-400" />
+                        CA settings are locked
+                      </div>
+                      <p className="text-[11px] sm:text-xs text-slate-400 max-w-md text-center">
+                        Sign in to view your Certificate Authority identity; admins manage its key material.
+                      </p>
+                    </div>
+                  ) : (
+                    // Logged IN: full CA form
+                    <div className="space-y-4">
+                      <div className="flex flex-wrap items-center gap-2 text-xs">
+                        <span className="inline-flex items-center gap-1 rounded-full border border-white/10 bg-slate-900/60 px-2 py-1">
+                          <span className="h-1.5 w-1.5 rounded-full bg-emerald-400 shadow-[0_0_10px_rgba(52,211,153,0.9)]" />
+                          <span className="uppercase tracking-[0.16em] text-slate-300">
+                            CA Settings
+                          </span>
+                        </span>
+                        {caSettings.initialized ? (
+                          <span className="inline-flex items-center gap-1 rounded-full bg-emerald-500/20 text-emerald-200 px-2 py-1 border border-emerald-400/40 text-[11px]">
+                            <span className="h-1.5 w-1.5 rounded-full bg-emerald-300" />
+                            Initialized
+                          </span>
+                        ) : (
+                          <span className="inline-flex items-center gap-1 rounded-full bg-amber-500/10 text-amber-200 px-2 py-1 border border-amber-400/40 text-[11px]">
+                            <span className="h-1.5 w-1.5 rounded-full bg-amber-300" />
+                            Not initialized
+                          </span>
+                        )}
+                      </div>
+
+                      <form onSubmit={handleSaveCa} className="grid gap-4 sm:grid-cols-2">
+                        <div className="space-y-3">
+                          <label className="block space-y-1 text-xs">
+                            <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
+                              Common Name
+                            </span>
+                            <input
+                              className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 focus:border-rpurple-400/80"
+                              value={caSettings.common_name}
+                              onChange={e =>
+                                setCaSettings(prev => ({
+                                  ...prev,
+                                  common_name: e.target.value,
+                                }))
+                              }
+                              placeholder="Roarin CA Root"
+                            />
+                          </label>
+
+                          <label className="block space-y-1 text-xs">
+                            <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
+                              Organization
+                            </span>
+                            <input
+                              className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 focus:border-rpurple-400/80"
+                              value={caSettings.organization}
+                              onChange={e =>
+                                setCaSettings(prev => ({
+                                  ...prev,
+                                  organization: e.target.value,
+                                }))
+                              }
+                              placeholder="RoarinPenguin"
+                            />
+                          </label>
+
+                          <label className="block space-y-1 text-xs">
+                            <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
+                              Organizational Unit
+                            </span>
+                            <input
+                              className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 focus:border-rpurple-400/80"
+                              value={caSettings.organizational_unit}
+                              onChange={e =>
+                                setCaSettings(prev => ({
+                                  ...prev,
+                                  organizational_unit: e.target.value,
+                                }))
+                              }
+                              placeholder="Security Operations"
+                            />
+                          </label>
+                        </div>
+
+                        <div className="space-y-3">
+                          <div className="grid grid-cols-3 gap-2 text-xs">
+                            <label className="space-y-1">
+                              <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
+                                Country
+                              </span>
+                              <input
+                                className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 focus:border-rpurple-400/80"
+                                value={caSettings.country}
+                                onChange={e =>
+                                  setCaSettings(prev => ({
+                                    ...prev,
+                                    country: e.target.value,
+                                  }))
+                                }
+                                placeholder="IT"
+                                maxLength={2}
+                              />
+                            </label>
+
+                            <label className="space-y-1">
+                              <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
+                                State
+                              </span>
+                              <input
+                                className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 focus:border-rpurple-400/80"
+                                value={caSettings.state}
+                                onChange={e =>
+                                  setCaSettings(prev => ({
+                                    ...prev,
+                                    state: e.target.value,
+                                  }))
+                                }
+                                placeholder="MI"
+                              />
+                            </label>
+
+                            <label className="space-y-1">
+                              <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
+                                Locality
+                              </span>
+                              <input
+                                className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 focus:border-rpurple-400/80"
+                                value={caSettings.locality}
+                                onChange={e =>
+                                  setCaSettings(prev => ({
+                                    ...prev,
+                                    locality: e.target.value,
+                                  }))
+                                }
+                                placeholder="Milan"
+                              />
+                            </label>
+                          </div>
+
+                          <div className="grid grid-cols-2 gap-2 text-xs">
+                            <label className="space-y-1">
+                              <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
+                                Key Type
+                              </span>
+                              <select
+                                className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 focus:border-rpurple-400/80"
+                                value={caSettings.key_type}
+                                onChange={e =>
+                                  setCaSettings(prev => ({
+                                    ...prev,
+                                    key_type: e.target.value,
+                                    key_size: KEY_TYPES[e.target.value].sizes[0].value,
+                                  }))
+                                }
+                              >
+                                {Object.entries(KEY_TYPES).map(([value, type]) => (
+                                  <option key={value} value={value}>{type.label}</option>
+                                ))}
+                              </select>
+                            </label>
+
+                            <label className="space-y-1">
+                              <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
+                                {caSettings.key_type === 'RSA' ? 'Key Size' : 'Curve'}
+                              </span>
+                              <select
+                                className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 focus:border-rpurple-400/80 disabled:opacity-50"
+                                value={caSettings.key_size}
+                                disabled={caSettings.key_type === 'Ed25519'}
+                                onChange={e =>
+                                  setCaSettings(prev => ({
+                                    ...prev,
+                                    key_size: Number(e.target.value),
+                                  }))
+                                }
+                              >
+                                {(KEY_TYPES[caSettings.key_type] || KEY_TYPES.RSA).sizes.map(size => (
+                                  <option key={size.value} value={size.value}>{size.label}</option>
+                                ))}
+                              </select>
+                            </label>
+                          </div>
+                        </div>
+
+                        <div className="sm:col-span-2 flex flex-wrap items-center gap-3 mt-1">
+                          <button
+                            type="submit"
+                            disabled={caSaving || !isAdmin}
+                            className="inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5 shadow-glossy"
+                          >
+                            {caSaving ? 'Saving ...' : 'Save CA settings'}
+                          </button>
+                          {!caSettings.initialized && (
+                            <button
+                              type="button"
+                              disabled={caInitializing || !isAdmin || !caSettings.common_name}
+                              onClick={handleInitCa}
+                              className="inline-flex items-center justify-center gap-1.5 rounded-2xl border border-rpurple-400/70 bg-slate-950/80 hover:bg-slate-900/80 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5"
+                            >
+                              {caInitializing ? 'Initializing ...' : 'Initialize CA'}
+                            </button>
+                          )}
+                          {caLoading && (
+                            <span className="text-[11px] text-slate-500">
+                              Loading CA settings ...
+                            </span>
+                          )}
+                          {caError && (
+                            <span className="text-[11px] text-rose-300">{caError}</span>
+                          )}
+                          {!isAdmin && (
+                            <span className="text-[11px] text-slate-500">Read-only: only admins can change the CA.</span>
+                          )}
+                        </div>
+                      </form>
+
+                      {/* Root CA generations */}
+                      {caSettings.initialized && (
+                        <div className="mt-6 space-y-3">
+                          <div className="flex items-center justify-between">
+                            <h3 className="text-xs uppercase tracking-[0.16em] text-slate-400">Root CA generations</h3>
+                            <span className="text-[10px] text-slate-500">
+                              Retired roots keep publishing CRLs and answering OCSP for what they issued
+                            </span>
+                          </div>
+
+                          {generationError && (
+                            <div className="text-[11px] text-rose-300">{generationError}</div>
+                          )}
+
+                          <div className="space-y-2">
+                            {caGenerations.map(gen => (
+                              <div
+                                key={gen.generation}
+                                className="flex items-center justify-between gap-2 p-3 rounded-xl border border-white/10 bg-slate-900/50"
+                              >
+                                <div className="flex-1 min-w-0">
+                                  <div className="flex items-center gap-2">
+                                    <span className="text-sm">🏛️</span>
+                                    <span className="font-medium text-xs truncate">{gen.common_name}</span>
+                                    <span className="text-[10px] text-slate-500">G{gen.generation} · {keyLabel(gen.key_type, gen.key_size)}</span>
+                                    {gen.current ? (
+                                      <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-emerald-500/20 text-emerald-300 border border-emerald-400/40">
+                                        current
+                                      </span>
+                                    ) : (
+                                      <span
+                                        className="text-[10px] px-1.5 py-0.5 rounded-full bg-slate-700/50 text-slate-300 border border-white/10"
+                                        title={`Retired ${gen.retired_at}`}
+                                      >
+                                        retired
+                                      </span>
+                                    )}
+                                  </div>
+                                  <div className="text-[10px] text-slate-500 mt-0.5">
+                                    Valid: {gen.not_before} → {gen.not_after} · {gen.certificates} certificate{gen.certificates === 1 ? '' : 's'}, {gen.intermediates} intermediate{gen.intermediates === 1 ? '' : 's'} · CRL /crl/{gen.crl_name}.crl
+                                  </div>
+                                </div>
+                                <div className="flex items-center gap-1">
+                                  <button
+                                    onClick={() => handleDownloadGenerationCert(gen.generation, 'cert', gen.common_name)}
+                                    className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                                  >
+                                    Cert
+                                  </button>
+                                  {gen.has_cross_cert === 1 && (
+                                    <button
+                                      onClick={() => handleDownloadGenerationCert(gen.generation, 'cross-cert', gen.common_name)}
+                                      title={`This root signed by generation ${gen.generation - 1}`}
+                                      className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                                    >
+                                      Cross
+                                    </button>
+                                  )}
+                                  {gen.has_reverse_cross_cert === 1 && (
+                                    <button
+                                      onClick={() => handleDownloadGenerationCert(gen.generation, 'reverse-cross-cert', gen.common_name)}
+                                      title={`Generation ${gen.generation - 1} signed by this root`}
+                                      className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                                    >
+                                      Reverse cross
+                                    </button>
+                                  )}
+                                </div>
+                              </div>
+                            ))}
+                          </div>
+
+                          {isAdmin && currentRoot && (
+                            <form onSubmit={handleRollover} className="space-y-2 p-3 rounded-xl border border-amber-400/30 bg-amber-500/5">
+                              <div className="text-[11px] text-amber-200">
+                                Roll over to a new root key built from the saved CA settings above. New certificates chain to the new root;
+                                existing certificates and intermediates stay valid under G{currentRoot.generation}.
+                              </div>
+                              <label className="flex items-center gap-2 text-xs text-slate-300">
+                                <input
+                                  type="checkbox"
+                                  checked={rolloverCrossSign}
+                                  onChange={e => setRolloverCrossSign(e.target.checked)}
+                                />
+                                Cross-sign the old and new roots
+                              </label>
+                              <div className="flex flex-wrap items-end gap-2">
+                                <label className="block space-y-1 text-xs flex-1 min-w-[12rem]">
+                                  <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
+                                    Type {currentRoot.common_name} to confirm
+                                  </span>
+                                  <input
+                                    className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                                    value={rolloverConfirm}
+                                    onChange={e => setRolloverConfirm(e.target.value)}
+                                    placeholder={currentRoot.common_name}
+                                  />
+                                </label>
+                                <button
+                                  type="submit"
+                                  disabled={rolloverBusy || rolloverConfirm !== currentRoot.common_name}
+                                  className="inline-flex items-center justify-center gap-1.5 rounded-2xl border border-amber-400/70 bg-slate-950/80 hover:bg-slate-900/80 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5 text-amber-100"
+                                >
+                                  {rolloverBusy ? 'Rolling over ...' : 'Roll over CA key'}
+                                </button>
+                              </div>
+                              {rolloverResult && (
+                                <div className="text-[11px] text-emerald-300">
+                                  Generation {rolloverResult.generation} is now current
+                                  {rolloverResult.cross_signed ? `, cross-signed with generation ${rolloverResult.previous_generation}` : ''}.
+                                </div>
+                              )}
+                            </form>
+                          )}
+                        </div>
+                      )}
+
+                      {/* Intermediate CAs */}
+                      {caSettings.initialized && (
+                        <div className="mt-6 space-y-3">
+                          <div className="flex items-center justify-between">
+                            <h3 className="text-xs uppercase tracking-[0.16em] text-slate-400">Intermediate CAs</h3>
+                            <span className="text-[10px] text-slate-500">
+                              Signed by the root, used for day-to-day issuance
+                            </span>
+                          </div>
+
+                          {isAdmin && (
+                            <form onSubmit={handleCreateIntermediate} className="grid gap-2 sm:grid-cols-[minmax(0,2fr)_minmax(0,1fr)_minmax(0,1fr)_minmax(0,1.4fr)_auto] items-end">
+                              <label className="block space-y-1 text-xs">
+                                <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Common Name</span>
+                                <input
+                                  className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                                  value={intermediateForm.common_name}
+                                  onChange={e => setIntermediateForm(prev => ({ ...prev, common_name: e.target.value }))}
+                                  placeholder="Roarin Issuing CA 1"
+                                />
+                              </label>
+                              <label className="block space-y-1 text-xs">
+                                <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Path Length</span>
+                                <select
+                                  className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                                  value={intermediateForm.path_len}
+                                  onChange={e => setIntermediateForm(prev => ({ ...prev, path_len: Number(e.target.value) }))}
+                                >
+                                  <option value={0}>0 (leaves only)</option>
+                                  <option value={1}>1</option>
+                                  <option value={2}>2</option>
+                                </select>
+                              </label>
+                              <label className="block space-y-1 text-xs">
+                                <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Validity (days)</span>
+                                <input
+                                  type="number"
+                                  min={1}
+                                  className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                                  value={intermediateForm.days}
+                                  onChange={e => setIntermediateForm(prev => ({ ...prev, days: Number(e.target.value) }))}
+                                />
+                              </label>
+                              <label className="block space-y-1 text-xs">
+                                <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Name constraints</span>
+                                <select
+                                  className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                                  value={intermediateForm.policy_id}
+                                  onChange={e => setIntermediateForm(prev => ({ ...prev, policy_id: e.target.value }))}
+                                >
+                                  <option value="">None</option>
+                                  {policies.map(p => (
+                                    <option key={p.id} value={p.id}>From policy {p.name}</option>
+                                  ))}
+                                </select>
+                              </label>
+                              <button
+                                type="submit"
+                                disabled={intermediateCreating || !intermediateForm.common_name}
+                                className="inline-flex items-center justify-center gap-1.5 rounded-2xl border border-rpurple-400/70 bg-slate-950/80 hover:bg-slate-900/80 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5"
+                              >
+                                {intermediateCreating ? 'Creating ...' : 'Create'}
+                              </button>
+                            </form>
+                          )}
+
+                          {intermediateError && (
+                            <div className="text-[11px] text-rose-300">{intermediateError}</div>
+                          )}
+
+                          <div className="space-y-2">
+                            <div className="flex items-center justify-between gap-2 p-3 rounded-xl border border-white/10 bg-slate-900/50">
+                              <div className="flex items-center gap-2 min-w-0">
+                                <span className="text-sm">🏛️</span>
+                                <span className="font-medium text-xs truncate">{caSettings.common_name}</span>
+                                <span className="text-[10px] text-slate-500">root</span>
+                                {!caSettings.default_issuer_id && (
+                                  <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-rpurple-500/20 text-rpurple-200 border border-rpurple-400/40">
+                                    default
+                                  </span>
+                                )}
+                              </div>
+                              {isAdmin && caSettings.default_issuer_id && (
+                                <button
+                                  onClick={() => handleSetDefaultIssuer(null)}
+                                  className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                                >
+                                  Make default
+                                </button>
+                              )}
+                            </div>
+                            {intermediates.map(ica => (
+                              <div
+                                key={ica.id}
+                                className="flex items-center justify-between gap-2 p-3 rounded-xl border border-white/10 bg-slate-900/50 sm:ml-6"
+                              >
+                                <div className="flex-1 min-w-0">
+                                  <div className="flex items-center gap-2">
+                                    <span className="text-sm">🔗</span>
+                                    <span className="font-medium text-xs truncate">{ica.common_name}</span>
+                                    <span className="text-[10px] text-slate-500">pathlen {ica.path_len} · {keyLabel(ica.key_type, ica.key_size)}</span>
+                                    {ica.policy_id && (
+                                      <span
+                                        className="text-[10px] px-1.5 py-0.5 rounded-full bg-amber-500/20 text-amber-300 border border-amber-400/40"
+                                        title="Name constraints from this issuance policy, which is also enforced when it signs"
+                                      >
+                                        constrained: {ica.policy_name}
+                                      </span>
+                                    )}
+                                    {ica.ca_generation && ica.ca_generation !== caSettings.ca_generation && (
+                                      <span
+                                        className="text-[10px] px-1.5 py-0.5 rounded-full bg-slate-700/50 text-slate-300 border border-white/10"
+                                        title="Signed by a retired root generation"
+                                      >
+                                        root G{ica.ca_generation}
+                                      </span>
+                                    )}
+                                    {caSettings.default_issuer_id === ica.id && (
+                                      <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-rpurple-500/20 text-rpurple-200 border border-rpurple-400/40">
+                                        default
+                                      </span>
+                                    )}
+                                  </div>
+                                  <div className="text-[10px] text-slate-500 mt-0.5">
+                                    Valid: {ica.not_before} → {ica.not_after}
+                                  </div>
+                                </div>
+                                <div className="flex items-center gap-1">
+                                  {isAdmin && caSettings.default_issuer_id !== ica.id && (
+                                    <button
+                                      onClick={() => handleSetDefaultIssuer(ica.id)}
+                                      className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                                    >
+                                      Make default
+                                    </button>
+                                  )}
+                                  <button
+                                    onClick={() => handleDownloadIntermediateCert(ica.id, ica.common_name)}
+                                    className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                                  >
+                                    Cert
+                                  </button>
+                                </div>
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </>
+              )}
+
+              {active === 'requests' && (
+                <>
+                  {!user ? (
+                    <div className="h-40 sm:h-56 rounded-2xl border border-rpurple-500/40 bg-gradient-to-br from-slate-950/60 via-slate-950/40 to-rpurple-900/40 flex flex-col items-center justify-center text-xs sm:text-sm text-slate-400 gap-2">
+                      <div className="inline-flex items-center gap-1 rounded-full bg-slate-800/70 text-slate-200 px-3 py-1 border border-slate-500/60 text-[11px]">
+                        <span className="h-1.5 w-1.5 rounded-full bg-slate-400" />
+                        CSR generation locked
+                      </div>
+                      <p className="text-[11px] sm:text-xs text-slate-400 max-w-md text-center">
+                        Sign in to create and manage certificate signing requests.
+                      </p>
+                    </div>
+                  ) : (
+                    <div className="space-y-4">
+                      {!canRequest && (
+                        <div className="text-[11px] text-slate-400 bg-slate-900/40 border border-white/10 rounded-xl px-2.5 py-1.5">
+                          Auditors have read-only access to requests.
+                        </div>
+                      )}
+                      {canRequest && (
+                        <>
+                          {/* Preset selector */}
+                          <div className="flex flex-wrap gap-2">
+                            {profiles.map(profile => (
+                              <button
+                                key={profile.name}
+                                type="button"
+                                onClick={() => setCsrForm(prev => ({
+                                  ...prev,
+                                  preset: profile.name,
+                                  ...(profile.allowed_key_types.includes(prev.key_type)
+                                    ? {}
+                                    : { key_type: profile.allowed_key_types[0], key_size: KEY_TYPES[profile.allowed_key_types[0]].sizes[0].value }),
+                                }))}
+                                className={`flex items-center gap-2 px-3 py-2 rounded-xl border text-xs transition-all ${
+                                  csrForm.preset === profile.name
+                                    ? 'border-rpurple-400/70 bg-rpurple-500/20 text-rpurple-100'
+                                    : 'border-white/10 bg-slate-900/50 text-slate-300 hover:bg-slate-900/70'
+                                }`}
+                              >
+                                <span className="text-base">{PROFILE_ICONS[profile.name] || '📄'}</span>
+                                <div className="text-left">
+                                  <div className="font-medium">{profile.label}</div>
+                                  <div className="text-[10px] text-slate-400">{profile.description}</div>
+                                </div>
+                              </button>
+                            ))}
+                          </div>
+                          {selectedProfile && (
+                            <div className="text-[10px] text-slate-500">
+                              Valid for {selectedProfile.default_validity_days} days (at most {selectedProfile.max_validity_days}) ·{' '}
+                              {selectedProfile.allowed_key_types.map(t => KEY_TYPES[t].label).join(', ')} keys
+                              {selectedProfile.required_fields.length > 0 &&
+                                ` · requires ${selectedProfile.required_fields.map(f => SUBJECT_FIELD_LABELS[f]).join(', ')}`}
+                              {selectedProfile.forbidden_fields.length > 0 &&
+                                ` · no ${selectedProfile.forbidden_fields.map(f => SUBJECT_FIELD_LABELS[f]).join(', ')}`}
+                            </div>
+                          )}
+
+                          {/* CSR Form */}
+                          <form onSubmit={handleCreateCsr} className="grid gap-3 sm:grid-cols-2">
+                            <label className="block space-y-1 text-xs">
+                              <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Common Name *</span>
+                              <input
+                                className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                                value={csrForm.common_name}
+                                onChange={e => setCsrForm(prev => ({ ...prev, common_name: e.target.value }))}
+                                placeholder="example.com"
+                                required
+                              />
+                            </label>
+                            <label className="block space-y-1 text-xs">
+                              <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Organization</span>
+                              <input
+                                className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                                value={csrForm.organization}
+                                onChange={e => setCsrForm(prev => ({ ...prev, organization: e.target.value }))}
+                                placeholder="Acme Inc"
+                              />
+                            </label>
+                            <label className="block space-y-1 text-xs">
+                              <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Organizational Unit</span>
+                              <input
+                                className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                                value={csrForm.organizational_unit}
+                                onChange={e => setCsrForm(prev => ({ ...prev, organizational_unit: e.target.value }))}
+                                placeholder="IT Department"
+                              />
+                            </label>
+                            <div className="grid grid-cols-3 gap-2">
+                              <label className="block space-y-1 text-xs">
+                                <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Country</span>
+                                <input
+                                  className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                                  value={csrForm.country}
+                                  onChange={e => setCsrForm(prev => ({ ...prev, country: e.target.value }))}
+                                  placeholder="US"
+                                  maxLength={2}
+                                />
+                              </label>
+                              <label className="block space-y-1 text-xs">
+                                <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">State</span>
+                                <input
+                                  className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                                  value={csrForm.state}
+                                  onChange={e => setCsrForm(prev => ({ ...prev, state: e.target.value }))}
+                                  placeholder="CA"
+                                />
+                              </label>
+                              <label className="block space-y-1 text-xs">
+                                <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Locality</span>
+                                <input
+                                  className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                                  value={csrForm.locality}
+                                  onChange={e => setCsrForm(prev => ({ ...prev, locality: e.target.value }))}
+                                  placeholder="San Francisco"
+                                />
+                              </label>
+                            </div>
+                            <div className="grid grid-cols-2 gap-2 sm:col-span-2">
+                              <label className="block space-y-1 text-xs">
+                                <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Key Type</span>
+                                <select
+                                  className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                                  value={csrForm.key_type}
+                                  onChange={e => setCsrForm(prev => ({
+                                    ...prev,
+                                    key_type: e.target.value,
+                                    key_size: KEY_TYPES[e.target.value].sizes[0].value,
+                                  }))}
+                                >
+                                  {Object.entries(KEY_TYPES).map(([value, type]) => (
+                                    <option
+                                      key={value}
+                                      value={value}
+                                      disabled={selectedProfile && !selectedProfile.allowed_key_types.includes(value)}
+                                    >
+                                      {type.label}
+                                    </option>
+                                  ))}
+                                </select>
+                              </label>
+                              <label className="block space-y-1 text-xs">
+                                <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
+                                  {csrForm.key_type === 'RSA' ? 'Key Size' : 'Curve'}
+                                </span>
+                                <select
+                                  className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 disabled:opacity-50"
+                                  value={csrForm.key_size}
+                                  disabled={csrForm.key_type === 'Ed25519'}
+                                  onChange={e => setCsrForm(prev => ({ ...prev, key_size: Number(e.target.value) }))}
+                                >
+                                  {KEY_TYPES[csrForm.key_type].sizes.map(size => (
+                                    <option key={size.value} value={size.value}>{size.label}</option>
+                                  ))}
+                                </select>
+                              </label>
+                            </div>
+                            <label className="block space-y-1 text-xs sm:col-span-2">
+                              <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Subject Alternative Names (comma-separated)</span>
+                              <input
+                                className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                                value={csrForm.san}
+                                onChange={e => setCsrForm(prev => ({ ...prev, san: e.target.value }))}
+                                placeholder={
+                                  selectedProfile && selectedProfile.default_sans
+                                    ? `Defaults to ${selectedProfile.default_sans.replace(/\{cn\}/g, csrForm.common_name || 'the common name')}`
+                                    : 'www.example.com, api.example.com, 192.168.1.1'
+                                }
+                              />
+                            </label>
+                            <label className="block space-y-1 text-xs">
+                              <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Validity (days)</span>
+                              <input
+                                type="number"
+                                min="1"
+                                className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                                value={csrForm.days}
+                                onChange={e => setCsrForm(prev => ({ ...prev, days: e.target.value }))}
+                                placeholder={selectedProfile ? `Profile default, ${selectedProfile.default_validity_days}` : 'Profile default'}
+                              />
+                            </label>
+                            <div className="sm:col-span-2 flex flex-wrap items-center gap-3 mt-1">
+                              <button
+                                type="submit"
+                                disabled={csrCreating || !csrForm.common_name}
+                                className="inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5 shadow-glossy"
+                              >
+                                {csrCreating ? 'Generating ...' : 'Generate CSR'}
+                              </button>
+                              {csrError && <span className="text-[11px] text-rose-300">{csrError}</span>}
+                            </div>
+                            {csrViolations.length > 0 && (
+                              <ul className="sm:col-span-2 text-[11px] text-rose-300 bg-rose-950/40 border border-rose-500/40 rounded-xl px-2.5 py-1.5 list-disc list-inside space-y-0.5">
+                                {csrViolations.map(v => <li key={v}>{v}</li>)}
+                              </ul>
+                            )}
+                          </form>
+                        </>
+                      )}
+
+                      {/* CSR List */}
+                      <div className="mt-6">
+                        <div className="flex items-center justify-between mb-3">
+                          <h3 className="text-xs uppercase tracking-[0.16em] text-slate-400">Generated CSRs</h3>
+                          <div className="flex items-center gap-2">
+                            {csrLoading && <span className="text-[10px] text-slate-500">Loading...</span>}
+                            {canRequest && (
+                              <button
+                                type="button"
+                                onClick={openCsrUploadModal}
+                                className="text-[10px] px-2 py-0.5 rounded-lg border border-white/10 bg-slate-900/60 text-slate-200 hover:bg-slate-900/80"
+                              >
+                                📤 Upload CSR
+                              </button>
+                            )}
+                            {canOperate && caSettings.initialized && (
+                              <label className="flex items-center gap-1.5 text-[10px] text-slate-400">
+                                Sign with
+                                <select
+                                  className="rounded-lg bg-slate-900/70 border border-white/10 px-1.5 py-0.5 text-[10px] text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                                  value={signIssuerId}
+                                  onChange={e => setSignIssuerId(e.target.value)}
+                                >
+                                  <option value="">Default issuer</option>
+                                  <option value="root">{caSettings.common_name || 'Root CA'} (root)</option>
+                                  {intermediates.map(ica => (
+                                    <option key={ica.id} value={ica.id}>{ica.common_name}</option>
+                                  ))}
+                                </select>
+                              </label>
+                            )}
+                          </div>
+                        </div>
+                        {csrList.length === 0 ? (
+                          <div className="text-xs text-slate-500 py-4 text-center border border-dashed border-white/10 rounded-xl">
+                            No CSRs yet. Generate one above.
+                          </div>
+                        ) : (
+                          <div className="space-y-2 max-h-64 overflow-y-auto">
+                            {csrList.map(csr => (
+                              <div
+                                key={csr.id}
+                                className="flex items-center justify-between gap-2 p-3 rounded-xl border border-white/10 bg-slate-900/50"
+                              >
+                                <div className="flex-1 min-w-0">
+                                  <div className="flex items-center gap-2">
+                                    <span className="text-sm">{PROFILE_ICONS[csr.preset] || '📄'}</span>
+                                    <span className="font-medium text-xs truncate">{csr.common_name}</span>
+                                    {!csr.has_key && (
+                                      <span
+                                        className="text-[10px] px-1.5 py-0.5 rounded-full bg-blue-500/20 text-blue-300 border border-blue-400/40"
+                                        title="Uploaded CSR, the private key stays with the requester"
+                                      >
+                                        external
+                                      </span>
+                                    )}
+                                    <span className={`text-[10px] px-1.5 py-0.5 rounded-full ${CSR_STATUS_BADGES[csr.status] || CSR_STATUS_BADGES.submitted}`}>
+                                      {csr.status}
+                                    </span>
+                                    {csr.status === 'submitted' && (
+                                      <span className="text-[10px] text-slate-400">
+                                        {csr.approvals}/{csr.approvals_required} approvals
+                                      </span>
+                                    )}
+                                  </div>
+                                  <div className="text-[10px] text-slate-500 mt-0.5">
+                                    {profileByName[csr.preset]?.label || csr.preset} · {keyLabel(csr.key_type, csr.key_size)} · {new Date(csr.created_at).toLocaleDateString()}
+                                    {csr.requested_days && ` · ${csr.requested_days} days`}
+                                    {csr.requested_by_username && role !== 'requester' && ` · by ${csr.requested_by_username}`}
+                                  </div>
+                                  {reviewsCsrId === csr.id && renderReviews()}
+                                </div>
+                                <div className="flex items-center gap-1 self-start">
+                                  <button
+                                    onClick={() => toggleReviews(csr.id)}
+                                    className={`text-[10px] px-2 py-1 rounded-lg border border-white/10 hover:bg-slate-800 ${
+                                      reviewsCsrId === csr.id ? 'bg-rpurple-500/20 text-rpurple-100' : 'bg-slate-800/70 text-slate-300'
+                                    }`}
+                                    title="Approvals and comments"
+                                  >
+                                    History
+                                  </button>
+                                  {canOperate && csr.status === 'approved' && caSettings.initialized && (
+                                    <button
+                                      onClick={() => handleSignCsr(csr.id)}
+                                      className="text-[10px] px-2 py-1 rounded-lg bg-emerald-500/20 text-emerald-200 border border-emerald-400/40 hover:bg-emerald-500/30"
+                                      title="Sign with CA"
+                                    >
+                                      Sign
+                                    </button>
+                                  )}
+                                  <button
+                                    onClick={() => openDetails('csr', csr.id, csr.common_name)}
+                                    className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                                    title="Inspect CSR"
+                                  >
+                                    Details
+                                  </button>
+                                  <button
+                                    onClick={() => handleDownloadCsr(csr.id, csr.common_name)}
+                                    className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                                    title="Download CSR"
+                                  >
+                                    CSR
+                                  </button>
+                                  {canRequest && csr.has_key ? (
+                                    <button
+                                      onClick={() => handleDownloadCsrKey(csr.id, csr.common_name)}
+                                      className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                                      title="Download Key"
+                                    >
+                                      Key
+                                    </button>
+                                  ) : null}
+                                  {canRequest && csr.status !== 'issuing' && csr.status !== 'issued' && (
+                                    <button
+                                      onClick={() => handleDeleteCsr(csr.id)}
+                                      className="text-[10px] px-2 py-1 rounded-lg bg-rose-500/20 text-rose-300 border border-rose-400/40 hover:bg-rose-500/30"
+                                      title="Delete"
+                                    >
+                                      ×
+                                    </button>
+                                  )}
+                                </div>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </>
+              )}
+
+              {active === 'approvals' && visibleSections.includes('approvals') && (
+                <div className="space-y-4">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <h3 className="text-xs uppercase tracking-[0.16em] text-slate-400">Approval queue</h3>
+                    <div className="flex flex-wrap items-center gap-3">
+                      {isAdmin && (
+                        <label className="flex items-center gap-1.5 text-[10px] text-slate-400" title="Off: someone other than the requester must approve">
+                          <input
+                            type="checkbox"
+                            checked={allowSelfApproval}
+                            onChange={e => handleSelfApprovalPolicy(e.target.checked)}
+                          />
+                          Requesters may approve their own CSRs
+                        </label>
+                      )}
+                      {canOperate && caSettings.initialized && (
+                        <label className="flex items-center gap-1.5 text-[10px] text-slate-400">
+                          Sign with
+                          <select
+                            className="rounded-lg bg-slate-900/70 border border-white/10 px-1.5 py-0.5 text-[10px] text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                            value={signIssuerId}
+                            onChange={e => setSignIssuerId(e.target.value)}
+                          >
+                            <option value="">Default issuer</option>
+                            <option value="root">{caSettings.common_name || 'Root CA'} (root)</option>
+                            {intermediates.map(ica => (
+                              <option key={ica.id} value={ica.id}>{ica.common_name}</option>
+                            ))}
+                          </select>
+                        </label>
+                      )}
+                    </div>
+                  </div>
+
+                  {approvalsError && (
+                    <div className="text-[11px] text-rose-300 bg-rose-950/40 border border-rose-500/40 rounded-xl px-2.5 py-1.5">
+                      {approvalsError}
+                    </div>
+                  )}
+
+                  {approvalQueue.length === 0 ? (
+                    <div className="text-xs text-slate-500 py-4 text-center border border-dashed border-white/10 rounded-xl">
+                      Nothing waiting for approval or signing.
+                    </div>
+                  ) : (
+                    <div className="space-y-2">
+                      {approvalQueue.map(csr => {
+                        const note = approvalNotes[csr.id] || '';
+                        const busy = approvalBusyId === csr.id;
+                        const sans = (csr.san || '').split(',').map(v => v.trim()).filter(Boolean);
+                        const subject = Object.entries(SUBJECT_FIELD_LABELS)
+                          .filter(([field]) => field !== 'common_name' && csr[field])
+                          .map(([field, label]) => `${label}: ${csr[field]}`);
+                        return (
+                          <div key={csr.id} className="p-3 rounded-xl border border-white/10 bg-slate-900/50 space-y-2">
+                            <div className="flex items-start justify-between gap-2">
+                              <div className="flex-1 min-w-0">
+                                <div className="flex items-center gap-2 flex-wrap">
+                                  <span className="text-sm">{PROFILE_ICONS[csr.preset] || '📄'}</span>
+                                  <span className="font-medium text-xs truncate">{csr.common_name}</span>
+                                  <span className={`text-[10px] px-1.5 py-0.5 rounded-full ${CSR_STATUS_BADGES[csr.status]}`}>
+                                    {csr.status}
+                                  </span>
+                                  <span className="text-[10px] text-slate-400">
+                                    {csr.approvals}/{csr.approvals_required} approvals{csr.approved_by_me ? ' · including yours' : ''}
+                                  </span>
+                                </div>
+                                <div className="text-[10px] text-slate-500 mt-0.5">
+                                  {csr.profile_label || csr.preset} · {keyLabel(csr.key_type, csr.key_size)}
+                                  {!csr.has_key && ' · uploaded'}
+                                  {' · '}requested by {csr.requested_by_username || 'deleted user'} on {new Date(csr.created_at).toLocaleString()}
+                                </div>
+                              </div>
+                              <button
+                                onClick={() => openDetails('csr', csr.id, csr.common_name)}
+                                className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                                title="Inspect CSR"
+                              >
+                                Details
+                              </button>
+                            </div>
+
+                            <div className="grid gap-1 sm:grid-cols-[auto_minmax(0,1fr)] text-[11px]">
+                              <span className="text-slate-500">SANs</span>
+                              <span className="font-mono text-slate-200 break-all">
+                                {sans.length > 0 ? sans.join(', ') : 'none'}
+                              </span>
+                              <span className="text-slate-500">Validity</span>
+                              <span className="text-slate-200">
+                                {csr.requested_days
+                                  ? `${csr.requested_days} days, as requested`
+                                  : `${csr.default_validity_days} days, the profile default`}
+                                <span className="text-slate-500"> (profile allows at most {csr.max_validity_days})</span>
+                              </span>
+                              {subject.length > 0 && (
+                                <>
+                                  <span className="text-slate-500">Subject</span>
+                                  <span className="text-slate-200 break-words">{subject.join(' · ')}</span>
+                                </>
+                              )}
+                            </div>
+
+                            {canOperate && (
+                              <div className="flex flex-wrap items-center gap-1.5">
+                                <input
+                                  className="flex-1 min-w-[10rem] rounded-lg bg-slate-900/70 border border-white/10 px-2 py-1 text-[11px] text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                                  value={note}
+                                  onChange={e => setApprovalNotes(prev => ({ ...prev, [csr.id]: e.target.value }))}
+                                  placeholder={csr.status === 'submitted' ? 'Comment, required to reject' : 'Comment'}
+                                />
+                                {csr.can_approve && (
+                                  <button
+                                    onClick={() => handleReviewDecision(csr, 'approve')}
+                                    disabled={busy}
+                                    className="text-[10px] px-2 py-1 rounded-lg bg-sky-500/20 text-sky-200 border border-sky-400/40 hover:bg-sky-500/30 disabled:opacity-50"
+                                  >
+                                    Approve
+                                  </button>
+                                )}
+                                {csr.status === 'approved' && caSettings.initialized && (
+                                  <button
+                                    onClick={() => handleSignApproved(csr)}
+                                    disabled={busy}
+                                    className="text-[10px] px-2 py-1 rounded-lg bg-emerald-500/20 text-emerald-200 border border-emerald-400/40 hover:bg-emerald-500/30 disabled:opacity-50"
+                                    title="Sign with CA"
+                                  >
+                                    Sign
+                                  </button>
+                                )}
+                                <button
+                                  onClick={() => handleReviewDecision(csr, 'comment')}
+                                  disabled={busy || !note.trim()}
+                                  className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800 disabled:opacity-50"
+                                >
+                                  Comment
+                                </button>
+                                <button
+                                  onClick={() => handleReviewDecision(csr, 'reject')}
+                                  disabled={busy || !note.trim()}
+                                  className="text-[10px] px-2 py-1 rounded-lg bg-rose-500/10 text-rose-200 border border-rose-400/30 hover:bg-rose-500/20 disabled:opacity-50"
+                                  title="Reject with the comment as the reason"
+                                >
+                                  Reject
+                                </button>
+                              </div>
+                            )}
+                            {csr.status === 'submitted' && !csr.can_approve && canOperate && !csr.approved_by_me && (
+                              <div className="text-[10px] text-slate-500">You requested this CSR, so someone else has to approve it.</div>
+                            )}
+
+                            <button
+                              onClick={() => toggleReviews(csr.id)}
+                              className="text-[10px] text-rpurple-200 hover:text-rpurple-100"
+                            >
+                              {reviewsCsrId === csr.id ? 'Hide history' : 'Show history'}
+                            </button>
+                            {reviewsCsrId === csr.id && renderReviews()}
+                          </div>
+                        );
+                      })}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {active === 'certificates' && (
+                <>
+                  {!user ? (
+                    <div className="h-40 sm:h-56 rounded-2xl border border-rpurple-500/40 bg-gradient-to-br from-slate-950/60 via-slate-950/40 to-rpurple-900/40 flex flex-col items-center justify-center text-xs sm:text-sm text-slate-400 gap-2">
+                      <div className="inline-flex items-center gap-1 rounded-full bg-slate-800/70 text-slate-200 px-3 py-1 border border-slate-500/60 text-[11px]">
+                        <span className="h-1.5 w-1.5 rounded-full bg-slate-400" />
+                        Certificate management locked
+                      </div>
+                      <p className="text-[11px] sm:text-xs text-slate-400 max-w-md text-center">
+                        Sign in to manage certificates.
+                      </p>
+                    </div>
+                  ) : (
+                    <div className="space-y-4">
+                      {/* Actions bar */}
+                      <div className="flex flex-wrap gap-2">
+                        {canOperate && (
+                          <button
+                            onClick={() => setShowImportModal(true)}
+                            className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-xl border border-white/10 bg-slate-900/60 text-xs text-slate-200 hover:bg-slate-900/80"
+                          >
+                            <span>📥</span> Import Certificate
+                          </button>
+                        )}
+                        {caSettings.initialized && (
+                          <button
+                            onClick={handleDownloadCaCert}
+                            className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-xl border border-rpurple-400/40 bg-rpurple-500/10 text-xs text-rpurple-200 hover:bg-rpurple-500/20"
                           >
-                            <span className="text-base">{preset.icon}</span>
-                            <div className="text-left">
-                              <div className="font-medium">{preset.label}</div>
-                              <div className="text-[10px] text-slate-400">{preset.description}</div>
-                            </div>
+                            <span>🏛️</span> Download CA Cert
                           </button>
-                        ))}
+                        )}
+                        {canOperate && caSettings.initialized && (
+                          <button
+                            onClick={() => openRenewModal(null, '')}
+                            className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-xl border border-white/10 bg-slate-900/60 text-xs text-slate-200 hover:bg-slate-900/80"
+                          >
+                            <span>🔄</span> Renew Expiring
+                          </button>
+                        )}
+                      </div>
+
+                      {caSettings.initialized && (
+                        <div className="text-[11px] text-slate-400 bg-slate-900/40 border border-white/10 rounded-xl px-2.5 py-1.5">
+                          ACME directory for certbot, acme.sh &amp; co:{' '}
+                          <span className="font-mono text-rpurple-200 break-all">{`${window.location.origin}/acme/directory`}</span>
+                          <span className="block mt-0.5">
+                            EST for network devices:{' '}
+                            <span className="font-mono text-rpurple-200 break-all">{`${window.location.origin}/.well-known/est/`}</span>
+                          </span>
+                          <span className="block mt-0.5">
+                            SCEP for MDM, printers &amp; routers:{' '}
+                            <span className="font-mono text-rpurple-200 break-all">{`${window.location.origin}/scep`}</span>
+                          </span>
+                        </div>
+                      )}
+
+                      {certError && (
+                        <div className="text-[11px] text-rose-300 bg-rose-950/40 border border-rose-500/40 rounded-xl px-2.5 py-1.5">
+                          {certError}
+                        </div>
+                      )}
+                      {certNotice && (
+                        <div className="text-[11px] text-emerald-300 bg-emerald-950/40 border border-emerald-500/40 rounded-xl px-2.5 py-1.5">
+                          {certNotice}
+                        </div>
+                      )}
+
+                      {/* Expiring soon */}
+                      {expiry && (
+                        <div className="p-3 rounded-xl border border-white/10 bg-slate-900/40 space-y-2">
+                          <div className="flex flex-wrap items-center justify-between gap-2">
+                            <h3 className="text-xs uppercase tracking-[0.16em] text-slate-400">Expiring soon</h3>
+                            <div className="flex items-center gap-1">
+                              {canOperate && (
+                                <button
+                                  onClick={handleRunExpiryCheck}
+                                  disabled={expiryChecking}
+                                  className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800 disabled:opacity-50"
+                                >
+                                  Run check now
+                                </button>
+                              )}
+                              {isAdmin && expiry.channels.length > 0 && (
+                                <button
+                                  onClick={handleSendTestAlert}
+                                  disabled={expiryChecking}
+                                  className="text-[10px] px-2 py-1 rounded-lg bg-rpurple-500/10 text-rpurple-200 border border-rpurple-400/40 hover:bg-rpurple-500/20 disabled:opacity-50"
+                                >
+                                  Send test alert
+                                </button>
+                              )}
+                            </div>
+                          </div>
+                          <div className="flex flex-wrap gap-3 text-[11px] text-slate-400">
+                            <span>
+                              <span className="text-rose-300 font-medium">{expiry.certificates.filter(c => c.days_left < 0).length}</span> expired
+                            </span>
+                            <span>
+                              <span className="text-rose-300 font-medium">{expiry.certificates.filter(c => c.days_left >= 0 && c.days_left <= 7).length}</span> within 7 days
+                            </span>
+                            <span>
+                              <span className="text-amber-300 font-medium">{expiry.certificates.filter(c => c.days_left >= 0).length}</span> within {expiry.thresholds[0] || 30} days
+                            </span>
+                          </div>
+                          <div className="text-[10px] text-slate-500">
+                            Alerts at {expiry.thresholds.join(', ')} days before expiry, checked every {expiry.check_interval_hours}h
+                            {expiry.channels.length > 0
+                              ? ` via ${expiry.channels.join(', ')}`
+                              : ' · no notification channel configured (see NOTIFY_* settings)'}
+                          </div>
+                          {expiryError && (
+                            <div className="text-[11px] text-rose-300 bg-rose-950/40 border border-rose-500/40 rounded-xl px-2.5 py-1.5">
+                              {expiryError}
+                            </div>
+                          )}
+                          {expiryMessage && (
+                            <div className="text-[11px] text-emerald-300 bg-emerald-950/40 border border-emerald-500/40 rounded-xl px-2.5 py-1.5">
+                              {expiryMessage}
+                            </div>
+                          )}
+                          {expiry.certificates.length > 0 && (
+                            <div className="space-y-1 max-h-48 overflow-y-auto">
+                              {expiry.certificates.map(c => (
+                                <div key={c.id} className="flex flex-wrap items-center gap-2 text-[11px] px-2 py-1.5 rounded-lg bg-slate-950/40 border border-white/5">
+                                  <span className={`text-[10px] px-1.5 py-0.5 rounded-full ${expiryBadgeClass(c.days_left)}`}>
+                                    {expiryLabel(c.days_left)}
+                                  </span>
+                                  <span className="truncate text-slate-200">{c.common_name}</span>
+                                  <span className="text-slate-500">{c.not_after}</span>
+                                  <span className="ml-auto flex flex-wrap gap-1">
+                                    {c.notifications.filter(n => n.threshold_days === c.threshold_days).map(n => (
+                                      <span
+                                        key={n.channel}
+                                        title={n.error || `Sent ${n.updated_at}`}
+                                        className={`text-[10px] px-1.5 py-0.5 rounded-full ${
+                                          n.status === 'sent'
+                                            ? 'bg-emerald-500/20 text-emerald-300 border border-emerald-400/40'
+                                            : 'bg-rose-500/20 text-rose-300 border border-rose-400/40'
+                                        }`}
+                                      >
+                                        {n.channel} {n.status}
+                                      </span>
+                                    ))}
+                                  </span>
+                                </div>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                      )}
+
+                      {/* Certificate List */}
+                      <div>
+                        <div className="flex items-center justify-between mb-3">
+                          <h3 className="text-xs uppercase tracking-[0.16em] text-slate-400">Certificates</h3>
+                          {certLoading && <span className="text-[10px] text-slate-500">Loading...</span>}
+                        </div>
+                        {certList.length === 0 ? (
+                          <div className="text-xs text-slate-500 py-8 text-center border border-dashed border-white/10 rounded-xl">
+                            No certificates yet. Sign a CSR or import an existing certificate.
+                          </div>
+                        ) : (
+                          <div className="space-y-2 max-h-80 overflow-y-auto">
+                            {certList.map(cert => (
+                              <div
+                                key={cert.id}
+                                className="p-3 rounded-xl border border-white/10 bg-slate-900/50"
+                              >
+                                <div className="flex items-start justify-between gap-2">
+                                  <div className="flex-1 min-w-0">
+                                    <div className="flex items-center gap-2">
+                                      <span className="text-sm">{cert.source === 'imported' ? '📥' : cert.source === 'acme' ? '🤖' : cert.source === 'est' ? '📡' : cert.source === 'scep' ? '🖨️' : '✅'}</span>
+                                      <span className="font-medium text-xs truncate">{cert.common_name}</span>
+                                      <span className={`text-[10px] px-1.5 py-0.5 rounded-full ${
+                                        cert.source === 'signed'
+                                          ? 'bg-emerald-500/20 text-emerald-300 border border-emerald-400/40'
+                                          : cert.source === 'acme'
+                                            ? 'bg-amber-500/20 text-amber-300 border border-amber-400/40'
+                                            : cert.source === 'est'
+                                              ? 'bg-cyan-500/20 text-cyan-300 border border-cyan-400/40'
+                                              : cert.source === 'scep'
+                                                ? 'bg-teal-500/20 text-teal-300 border border-teal-400/40'
+                                                : 'bg-blue-500/20 text-blue-300 border border-blue-400/40'
+                                      }`}>
+                                        {cert.source}
+                                      </span>
+                                      {cert.revoked_at ? (
+                                        <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-rose-500/20 text-rose-300 border border-rose-400/40">
+                                          revoked
+                                        </span>
+                                      ) : renewedBy.has(cert.id) ? (
+                                        <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-slate-800/70 text-slate-300 border border-white/10">
+                                          renewed
+                                        </span>
+                                      ) : daysUntil(cert.not_after) !== null && (
+                                        <span className={`text-[10px] px-1.5 py-0.5 rounded-full ${expiryBadgeClass(daysUntil(cert.not_after))}`}>
+                                          {expiryLabel(daysUntil(cert.not_after))}
+                                        </span>
+                                      )}
+                                    </div>
+                                    <div className="text-[10px] text-slate-500 mt-1 space-y-0.5">
+                                      <div>Serial: {cert.serial_number?.substring(0, 20)}...</div>
+                                      <div>Valid: {cert.not_before} → {cert.not_after}</div>
+                                      {cert.alerted_threshold !== null && cert.alerted_threshold !== undefined && !cert.revoked_at && (
+                                        <div className="text-amber-300/80">
+                                          Alerted: {cert.alerted_threshold === 0 ? 'expired' : `${cert.alerted_threshold} day notice`} · {cert.alerted_at}
+                                        </div>
+                                      )}
+                                      {cert.alert_failures > 0 && !cert.revoked_at && (
+                                        <div className="text-rose-300/80">
+                                          {cert.alert_failures} alert delivery failure(s), retried on the next check
+                                        </div>
+                                      )}
+                                      {cert.requested_by_username && role !== 'requester' && (
+                                        <div>Requested by: {cert.requested_by_username}</div>
+                                      )}
+                                      {cert.renewed_from && <div>Renewal of certificate #{cert.renewed_from}</div>}
+                                      {renewedBy.has(cert.id) && <div>Renewed by certificate #{renewedBy.get(cert.id).id}</div>}
+                                      {cert.revoked_at && (
+                                        <div className="text-rose-300/80">
+                                          Revoked: {cert.revoked_at} · {REVOCATION_REASONS[cert.revocation_reason] || cert.revocation_reason}
+                                        </div>
+                                      )}
+                                    </div>
+                                    {historyCertId === cert.id && (
+                                      <div className="mt-2 space-y-1">
+                                        {renewalHistory(cert).map(h => (
+                                          <div
+                                            key={h.id}
+                                            className={`text-[10px] px-2 py-1 rounded-lg border ${
+                                              h.id === cert.id ? 'border-rpurple-400/40 bg-rpurple-500/10 text-rpurple-200' : 'border-white/5 bg-slate-950/40 text-slate-400'
+                                            }`}
+                                          >
+                                            #{h.id} · {h.serial_number?.substring(0, 16)}... · {h.not_before} → {h.not_after}
+                                            {h.revoked_at && <span className="text-rose-300"> · revoked</span>}
+                                          </div>
+                                        ))}
+                                      </div>
+                                    )}
+                                  </div>
+                                </div>
+                                <div className="flex flex-wrap items-center gap-1 mt-2 pt-2 border-t border-white/5">
+                                  <button
+                                    onClick={() => openDetails('certificate', cert.id, cert.common_name)}
+                                    className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                                  >
+                                    Details
+                                  </button>
+                                  <button
+                                    onClick={() => handleDownloadCert(cert.id, cert.common_name)}
+                                    className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                                  >
+                                    Cert
+                                  </button>
+                                  {canRequest && (
+                                    <button
+                                      onClick={() => handleDownloadCertKey(cert.id, cert.common_name)}
+                                      className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                                    >
+                                      Key
+                                    </button>
+                                  )}
+                                  <button
+                                    onClick={() => handleDownloadFullchain(cert.id, cert.common_name)}
+                                    className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                                  >
+                                    Fullchain
+                                  </button>
+                                  <button
+                                    onClick={() => openExportModal(cert)}
+                                    className="text-[10px] px-2 py-1 rounded-lg bg-amber-500/20 text-amber-200 border border-amber-400/40 hover:bg-amber-500/30"
+                                  >
+                                    Export
+                                  </button>
+                                  {(cert.renewed_from || renewedBy.has(cert.id)) && (
+                                    <button
+                                      onClick={() => setHistoryCertId(historyCertId === cert.id ? null : cert.id)}
+                                      className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                                    >
+                                      History ({renewalHistory(cert).length})
+                                    </button>
+                                  )}
+                                  {canOperate && cert.source === 'signed' && !renewedBy.has(cert.id) && (
+                                    <button
+                                      onClick={() => openRenewModal(cert.id, cert.common_name)}
+                                      className="text-[10px] px-2 py-1 rounded-lg bg-rpurple-500/10 text-rpurple-200 border border-rpurple-400/40 hover:bg-rpurple-500/20"
+                                    >
+                                      Renew
+                                    </button>
+                                  )}
+                                  {canOperate && cert.source !== 'imported' && !cert.revoked_at && (
+                                    <button
+                                      onClick={() => openRevokeModal(cert.id, cert.common_name)}
+                                      className="text-[10px] px-2 py-1 rounded-lg bg-rose-500/10 text-rose-200 border border-rose-400/30 hover:bg-rose-500/20"
+                                    >
+                                      Revoke
+                                    </button>
+                                  )}
+                                  {canOperate && cert.source === 'imported' && (
+                                    <button
+                                      onClick={() => handleDeleteCert(cert.id)}
+                                      className="text-[10px] px-2 py-1 rounded-lg bg-rose-500/20 text-rose-300 border border-rose-400/40 hover:bg-rose-500/30 ml-auto"
+                                    >
+                                      Delete
+                                    </button>
+                                  )}
+                                </div>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </>
+              )}
+
+              {active === 'profiles' && isAdmin && (
+                <div className="space-y-4">
+                  <div className="flex items-center justify-between">
+                    <h3 className="text-xs uppercase tracking-[0.16em] text-slate-400">Certificate profiles</h3>
+                    {!profileForm && (
+                      <button
+                        onClick={() => openProfileEditor(null)}
+                        className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-xl border border-white/10 bg-slate-900/60 text-xs text-slate-200 hover:bg-slate-900/80"
+                      >
+                        <span>➕</span> New profile
+                      </button>
+                    )}
+                  </div>
+
+                  {profileError && (
+                    <div className="text-[11px] text-rose-300 bg-rose-950/40 border border-rose-500/40 rounded-xl px-2.5 py-1.5">
+                      {profileError}
+                    </div>
+                  )}
+
+                  {profileForm && profileOptions && (
+                    <form onSubmit={handleSaveProfile} className="p-3 rounded-xl border border-rpurple-400/30 bg-slate-900/40 space-y-3">
+                      <div className="grid gap-3 sm:grid-cols-3">
+                        <label className="block space-y-1 text-xs">
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Name *</span>
+                          <input
+                            className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 disabled:opacity-50"
+                            value={profileForm.name}
+                            onChange={e => setProfileForm(prev => ({ ...prev, name: e.target.value }))}
+                            placeholder="smime"
+                            disabled={!!profileEditingId}
+                          />
+                        </label>
+                        <label className="block space-y-1 text-xs">
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Label *</span>
+                          <input
+                            className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                            value={profileForm.label}
+                            onChange={e => setProfileForm(prev => ({ ...prev, label: e.target.value }))}
+                            placeholder="S/MIME"
+                          />
+                        </label>
+                        <label className="block space-y-1 text-xs">
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Description</span>
+                          <input
+                            className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                            value={profileForm.description}
+                            onChange={e => setProfileForm(prev => ({ ...prev, description: e.target.value }))}
+                            placeholder="Signed and encrypted email"
+                          />
+                        </label>
+                      </div>
+
+                      <div className="space-y-1 text-xs">
+                        <div className="flex items-center justify-between">
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Key usage</span>
+                          <label className="flex items-center gap-1 text-[10px] text-slate-400">
+                            <input
+                              type="checkbox"
+                              checked={profileForm.key_usage_critical}
+                              onChange={e => setProfileForm(prev => ({ ...prev, key_usage_critical: e.target.checked }))}
+                            />
+                            critical
+                          </label>
+                        </div>
+                        <div className="flex flex-wrap gap-1">
+                          {profileOptions.key_usages.map(u => (
+                            <button
+                              key={u}
+                              type="button"
+                              onClick={() => setProfileForm(prev => ({ ...prev, key_usage: toggleItem(prev.key_usage, u) }))}
+                              className={`text-[10px] px-2 py-1 rounded-lg border transition-all ${
+                                  profileForm.key_usage.includes(u)
+                                    ? 'border-rpurple-400/70 bg-rpurple-500/20 text-rpurple-100'
+                                    : 'border-white/10 bg-slate-900/50 text-slate-400 hover:bg-slate-900/70'
+                                }`}
+                            >
+                              {u}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+
+                      <div className="space-y-1 text-xs">
+                        <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Extended key usage</span>
+                        <div className="flex flex-wrap gap-1">
+                          {profileOptions.extended_key_usages.map(u => (
+                            <button
+                              key={u}
+                              type="button"
+                              onClick={() => setProfileForm(prev => ({ ...prev, extended_key_usage: toggleItem(prev.extended_key_usage, u) }))}
+                              className={`text-[10px] px-2 py-1 rounded-lg border transition-all ${
+                                  profileForm.extended_key_usage.includes(u)
+                                    ? 'border-rpurple-400/70 bg-rpurple-500/20 text-rpurple-100'
+                                    : 'border-white/10 bg-slate-900/50 text-slate-400 hover:bg-slate-900/70'
+                                }`}
+                            >
+                              {u}
+                            </button>
+                          ))}
+                        </div>
+                        <input
+                          className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                          value={profileForm.custom_ekus}
+                          onChange={e => setProfileForm(prev => ({ ...prev, custom_ekus: e.target.value }))}
+                          placeholder="Custom OIDs, e.g. 1.3.6.1.4.1.311.20.2.2"
+                        />
+                      </div>
+
+                      <div className="grid gap-3 sm:grid-cols-3">
+                        <label className="block space-y-1 text-xs">
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Basic constraints</span>
+                          <input
+                            className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                            value={profileForm.basic_constraints}
+                            onChange={e => setProfileForm(prev => ({ ...prev, basic_constraints: e.target.value }))}
+                          />
+                        </label>
+                        <label className="block space-y-1 text-xs">
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Default validity (days)</span>
+                          <input
+                            type="number"
+                            min="1"
+                            className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                            value={profileForm.default_validity_days}
+                            onChange={e => setProfileForm(prev => ({ ...prev, default_validity_days: e.target.value }))}
+                          />
+                        </label>
+                        <label className="block space-y-1 text-xs">
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Max validity (days)</span>
+                          <input
+                            type="number"
+                            min="1"
+                            className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                            value={profileForm.max_validity_days}
+                            onChange={e => setProfileForm(prev => ({ ...prev, max_validity_days: e.target.value }))}
+                          />
+                        </label>
+                        <label className="block space-y-1 text-xs">
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Approvals required</span>
+                          <input
+                            type="number"
+                            min="0"
+                            max="5"
+                            className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                            value={profileForm.approvals_required}
+                            onChange={e => setProfileForm(prev => ({ ...prev, approvals_required: e.target.value }))}
+                            title="Distinct approvers before a CSR can be signed; 0 approves on submission"
+                          />
+                        </label>
+                      </div>
+
+                      <div className="space-y-1 text-xs">
+                        <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Allowed key types</span>
+                        <div className="flex flex-wrap gap-1">
+                          {profileOptions.key_types.map(t => (
+                            <button
+                              key={t}
+                              type="button"
+                              onClick={() => setProfileForm(prev => ({ ...prev, allowed_key_types: toggleItem(prev.allowed_key_types, t) }))}
+                              className={`text-[10px] px-2 py-1 rounded-lg border transition-all ${
+                                  profileForm.allowed_key_types.includes(t)
+                                    ? 'border-rpurple-400/70 bg-rpurple-500/20 text-rpurple-100'
+                                    : 'border-white/10 bg-slate-900/50 text-slate-400 hover:bg-slate-900/70'
+                                }`}
+                            >
+                              {KEY_TYPES[t] ? KEY_TYPES[t].label : t}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+
+                      <div className="space-y-1 text-xs">
+                        <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Subject fields</span>
+                        <div className="grid gap-1 grid-cols-2 sm:grid-cols-4">
+                          {profileOptions.subject_fields.map(f => (
+                            <label key={f} className="flex items-center justify-between gap-1 text-[10px] text-slate-400">
+                              {SUBJECT_FIELD_LABELS[f] || f}
+                              <select
+                                className="rounded-lg bg-slate-900/70 border border-white/10 px-1 py-0.5 text-[10px] text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                                value={profileForm.field_rules[f] || 'optional'}
+                                onChange={e => setProfileForm(prev => ({ ...prev, field_rules: { ...prev.field_rules, [f]: e.target.value } }))}
+                              >
+                                <option value="optional">optional</option>
+                                <option value="required">required</option>
+                                <option value="forbidden">forbidden</option>
+                              </select>
+                            </label>
+                          ))}
+                        </div>
+                      </div>
+
+                      <div className="grid gap-3 sm:grid-cols-2">
+                        <label className="block space-y-1 text-xs">
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Certificate policy OIDs</span>
+                          <input
+                            className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                            value={profileForm.policy_oids}
+                            onChange={e => setProfileForm(prev => ({ ...prev, policy_oids: e.target.value }))}
+                            placeholder="2.23.140.1.2.1"
+                          />
+                        </label>
+                        <label className="block space-y-1 text-xs">
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Default SANs</span>
+                          <input
+                            className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                            value={profileForm.default_sans}
+                            onChange={e => setProfileForm(prev => ({ ...prev, default_sans: e.target.value }))}
+                            placeholder="{cn}, used when a request has no SANs"
+                          />
+                        </label>
+                      </div>
+
+                      <div className="flex items-center gap-2 pt-1">
+                        <button
+                          type="submit"
+                          disabled={profileSaving || !profileForm.label.trim() || (!profileEditingId && !profileForm.name.trim())}
+                          className="inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5 shadow-glossy"
+                        >
+                          {profileSaving ? 'Saving ...' : profileEditingId ? 'Save profile' : 'Create profile'}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setProfileForm(null)}
+                          className="text-xs px-3 py-1.5 rounded-xl border border-white/10 text-slate-300 hover:bg-slate-900/50"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </form>
+                  )}
+
+                  {/* Profile list */}
+                  <div className="space-y-2">
+                    {profiles.map(profile => (
+                      <div key={profile.id} className="p-3 rounded-xl border border-white/10 bg-slate-900/50">
+                        <div className="flex items-start justify-between gap-2">
+                          <div className="flex-1 min-w-0">
+                            <div className="flex items-center gap-2">
+                              <span className="text-sm">{PROFILE_ICONS[profile.name] || '📄'}</span>
+                              <span className="font-medium text-xs">{profile.label}</span>
+                              <span className="font-mono text-[10px] text-slate-500">{profile.name}</span>
+                              {profile.builtin && (
+                                <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-slate-800/70 text-slate-300 border border-white/10">
+                                  built-in
+                                </span>
+                              )}
+                            </div>
+                            <div className="text-[10px] text-slate-500 mt-1 space-y-0.5">
+                              <div>
+                                {profile.key_usage.join(', ') || 'no key usage'}
+                                {profile.extended_key_usage.length > 0 && ` · ${profile.extended_key_usage.join(', ')}`}
+                              </div>
+                              <div>
+                                {profile.default_validity_days} days (max {profile.max_validity_days}) · {profile.allowed_key_types.join(', ')}
+                                {' · '}
+                                {profile.approvals_required === 0
+                                  ? 'no approval'
+                                  : `${profile.approvals_required} approval${profile.approvals_required === 1 ? '' : 's'}`}
+                                {profile.policy_oids.length > 0 && ` · policies ${profile.policy_oids.join(', ')}`}
+                              </div>
+                            </div>
+                          </div>
+                          <div className="flex items-center gap-1">
+                            <button
+                              onClick={() => openProfileEditor(profile)}
+                              className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                            >
+                              Edit
+                            </button>
+                            {!profile.builtin && (
+                              <button
+                                onClick={() => handleDeleteProfile(profile)}
+                                className="text-[10px] px-2 py-1 rounded-lg bg-rose-500/20 text-rose-300 border border-rose-400/40 hover:bg-rose-500/30"
+                              >
+                                Delete
+                              </button>
+                            )}
+                          </div>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {active === 'policies' && visibleSections.includes('policies') && (
+                <div className="space-y-4">
+                  <div className="flex items-center justify-between">
+                    <h3 className="text-xs uppercase tracking-[0.16em] text-slate-400">Issuance policies</h3>
+                    {isAdmin && !policyForm && (
+                      <button
+                        onClick={() => openPolicyEditor(null)}
+                        className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-xl border border-white/10 bg-slate-900/60 text-xs text-slate-200 hover:bg-slate-900/80"
+                      >
+                        <span>➕</span> New policy
+                      </button>
+                    )}
+                  </div>
+
+                  {policyError && (
+                    <div className="text-[11px] text-rose-300 bg-rose-950/40 border border-rose-500/40 rounded-xl px-2.5 py-1.5">
+                      {policyError}
+                    </div>
+                  )}
+
+                  {isAdmin && policyForm && (
+                    <form onSubmit={handleSavePolicy} className="p-3 rounded-xl border border-rpurple-400/30 bg-slate-900/40 space-y-3">
+                      <div className="grid gap-3 sm:grid-cols-2">
+                        <label className="block space-y-1 text-xs">
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Name *</span>
+                          <input
+                            className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                            value={policyForm.name}
+                            onChange={e => setPolicyForm(prev => ({ ...prev, name: e.target.value }))}
+                            placeholder="Corporate TLS"
+                          />
+                        </label>
+                        <label className="block space-y-1 text-xs">
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Description</span>
+                          <input
+                            className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                            value={policyForm.description}
+                            onChange={e => setPolicyForm(prev => ({ ...prev, description: e.target.value }))}
+                            placeholder="Only our own domains and networks"
+                          />
+                        </label>
+                      </div>
+
+                      <div className="grid gap-3 sm:grid-cols-3">
+                        <label className="block space-y-1 text-xs">
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Applies to role</span>
+                          <select
+                            className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                            value={policyForm.role}
+                            onChange={e => setPolicyForm(prev => ({ ...prev, role: e.target.value }))}
+                          >
+                            <option value="">Every role</option>
+                            {Object.entries(ROLES).map(([value, r]) => (
+                              <option key={value} value={value}>{r.label}</option>
+                            ))}
+                          </select>
+                        </label>
+                        <label className="block space-y-1 text-xs">
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Applies to user</span>
+                          <select
+                            className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                            value={policyForm.user_id}
+                            onChange={e => setPolicyForm(prev => ({ ...prev, user_id: e.target.value }))}
+                          >
+                            <option value="">Every user</option>
+                            {userList.map(u => (
+                              <option key={u.id} value={u.id}>{u.username}</option>
+                            ))}
+                          </select>
+                        </label>
+                        <label className="block space-y-1 text-xs">
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Max SANs</span>
+                          <input
+                            type="number"
+                            min={0}
+                            className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                            value={policyForm.max_sans}
+                            onChange={e => setPolicyForm(prev => ({ ...prev, max_sans: e.target.value }))}
+                            placeholder="No limit"
+                          />
+                        </label>
                       </div>
 
-                      {/* CSR Form */}
-                      <form onSubmit={handleCreateCsr} className="grid gap-3 sm:grid-cols-2">
+                      <div className="grid gap-3 sm:grid-cols-2">
                         <label className="block space-y-1 text-xs">
-                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Common Name *</span>
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Allowed DNS suffixes</span>
                           <input
                             className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
-                            value={csrForm.common_name}
-                            onChange={e => setCsrForm(prev => ({ ...prev, common_name: e.target.value }))}
-                            placeholder="example.com"
-                            required
+                            value={policyForm.allowed_dns_suffixes}
+                            onChange={e => setPolicyForm(prev => ({ ...prev, allowed_dns_suffixes: e.target.value }))}
+                            placeholder="example.com, corp.internal (empty: any)"
                           />
                         </label>
                         <label className="block space-y-1 text-xs">
-                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Organization</span>
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Denied DNS suffixes</span>
                           <input
                             className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
-                            value={csrForm.organization}
-                            onChange={e => setCsrForm(prev => ({ ...prev, organization: e.target.value }))}
-                            placeholder="Acme Inc"
+                            value={policyForm.denied_dns_suffixes}
+                            onChange={e => setPolicyForm(prev => ({ ...prev, denied_dns_suffixes: e.target.value }))}
+                            placeholder="google.com"
                           />
                         </label>
                         <label className="block space-y-1 text-xs">
-                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Organizational Unit</span>
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Allowed IP ranges</span>
                           <input
                             className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
-                            value={csrForm.organizational_unit}
-                            onChange={e => setCsrForm(prev => ({ ...prev, organizational_unit: e.target.value }))}
-                            placeholder="IT Department"
+                            value={policyForm.allowed_ip_ranges}
+                            onChange={e => setPolicyForm(prev => ({ ...prev, allowed_ip_ranges: e.target.value }))}
+                            placeholder="10.0.0.0/8, fd00::/8 (empty: any)"
                           />
                         </label>
-                        <div className="grid grid-cols-3 gap-2">
-                          <label className="block space-y-1 text-xs">
-                            <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Country</span>
+                        <label className="block space-y-1 text-xs">
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Denied IP ranges</span>
+                          <input
+                            className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                            value={policyForm.denied_ip_ranges}
+                            onChange={e => setPolicyForm(prev => ({ ...prev, denied_ip_ranges: e.target.value }))}
+                            placeholder="0.0.0.0/0 refuses every IPv4 address"
+                          />
+                        </label>
+                        <label className="block space-y-1 text-xs">
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Allowed email domains</span>
+                          <input
+                            className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                            value={policyForm.allowed_email_domains}
+                            onChange={e => setPolicyForm(prev => ({ ...prev, allowed_email_domains: e.target.value }))}
+                            placeholder="example.com (empty: any)"
+                          />
+                        </label>
+                        <div className="flex flex-col justify-end gap-1.5 text-xs text-slate-300">
+                          <label className="flex items-center gap-2">
                             <input
-                              className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
-                              value={csrForm.country}
-                              onChange={e => setCsrForm(prev => ({ ...prev, country: e.target.value }))}
-                              placeholder="US"
-                              maxLength={2}
+                              type="checkbox"
+                              checked={policyForm.allow_wildcards}
+                              onChange={e => setPolicyForm(prev => ({ ...prev, allow_wildcards: e.target.checked }))}
                             />
+                            Allow wildcard names (*.example.com)
                           </label>
-                          <label className="block space-y-1 text-xs">
-                            <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">State</span>
+                          <label className="flex items-center gap-2">
                             <input
-                              className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
-                              value={csrForm.state}
-                              onChange={e => setCsrForm(prev => ({ ...prev, state: e.target.value }))}
-                              placeholder="CA"
+                              type="checkbox"
+                              checked={policyForm.enabled}
+                              onChange={e => setPolicyForm(prev => ({ ...prev, enabled: e.target.checked }))}
                             />
+                            Enabled
                           </label>
-                          <label className="block space-y-1 text-xs">
-                            <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Locality</span>
+                        </div>
+                      </div>
+
+                      <div className="flex items-center gap-2 pt-1">
+                        <button
+                          type="submit"
+                          disabled={policySaving || !policyForm.name.trim()}
+                          className="inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5 shadow-glossy"
+                        >
+                          {policySaving ? 'Saving ...' : policyEditingId ? 'Save policy' : 'Create policy'}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setPolicyForm(null)}
+                          className="text-xs px-3 py-1.5 rounded-xl border border-white/10 text-slate-300 hover:bg-slate-900/50"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </form>
+                  )}
+
+                  {/* Policy list */}
+                  <div className="space-y-2">
+                    {policies.length === 0 && (
+                      <div className="text-[11px] text-slate-500">
+                        No issuance policies: any name a certificate profile accepts can be issued.
+                      </div>
+                    )}
+                    {policies.map(policy => (
+                      <div key={policy.id} className={`p-3 rounded-xl border border-white/10 bg-slate-900/50 ${policy.enabled ? '' : 'opacity-60'}`}>
+                        <div className="flex items-start justify-between gap-2">
+                          <div className="flex-1 min-w-0">
+                            <div className="flex items-center gap-2">
+                              <span className="text-sm">🛡️</span>
+                              <span className="font-medium text-xs">{policy.name}</span>
+                              <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-slate-800/70 text-slate-300 border border-white/10">
+                                {policy.user_id
+                                  ? `user ${policy.username}`
+                                  : policy.role
+                                    ? `${ROLES[policy.role] ? ROLES[policy.role].label : policy.role}s`
+                                    : 'everyone'}
+                                {policy.user_id && policy.role && ` (${policy.role})`}
+                              </span>
+                              {!policy.enabled && (
+                                <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-slate-800/70 text-slate-400 border border-white/10">
+                                  disabled
+                                </span>
+                              )}
+                              {policy.intermediates > 0 && (
+                                <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-amber-500/20 text-amber-300 border border-amber-400/40">
+                                  name constraints in {policy.intermediates} intermediate{policy.intermediates === 1 ? '' : 's'}
+                                </span>
+                              )}
+                            </div>
+                            {policy.description && <div className="text-[10px] text-slate-400 mt-0.5">{policy.description}</div>}
+                            <div className="text-[10px] text-slate-500 mt-1 space-y-0.5">
+                              <div>
+                                DNS: {policy.allowed_dns_suffixes.length > 0 ? policy.allowed_dns_suffixes.join(', ') : 'any'}
+                                {policy.denied_dns_suffixes.length > 0 && ` · not ${policy.denied_dns_suffixes.join(', ')}`}
+                                {' · '}
+                                {policy.allow_wildcards ? 'wildcards allowed' : 'no wildcards'}
+                              </div>
+                              <div>
+                                IP: {policy.allowed_ip_ranges.length > 0 ? policy.allowed_ip_ranges.join(', ') : 'any'}
+                                {policy.denied_ip_ranges.length > 0 && ` · not ${policy.denied_ip_ranges.join(', ')}`}
+                                {' · '}
+                                Email: {policy.allowed_email_domains.length > 0 ? policy.allowed_email_domains.join(', ') : 'any'}
+                                {' · '}
+                                {policy.max_sans === null ? 'any number of SANs' : `at most ${policy.max_sans} SAN${policy.max_sans === 1 ? '' : 's'}`}
+                              </div>
+                            </div>
+                          </div>
+                          {isAdmin && (
+                            <div className="flex items-center gap-1">
+                              <button
+                                onClick={() => openPolicyEditor(policy)}
+                                className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                              >
+                                Edit
+                              </button>
+                              <button
+                                onClick={() => handleDeletePolicy(policy)}
+                                className="text-[10px] px-2 py-1 rounded-lg bg-rose-500/20 text-rose-300 border border-rose-400/40 hover:bg-rose-500/30"
+                              >
+                                Delete
+                              </button>
+                            </div>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {active === 'audit' && visibleSections.includes('audit') && (
+                <div className="space-y-4">
+                  {/* Filters */}
+                  <form onSubmit={handleAuditFilter} className="grid gap-2 grid-cols-2 sm:grid-cols-3 items-end">
+                    <label className="block space-y-1 text-xs">
+                      <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">User</span>
+                      <input
+                        className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                        value={auditFilters.username}
+                        onChange={e => setAuditFilters(prev => ({ ...prev, username: e.target.value }))}
+                        placeholder="ca_admin"
+                      />
+                    </label>
+                    <label className="block space-y-1 text-xs">
+                      <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Action</span>
+                      <input
+                        className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                        value={auditFilters.action}
+                        onChange={e => setAuditFilters(prev => ({ ...prev, action: e.target.value }))}
+                        placeholder="certificate or certificate.sign"
+                      />
+                    </label>
+                    <label className="block space-y-1 text-xs">
+                      <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Outcome</span>
+                      <select
+                        className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                        value={auditFilters.outcome}
+                        onChange={e => setAuditFilters(prev => ({ ...prev, outcome: e.target.value }))}
+                      >
+                        <option value="">Any</option>
+                        {Object.keys(AUDIT_OUTCOMES).map(o => (
+                          <option key={o} value={o}>{o}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="block space-y-1 text-xs">
+                      <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">From</span>
+                      <input
+                        type="datetime-local"
+                        className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                        value={auditFilters.from}
+                        onChange={e => setAuditFilters(prev => ({ ...prev, from: e.target.value }))}
+                      />
+                    </label>
+                    <label className="block space-y-1 text-xs">
+                      <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">To</span>
+                      <input
+                        type="datetime-local"
+                        className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                        value={auditFilters.to}
+                        onChange={e => setAuditFilters(prev => ({ ...prev, to: e.target.value }))}
+                      />
+                    </label>
+                    <div className="flex items-center gap-2">
+                      <button
+                        type="submit"
+                        disabled={auditLoading}
+                        className="inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5 shadow-glossy"
+                      >
+                        Filter
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setAuditFilters(EMPTY_AUDIT_FILTERS)}
+                        className="text-xs px-3 py-1.5 rounded-xl border border-white/10 text-slate-300 hover:bg-slate-900/50"
+                      >
+                        Clear
+                      </button>
+                    </div>
+                  </form>
+
+                  {/* Actions bar */}
+                  <div className="flex flex-wrap items-center gap-2">
+                    <button
+                      onClick={handleVerifyAudit}
+                      className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-xl border border-rpurple-400/40 bg-rpurple-500/10 text-xs text-rpurple-200 hover:bg-rpurple-500/20"
+                    >
+                      <span>🔗</span> Verify chain
+                    </button>
+                    <button
+                      onClick={() => handleExportAudit('json')}
+                      className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-xl border border-white/10 bg-slate-900/60 text-xs text-slate-200 hover:bg-slate-900/80"
+                    >
+                      Export JSON
+                    </button>
+                    <button
+                      onClick={() => handleExportAudit('csv')}
+                      className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-xl border border-white/10 bg-slate-900/60 text-xs text-slate-200 hover:bg-slate-900/80"
+                    >
+                      Export CSV
+                    </button>
+                    {auditVerify && (
+                      <span
+                        className={`text-[11px] px-2 py-1 rounded-full ${
+                          auditVerify.valid
+                            ? 'bg-emerald-500/20 text-emerald-300 border border-emerald-400/40'
+                            : 'bg-rose-500/20 text-rose-300 border border-rose-400/40'
+                        }`}
+                      >
+                        {auditVerify.valid
+                          ? `✓ ${auditVerify.entries} entries intact`
+                          : `✗ Broken at entry #${auditVerify.broken_at}: ${auditVerify.reason}`}
+                      </span>
+                    )}
+                  </div>
+
+                  {auditError && (
+                    <div className="text-[11px] text-rose-300 bg-rose-950/40 border border-rose-500/40 rounded-xl px-2.5 py-1.5">
+                      {auditError}
+                    </div>
+                  )}
+
+                  {/* Entries */}
+                  <div>
+                    <div className="flex items-center justify-between mb-3">
+                      <h3 className="text-xs uppercase tracking-[0.16em] text-slate-400">
+                        Entries <span className="normal-case tracking-normal text-slate-500">({auditEntries.length} of {auditTotal})</span>
+                      </h3>
+                      {auditLoading && <span className="text-[10px] text-slate-500">Loading...</span>}
+                    </div>
+                    {auditEntries.length === 0 ? (
+                      <div className="text-xs text-slate-500 py-8 text-center border border-dashed border-white/10 rounded-xl">
+                        No audit entries match.
+                      </div>
+                    ) : (
+                      <div className="space-y-2 max-h-96 overflow-y-auto">
+                        {auditEntries.map(entry => (
+                          <div key={entry.id} className="p-3 rounded-xl border border-white/10 bg-slate-900/50">
+                            <div className="flex items-center gap-2 flex-wrap">
+                              <span className="font-mono text-xs text-rpurple-200">{entry.action}</span>
+                              <span className={`text-[10px] px-1.5 py-0.5 rounded-full ${AUDIT_OUTCOMES[entry.outcome] || ''}`}>
+                                {entry.outcome}
+                              </span>
+                              {entry.target_type && (
+                                <span className="text-[10px] text-slate-400">
+                                  {entry.target_type}{entry.target_id ? ` #${entry.target_id}` : ''}
+                                </span>
+                              )}
+                              <span className="text-[10px] text-slate-500 ml-auto">#{entry.id}</span>
+                            </div>
+                            <div className="text-[10px] text-slate-500 mt-1">
+                              {new Date(entry.created_at).toLocaleString()} · {entry.username || 'anonymous'} · {entry.source_ip || 'unknown IP'}
+                            </div>
+                            {entry.details && (
+                              <div className="text-[10px] font-mono text-slate-400 mt-1 break-all">
+                                {Object.entries(entry.details)
+                                  .filter(([, v]) => v !== undefined && v !== null)
+                                  .map(([k, v]) => `${k}=${v}`)
+                                  .join(' · ')}
+                              </div>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    {auditEntries.length < auditTotal && (
+                      <button
+                        onClick={() => loadAudit(true)}
+                        disabled={auditLoading}
+                        className="mt-2 w-full text-[11px] px-3 py-1.5 rounded-xl border border-white/10 text-slate-300 hover:bg-slate-900/50 disabled:opacity-50"
+                      >
+                        Load more
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {active === 'users' && isAdmin && (
+                <div className="space-y-4">
+                  {/* Create user */}
+                  <form onSubmit={handleCreateUser} className="grid gap-2 sm:grid-cols-[minmax(0,1.2fr)_minmax(0,1.2fr)_minmax(0,1fr)_auto] items-end">
+                    <label className="block space-y-1 text-xs">
+                      <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Username</span>
+                      <input
+                        className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                        value={userForm.username}
+                        onChange={e => setUserForm(prev => ({ ...prev, username: e.target.value }))}
+                        placeholder="jane.doe"
+                        autoComplete="off"
+                      />
+                    </label>
+                    <label className="block space-y-1 text-xs">
+                      <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Initial Password</span>
+                      <input
+                        type="password"
+                        className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                        value={userForm.password}
+                        onChange={e => setUserForm(prev => ({ ...prev, password: e.target.value }))}
+                        placeholder="At least 12 characters, mixed types"
+                        autoComplete="new-password"
+                      />
+                    </label>
+                    <label className="block space-y-1 text-xs">
+                      <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Role</span>
+                      <select
+                        className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                        value={userForm.role}
+                        onChange={e => setUserForm(prev => ({ ...prev, role: e.target.value }))}
+                      >
+                        {Object.entries(ROLES).map(([value, r]) => (
+                          <option key={value} value={value}>{r.label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <button
+                      type="submit"
+                      disabled={userCreating || !userForm.username.trim() || !userForm.password}
+                      className="inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5 shadow-glossy"
+                    >
+                      {userCreating ? 'Creating ...' : 'Add user'}
+                    </button>
+                  </form>
+
+                  <div className="grid gap-1 sm:grid-cols-2 text-[10px] text-slate-500">
+                    {Object.values(ROLES).map(r => (
+                      <div key={r.label}>
+                        <span className="text-slate-300">{r.label}</span> · {r.description}
+                      </div>
+                    ))}
+                  </div>
+
+                  {twoFactor && (
+                    <label className="flex items-center gap-2 text-[11px] text-slate-300">
+                      <input
+                        type="checkbox"
+                        checked={twoFactor.policy.require_2fa}
+                        onChange={e => handleTwoFactorPolicy(e.target.checked)}
+                      />
+                      Require two-factor authentication for admins and operators
+                    </label>
+                  )}
+
+                  {usersError && (
+                    <div className="text-[11px] text-rose-300 bg-rose-950/40 border border-rose-500/40 rounded-xl px-2.5 py-1.5">
+                      {usersError}
+                    </div>
+                  )}
+
+                  {/* User list */}
+                  <div>
+                    <div className="flex items-center justify-between mb-3">
+                      <h3 className="text-xs uppercase tracking-[0.16em] text-slate-400">Users</h3>
+                      {usersLoading && <span className="text-[10px] text-slate-500">Loading...</span>}
+                    </div>
+                    <div className="space-y-2 max-h-80 overflow-y-auto">
+                      {userList.map(u => {
+                        const self = u.username === user.username;
+                        return (
+                          <div
+                            key={u.id}
+                            className={`flex items-center justify-between gap-2 p-3 rounded-xl border border-white/10 bg-slate-900/50 ${
+                              u.disabled ? 'opacity-60' : ''
+                            }`}
+                          >
+                            <div className="flex-1 min-w-0">
+                              <div className="flex items-center gap-2">
+                                <span className="text-sm">👤</span>
+                                <span className="font-medium text-xs truncate">{u.username}</span>
+                                {self && <span className="text-[10px] text-slate-500">you</span>}
+                                {u.sso && (
+                                  <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-rpurple-500/20 text-rpurple-200 border border-rpurple-400/40">
+                                    SSO
+                                  </span>
+                                )}
+                                {u.two_factor && (
+                                  <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-emerald-500/20 text-emerald-300 border border-emerald-400/40">
+                                    2FA
+                                  </span>
+                                )}
+                                {u.disabled && (
+                                  <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-rose-500/20 text-rose-300 border border-rose-400/40">
+                                    disabled
+                                  </span>
+                                )}
+                                {u.locked_until && (
+                                  <span
+                                    className="text-[10px] px-1.5 py-0.5 rounded-full bg-amber-500/20 text-amber-300 border border-amber-400/40"
+                                    title={`Too many failed sign-ins; locked until ${new Date(u.locked_until).toLocaleTimeString()}`}
+                                  >
+                                    locked
+                                  </span>
+                                )}
+                              </div>
+                              <div className="text-[10px] text-slate-500 mt-0.5">
+                                Created {new Date(u.created_at).toLocaleDateString()} ·{' '}
+                                {u.active_sessions} active session{u.active_sessions === 1 ? '' : 's'}
+                              </div>
+                            </div>
+                            <div className="flex items-center gap-1">
+                              <select
+                                className="rounded-lg bg-slate-900/70 border border-white/10 px-1.5 py-1 text-[10px] text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 disabled:opacity-50"
+                                value={u.role}
+                                disabled={self}
+                                onChange={e => handleUpdateUser(u.id, { role: e.target.value })}
+                              >
+                                {Object.entries(ROLES).map(([value, r]) => (
+                                  <option key={value} value={value}>{r.label}</option>
+                                ))}
+                              </select>
+                              {u.locked_until && (
+                                <button
+                                  onClick={() => handleUnlockUser(u)}
+                                  className="text-[10px] px-2 py-1 rounded-lg bg-amber-500/10 text-amber-200 border border-amber-400/30 hover:bg-amber-500/20"
+                                >
+                                  Unlock
+                                </button>
+                              )}
+                              <button
+                                onClick={() => openSessionsModal({ id: u.id, username: u.username })}
+                                className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                              >
+                                Sessions
+                              </button>
+                              {!u.sso && (
+                                <button
+                                  onClick={() => openResetPasswordModal(u.id, u.username)}
+                                  className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                                >
+                                  Reset password
+                                </button>
+                              )}
+                              {u.two_factor && !self && (
+                                <button
+                                  onClick={() => handleResetUserTwoFactor(u)}
+                                  className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                                >
+                                  Reset 2FA
+                                </button>
+                              )}
+                              {!self && (
+                                <button
+                                  onClick={() => handleUpdateUser(u.id, { disabled: !u.disabled })}
+                                  className={`text-[10px] px-2 py-1 rounded-lg border ${
+                                    u.disabled
+                                      ? 'bg-emerald-500/20 text-emerald-200 border-emerald-400/40 hover:bg-emerald-500/30'
+                                      : 'bg-rose-500/10 text-rose-200 border-rose-400/30 hover:bg-rose-500/20'
+                                  }`}
+                                >
+                                  {u.disabled ? 'Enable' : 'Disable'}
+                                </button>
+                              )}
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+
+                  {/* Address lockouts */}
+                  {addressLockouts.length > 0 && (
+                    <div>
+                      <h3 className="text-xs uppercase tracking-[0.16em] text-slate-400 mb-3">Locked addresses</h3>
+                      <div className="space-y-2">
+                        {addressLockouts.map(a => (
+                          <div
+                            key={a.address}
+                            className="flex items-center justify-between gap-2 p-3 rounded-xl border border-white/10 bg-slate-900/50"
+                          >
+                            <div className="text-xs">
+                              <span className="font-mono text-slate-100">{a.address}</span>
+                              <span className="ml-2 text-[10px] text-slate-500">
+                                until {new Date(a.locked_until).toLocaleTimeString()}
+                              </span>
+                            </div>
+                            <button
+                              onClick={() => handleUnlockAddress(a.address)}
+                              className="text-[10px] px-2 py-1 rounded-lg bg-amber-500/10 text-amber-200 border border-amber-400/30 hover:bg-amber-500/20"
+                            >
+                              Unlock
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {active === 'tokens' && (
+                <div className="space-y-4">
+                  {/* Create token */}
+                  <form onSubmit={handleCreateToken} className="space-y-3">
+                    <div className="grid gap-2 sm:grid-cols-[minmax(0,1.5fr)_minmax(0,1fr)] items-end">
+                      <label className="block space-y-1 text-xs">
+                        <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Token name</span>
+                        <input
+                          className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                          value={tokenForm.name}
+                          onChange={e => setTokenForm(prev => ({ ...prev, name: e.target.value }))}
+                          placeholder="ci-pipeline"
+                          autoComplete="off"
+                        />
+                      </label>
+                      <label className="block space-y-1 text-xs">
+                        <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Expires</span>
+                        <input
+                          type="date"
+                          className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                          value={tokenForm.expires_at}
+                          onChange={e => setTokenForm(prev => ({ ...prev, expires_at: e.target.value }))}
+                        />
+                      </label>
+                    </div>
+
+                    <div className="space-y-1 text-xs">
+                      <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Scopes</span>
+                      <div className="grid gap-1 sm:grid-cols-2">
+                        {tokenScopes.map(scope => (
+                          <label key={scope.name} className="flex items-start gap-2 p-2 rounded-xl border border-white/10 bg-slate-900/50 text-[11px]">
                             <input
-                              className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
-                              value={csrForm.locality}
-                              onChange={e => setCsrForm(prev => ({ ...prev, locality: e.target.value }))}
-                              placeholder="San Francisco"
+                              type="checkbox"
+                              className="mt-0.5"
+                              checked={tokenForm.scopes.includes(scope.name)}
+                              onChange={() => setTokenForm(prev => ({ ...prev, scopes: toggleItem(prev.scopes, scope.name) }))}
                             />
+                            <span>
+                              <span className="font-mono text-slate-200">{scope.name}</span>
+                              <span className="block text-[10px] text-slate-500">{scope.description}</span>
+                            </span>
                           </label>
-                        </div>
-                        <label className="block space-y-1 text-xs sm:col-span-2">
-                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Subject Alternative Names (comma-separated)</span>
+                        ))}
+                      </div>
+                    </div>
+
+                    {tokenForm.scopes.includes('sign') && (
+                      <label className="block space-y-1 text-xs">
+                        <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Sign with</span>
+                        <select
+                          className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                          value={tokenForm.sign_profile}
+                          onChange={e => setTokenForm(prev => ({ ...prev, sign_profile: e.target.value }))}
+                        >
+                          <option value="">Any profile</option>
+                          {profiles.map(p => (
+                            <option key={p.name} value={p.name}>{p.label} only</option>
+                          ))}
+                        </select>
+                      </label>
+                    )}
+
+                    <button
+                      type="submit"
+                      disabled={tokenCreating || !tokenForm.name.trim() || tokenForm.scopes.length === 0}
+                      className="inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5 shadow-glossy"
+                    >
+                      {tokenCreating ? 'Creating ...' : 'Create token'}
+                    </button>
+                  </form>
+
+                  {newToken && (
+                    <div className="space-y-2 text-[11px] text-emerald-200 bg-emerald-950/40 border border-emerald-500/40 rounded-xl px-2.5 py-2">
+                      <div>
+                        Token <span className="font-medium">{newToken.name}</span> created. Copy it now, it will not be shown again.
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <code className="flex-1 min-w-0 break-all font-mono text-[10px] text-slate-100 bg-slate-950/70 rounded-lg px-2 py-1">
+                          {newToken.token}
+                        </code>
+                        <button
+                          type="button"
+                          onClick={() => navigator.clipboard.writeText(newToken.token)}
+                          className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                        >
+                          Copy
+                        </button>
+                      </div>
+                      <div className="text-[10px] text-slate-400">
+                        Send it as <span className="font-mono">Authorization: Bearer &lt;token&gt;</span>.
+                      </div>
+                    </div>
+                  )}
+
+                  {tokensError && (
+                    <div className="text-[11px] text-rose-300 bg-rose-950/40 border border-rose-500/40 rounded-xl px-2.5 py-1.5">
+                      {tokensError}
+                    </div>
+                  )}
+
+                  {/* Token list */}
+                  <div>
+                    <div className="flex items-center justify-between mb-3">
+                      <h3 className="text-xs uppercase tracking-[0.16em] text-slate-400">API tokens</h3>
+                      {isAdmin && (
+                        <label className="flex items-center gap-1.5 text-[10px] text-slate-400">
+                          <input type="checkbox" checked={tokensAll} onChange={e => setTokensAll(e.target.checked)} />
+                          All users
+                        </label>
+                      )}
+                    </div>
+                    {tokens.length === 0 ? (
+                      <p className="text-xs text-slate-500">No API tokens yet.</p>
+                    ) : (
+                      <div className="space-y-2 max-h-96 overflow-y-auto">
+                        {tokens.map(t => {
+                          const expired = t.expires_at && new Date(t.expires_at) <= new Date();
+                          const inactive = t.revoked_at || expired;
+                          return (
+                            <div
+                              key={t.id}
+                              className={`flex items-start justify-between gap-2 p-3 rounded-xl border border-white/10 bg-slate-900/50 ${
+                                inactive ? 'opacity-60' : ''
+                              }`}
+                            >
+                              <div className="flex-1 min-w-0">
+                                <div className="flex items-center gap-2 flex-wrap">
+                                  <span className="text-sm">🔑</span>
+                                  <span className="font-medium text-xs truncate">{t.name}</span>
+                                  <span className="font-mono text-[10px] text-slate-500">{t.prefix}…</span>
+                                  {tokensAll && <span className="text-[10px] text-slate-400">{t.username}</span>}
+                                  {t.revoked_at && (
+                                    <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-rose-500/20 text-rose-300 border border-rose-400/40">
+                                      revoked
+                                    </span>
+                                  )}
+                                  {!t.revoked_at && expired && (
+                                    <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-amber-500/20 text-amber-300 border border-amber-400/40">
+                                      expired
+                                    </span>
+                                  )}
+                                </div>
+                                <div className="flex flex-wrap gap-1 mt-1">
+                                  {t.scopes.map(scope => (
+                                    <span key={scope} className="font-mono text-[10px] px-1.5 py-0.5 rounded-lg bg-rpurple-500/10 text-rpurple-200 border border-rpurple-400/30">
+                                      {scope}
+                                    </span>
+                                  ))}
+                                </div>
+                                <div className="text-[10px] text-slate-500 mt-1">
+                                  Created {new Date(t.created_at).toLocaleDateString()}
+                                  {' · '}
+                                  {t.expires_at ? `expires ${new Date(t.expires_at).toLocaleDateString()}` : 'never expires'}
+                                  {' · '}
+                                  {t.last_used_at
+                                    ? `last used ${new Date(t.last_used_at).toLocaleString()} from ${t.last_used_ip}`
+                                    : 'never used'}
+                                </div>
+                              </div>
+                              {!t.revoked_at && (
+                                <button
+                                  onClick={() => handleRevokeToken(t)}
+                                  className="text-[10px] px-2 py-1 rounded-lg bg-rose-500/10 text-rose-200 border border-rose-400/30 hover:bg-rose-500/20"
+                                >
+                                  Revoke
+                                </button>
+                              )}
+                            </div>
+                          );
+                        })}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+              {active === 'scep' && visibleSections.includes('scep') && (
+                <div className="space-y-4">
+                  <div className="text-[11px] text-slate-400 bg-slate-900/40 border border-white/10 rounded-xl px-2.5 py-1.5">
+                    SCEP URL:{' '}
+                    <span className="font-mono text-rpurple-200 break-all">{`${window.location.origin}/scep`}</span>
+                    <span className="block mt-0.5">
+                      Devices put a challenge password in their CSR. One-time passwords issue a single certificate; reusable ones must expire.
+                    </span>
+                  </div>
+
+                  {/* Create challenge */}
+                  {canOperate && (
+                    <form onSubmit={handleCreateScepChallenge} className="space-y-3">
+                      <div className="grid gap-2 sm:grid-cols-[minmax(0,1.5fr)_minmax(0,1fr)_minmax(0,1fr)] items-end">
+                        <label className="block space-y-1 text-xs">
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Name</span>
                           <input
                             className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
-                            value={csrForm.san}
-                            onChange={e => setCsrForm(prev => ({ ...prev, san: e.target.value }))}
-                            placeholder="www.example.com, api.example.com, 192.168.1.1"
+                            value={scepForm.name}
+                            onChange={e => setScepForm(prev => ({ ...prev, name: e.target.value }))}
+                            placeholder="floor-2-printers"
+                            autoComplete="off"
                           />
                         </label>
-                        <div className="sm:col-span-2 flex flex-wrap items-center gap-3 mt-1">
-                          <button
-                            type="submit"
-                            disabled={csrCreating || !csrForm.common_name}
-                            className="inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5 shadow-glossy"
+                        <label className="block space-y-1 text-xs">
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Profile</span>
+                          <select
+                            className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                            value={scepForm.profile}
+                            onChange={e => setScepForm(prev => ({ ...prev, profile: e.target.value }))}
                           >
-                            {csrCreating ? 'Generating ...' : 'Generate CSR'}
-                          </button>
-                          {csrError && <span className="text-[11px] text-rose-300">{csrError}</span>}
-                        </div>
-                      </form>
+                            {profiles.map(p => (
+                              <option key={p.name} value={p.name}>{p.label}</option>
+                            ))}
+                          </select>
+                        </label>
+                        <label className="block space-y-1 text-xs">
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Expires</span>
+                          <input
+                            type="date"
+                            className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                            value={scepForm.expires_at}
+                            onChange={e => setScepForm(prev => ({ ...prev, expires_at: e.target.value }))}
+                          />
+                        </label>
+                      </div>
+                      <label className="flex items-center gap-2 text-[11px] text-slate-300">
+                        <input
+                          type="checkbox"
+                          checked={scepForm.one_time}
+                          onChange={e => setScepForm(prev => ({ ...prev, one_time: e.target.checked }))}
+                        />
+                        One-time: valid for a single certificate
+                      </label>
+                      <button
+                        type="submit"
+                        disabled={scepCreating || !scepForm.name.trim() || (!scepForm.one_time && !scepForm.expires_at)}
+                        className="inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5 shadow-glossy"
+                      >
+                        {scepCreating ? 'Creating ...' : 'Create challenge'}
+                      </button>
+                    </form>
+                  )}
+
+                  {newChallenge && (
+                    <div className="space-y-2 text-[11px] text-emerald-200 bg-emerald-950/40 border border-emerald-500/40 rounded-xl px-2.5 py-2">
+                      <div>
+                        Challenge <span className="font-medium">{newChallenge.name}</span> created. Copy the password now, it will not be shown again.
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <code className="flex-1 min-w-0 break-all font-mono text-[10px] text-slate-100 bg-slate-950/70 rounded-lg px-2 py-1">
+                          {newChallenge.password}
+                        </code>
+                        <button
+                          type="button"
+                          onClick={() => navigator.clipboard.writeText(newChallenge.password)}
+                          className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                        >
+                          Copy
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  {scepError && (
+                    <div className="text-[11px] text-rose-300 bg-rose-950/40 border border-rose-500/40 rounded-xl px-2.5 py-1.5">
+                      {scepError}
+                    </div>
+                  )}
+
+                  {/* Challenge list */}
+                  <div>
+                    <h3 className="text-xs uppercase tracking-[0.16em] text-slate-400 mb-3">Challenge passwords</h3>
+                    {scepChallenges.length === 0 ? (
+                      <p className="text-xs text-slate-500">No SCEP challenges yet.</p>
+                    ) : (
+                      <div className="space-y-2 max-h-96 overflow-y-auto">
+                        {scepChallenges.map(c => {
+                          const expired = c.expires_at && new Date(c.expires_at) <= new Date();
+                          const used = c.one_time && c.use_count > 0;
+                          const inactive = c.revoked_at || expired || used;
+                          return (
+                            <div
+                              key={c.id}
+                              className={`flex items-start justify-between gap-2 p-3 rounded-xl border border-white/10 bg-slate-900/50 ${
+                                inactive ? 'opacity-60' : ''
+                              }`}
+                            >
+                              <div className="flex-1 min-w-0">
+                                <div className="flex items-center gap-2 flex-wrap">
+                                  <span className="text-sm">🖨️</span>
+                                  <span className="font-medium text-xs truncate">{c.name}</span>
+                                  <span className="font-mono text-[10px] px-1.5 py-0.5 rounded-lg bg-rpurple-500/10 text-rpurple-200 border border-rpurple-400/30">
+                                    {c.profile}
+                                  </span>
+                                  <span className="text-[10px] text-slate-400">{c.one_time ? 'one-time' : 'reusable'}</span>
+                                  {c.revoked_at && (
+                                    <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-rose-500/20 text-rose-300 border border-rose-400/40">
+                                      revoked
+                                    </span>
+                                  )}
+                                  {!c.revoked_at && used && (
+                                    <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-emerald-500/20 text-emerald-300 border border-emerald-400/40">
+                                      used
+                                    </span>
+                                  )}
+                                  {!c.revoked_at && !used && expired && (
+                                    <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-amber-500/20 text-amber-300 border border-amber-400/40">
+                                      expired
+                                    </span>
+                                  )}
+                                </div>
+                                <div className="text-[10px] text-slate-500 mt-1">
+                                  Created {new Date(c.created_at).toLocaleDateString()}
+                                  {c.created_by_username ? ` by ${c.created_by_username}` : ''}
+                                  {' · '}
+                                  {c.expires_at ? `expires ${new Date(c.expires_at).toLocaleDateString()}` : 'never expires'}
+                                  {' · '}
+                                  {c.use_count === 1 ? '1 certificate' : `${c.use_count} certificates`}
+                                  {c.last_used_at ? `, last ${new Date(c.last_used_at).toLocaleString()} from ${c.last_used_ip}` : ''}
+                                </div>
+                              </div>
+                              {canOperate && !c.revoked_at && !used && !expired && (
+                                <button
+                                  onClick={() => handleRevokeScepChallenge(c)}
+                                  className="text-[10px] px-2 py-1 rounded-lg bg-rose-500/10 text-rose-200 border border-rose-400/30 hover:bg-rose-500/20"
+                                >
+                                  Revoke
+                                </button>
+                              )}
+                            </div>
+                          );
+                        })}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+              {active === 'tools' && user && (
+                <div className="space-y-4">
+                  <form onSubmit={handleToolDecode} className="space-y-3">
+                    <label className="block space-y-1 text-xs">
+                      <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">PEM data</span>
+                      <textarea
+                        rows={7}
+                        className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 font-mono text-[11px] text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                        value={toolInput.encoding === 'text' ? toolInput.data : ''}
+                        onChange={e => {
+                          setToolInput({ data: e.target.value, encoding: 'text', name: '' });
+                          setToolResult(null);
+                        }}
+                        placeholder={
+                          toolInput.encoding === 'base64'
+                            ? `${toolInput.name} loaded`
+                            : '-----BEGIN CERTIFICATE-----\n...\n-----END CERTIFICATE-----'
+                        }
+                      />
+                    </label>
+                    <div className="flex flex-wrap items-center gap-3 text-xs">
+                      <input
+                        type="file"
+                        onChange={handleToolFile}
+                        className="text-[11px] text-slate-400 file:mr-2 file:rounded-lg file:border file:border-white/10 file:bg-slate-900/60 file:px-2 file:py-1 file:text-[11px] file:text-slate-200"
+                      />
+                      <label className="flex items-center gap-1.5 text-[11px] text-slate-400">
+                        Password
+                        <input
+                          type="password"
+                          className="w-32 rounded-lg bg-slate-900/70 border border-white/10 px-1.5 py-0.5 text-[11px] text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                          value={toolPassword}
+                          onChange={e => setToolPassword(e.target.value)}
+                          placeholder="PKCS#12 or key"
+                          autoComplete="off"
+                        />
+                      </label>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2">
+                      <button
+                        type="submit"
+                        disabled={toolBusy || !toolInput.data.trim()}
+                        className="inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5 shadow-glossy"
+                      >
+                        {toolBusy ? 'Working ...' : 'Decode'}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={clearTool}
+                        className="text-xs px-3 py-1.5 rounded-xl border border-white/10 bg-slate-900/60 text-slate-300 hover:bg-slate-800"
+                      >
+                        Clear
+                      </button>
+                    </div>
+                  </form>
+
+                  {toolError && (
+                    <div className="text-[11px] text-rose-300 bg-rose-950/40 border border-rose-500/40 rounded-xl px-2.5 py-1.5">
+                      {toolError}
+                    </div>
+                  )}
+
+                  {toolResult && (
+                    <div className="space-y-3">
+                      <div className="flex flex-wrap items-center gap-2 text-xs">
+                        <span className="font-mono text-[10px] px-1.5 py-0.5 rounded-lg bg-rpurple-500/10 text-rpurple-200 border border-rpurple-400/30">
+                          {TOOL_FORMATS[toolResult.format][0]}
+                        </span>
+                        <span className="text-slate-300">{toolResult.contains.join(', ') || 'nothing recognised'}</span>
+                        {toolResult.key_match === true && (
+                          <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-emerald-500/20 text-emerald-300 border border-emerald-400/40">
+                            key matches certificate
+                          </span>
+                        )}
+                        {toolResult.key_match === false && (
+                          <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-rose-500/20 text-rose-300 border border-rose-400/40">
+                            key does not match
+                          </span>
+                        )}
+                      </div>
 
-                      {/* CSR List */}
-                      <div className="mt-6">
-                        <div className="flex items-center justify-between mb-3">
-                          <h3 className="text-xs uppercase tracking-[0.16em] text-slate-400">Generated CSRs</h3>
-                          {csrLoading && <span className="text-[10px] text-slate-500">Loading...</span>}
-                        </div>
-                        {csrList.length === 0 ? (
-                          <div className="text-xs text-slate-500 py-4 text-center border border-dashed border-white/10 rounded-xl">
-                            No CSRs yet. Generate one above.
-                          </div>
-                        ) : (
-                          <div className="space-y-2 max-h-64 overflow-y-auto">
-                            {csrList.map(csr => (
-                              <div
-                                key={csr.id}
-                                className="flex items-center justify-between gap-2 p-3 rounded-xl border border-white/10 bg-slate-900/50"
-                              >
-                                <div className="flex-1 min-w-0">
-                                  <div className="flex items-center gap-2">
-                                    <span className="text-sm">{CSR_PRESETS[csr.preset]?.icon || '📄'}</span>
-                                    <span className="font-medium text-xs truncate">{csr.common_name}</span>
-                                    <span className={`text-[10px] px-1.5 py-0.5 rounded-full ${
-                                      csr.status === 'signed'
-                                        ? 'bg-emerald-500/20 text-emerald-300 border border-emerald-400/40'
-                                        : 'bg-amber-500/20 text-amber-300 border border-amber-400/40'
-                                    }`}>
-                                      {csr.status}
-                                    </span>
-                                  </div>
-                                  <div className="text-[10px] text-slate-500 mt-0.5">
-                                    {CSR_PRESETS[csr.preset]?.label} · {new Date(csr.created_at).toLocaleDateString()}
-                                  </div>
+                      <div className="space-y-2">
+                        {toolResult.items.map(item => {
+                          const d = item.details;
+                          return (
+                            <div key={item.index} className="p-3 rounded-xl border border-white/10 bg-slate-900/50">
+                              <div className="flex items-center justify-between gap-2">
+                                <div className="flex items-center gap-2 min-w-0">
+                                  <span className="font-mono text-[10px] text-slate-500">#{item.index}</span>
+                                  <span className="text-xs font-medium text-slate-100">{TOOL_ITEM_LABELS[item.type]}</span>
+                                  {d && d.common_name && <span className="text-xs text-slate-300 truncate">{d.common_name}</span>}
                                 </div>
-                                <div className="flex items-center gap-1">
-                                  {csr.status === 'pending' && caSettings.initialized && (
-                                    <button
-                                      onClick={() => handleSignCsr(csr.id)}
-                                      className="text-[10px] px-2 py-1 rounded-lg bg-emerald-500/20 text-emerald-200 border border-emerald-400/40 hover:bg-emerald-500/30"
-                                      title="Sign with CA"
-                                    >
-                                      Sign
-                                    </button>
-                                  )}
-                                  <button
-                                    onClick={() => handleDownloadCsr(csr.id, csr.common_name)}
-                                    className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
-                                    title="Download CSR"
-                                  >
-                                    CSR
-                                  </button>
+                                {d && (item.type === 'certificate' || item.type === 'csr') && (
                                   <button
-                                    onClick={() => handleDownloadCsrKey(csr.id, csr.common_name)}
+                                    type="button"
+                                    onClick={() => {
+                                      setDetailsTitle(d.common_name || d.subject);
+                                      setDetailsError('');
+                                      setDetails(d);
+                                    }}
                                     className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
-                                    title="Download Key"
-                                  >
-                                    Key
-                                  </button>
-                                  <button
-                                    onClick={() => handleDeleteCsr(csr.id)}
-                                    className="text-[10px] px-2 py-1 rounded-lg bg-rose-500/20 text-rose-300 border border-rose-400/40 hover:bg-rose-500/30"
-                                    title="Delete"
                                   >
-                                    ×
+                                    Details
                                   </button>
-                                </div>
+                                )}
                               </div>
+                              {item.error && <div className="mt-1 text-[11px] text-rose-300">{item.error}</div>}
+                              {d && item.type === 'certificate' && (
+                                <div className="mt-1 text-[10px] text-slate-500 space-y-0.5">
+                                  <div className="break-all">{d.subject}</div>
+                                  <div>
+                                    {d.self_signed
+                                      ? 'Self-signed'
+                                      : item.issuer_index !== null
+                                        ? `Issued by #${item.issuer_index}`
+                                        : `Issued by ${d.issuer}`}
+                                    {' · '}
+                                    {d.public_key.label} · valid until {d.not_after}
+                                  </div>
+                                </div>
+                              )}
+                              {d && item.type === 'csr' && (
+                                <div className="mt-1 text-[10px] text-slate-500 break-all">
+                                  {d.subject} · {d.public_key.label}
+                                </div>
+                              )}
+                              {d && item.type === 'crl' && (
+                                <div className="mt-1 text-[10px] text-slate-500 space-y-0.5">
+                                  <div className="break-all">{d.issuer}</div>
+                                  <div>
+                                    {d.crl_number && `Number ${d.crl_number} · `}
+                                    updated {d.last_update} · next {d.next_update || 'not set'} · {d.revoked.length} revoked
+                                  </div>
+                                  {d.revoked.slice(0, 20).map(r => (
+                                    <div key={r.serial_number} className="font-mono">
+                                      {r.serial_number} · {r.revoked_at}{r.reason && ` · ${r.reason}`}
+                                    </div>
+                                  ))}
+                                </div>
+                              )}
+                              {d && (item.type === 'private_key' || item.type === 'public_key') && (
+                                <div className="mt-1 text-[10px] text-slate-500">
+                                  {d.public_key.label}
+                                  {d.encrypted && ' · encrypted'}
+                                  {item.matches &&
+                                    (item.matches.length > 0
+                                      ? ` · matches certificate #${item.matches.join(', #')}`
+                                      : ' · matches no certificate here')}
+                                </div>
+                              )}
+                            </div>
+                          );
+                        })}
+                      </div>
+
+                      <div className="flex flex-wrap items-end gap-2 pt-3 border-t border-white/5">
+                        <label className="block space-y-1 text-xs">
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Convert to</span>
+                          <select
+                            className="rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                            value={toolFormat}
+                            onChange={e => setToolFormat(e.target.value)}
+                          >
+                            {Object.entries(TOOL_FORMATS).map(([value, [label]]) => (
+                              <option key={value} value={value}>{label}</option>
                             ))}
-                          </div>
-                        )}
+                          </select>
+                        </label>
+                        <label className="block space-y-1 text-xs">
+                          <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
+                            {toolFormat === 'pkcs12' ? 'Export password *' : 'Key password'}
+                          </span>
+                          <input
+                            type="password"
+                            className="w-40 rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                            value={toolExportPassword}
+                            onChange={e => setToolExportPassword(e.target.value)}
+                            placeholder={toolFormat === 'pkcs12' ? '' : 'Leave keys unencrypted'}
+                            autoComplete="new-password"
+                          />
+                        </label>
+                        <button
+                          type="button"
+                          onClick={handleToolConvert}
+                          disabled={toolBusy || (toolFormat === 'pkcs12' && !toolExportPassword)}
+                          className="text-xs px-3 py-1.5 rounded-xl border border-rpurple-400/40 bg-rpurple-500/10 text-rpurple-200 hover:bg-rpurple-500/20 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Download
+                        </button>
+                      </div>
+                      <p className="text-[10px] text-slate-500">
+                        DER holds one object; PKCS#7 carries only the certificates; PKCS#12 needs one private key with its certificate.
+                      </p>
+                    </div>
+                  )}
+                </div>
+              )}
+              </>
+              )}
+            </div>
+          </section>
+
+          {/* Sidebar */}
+          <aside className="space-y-4 sm:space-y-5">
+            {/* Session card */}
+            <div className="glossy-card rounded-3xl p-4 sm:p-5">
+              <div className="flex items-center justify-between mb-3">
+                <span className="text-xs uppercase tracking-[0.2em] text-rpurple-300 font-medium">
+                  Session
+                </span>
+                <span
+                  className={
+                    'h-2 w-2 rounded-full shadow-[0_0_12px_rgba(52,211,153,0.9)] transition-colors ' +
+                    (user ? 'bg-emerald-400' : 'bg-slate-500')
+                  }
+                />
+              </div>
+
+              {authChecking ? (
+                <p className="text-sm text-slate-400">Checking your session ...</p>
+              ) : user ? (
+                <div className="space-y-3">
+                  <div className="flex items-center justify-between">
+                    <div className="text-xs text-slate-300">
+                      Signed in as
+                      <span className="ml-1 font-semibold text-rpurple-200">
+                        {user.username}
+                      </span>
+                      {ROLES[user.role] && (
+                        <span className="ml-1.5 text-[10px] px-1.5 py-0.5 rounded-full bg-rpurple-500/20 text-rpurple-200 border border-rpurple-400/40">
+                          {ROLES[user.role].label}
+                        </span>
+                      )}
+                    </div>
+                    <button
+                      type="button"
+                      onClick={handleLogout}
+                      disabled={authBusy}
+                      className="text-[11px] px-2 py-1 rounded-xl border border-rpurple-400/50 bg-slate-900/60 hover:bg-slate-900/90 text-rpurple-100 disabled:opacity-60"
+                    >
+                      {authBusy ? 'Signing out ...' : 'Sign out'}
+                    </button>
+                  </div>
+                  <p className="text-xs text-slate-400">
+                    {ROLES[user.role] ? `${ROLES[user.role].description}.` : ''} Your role gates CA
+                    initialization, certificate issuance and key export operations.
+                  </p>
+                  {user.sso ? (
+                    <p className="text-[11px] text-slate-400">
+                      Signed in with single sign-on; your password and two-factor settings are managed by your
+                      identity provider.
+                    </p>
+                  ) : (
+                    <div className="flex items-center justify-between text-[11px]">
+                      <span className="text-slate-400">
+                        Two-factor{' '}
+                        <span className={user.two_factor ? 'text-emerald-300' : 'text-slate-500'}>
+                          {user.two_factor ? 'on' : 'off'}
+                        </span>
+                      </span>
+                      <button
+                        type="button"
+                        onClick={openTwoFactorModal}
+                        className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                      >
+                        {user.two_factor ? 'Manage' : 'Set up'}
+                      </button>
+                    </div>
+                  )}
+                  <div className="flex items-center gap-1.5">
+                    {!user.sso && (
+                      <button
+                        type="button"
+                        onClick={openPasswordModal}
+                        className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                      >
+                        Change password
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => openSessionsModal()}
+                      className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
+                    >
+                      Sessions
+                    </button>
+                  </div>
+                </div>
+              ) : loginChallenge ? (
+                <form onSubmit={handleLoginSecondFactor} className="space-y-3">
+                  <label className="block space-y-1 text-xs">
+                    <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
+                      {loginUseRecovery ? 'Recovery code' : 'Authentication code'}
+                    </span>
+                    <input
+                      value={loginCode}
+                      onChange={e => setLoginCode(e.target.value)}
+                      className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 font-mono tracking-widest focus:border-rpurple-400/80"
+                      placeholder={loginUseRecovery ? 'xxxxx-xxxxx' : '123456'}
+                      inputMode={loginUseRecovery ? 'text' : 'numeric'}
+                      autoComplete="one-time-code"
+                      autoFocus
+                    />
+                  </label>
+                  {authError && (
+                    <div className="text-[11px] text-rose-300 bg-rose-950/40 border border-rose-500/40 rounded-xl px-2.5 py-1.5">
+                      {authError}
+                    </div>
+                  )}
+                  <button
+                    type="submit"
+                    disabled={authBusy || !loginCode.trim()}
+                    className="w-full inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-3 py-1.5 shadow-glossy"
+                  >
+                    {authBusy ? 'Verifying ...' : 'Verify'}
+                  </button>
+                  <div className="flex items-center justify-between text-[11px]">
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setLoginUseRecovery(prev => !prev);
+                        setLoginCode('');
+                      }}
+                      className="text-rpurple-200 hover:text-rpurple-100"
+                    >
+                      {loginUseRecovery ? 'Use authenticator app' : 'Use a recovery code'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setLoginChallenge(null);
+                        setAuthError('');
+                      }}
+                      className="text-slate-400 hover:text-slate-200"
+                    >
+                      Back
+                    </button>
+                  </div>
+                  <p className="text-[11px] text-slate-500">
+                    Enter the 6-digit code from your authenticator app for{' '}
+                    <span className="font-mono text-rpurple-200">{username}</span>.
+                  </p>
+                </form>
+              ) : (
+                <form onSubmit={handleLogin} className="space-y-3">
+                  <div className="grid gap-2 text-xs">
+                    <label className="space-y-1">
+                      <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
+                        Username
+                      </span>
+                      <input
+                        value={username}
+                        onChange={e => setUsername(e.target.value)}
+                        className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 focus:border-rpurple-400/80"
+                        autoComplete="username"
+                      />
+                    </label>
+                    <label className="space-y-1">
+                      <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
+                        Password
+                      </span>
+                      <input
+                        type="password"
+                        value={password}
+                        onChange={e => setPassword(e.target.value)}
+                        className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 focus:border-rpurple-400/80"
+                        autoComplete="current-password"
+                      />
+                    </label>
+                  </div>
+                  {authError && (
+                    <div className="text-[11px] text-rose-300 bg-rose-950/40 border border-rose-500/40 rounded-xl px-2.5 py-1.5">
+                      {authError}
+                    </div>
+                  )}
+                  <button
+                    type="submit"
+                    disabled={authBusy || !password}
+                    className="w-full inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-3 py-1.5 shadow-glossy"
+                  >
+                    {authBusy ? 'Signing in ...' : 'Sign in'}
+                  </button>
+                  {sso && sso.enabled && (
+                    <a
+                      href={ssoLoginUrl}
+                      className="w-full inline-flex items-center justify-center gap-1.5 rounded-2xl border border-rpurple-400/50 bg-slate-900/60 hover:bg-slate-900/90 text-rpurple-100 text-xs font-medium px-3 py-1.5"
+                    >
+                      Sign in with {sso.label}
+                    </a>
+                  )}
+                  {sso && sso.enabled && (
+                    <p className="text-[11px] text-slate-500">
+                      Accounts created through single sign-on have no password here; use {sso.label}.
+                    </p>
+                  )}
+                  <p className="text-[11px] text-slate-500">
+                    The first admin is <span className="font-mono text-rpurple-200">ca_admin</span> with the password
+                    configured as <span className="font-mono text-rpurple-200">CA_ADMIN_PASSWORD</span> in
+                    your <span className="font-mono">.env</span>; admins create the other accounts.
+                  </p>
+                </form>
+              )}
+            </div>
+
+            {/* CA Lens card */}
+            <div className="glossy-card rounded-3xl p-4 sm:p-5 flex flex-col gap-3 relative overflow-hidden">
+              <div className="absolute inset-0 bg-gradient-to-br from-rpurple-500/10 via-transparent to-rpurple-600/5 pointer-events-none" />
+              <div className="relative flex items-center justify-between gap-3">
+                <div className="text-xs uppercase tracking-[0.25em] text-rpurple-200 font-medium">
+                  CA Lens
+                </div>
+                <div className="flex items-center gap-1.5 text-[10px] sm:text-xs text-rpurple-100">
+                  <span className="h-1.5 w-6 rounded-full bg-gradient-to-r from-rpurple-400 to-rpurple-600 shadow-[0_0_8px_rgba(130,36,255,0.5)]" />
+                  live
+                </div>
+              </div>
+              <p className="relative text-xs sm:text-sm text-slate-300">
+                High-level view of your CA: identity, key material posture, and certificate
+                lifecycle health.
+              </p>
+            </div>
+          </aside>
+        </div>
+      </main>
+
+      {/* Footer */}
+      <footer className="mt-4 sm:mt-6 border-t border-rpurple-500/20 bg-slate-950/80 backdrop-blur-xl relative z-10">
+        <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-10 py-3 sm:py-4 flex flex-col sm:flex-row items-center justify-between gap-2 text-[11px] sm:text-xs text-slate-400">
+          <div className="flex items-center gap-1.5">
+            <span>Digitally crafted with</span>
+            <span className="relative inline-flex items-center justify-center h-3.5 w-3.5">
+              <span className="absolute inset-0 rounded-full bg-rpurple-500/40 blur-[3px]" />
+              <svg viewBox="0 0 24 24" className="relative h-3.5 w-3.5 text-rpurple-200">
+                <path
+                  fill="none"
+                  stroke="currentColor"
+                  strokeWidth="1.5"
+                  d="M12.1 5.08c-.78-1.02-2.05-1.83-3.7-1.83C5.38 3.25 3.5 5.42 3.5 8c0 4.28 4.6 7.36 7.94 9.94.34.27.72.56 1.06.86.34-.3.72-.59 1.06-.86C15.9 15.36 20.5 12.28 20.5 8c0-2.58-1.88-4.75-4.9-4.75-1.65 0-2.92.81-3.7 1.83z"
+                />
+              </svg>
+            </span>
+            <span>by RoarinPenguin</span>
+          </div>
+          <div className="text-[10px] sm:text-xs text-slate-500">
+            CA Settings · CSR Generation · Certificate Management · Audit · Users
+          </div>
+        </div>
+      </footer>
+
+      {/* Upload CSR Modal */}
+      {showCsrUploadModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 backdrop-blur-sm p-4">
+          <div className="bg-slate-950 border border-white/10 rounded-2xl shadow-2xl w-full max-w-lg p-5 max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-sm font-semibold text-slate-100">Upload CSR</h2>
+              <button
+                onClick={() => setShowCsrUploadModal(false)}
+                className="text-slate-400 hover:text-slate-200 text-lg"
+              >
+                ×
+              </button>
+            </div>
+            <p className="text-[11px] text-slate-400 mb-3">
+              Sign a request generated elsewhere (openssl, a device, an HSM). Only the CSR is stored; the private key never leaves its owner.
+            </p>
+            <form onSubmit={handleUploadCsr} className="space-y-3">
+              <label className="block space-y-1 text-xs">
+                <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">CSR PEM *</span>
+                <textarea
+                  className="w-full h-28 rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 font-mono"
+                  value={csrUploadPem}
+                  onChange={e => {
+                    setCsrUploadPem(e.target.value);
+                    setCsrUploadPreview(null);
+                  }}
+                  placeholder="-----BEGIN CERTIFICATE REQUEST-----&#10;...&#10;-----END CERTIFICATE REQUEST-----"
+                  required
+                />
+              </label>
+              <div className="flex flex-wrap items-center gap-3 text-xs">
+                <input
+                  type="file"
+                  accept=".csr,.pem,.req,.txt"
+                  onChange={handleCsrUploadFile}
+                  className="text-[11px] text-slate-400 file:mr-2 file:rounded-lg file:border file:border-white/10 file:bg-slate-900/60 file:px-2 file:py-1 file:text-[11px] file:text-slate-200"
+                />
+                <label className="flex items-center gap-1.5 text-[11px] text-slate-400">
+                  Profile
+                  <select
+                    className="rounded-lg bg-slate-900/70 border border-white/10 px-1.5 py-0.5 text-[11px] text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                    value={csrUploadPreset}
+                    onChange={e => setCsrUploadPreset(e.target.value)}
+                  >
+                    {profiles.map(profile => (
+                      <option key={profile.name} value={profile.name}>{profile.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="flex items-center gap-1.5 text-[11px] text-slate-400">
+                  Days
+                  <input
+                    type="number"
+                    min="1"
+                    className="w-20 rounded-lg bg-slate-900/70 border border-white/10 px-1.5 py-0.5 text-[11px] text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                    value={csrUploadDays}
+                    onChange={e => setCsrUploadDays(e.target.value)}
+                    placeholder="default"
+                  />
+                </label>
+              </div>
+
+              {csrUploadPreview && (
+                <div className="rounded-xl border border-emerald-400/30 bg-emerald-950/20 p-3 text-[11px] space-y-1.5">
+                  <div className="text-emerald-300">✓ Self-signature verified</div>
+                  <div><span className="text-slate-500">Subject:</span> <span className="font-mono text-slate-200 break-all">{csrUploadPreview.subject || '(empty)'}</span></div>
+                  <div><span className="text-slate-500">SANs:</span> <span className="font-mono text-slate-200 break-all">{csrUploadPreview.san || 'none'}</span></div>
+                  <div><span className="text-slate-500">Key:</span> <span className="text-slate-200">{csrUploadPreview.key_label}</span> · <span className="text-slate-500">Signature:</span> <span className="text-slate-200">{csrUploadPreview.signature_algorithm}</span></div>
+                  {csrUploadPreview.requested_extensions.length > 0 && (
+                    <div>
+                      <div className="text-slate-500">Requested extensions:</div>
+                      <ul className="mt-0.5 space-y-0.5">
+                        {csrUploadPreview.requested_extensions.map(ext => (
+                          <li key={ext.name} className="text-slate-300">
+                            {ext.name}{ext.critical && <span className="text-amber-300"> (critical)</span>}:{' '}
+                            <span className="font-mono text-slate-400 whitespace-pre-wrap break-all">{ext.value}</span>
+                          </li>
+                        ))}
+                      </ul>
+                      <div className="text-slate-500 mt-1">
+                        Key usages come from the selected profile; only the requested SANs are carried over.
                       </div>
                     </div>
                   )}
-                </>
+                </div>
               )}
 
-              {active === 'certificates' && (
-                <>
-                  {!user ? (
-                    <div className="h-40 sm:h-56 rounded-2xl border border-rpurple-500/40 bg-gradient-to-br from-slate-950/60 via-slate-950/40 to-rpurple-900/40 flex flex-col items-center justify-center text-xs sm:text-sm text-slate-400 gap-2">
-                      <div className="inline-flex items-center gap-1 rounded-full bg-slate-800/70 text-slate-200 px-3 py-1 border border-slate-500/60 text-[11px]">
-                        <span className="h-1.5 w-1.5 rounded-full bg-slate-400" />
-                        Certificate management locked
-                      </div>
-                      <p className="text-[11px] sm:text-xs text-slate-400 max-w-md text-center">
-                        Sign in as <span className="font-mono text-rpurple-200">ca_admin</span> to manage certificates.
-                      </p>
-                    </div>
-                  ) : (
-                    <div className="space-y-4">
-                      {/* Actions bar */}
-                      <div className="flex flex-wrap gap-2">
-                        <button
-                          onClick={() => setShowImportModal(true)}
-                          className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-xl border border-white/10 bg-slate-900/60 text-xs text-slate-200 hover:bg-slate-900/80"
-                        >
-                          <span>📥</span> Import Certificate
-                        </button>
-                        {caSettings.initialized && (
-                          <button
-                            onClick={handleDownloadCaCert}
-                            className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-xl border border-rpurple-400/40 bg-rpurple-500/10 text-xs text-rpurple-200 hover:bg-rpurple-500/20"
-                          >
-                            <span>🏛️</span> Download CA Cert
-                          </button>
-                        )}
-                      </div>
-
-                      {certError && (
-                        <div className="text-[11px] text-rose-300 bg-rose-950/40 border border-rose-500/40 rounded-xl px-2.5 py-1.5">
-                          {certError}
-                        </div>
-                      )}
-
-                      {/* Certificate List */}
-                      <div>
-                        <div className="flex items-center justify-between mb-3">
-                          <h3 className="text-xs uppercase tracking-[0.16em] text-slate-400">Certificates</h3>
-                          {certLoading && <span className="text-[10px] text-slate-500">Loading...</span>}
-                        </div>
-                        {certList.length === 0 ? (
-                          <div className="text-xs text-slate-500 py-8 text-center border border-dashed border-white/10 rounded-xl">
-                            No certificates yet. Sign a CSR or import an existing certificate.
-                          </div>
-                        ) : (
-                          <div className="space-y-2 max-h-80 overflow-y-auto">
-                            {certList.map(cert => (
-                              <div
-                                key={cert.id}
-                                className="p-3 rounded-xl border border-white/10 bg-slate-900/50"
-                              >
-                                <div className="flex items-start justify-between gap-2">
-                                  <div className="flex-1 min-w-0">
-                                    <div className="flex items-center gap-2">
-                                      <span className="text-sm">{cert.source === 'imported' ? '📥' : '✅'}</span>
-                                      <span className="font-medium text-xs truncate">{cert.common_name}</span>
-                                      <span className={`text-[10px] px-1.5 py-0.5 rounded-full ${
-                                        cert.source === 'signed'
-                                          ? 'bg-emerald-500/20 text-emerald-300 border border-emerald-400/40'
-                                          : 'bg-blue-500/20 text-blue-300 border border-blue-400/40'
-                                      }`}>
-                                        {cert.source}
-                                      </span>
-                                    </div>
-                                    <div className="text-[10px] text-slate-500 mt-1 space-y-0.5">
-                                      <div>Serial: {cert.serial_number?.substring(0, 20)}...</div>
-                                      <div>Valid: {cert.not_before} → {cert.not_after}</div>
-                                    </div>
-                                  </div>
-                                </div>
-                                <div className="flex flex-wrap items-center gap-1 mt-2 pt-2 border-t border-white/5">
-                                  <button
-                                    onClick={() => handleDownloadCert(cert.id, cert.common_name)}
-                                    className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
-                                  >
-                                    Cert
-                                  </button>
-                                  <button
-                                    onClick={() => handleDownloadCertKey(cert.id, cert.common_name)}
-                                    className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
-                                  >
-                                    Key
-                                  </button>
-                                  <button
-                                    onClick={() => handleDownloadFullchain(cert.id, cert.common_name)}
-                                    className="text-[10px] px-2 py-1 rounded-lg bg-slate-800/70 text-slate-300 border border-white/10 hover:bg-slate-800"
-                                  >
-                                    Fullchain
-                                  </button>
-                                  <button
-                                    onClick={() => openPkcs12Modal(cert.id, cert.common_name)}
-                                    className="text-[10px] px-2 py-1 rounded-lg bg-amber-500/20 text-amber-200 border border-amber-400/40 hover:bg-amber-500/30"
-                                  >
-                                    PKCS#12
-                                  </button>
-                                  <button
-                                    onClick={() => handleDeleteCert(cert.id)}
-                                    className="text-[10px] px-2 py-1 rounded-lg bg-rose-500/20 text-rose-300 border border-rose-400/40 hover:bg-rose-500/30 ml-auto"
-                                  >
-                                    Delete
-                                  </button>
-                                </div>
-                              </div>
-                            ))}
-                          </div>
-                        )}
-                      </div>
-                    </div>
+              {csrUploadError && (
+                <div className="text-[11px] text-rose-300 bg-rose-950/40 border border-rose-500/40 rounded-xl px-2.5 py-1.5">
+                  {csrUploadError}
+                  {csrUploadViolations.length > 0 && (
+                    <ul className="mt-1 list-disc list-inside space-y-0.5">
+                      {csrUploadViolations.map(v => <li key={v}>{v}</li>)}
+                    </ul>
                   )}
-                </>
+                </div>
               )}
+
+              <div className="flex items-center gap-2 pt-2">
+                {csrUploadPreview ? (
+                  <button
+                    type="submit"
+                    disabled={csrUploading}
+                    className="inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5 shadow-glossy"
+                  >
+                    {csrUploading ? 'Uploading ...' : 'Upload CSR'}
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={handleParseCsrUpload}
+                    disabled={csrUploading || !csrUploadPem.trim()}
+                    className="inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5 shadow-glossy"
+                  >
+                    {csrUploading ? 'Checking ...' : 'Check CSR'}
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => setShowCsrUploadModal(false)}
+                  className="text-xs px-3 py-1.5 rounded-xl border border-white/10 text-slate-300 hover:bg-slate-900/50"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Two-Factor Modal */}
+      {showTwoFactorModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 backdrop-blur-sm p-4">
+          <div className="bg-slate-950 border border-white/10 rounded-2xl shadow-2xl w-full max-w-sm p-5">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-sm font-semibold text-slate-100">Two-Factor Authentication</h2>
+              <button
+                onClick={() => setShowTwoFactorModal(false)}
+                className="text-slate-400 hover:text-slate-200 text-lg"
+              >
+                ×
+              </button>
             </div>
-          </section>
 
-          {/* Sidebar */}
-          <aside className="space-y-4 sm:space-y-5">
-            {/* Session card */}
-            <div className="glossy-card rounded-3xl p-4 sm:p-5">
-              <div className="flex items-center justify-between mb-3">
-                <span className="text-xs uppercase tracking-[0.2em] text-rpurple-300 font-medium">
-                  Session
-                </span>
-                <span
-                  className={
-                    'h-2 w-2 rounded-full shadow-[0_0_12px_rgba(52,211,153,0.9)] transition-colors ' +
-                    (user ? 'bg-emerald-400' : 'bg-slate-500')
-                  }
+            {twoFactorError && (
+              <div className="mb-3 text-[11px] text-rose-300 bg-rose-950/40 border border-rose-500/40 rounded-xl px-2.5 py-1.5">
+                {twoFactorError}
+              </div>
+            )}
+
+            {recoveryCodes.length > 0 ? (
+              <div className="space-y-3">
+                <p className="text-xs text-slate-400">
+                  Recovery codes sign you in when your authenticator is not at hand. Each works once; store them
+                  somewhere safe, they will not be shown again.
+                </p>
+                <div className="grid grid-cols-2 gap-1 font-mono text-xs text-slate-100 bg-slate-900/70 border border-white/10 rounded-xl p-3">
+                  {recoveryCodes.map(code => (
+                    <span key={code}>{code}</span>
+                  ))}
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    type="button"
+                    onClick={() => navigator.clipboard.writeText(recoveryCodes.join('\n'))}
+                    className="text-xs px-3 py-1.5 rounded-xl border border-white/10 text-slate-300 hover:bg-slate-900/50"
+                  >
+                    Copy
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setRecoveryCodes([])}
+                    className="inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5 shadow-glossy"
+                  >
+                    Done
+                  </button>
+                </div>
+              </div>
+            ) : !twoFactor ? (
+              <p className="text-xs text-slate-400">Loading ...</p>
+            ) : !twoFactor.enabled ? (
+              twoFactorSetup ? (
+                <form onSubmit={handleEnableTwoFactor} className="space-y-3">
+                  <p className="text-xs text-slate-400">
+                    Scan the code with an authenticator app, or enter the key by hand, then type the 6-digit code it shows.
+                  </p>
+                  <div className="flex justify-center">
+                    <img src={twoFactorSetup.qr_code} alt="Authenticator QR code" className="rounded-xl bg-white p-1" />
+                  </div>
+                  <div className="font-mono text-[10px] text-center break-all text-slate-300">{twoFactorSetup.secret}</div>
+                  <label className="block space-y-1 text-xs">
+                    <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Authentication code *</span>
+                    <input
+                      className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 font-mono tracking-widest"
+                      value={twoFactorCode}
+                      onChange={e => setTwoFactorCode(e.target.value)}
+                      placeholder="123456"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                    />
+                  </label>
+                  <button type="submit" disabled={twoFactorBusy || !twoFactorCode.trim()} className="inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5 shadow-glossy">
+                    {twoFactorBusy ? 'Verifying ...' : 'Enable two-factor'}
+                  </button>
+                </form>
+              ) : (
+                <div className="space-y-3">
+                  <p className="text-xs text-slate-400">
+                    {twoFactor.required
+                      ? 'Your role requires a one-time code from an authenticator app at every sign-in.'
+                      : 'Ask for a one-time code from an authenticator app at every sign-in, on top of your password.'}
+                  </p>
+                  <button type="button" onClick={handleStartTwoFactorSetup} disabled={twoFactorBusy} className="inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5 shadow-glossy">
+                    {twoFactorBusy ? 'Preparing ...' : 'Start setup'}
+                  </button>
+                </div>
+              )
+            ) : (
+              <div className="space-y-3">
+                <p className="text-xs text-slate-400">
+                  Two-factor authentication is <span className="text-emerald-300">on</span>.{' '}
+                  {twoFactor.recovery_codes_left} recovery code{twoFactor.recovery_codes_left === 1 ? '' : 's'} left.
+                </p>
+                <label className="block space-y-1 text-xs">
+                  <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">{twoFactorUseRecovery ? 'Recovery code' : 'Current authentication code'}</span>
+                  <input
+                    className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 font-mono tracking-widest"
+                    value={twoFactorCode}
+                    onChange={e => setTwoFactorCode(e.target.value)}
+                    placeholder={twoFactorUseRecovery ? 'xxxxx-xxxxx' : '123456'}
+                    autoComplete="one-time-code"
+                  />
+                </label>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setTwoFactorUseRecovery(prev => !prev);
+                    setTwoFactorCode('');
+                  }}
+                  className="text-[11px] text-rpurple-200 hover:text-rpurple-100"
+                >
+                  {twoFactorUseRecovery ? 'Use authenticator app' : 'Use a recovery code'}
+                </button>
+                <button
+                  type="button"
+                  onClick={handleRegenerateRecoveryCodes}
+                  disabled={twoFactorBusy || !twoFactorCode.trim()}
+                  className="w-full text-xs px-3 py-1.5 rounded-xl border border-white/10 text-slate-300 hover:bg-slate-900/50 disabled:opacity-50"
+                >
+                  New recovery codes
+                </button>
+                {twoFactor.required ? (
+                  <p className="text-[11px] text-slate-500">Two-factor authentication is required for your role and cannot be turned off.</p>
+                ) : (
+                  <div className="space-y-2 pt-2 border-t border-white/10">
+                    <label className="block space-y-1 text-xs">
+                      <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Password</span>
+                      <input
+                        type="password"
+                        className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                        value={twoFactorPassword}
+                        onChange={e => setTwoFactorPassword(e.target.value)}
+                        autoComplete="current-password"
+                      />
+                    </label>
+                    <button
+                      type="button"
+                      onClick={handleDisableTwoFactor}
+                      disabled={twoFactorBusy || !twoFactorPassword || !twoFactorCode.trim()}
+                      className="w-full text-xs px-3 py-1.5 rounded-xl bg-rose-500/20 text-rose-200 border border-rose-400/40 hover:bg-rose-500/30 disabled:opacity-50"
+                    >
+                      Turn off two-factor
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Change Password Modal */}
+      {showPasswordModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 backdrop-blur-sm p-4">
+          <div className="bg-slate-950 border border-white/10 rounded-2xl shadow-2xl w-full max-w-sm p-5">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-sm font-semibold text-slate-100">Change Password</h2>
+              <button
+                onClick={() => setShowPasswordModal(false)}
+                className="text-slate-400 hover:text-slate-200 text-lg"
+              >
+                ×
+              </button>
+            </div>
+            <p className="text-xs text-slate-400 mb-3">
+              At least 12 characters mixing three of lower case, upper case, digits and symbols, or a passphrase of
+              20+ characters. Your other sessions are signed out.
+            </p>
+            {passwordError && (
+              <div className="mb-3 text-[11px] text-rose-300 bg-rose-950/40 border border-rose-500/40 rounded-xl px-2.5 py-1.5">
+                {passwordError}
+              </div>
+            )}
+            {passwordMessage && (
+              <div className="mb-3 text-[11px] text-emerald-300 bg-emerald-950/40 border border-emerald-500/40 rounded-xl px-2.5 py-1.5">
+                {passwordMessage}
+              </div>
+            )}
+            <form onSubmit={handleChangePassword} className="space-y-3">
+              <label className="block space-y-1 text-xs">
+                <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Current Password *</span>
+                <input
+                  type="password"
+                  className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                  value={passwordForm.current}
+                  onChange={e => setPasswordForm({ ...passwordForm, current: e.target.value })}
+                  autoComplete="current-password"
+                  required
+                />
+              </label>
+              <label className="block space-y-1 text-xs">
+                <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">New Password *</span>
+                <input
+                  type="password"
+                  className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                  value={passwordForm.next}
+                  onChange={e => setPasswordForm({ ...passwordForm, next: e.target.value })}
+                  autoComplete="new-password"
+                  required
+                />
+              </label>
+              <label className="block space-y-1 text-xs">
+                <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Confirm New Password *</span>
+                <input
+                  type="password"
+                  className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                  value={passwordForm.confirm}
+                  onChange={e => setPasswordForm({ ...passwordForm, confirm: e.target.value })}
+                  autoComplete="new-password"
+                  required
                 />
+              </label>
+              <div className="flex items-center gap-2 pt-2">
+                <button
+                  type="submit"
+                  disabled={passwordBusy || !passwordForm.current || !passwordForm.next}
+                  className="inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5 shadow-glossy"
+                >
+                  {passwordBusy ? 'Saving ...' : 'Change password'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setShowPasswordModal(false)}
+                  className="text-xs px-3 py-1.5 rounded-xl border border-white/10 text-slate-300 hover:bg-slate-900/50"
+                >
+                  Close
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Details Drawer */}
+      {(details || detailsLoading || detailsError) && (
+        <div
+          className="fixed inset-0 z-50 flex justify-end bg-black/60 backdrop-blur-sm"
+          onClick={() => {
+            setDetails(null);
+            setDetailsError('');
+          }}
+        >
+          <div
+            className="h-full w-full max-w-lg bg-slate-950 border-l border-white/10 shadow-2xl overflow-y-auto p-5"
+            onClick={e => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between mb-4">
+              <div className="min-w-0">
+                <div className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
+                  {details && details.kind === 'csr' ? 'Certificate Request' : 'Certificate'}
+                </div>
+                <h2 className="text-sm font-semibold text-slate-100 truncate">{detailsTitle}</h2>
+              </div>
+              <button
+                onClick={() => {
+                  setDetails(null);
+                  setDetailsError('');
+                }}
+                className="text-slate-400 hover:text-slate-200 text-lg"
+              >
+                ×
+              </button>
+            </div>
+            {detailsLoading && <div className="text-[10px] text-slate-500">Loading...</div>}
+            {detailsError && (
+              <div className="mb-3 text-[11px] text-rose-300 bg-rose-950/40 border border-rose-500/40 rounded-xl px-2.5 py-1.5">
+                {detailsError}
+              </div>
+            )}
+            {details && (
+              <div className="space-y-4">
+                {details.self_signed && (
+                  <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-amber-500/20 text-amber-200 border border-amber-400/40">
+                    self-signed
+                  </span>
+                )}
+                {[
+                  ['Overview', detailRows(details).overview],
+                  [details.kind === 'csr' ? 'Requested Extensions' : 'Extensions', detailRows(details).extensions],
+                ].map(([heading, rows]) => (
+                  <div key={heading} className="space-y-2">
+                    <h3 className="text-[11px] uppercase tracking-[0.16em] text-slate-400">{heading}</h3>
+                    {rows.length === 0 && <div className="text-xs text-slate-500">None.</div>}
+                    {rows.map(([label, value]) => (
+                      <div key={label} className="p-2.5 rounded-xl border border-white/10 bg-slate-900/50">
+                        <div className="text-[10px] text-slate-500">{label}</div>
+                        {(Array.isArray(value) ? value : [value]).map(v => (
+                          <div key={v} className="font-mono text-[11px] text-slate-200 break-all">
+                            {v}
+                          </div>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                ))}
+                {details.extensions.length > 0 && (
+                  <div className="space-y-2">
+                    <h3 className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Raw Extensions</h3>
+                    {details.extensions.map(ext => (
+                      <div key={ext.name} className="p-2.5 rounded-xl border border-white/10 bg-slate-900/50">
+                        <div className="flex items-center gap-2">
+                          <span className="text-[10px] text-slate-400">{ext.name}</span>
+                          {ext.critical && (
+                            <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-rose-500/20 text-rose-300 border border-rose-400/40">
+                              critical
+                            </span>
+                          )}
+                        </div>
+                        <pre className="font-mono text-[11px] text-slate-200 whitespace-pre-wrap break-all">{ext.value}</pre>
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
+            )}
+          </div>
+        </div>
+      )}
 
-              {authChecking ? (
-                <p className="text-sm text-slate-400">Checking your session ...</p>
-              ) : user ? (
-                <div className="space-y-3">
-                  <div className="flex items-center justify-between">
-                    <div className="text-xs text-slate-300">
-                      Signed in as
-                      <span className="ml-1 font-semibold text-rpurple-200">
-                        {user.username}
-                      </span>
+      {/* Sessions Modal */}
+      {showSessionsModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 backdrop-blur-sm p-4">
+          <div className="bg-slate-950 border border-white/10 rounded-2xl shadow-2xl w-full max-w-lg p-5">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-sm font-semibold text-slate-100">
+                {sessionsUser ? `Sessions of ${sessionsUser.username}` : 'Your Sessions'}
+              </h2>
+              <button
+                onClick={() => setShowSessionsModal(false)}
+                className="text-slate-400 hover:text-slate-200 text-lg"
+              >
+                ×
+              </button>
+            </div>
+            {sessionsError && (
+              <div className="mb-3 text-[11px] text-rose-300 bg-rose-950/40 border border-rose-500/40 rounded-xl px-2.5 py-1.5">
+                {sessionsError}
+              </div>
+            )}
+            <div className="space-y-2 max-h-80 overflow-y-auto">
+              {sessionsLoading && <div className="text-[10px] text-slate-500">Loading...</div>}
+              {!sessionsLoading && sessionList.length === 0 && (
+                <div className="text-xs text-slate-500">No active sessions.</div>
+              )}
+              {sessionList.map(s => (
+                <div
+                  key={s.id}
+                  className="flex items-center justify-between gap-2 p-3 rounded-xl border border-white/10 bg-slate-900/50"
+                >
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="font-mono text-xs text-slate-200">{s.ip || 'unknown address'}</span>
+                      {s.current && (
+                        <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-rpurple-500/20 text-rpurple-200 border border-rpurple-400/40">
+                          this device
+                        </span>
+                      )}
+                    </div>
+                    <div className="text-[10px] text-slate-500 truncate" title={s.user_agent}>
+                      {s.user_agent || 'Unknown browser'}
+                    </div>
+                    <div className="text-[10px] text-slate-500">
+                      Signed in {new Date(s.created_at).toLocaleString()} · last seen{' '}
+                      {new Date(s.last_seen_at).toLocaleString()}
                     </div>
+                  </div>
+                  {!s.current && (
                     <button
-                      type="button"
-                      onClick={handleLogout}
-                      disabled={authBusy}
-                      className="text-[11px] px-2 py-1 rounded-xl border border-rpurple-400/50 bg-slate-900/60 hover:bg-slate-900/90 text-rpurple-100 disabled:opacity-60"
+                      onClick={() => handleEndSession(s)}
+                      className="text-[10px] px-2 py-1 rounded-lg bg-rose-500/10 text-rose-200 border border-rose-400/30 hover:bg-rose-500/20"
                     >
-                      {authBusy ? 'Signing out ...' : 'Sign out'}
+                      Sign out
                     </button>
-                  </div>
-                  <p className="text-xs text-slate-400">
-                    Your authenticated session gates CA initialization, certificate issuance
-                    and key export operations.
-                  </p>
-                </div>
-              ) : (
-                <form onSubmit={handleLogin} className="space-y-3">
-                  <div className="grid gap-2 text-xs">
-                    <label className="space-y-1">
-                      <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
-                        Username
-                      </span>
-                      <input
-                        value={username}
-                        onChange={e => setUsername(e.target.value)}
-                        className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 focus:border-rpurple-400/80"
-                        autoComplete="username"
-                      />
-                    </label>
-                    <label className="space-y-1">
-                      <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
-                        Password
-                      </span>
-                      <input
-                        type="password"
-                        value={password}
-                        onChange={e => setPassword(e.target.value)}
-                        className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80 focus:border-rpurple-400/80"
-                        autoComplete="current-password"
-                      />
-                    </label>
-                  </div>
-                  {authError && (
-                    <div className="text-[11px] text-rose-300 bg-rose-950/40 border border-rose-500/40 rounded-xl px-2.5 py-1.5">
-                      {authError}
-                    </div>
                   )}
-                  <button
-                    type="submit"
-                    disabled={authBusy || !password}
-                    className="w-full inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-3 py-1.5 shadow-glossy"
-                  >
-                    {authBusy ? 'Signing in ...' : 'Sign in as ca_admin'}
-                  </button>
-                  <p className="text-[11px] text-slate-500">
-                    Use the password configured as{' '}
-                    <span className="font-mono text-rpurple-200">CA_ADMIN_PASSWORD</span> in
-                    your <span className="font-mono">.env</span>.
-                  </p>
-                </form>
-              )}
-            </div>
-
-            {/* CA Lens card */}
-            <div className="glossy-card rounded-3xl p-4 sm:p-5 flex flex-col gap-3 relative overflow-hidden">
-              <div className="absolute inset-0 bg-gradient-to-br from-rpurple-500/10 via-transparent to-rpurple-600/5 pointer-events-none" />
-              <div className="relative flex items-center justify-between gap-3">
-                <div className="text-xs uppercase tracking-[0.25em] text-rpurple-200 font-medium">
-                  CA Lens
-                </div>
-                <div className="flex items-center gap-1.5 text-[10px] sm:text-xs text-rpurple-100">
-                  <span className="h-1.5 w-6 rounded-full bg-gradient-to-r from-rpurple-400 to-rpurple-600 shadow-[0_0_8px_rgba(130,36,255,0.5)]" />
-                  live
                 </div>
-              </div>
-              <p className="relative text-xs sm:text-sm text-slate-300">
-                High-level view of your CA: identity, key material posture, and certificate
-                lifecycle health.
-              </p>
+              ))}
             </div>
-          </aside>
+            {sessionsUser && sessionList.some(s => !s.current) && (
+              <div className="pt-3">
+                <button
+                  type="button"
+                  onClick={handleEndUserSessions}
+                  className="text-xs px-3 py-1.5 rounded-xl border border-rose-400/30 bg-rose-500/10 text-rose-200 hover:bg-rose-500/20"
+                >
+                  Sign out everywhere
+                </button>
+              </div>
+            )}
+          </div>
         </div>
-      </main>
+      )}
 
-      {/* Footer */}
-      <footer className="mt-4 sm:mt-6 border-t border-rpurple-500/20 bg-slate-950/80 backdrop-blur-xl relative z-10">
-        <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-10 py-3 sm:py-4 flex flex-col sm:flex-row items-center justify-between gap-2 text-[11px] sm:text-xs text-slate-400">
-          <div className="flex items-center gap-1.5">
-            <span>Digitally crafted with</span>
-            <span className="relative inline-flex items-center justify-center h-3.5 w-3.5">
-              <span className="absolute inset-0 rounded-full bg-rpurple-500/40 blur-[3px]" />
-              <svg viewBox="0 0 24 24" className="relative h-3.5 w-3.5 text-rpurple-200">
-                <path
-                  fill="none"
-                  stroke="currentColor"
-                  strokeWidth="1.5"
-                  d="M12.1 5.08c-.78-1.02-2.05-1.83-3.7-1.83C5.38 3.25 3.5 5.42 3.5 8c0 4.28 4.6 7.36 7.94 9.94.34.27.72.56 1.06.86.34-.3.72-.59 1.06-.86C15.9 15.36 20.5 12.28 20.5 8c0-2.58-1.88-4.75-4.9-4.75-1.65 0-2.92.81-3.7 1.83z"
+      {/* Reset Password Modal */}
+      {showResetPasswordModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 backdrop-blur-sm p-4">
+          <div className="bg-slate-950 border border-white/10 rounded-2xl shadow-2xl w-full max-w-sm p-5">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-sm font-semibold text-slate-100">Reset Password</h2>
+              <button
+                onClick={() => setShowResetPasswordModal(false)}
+                className="text-slate-400 hover:text-slate-200 text-lg"
+              >
+                ×
+              </button>
+            </div>
+            <p className="text-xs text-slate-400 mb-3">
+              Set a new password for <span className="text-rpurple-200 font-medium">{resetUserName}</span>.
+            </p>
+            <form onSubmit={handleResetPassword} className="space-y-3">
+              <label className="block space-y-1 text-xs">
+                <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">New Password *</span>
+                <input
+                  type="password"
+                  className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                  value={resetPassword}
+                  onChange={e => setResetPassword(e.target.value)}
+                  placeholder="At least 12 characters, mixed types"
+                  autoComplete="new-password"
+                  required
                 />
-              </svg>
-            </span>
-            <span>by RoarinPenguin</span>
-          </div>
-          <div className="text-[10px] sm:text-xs text-slate-500">
-            CA Settings · CSR Generation · Certificate Management
+              </label>
+              <div className="flex items-center gap-2 pt-2">
+                <button
+                  type="submit"
+                  disabled={resettingPassword || !resetPassword}
+                  className="inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5 shadow-glossy"
+                >
+                  {resettingPassword ? 'Saving ...' : 'Reset password'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setShowResetPasswordModal(false)}
+                  className="text-xs px-3 py-1.5 rounded-xl border border-white/10 text-slate-300 hover:bg-slate-900/50"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
           </div>
         </div>
-      </footer>
+      )}
 
       {/* Import Certificate Modal */}
       {showImportModal && (
@@ -1216,45 +5870,239 @@ function App() {
         </div>
       )}
 
-      {/* PKCS#12 Export Modal */}
-      {showPkcs12Modal && (
+      {/* Export Modal */}
+      {showExportModal && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 backdrop-blur-sm p-4">
           <div className="bg-slate-950 border border-white/10 rounded-2xl shadow-2xl w-full max-w-sm p-5">
             <div className="flex items-center justify-between mb-4">
-              <h2 className="text-sm font-semibold text-slate-100">Export PKCS#12</h2>
+              <h2 className="text-sm font-semibold text-slate-100">Export Certificate</h2>
               <button
-                onClick={() => setShowPkcs12Modal(false)}
+                onClick={() => setShowExportModal(false)}
                 className="text-slate-400 hover:text-slate-200 text-lg"
               >
                 ×
               </button>
             </div>
             <p className="text-xs text-slate-400 mb-3">
-              Export <span className="text-rpurple-200 font-medium">{pkcs12CertName}</span> as a password-protected PKCS#12 bundle.
+              Export <span className="text-rpurple-200 font-medium">{exportCert.common_name}</span> for other platforms.
             </p>
-            <form onSubmit={handleExportPkcs12} className="space-y-3">
+            {exportError && (
+              <div className="mb-3 text-[11px] text-rose-300 bg-rose-950/40 border border-rose-500/40 rounded-xl px-2.5 py-1.5">
+                {exportError}
+              </div>
+            )}
+            <form onSubmit={handleExport} className="space-y-3">
               <label className="block space-y-1 text-xs">
-                <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Password *</span>
-                <input
-                  type="password"
-                  className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
-                  value={pkcs12Password}
-                  onChange={e => setPkcs12Password(e.target.value)}
-                  placeholder="Enter export password"
-                  required
-                />
+                <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Format</span>
+                <select
+                  className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                  value={exportForm.format}
+                  onChange={e => setExportForm(prev => ({ ...prev, format: e.target.value }))}
+                >
+                  {exportFormatsFor(exportCert).map(f => (
+                    <option key={f} value={f}>{EXPORT_FORMATS[f].label}</option>
+                  ))}
+                </select>
               </label>
+              {EXPORT_FORMATS[exportForm.format].password && (
+                <label className="block space-y-1 text-xs">
+                  <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">
+                    {EXPORT_FORMATS[exportForm.format].password === 'required' ? 'Password *' : 'Password'}
+                  </span>
+                  <input
+                    type="password"
+                    className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                    value={exportForm.password}
+                    onChange={e => setExportForm(prev => ({ ...prev, password: e.target.value }))}
+                    placeholder={
+                      EXPORT_FORMATS[exportForm.format].password === 'required'
+                        ? 'Enter export password'
+                        : 'Leave empty for an unencrypted key'
+                    }
+                    autoComplete="new-password"
+                  />
+                </label>
+              )}
+              {exportForm.format === 'pkcs12' && (
+                <label className="block space-y-1 text-xs">
+                  <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Alias</span>
+                  <input
+                    className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                    value={exportForm.alias}
+                    onChange={e => setExportForm(prev => ({ ...prev, alias: e.target.value }))}
+                    placeholder={exportCert.common_name}
+                    maxLength={64}
+                  />
+                </label>
+              )}
+              {(exportForm.format === 'pkcs12' || exportForm.format === 'truststore_pkcs12') && (
+                <label className="block space-y-1 text-xs">
+                  <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Encryption</span>
+                  <select
+                    className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                    value={exportForm.encryption}
+                    onChange={e => setExportForm(prev => ({ ...prev, encryption: e.target.value }))}
+                  >
+                    <option value="modern">Modern (AES-256, SHA-256 MAC)</option>
+                    <option value="legacy">Legacy (3DES/RC2, SHA-1 MAC) for older Java, Windows and macOS</option>
+                  </select>
+                </label>
+              )}
+              {exportForm.format.startsWith('truststore_') && (
+                <>
+                  <label className="flex items-center gap-2 text-[11px] text-slate-300">
+                    <input
+                      type="checkbox"
+                      checked={exportForm.include_certificate}
+                      onChange={e => setExportForm(prev => ({ ...prev, include_certificate: e.target.checked }))}
+                    />
+                    Also trust this certificate, not only its CA chain
+                  </label>
+                  <p className="text-[10px] text-slate-500">Entries are aliased by their common names.</p>
+                </>
+              )}
               <div className="flex items-center gap-2 pt-2">
                 <button
                   type="submit"
-                  disabled={pkcs12Exporting || !pkcs12Password}
+                  disabled={exporting || (EXPORT_FORMATS[exportForm.format].password === 'required' && !exportForm.password)}
                   className="inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-amber-500 to-amber-600 hover:from-amber-400 hover:to-amber-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5 shadow-glossy text-slate-900"
                 >
-                  {pkcs12Exporting ? 'Exporting ...' : 'Export .p12'}
+                  {exporting ? 'Exporting ...' : 'Export'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setShowExportModal(false)}
+                  className="text-xs px-3 py-1.5 rounded-xl border border-white/10 text-slate-300 hover:bg-slate-900/50"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Renew Certificate Modal */}
+      {showRenewModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 backdrop-blur-sm p-4">
+          <div className="bg-slate-950 border border-white/10 rounded-2xl shadow-2xl w-full max-w-sm p-5">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-sm font-semibold text-slate-100">{renewCertId ? 'Renew Certificate' : 'Renew Expiring Certificates'}</h2>
+              <button
+                onClick={() => setShowRenewModal(false)}
+                className="text-slate-400 hover:text-slate-200 text-lg"
+              >
+                ×
+              </button>
+            </div>
+            <p className="text-xs text-slate-400 mb-3">
+              {renewCertId ? (
+                <>
+                  Reissue <span className="text-rpurple-200 font-medium">{renewCertName}</span> with the same subject, SANs and preset.
+                </>
+              ) : (
+                'Reissue every active certificate issued by this CA that expires within the window and has not been renewed yet.'
+              )}
+            </p>
+            <form onSubmit={handleRenewCert} className="space-y-3">
+              {renewCertId ? (
+                <label className="block space-y-1 text-xs">
+                  <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Validity (days)</span>
+                  <input
+                    type="number"
+                    min="1"
+                    className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                    value={renewDays}
+                    onChange={e => setRenewDays(e.target.value)}
+                    placeholder="Same as the current certificate"
+                  />
+                </label>
+              ) : (
+                <label className="block space-y-1 text-xs">
+                  <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Expiring within (days)</span>
+                  <input
+                    type="number"
+                    min="1"
+                    max="365"
+                    className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2.5 py-1.5 text-xs text-slate-50 placeholder:text-slate-500 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                    value={renewWindow}
+                    onChange={e => setRenewWindow(e.target.value)}
+                    required
+                  />
+                </label>
+              )}
+              <label className="block space-y-1 text-xs">
+                <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Key</span>
+                <select
+                  className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                  value={renewReuseKey ? 'reuse' : 'new'}
+                  onChange={e => setRenewReuseKey(e.target.value === 'reuse')}
+                >
+                  <option value="new">Generate a new key (re-key)</option>
+                  <option value="reuse">Reuse the current key</option>
+                </select>
+              </label>
+              <div className="flex items-center gap-2 pt-2">
+                <button
+                  type="submit"
+                  disabled={renewing}
+                  className="inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rpurple-500 to-rpurple-600 hover:from-rpurple-400 hover:to-rpurple-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5 shadow-glossy"
+                >
+                  {renewing ? 'Renewing ...' : 'Renew'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setShowRenewModal(false)}
+                  className="text-xs px-3 py-1.5 rounded-xl border border-white/10 text-slate-300 hover:bg-slate-900/50"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Revoke Certificate Modal */}
+      {showRevokeModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 backdrop-blur-sm p-4">
+          <div className="bg-slate-950 border border-white/10 rounded-2xl shadow-2xl w-full max-w-sm p-5">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-sm font-semibold text-slate-100">Revoke Certificate</h2>
+              <button
+                onClick={() => setShowRevokeModal(false)}
+                className="text-slate-400 hover:text-slate-200 text-lg"
+              >
+                ×
+              </button>
+            </div>
+            <p className="text-xs text-slate-400 mb-3">
+              Revoke <span className="text-rpurple-200 font-medium">{revokeCertName}</span> and publish it on the CRL. This cannot be undone.
+            </p>
+            <form onSubmit={handleRevokeCert} className="space-y-3">
+              <label className="block space-y-1 text-xs">
+                <span className="text-[11px] uppercase tracking-[0.16em] text-slate-400">Reason</span>
+                <select
+                  className="w-full rounded-xl bg-slate-900/70 border border-white/10 px-2 py-1.5 text-xs text-slate-50 focus:outline-none focus:ring-1 focus:ring-rpurple-400/80"
+                  value={revokeReason}
+                  onChange={e => setRevokeReason(e.target.value)}
+                >
+                  {Object.entries(REVOCATION_REASONS).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <div className="flex items-center gap-2 pt-2">
+                <button
+                  type="submit"
+                  disabled={revoking}
+                  className="inline-flex items-center justify-center gap-1.5 rounded-2xl bg-gradient-to-r from-rose-500 to-rose-600 hover:from-rose-400 hover:to-rose-600 disabled:opacity-50 disabled:cursor-not-allowed text-xs font-medium px-4 py-1.5 shadow-glossy"
+                >
+                  {revoking ? 'Revoking ...' : 'Revoke'}
                 </button>
                 <button
                   type="button"
-                  onClick={() => setShowPkcs12Modal(false)}
+                  onClick={() => setShowRevokeModal(false)}
                   className="text-xs px-3 py-1.5 rounded-xl border border-white/10 text-slate-300 hover:bg-slate-900/50"
                 >
                   Cancel
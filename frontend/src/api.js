@@ -12,6 +12,12 @@ export async function login(username, password) {
   return res.data;
 }
 
+// Second login step for accounts with 2FA: { code } or { recovery_code }
+export async function loginSecondFactor(challenge, factor) {
+  const res = await api.post('/auth/login/2fa', { challenge, ...factor });
+  return res.data;
+}
+
 export async function logout() {
   const res = await api.post('/auth/logout');
   return res.data;
@@ -21,3 +27,17 @@ export async function fetchMe() {
   const res = await api.get('/auth/me');
   return res.data;
 }
+
+export async function changePassword(currentPassword, newPassword) {
+  const res = await api.post('/auth/password', { current_password: currentPassword, new_password: newPassword });
+  return res.data;
+}
+
+// Whether single sign-on is configured, and the label for its button
+export async function fetchSsoConfig() {
+  const res = await api.get('/auth/oidc');
+  return res.data;
+}
+
+// A full-page navigation, since the identity provider redirects back
+export const ssoLoginUrl = `${base}/auth/oidc/login`;
@@ -0,0 +1,31 @@
+import { api } from './api.js';
+
+export async function listApprovals() {
+  const res = await api.get('/approvals');
+  return res.data;
+}
+
+export async function approveCsr(id, comment) {
+  const res = await api.post(`/csr/${id}/approve`, { comment });
+  return res.data;
+}
+
+export async function rejectCsr(id, comment) {
+  const res = await api.post(`/csr/${id}/reject`, { comment });
+  return res.data;
+}
+
+export async function commentCsr(id, comment) {
+  const res = await api.post(`/csr/${id}/comments`, { comment });
+  return res.data;
+}
+
+export async function listCsrReviews(id) {
+  const res = await api.get(`/csr/${id}/reviews`);
+  return res.data;
+}
+
+export async function setApprovalPolicy(allowSelfApproval) {
+  const res = await api.put('/approvals/policy', { allow_self_approval: allowSelfApproval });
+  return res.data;
+}
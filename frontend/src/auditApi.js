@@ -0,0 +1,37 @@
+import { api } from './api.js';
+
+// Drop empty filters so they are not sent as ?username=&action=, and send
+// date filters (local time from the date pickers) as ISO timestamps
+function auditParams(filters) {
+  const params = Object.fromEntries(
+    Object.entries(filters || {}).filter(([, v]) => v !== '' && v !== null && v !== undefined)
+  );
+  ['from', 'to'].forEach(key => {
+    if (params[key]) params[key] = new Date(params[key]).toISOString();
+  });
+  return params;
+}
+
+export async function listAudit(filters, offset = 0, limit = 100) {
+  const res = await api.get('/audit', { params: { ...auditParams(filters), offset, limit } });
+  return res.data;
+}
+
+export async function verifyAudit() {
+  const res = await api.get('/audit/verify');
+  return res.data;
+}
+
+export async function exportAudit(filters, format) {
+  const res = await api.get('/audit/export', {
+    params: { ...auditParams(filters), format },
+    responseType: 'blob',
+  });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([res.data]));
+  link.download = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(link.href);
+}
@@ -14,3 +14,28 @@ export async function initCa() {
   const res = await api.post('/ca/init');
   return res.data;
 }
+
+export async function listIntermediates() {
+  const res = await api.get('/ca/intermediates');
+  return res.data;
+}
+
+export async function createIntermediate(payload) {
+  const res = await api.post('/ca/intermediates', payload);
+  return res.data;
+}
+
+export async function setDefaultIssuer(issuerId) {
+  const res = await api.post('/ca/default-issuer', { issuer_id: issuerId });
+  return res.data;
+}
+
+export async function listCaGenerations() {
+  const res = await api.get('/ca/generations');
+  return res.data;
+}
+
+export async function rolloverCa(payload) {
+  const res = await api.post('/ca/rollover', payload);
+  return res.data;
+}
@@ -10,13 +10,33 @@ export async function getCertificate(id) {
   return res.data;
 }
 
+export async function getCertificateDetails(id) {
+  const res = await api.get(`/certificates/${id}/details`);
+  return res.data;
+}
+
 export async function importCertificate(payload) {
   const res = await api.post('/certificates/import', payload);
   return res.data;
 }
 
-export async function signCsr(csrId, days = 365) {
-  const res = await api.post(`/certificates/sign/${csrId}`, { days });
+export async function signCsr(csrId, days, issuerId) {
+  const res = await api.post(`/certificates/sign/${csrId}`, { days, issuer_id: issuerId });
+  return res.data;
+}
+
+export async function revokeCertificate(id, reason) {
+  const res = await api.post(`/certificates/${id}/revoke`, { reason });
+  return res.data;
+}
+
+export async function renewCertificate(id, { reuseKey, days }) {
+  const res = await api.post(`/certificates/${id}/renew`, { reuse_key: reuseKey, days: days || undefined });
+  return res.data;
+}
+
+export async function renewExpiringCertificates(days, reuseKey) {
+  const res = await api.post('/certificates/renew-expiring', { days, reuse_key: reuseKey });
   return res.data;
 }
 
@@ -58,18 +78,77 @@ export async function downloadFullchain(id, commonName) {
   await downloadFile(`/certificates/${id}/download/fullchain`, filename);
 }
 
-export async function exportPkcs12(id, commonName, password) {
-  const res = await api.post(`/certificates/${id}/export/pkcs12`, { password }, { responseType: 'blob' });
-  const blob = new Blob([res.data], { type: 'application/x-pkcs12' });
+export async function downloadCertDer(id, commonName, extension = 'cer') {
+  const filename = `${commonName.replace(/[^a-zA-Z0-9.-]/g, '_')}.${extension}`;
+  await downloadFile(`/certificates/${id}/download/der`, filename);
+}
+
+export async function downloadPkcs7(id, commonName) {
+  const filename = `${commonName.replace(/[^a-zA-Z0-9.-]/g, '_')}.p7b`;
+  await downloadFile(`/certificates/${id}/download/pkcs7`, filename);
+}
+
+// Exports that take a password are POSTs
+async function exportFile(url, body, filename, type) {
+  let res;
+  try {
+    res = await api.post(url, body, { responseType: 'blob' });
+  } catch (err) {
+    // Errors arrive as a blob too; surface the JSON message
+    if (err.response && err.response.data instanceof Blob) {
+      try {
+        err.response.data = JSON.parse(await err.response.data.text());
+      } catch {
+        // not JSON
+      }
+    }
+    throw err;
+  }
+  const blob = new Blob([res.data], { type });
   const link = document.createElement('a');
   link.href = URL.createObjectURL(blob);
-  link.download = `${commonName.replace(/[^a-zA-Z0-9.-]/g, '_')}.p12`;
+  link.download = filename;
   document.body.appendChild(link);
   link.click();
   document.body.removeChild(link);
   URL.revokeObjectURL(link.href);
 }
 
+// encryption: 'modern' (AES) or 'legacy' (3DES/RC2) for older clients
+export async function exportPkcs12(id, commonName, password, { alias, encryption } = {}) {
+  const filename = `${commonName.replace(/[^a-zA-Z0-9.-]/g, '_')}.p12`;
+  await exportFile(`/certificates/${id}/export/pkcs12`, { password, alias: alias || undefined, encryption }, filename, 'application/x-pkcs12');
+}
+
+// format: 'pkcs8' or 'traditional'; encrypted when a password is given
+export async function exportKey(id, commonName, format, password) {
+  const filename = `${commonName.replace(/[^a-zA-Z0-9.-]/g, '_')}.key.pem`;
+  await exportFile(`/certificates/${id}/export/key`, { format, password: password || undefined }, filename, 'application/x-pem-file');
+}
+
+// format: 'jks' or 'pkcs12'
+export async function exportTruststore(id, commonName, { format, password, includeCertificate, encryption }) {
+  const filename = `${commonName.replace(/[^a-zA-Z0-9.-]/g, '_')}.truststore.${format === 'jks' ? 'jks' : 'p12'}`;
+  await exportFile(
+    `/certificates/${id}/export/truststore`,
+    { format, password, include_certificate: includeCertificate, encryption },
+    filename,
+    format === 'jks' ? 'application/x-java-keystore' : 'application/x-pkcs12'
+  );
+}
+
 export async function downloadCaCert() {
   await downloadFile('/ca/cert', 'ca.cert.pem');
 }
+
+export async function downloadIntermediateCert(id, commonName) {
+  const filename = `${commonName.replace(/[^a-zA-Z0-9.-]/g, '_')}.ca.cert.pem`;
+  await downloadFile(`/ca/intermediates/${id}/cert`, filename);
+}
+
+// file is cert, cross-cert or reverse-cross-cert
+export async function downloadGenerationCert(generation, file, commonName) {
+  const suffix = { cert: '.ca.cert.pem', 'cross-cert': '.cross.cert.pem', 'reverse-cross-cert': '.reverse-cross.cert.pem' }[file];
+  const filename = `${`${commonName}-g${generation}`.replace(/[^a-zA-Z0-9.-]/g, '_')}${suffix}`;
+  await downloadFile(`/ca/generations/${generation}/${file}`, filename);
+}
@@ -5,6 +5,16 @@ export async function createCsr(payload) {
   return res.data;
 }
 
+export async function parseCsr(csrPem) {
+  const res = await api.post('/csr/parse', { csr_pem: csrPem });
+  return res.data;
+}
+
+export async function uploadCsr(csrPem, preset, days) {
+  const res = await api.post('/csr/upload', { csr_pem: csrPem, preset, days });
+  return res.data;
+}
+
 export async function listCsrs() {
   const res = await api.get('/csr');
   return res.data;
@@ -15,6 +25,11 @@ export async function getCsr(id) {
   return res.data;
 }
 
+export async function getCsrDetails(id) {
+  const res = await api.get(`/csr/${id}/details`);
+  return res.data;
+}
+
 export async function deleteCsr(id) {
   const res = await api.delete(`/csr/${id}`);
   return res.data;
@@ -0,0 +1,16 @@
+import { api } from './api.js';
+
+export async function getExpiry() {
+  const res = await api.get('/expiry');
+  return res.data;
+}
+
+export async function runExpiryCheck() {
+  const res = await api.post('/expiry/check');
+  return res.data;
+}
+
+export async function sendTestAlert() {
+  const res = await api.post('/expiry/test');
+  return res.data;
+}
@@ -0,0 +1,21 @@
+import { api } from './api.js';
+
+export async function listPolicies() {
+  const res = await api.get('/policies');
+  return res.data;
+}
+
+export async function createPolicy(payload) {
+  const res = await api.post('/policies', payload);
+  return res.data;
+}
+
+export async function updatePolicy(id, payload) {
+  const res = await api.put(`/policies/${id}`, payload);
+  return res.data;
+}
+
+export async function deletePolicy(id) {
+  const res = await api.delete(`/policies/${id}`);
+  return res.data;
+}
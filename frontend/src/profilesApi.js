@@ -0,0 +1,21 @@
+import { api } from './api.js';
+
+export async function listProfiles() {
+  const res = await api.get('/profiles');
+  return res.data;
+}
+
+export async function createProfile(payload) {
+  const res = await api.post('/profiles', payload);
+  return res.data;
+}
+
+export async function updateProfile(id, payload) {
+  const res = await api.put(`/profiles/${id}`, payload);
+  return res.data;
+}
+
+export async function deleteProfile(id) {
+  const res = await api.delete(`/profiles/${id}`);
+  return res.data;
+}
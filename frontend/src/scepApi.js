@@ -0,0 +1,16 @@
+import { api } from './api.js';
+
+export async function listScepChallenges() {
+  const res = await api.get('/scep/challenges');
+  return res.data;
+}
+
+export async function createScepChallenge(payload) {
+  const res = await api.post('/scep/challenges', payload);
+  return res.data;
+}
+
+export async function revokeScepChallenge(id) {
+  const res = await api.delete(`/scep/challenges/${id}`);
+  return res.data;
+}
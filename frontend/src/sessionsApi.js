@@ -0,0 +1,27 @@
+import { api } from './api.js';
+
+export async function listMySessions() {
+  const res = await api.get('/auth/sessions');
+  return res.data;
+}
+
+export async function endMySession(id) {
+  const res = await api.delete(`/auth/sessions/${id}`);
+  return res.data;
+}
+
+// Admins: every active session, or one user's
+export async function listSessions(userId) {
+  const res = await api.get('/sessions', { params: userId ? { user_id: userId } : {} });
+  return res.data;
+}
+
+export async function endSession(id) {
+  const res = await api.delete(`/sessions/${id}`);
+  return res.data;
+}
+
+export async function endUserSessions(userId) {
+  const res = await api.delete(`/users/${userId}/sessions`);
+  return res.data;
+}
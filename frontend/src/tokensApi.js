@@ -0,0 +1,17 @@
+import { api } from './api.js';
+
+// Admins pass all=true to list every user's tokens
+export async function listTokens(all = false) {
+  const res = await api.get('/tokens', { params: all ? { all: true } : {} });
+  return res.data;
+}
+
+export async function createToken(payload) {
+  const res = await api.post('/tokens', payload);
+  return res.data;
+}
+
+export async function revokeToken(id) {
+  const res = await api.delete(`/tokens/${id}`);
+  return res.data;
+}
@@ -0,0 +1,32 @@
+import { api } from './api.js';
+
+// input: { data, encoding: 'text' | 'base64', password }
+export async function decodeInput(input) {
+  const res = await api.post('/tools/decode', input);
+  return res.data;
+}
+
+export async function convertInput(input, format, exportPassword, filename) {
+  let res;
+  try {
+    res = await api.post('/tools/convert', { ...input, format, export_password: exportPassword }, { responseType: 'blob' });
+  } catch (err) {
+    // Errors arrive as a blob too; surface the JSON message
+    if (err.response && err.response.data instanceof Blob) {
+      try {
+        err.response.data = JSON.parse(await err.response.data.text());
+      } catch {
+        // not JSON
+      }
+    }
+    throw err;
+  }
+  const blob = new Blob([res.data], { type: res.headers['content-type'] });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(link.href);
+}
@@ -0,0 +1,32 @@
+import { api } from './api.js';
+
+export async function getTwoFactor() {
+  const res = await api.get('/auth/2fa');
+  return res.data;
+}
+
+export async function setupTwoFactor() {
+  const res = await api.post('/auth/2fa/setup');
+  return res.data;
+}
+
+export async function enableTwoFactor(code) {
+  const res = await api.post('/auth/2fa/enable', { code });
+  return res.data;
+}
+
+// factor: { code } or { recovery_code }
+export async function regenerateRecoveryCodes(factor) {
+  const res = await api.post('/auth/2fa/recovery-codes', factor);
+  return res.data;
+}
+
+export async function disableTwoFactor(password, factor) {
+  const res = await api.post('/auth/2fa/disable', { password, ...factor });
+  return res.data;
+}
+
+export async function setTwoFactorPolicy(require2fa) {
+  const res = await api.put('/auth/2fa/policy', { require_2fa: require2fa });
+  return res.data;
+}
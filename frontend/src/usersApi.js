@@ -0,0 +1,41 @@
+import { api } from './api.js';
+
+export async function listUsers() {
+  const res = await api.get('/users');
+  return res.data;
+}
+
+export async function createUser(payload) {
+  const res = await api.post('/users', payload);
+  return res.data;
+}
+
+export async function updateUser(id, payload) {
+  const res = await api.patch(`/users/${id}`, payload);
+  return res.data;
+}
+
+export async function resetUserPassword(id, password) {
+  const res = await api.post(`/users/${id}/reset-password`, { password });
+  return res.data;
+}
+
+export async function resetUserTwoFactor(id) {
+  const res = await api.post(`/users/${id}/reset-2fa`);
+  return res.data;
+}
+
+export async function unlockUser(id) {
+  const res = await api.post(`/users/${id}/unlock`);
+  return res.data;
+}
+
+export async function listAddressLockouts() {
+  const res = await api.get('/users/address-lockouts');
+  return res.data;
+}
+
+export async function unlockAddress(address) {
+  const res = await api.post('/users/address-lockouts/unlock', { address });
+  return res.data;
+}
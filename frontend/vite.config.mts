@@ -10,6 +10,18 @@ export default defineConfig({
         target: 'http://localhost:4000',
         changeOrigin: true,
       },
+      '/crl': {
+        target: 'http://localhost:4000',
+        changeOrigin: true,
+      },
+      '/ocsp': {
+        target: 'http://localhost:4000',
+        changeOrigin: true,
+      },
+      '/acme': {
+        target: 'http://localhost:4000',
+        changeOrigin: true,
+      },
     },
   },
 });